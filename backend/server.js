@@ -13,6 +13,7 @@ const { Server } = require('socket.io');
 const database = require('./config/database');
 const redisClient = require('./config/redis');
 const logger = require('./utils/logger');
+const encryption = require('./utils/encryption');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -25,6 +26,17 @@ const adminRoutes = require('./routes/admin');
 const notificationRoutes = require('./routes/notifications');
 const reportRoutes = require('./routes/reports');
 const searchRoutes = require('./routes/search');
+const paymentRoutes = require('./routes/payments');
+const attendanceRoutes = require('./routes/attendance');
+const certificateRoutes = require('./routes/certificates');
+const competitionRoutes = require('./routes/competitions');
+const transcriptRoutes = require('./routes/transcripts');
+const fileRoutes = require('./routes/files');
+
+// Import background jobs
+const registrationJobs = require('./jobs/registrationJobs');
+const attendanceJobs = require('./jobs/attendanceJobs');
+const certificateJobs = require('./jobs/certificateJobs');
 
 class Server {
     constructor() {
@@ -41,6 +53,9 @@ class Server {
 
     async initialize() {
         try {
+            // Load the certificate signing key; fails in production when it is missing
+            encryption.getSigningKeys();
+
             // Connect to databases
             await this.connectDatabases();
 
@@ -59,6 +74,9 @@ class Server {
             // Start server
             await this.startServer();
 
+            // Start background jobs
+            await this.startJobs();
+
         } catch (error) {
             logger.error('Server initialization failed:', error);
             process.exit(1);
@@ -164,6 +182,14 @@ class Server {
         this.app.set('trust proxy', 1);
 
         // Static files
+        // Registration form answers are private; they are downloaded through
+        // signed links (see routes/files.js)
+        this.app.use('/uploads/registrations', (req, res) => {
+            res.status(404).json({
+                success: false,
+                message: 'Route not found'
+            });
+        });
         this.app.use('/uploads', express.static('uploads'));
 
         logger.info('Middleware setup completed');
@@ -208,6 +234,12 @@ class Server {
         this.app.use(`${apiPrefix}/notifications`, notificationRoutes);
         this.app.use(`${apiPrefix}/reports`, reportRoutes);
         this.app.use(`${apiPrefix}/search`, searchRoutes);
+        this.app.use(`${apiPrefix}/payments`, paymentRoutes);
+        this.app.use(`${apiPrefix}/attendance`, attendanceRoutes);
+        this.app.use(`${apiPrefix}/certificates`, certificateRoutes);
+        this.app.use(`${apiPrefix}/competitions`, competitionRoutes);
+        this.app.use(`${apiPrefix}/transcripts`, transcriptRoutes);
+        this.app.use(`${apiPrefix}/files`, fileRoutes);
 
         // 404 handler
         this.app.use('*', (req, res) => {
@@ -330,6 +362,14 @@ class Server {
         }
     }
 
+    async startJobs() {
+        logger.info('Starting background jobs...');
+
+        await registrationJobs.initialize();
+        await attendanceJobs.initialize();
+        await certificateJobs.initialize(this.io);
+    }
+
     async gracefulShutdown() {
         logger.info('Starting graceful shutdown...');
 
@@ -340,6 +380,9 @@ class Server {
             }
 
             try {
+                // Stop queue workers before their connections go away
+                await certificateJobs.shutdown();
+
                 // Close database connections
                 await database.disconnect();
                 await redisClient.disconnect();
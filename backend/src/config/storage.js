@@ -247,6 +247,46 @@ class StorageService {
         await cloudinary.uploader.destroy(publicId);
     }
 
+    // Put a file received on local disk into the configured storage under
+    // the given key; returns the stored key and its public URL
+    async storeFile(localPath, key) {
+        try {
+            let storedKey = key;
+
+            switch (this.storageType) {
+                case 's3':
+                    if (!this.s3) {
+                        await this.initializeS3();
+                    }
+                    await this.uploadToS3(localPath, key);
+                    await fs.unlink(localPath);
+                    break;
+                case 'cloudinary': {
+                    const cloudinary = require('cloudinary').v2;
+                    const result = await cloudinary.uploader.upload(localPath, {
+                        public_id: key.replace(/\.[^./]+$/, '')
+                    });
+                    await fs.unlink(localPath);
+                    storedKey = result.public_id;
+                    break;
+                }
+                case 'local':
+                default:
+                    await this.moveFileLocal(path.resolve(localPath), key);
+                    break;
+            }
+
+            logger.logFileOperation('store', storedKey);
+            return {
+                key: storedKey,
+                url: this.getFileUrl(storedKey)
+            };
+        } catch (error) {
+            logger.error('Error storing file:', error);
+            throw error;
+        }
+    }
+
     async moveFile(sourcePath, destinationPath) {
         try {
             switch (this.storageType) {
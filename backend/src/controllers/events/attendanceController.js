@@ -1,4 +1,7 @@
 const attendanceService = require('../../services/events/attendanceService');
+const kioskCheckInService = require('../../services/events/kioskCheckInService');
+const selfCheckInService = require('../../services/events/selfCheckInService');
+const onlineAttendanceService = require('../../services/events/onlineAttendanceService');
 const { validationResult } = require('express-validator');
 const logger = require('../../utils/logger');
 
@@ -176,7 +179,7 @@ class AttendanceController {
                 verifiedBy: req.user.userId
             };
 
-            const attendance = await attendanceService.qrCheckIn(qrCode, checkInData);
+            const attendance = await attendanceService.qrCheckIn(qrCode, checkInData, req.user);
 
             res.json({
                 success: true,
@@ -230,6 +233,201 @@ class AttendanceController {
         }
     }
 
+    // Attendee self check-in with device location
+    async selfCheckIn(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { eventId } = req.params;
+            const result = await selfCheckInService.checkIn(eventId, req.user.userId, {
+                latitude: req.body.latitude,
+                longitude: req.body.longitude,
+                accuracy: req.body.accuracy,
+                pin: req.body.pin,
+                deviceInfo: {
+                    userAgent: req.get('User-Agent'),
+                    ipAddress: req.ip,
+                    platform: req.body.platform,
+                    deviceId: req.body.deviceId
+                }
+            });
+
+            res.status(201).json({
+                success: true,
+                message: !result.withinRadius
+                    ? 'Check-in recorded; your location is outside the venue area and will be reviewed by the organizer'
+                    : result.poorAccuracy
+                        ? 'Check-in recorded; your location could not be confirmed precisely and will be reviewed by the organizer'
+                        : 'Check-in successful',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Self check-in controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Self check-in failed'
+            });
+        }
+    }
+
+    // Current self check-in PIN for the venue screen
+    async getSelfCheckInPin(req, res) {
+        try {
+            const { eventId } = req.params;
+            const pin = await selfCheckInService.getCurrentPin(eventId);
+
+            res.json({
+                success: true,
+                data: pin
+            });
+
+        } catch (error) {
+            logger.error('Get self check-in PIN controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get check-in PIN'
+            });
+        }
+    }
+
+    // Personal join link for an online event
+    async getOnlineJoinLink(req, res) {
+        try {
+            const { eventId } = req.params;
+            const joinLink = await onlineAttendanceService.getJoinLink(eventId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: joinLink
+            });
+
+        } catch (error) {
+            logger.error('Get online join link controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get join link'
+            });
+        }
+    }
+
+    // Join link redirector: records the join, then opens the meeting
+    async joinOnlineEvent(req, res) {
+        try {
+            const meetingLink = await onlineAttendanceService.join(req.params.token, {
+                userAgent: req.get('User-Agent'),
+                ipAddress: req.ip
+            });
+
+            res.redirect(302, meetingLink);
+
+        } catch (error) {
+            logger.error('Join online event controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to join event'
+            });
+        }
+    }
+
+    // Heartbeat while the event page is open
+    async recordHeartbeat(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { eventId } = req.params;
+            const result = await onlineAttendanceService.heartbeat(eventId, req.user.userId, {
+                interactions: req.body.interactions,
+                deviceInfo: {
+                    userAgent: req.get('User-Agent'),
+                    ipAddress: req.ip,
+                    platform: req.body.platform,
+                    deviceId: req.body.deviceId
+                }
+            });
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Heartbeat controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to record heartbeat'
+            });
+        }
+    }
+
+    // Download the offline check-in manifest for a kiosk
+    async getKioskManifest(req, res) {
+        try {
+            const { eventId } = req.params;
+            const manifest = await kioskCheckInService.getManifest(eventId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: manifest
+            });
+
+        } catch (error) {
+            logger.error('Get kiosk manifest controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get kiosk manifest'
+            });
+        }
+    }
+
+    // Sync check-ins queued by an offline kiosk
+    async syncKioskCheckIns(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { eventId } = req.params;
+            const result = await kioskCheckInService.syncCheckIns(eventId, {
+                manifest: req.body.manifest,
+                deviceId: req.body.deviceId,
+                checkIns: req.body.checkIns
+            }, req.user.userId);
+
+            res.json({
+                success: true,
+                message: `Kiosk sync completed: ${result.summary.checked_in} checked in, ${result.summary.duplicate} duplicates, ${result.summary.conflict} conflicts, ${result.summary.rejected} rejected`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Kiosk sync controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Kiosk sync failed'
+            });
+        }
+    }
+
     // Add session attendance
     async addSessionAttendance(req, res) {
         try {
@@ -367,16 +565,31 @@ class AttendanceController {
     // Resolve attendance flag
     async resolveFlaggedAttendance(req, res) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
             const { attendanceId, flagId } = req.params;
             const attendance = await attendanceService.resolveFlaggedAttendance(
                 attendanceId,
                 flagId,
-                req.user.userId
+                req.user.userId,
+                {
+                    resolution: req.body.resolution,
+                    notes: req.body.notes
+                }
             );
 
             res.json({
                 success: true,
-                message: 'Attendance flag resolved successfully',
+                message: req.body.resolution === 'voided'
+                    ? 'Attendance voided successfully'
+                    : 'Attendance flag resolved successfully',
                 data: attendance
             });
 
@@ -389,6 +602,30 @@ class AttendanceController {
         }
     }
 
+    // Flagged attendance waiting for organizer review
+    async getReviewQueue(req, res) {
+        try {
+            const { eventId } = req.params;
+            const queue = await attendanceService.getReviewQueue(eventId, {
+                severity: req.query.severity,
+                page: req.query.page,
+                limit: req.query.limit
+            });
+
+            res.json({
+                success: true,
+                data: queue
+            });
+
+        } catch (error) {
+            logger.error('Get review queue controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get review queue'
+            });
+        }
+    }
+
     // Get duplicate check-ins
     async getDuplicateCheckIns(req, res) {
         try {
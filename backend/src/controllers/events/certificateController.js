@@ -1,4 +1,7 @@
 const certificateService = require('../../services/events/certificateService');
+const certificateLedgerService = require('../../services/events/certificateLedgerService');
+const certificateStatusService = require('../../services/events/certificateStatusService');
+const certificateJobs = require('../../jobs/certificateJobs');
 const { validationResult } = require('express-validator');
 const logger = require('../../utils/logger');
 
@@ -187,6 +190,15 @@ class CertificateController {
     // Verify certificate
     async verifyCertificate(req, res) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
             const { verificationCode } = req.params;
             const certificate = await certificateService.verifyCertificate(verificationCode);
 
@@ -209,7 +221,8 @@ class CertificateController {
                     issuedDate: certificate.issuedDate,
                     type: certificate.type,
                     organization: certificate.organization.name,
-                    status: certificate.status
+                    status: certificate.status,
+                    signature: certificateService.checkCertificateSignature(certificate)
                 }
             });
 
@@ -222,6 +235,50 @@ class CertificateController {
         }
     }
 
+    // Verify a signature copied from a certificate file or its QR code
+    async verifyCertificateSignature(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const result = await certificateService.verifyCertificateSignature(req.body.signature);
+
+            res.json({
+                success: true,
+                message: result.valid ? 'Certificate signature is valid' : 'Certificate signature is not valid',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Verify certificate signature controller error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Certificate signature verification failed'
+            });
+        }
+    }
+
+    // Public keys for verifying certificate signatures offline (JWK set)
+    async getSigningPublicKeys(req, res) {
+        try {
+            res.set('Cache-Control', 'public, max-age=3600');
+            res.json(certificateService.getSigningPublicKeys());
+
+        } catch (error) {
+            logger.error('Get signing public keys controller error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get signing keys'
+            });
+        }
+    }
+
     // Bulk generate certificates
     async bulkGenerateCertificates(req, res) {
         try {
@@ -234,25 +291,61 @@ class CertificateController {
                 });
             }
 
-            const { eventId, recipients, certificateData } = req.body;
-            const results = await certificateService.bulkGenerateCertificates(
+            const { eventId } = req.params;
+            const { recipients, certificateData } = req.body;
+
+            const batch = await certificateService.createCertificateBatch(
                 eventId,
                 recipients,
                 certificateData,
                 req.user.userId
             );
 
-            res.json({
+            await certificateJobs.enqueueBatch(batch._id, batch.recipients.map(recipient => recipient.user));
+
+            res.status(202).json({
                 success: true,
-                message: `Bulk certificate generation completed: ${results.successful} generated, ${results.failed} failed`,
-                data: results
+                message: `Queued ${batch.total} certificates for generation`,
+                data: {
+                    batchId: batch._id,
+                    status: batch.status,
+                    total: batch.total
+                }
             });
 
         } catch (error) {
             logger.error('Bulk generate certificates controller error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Bulk certificate generation failed'
+                message: error.message || 'Bulk certificate generation failed'
+            });
+        }
+    }
+
+    // Progress of a bulk generation run
+    async getCertificateBatch(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const batch = await certificateService.getCertificateBatch(req.params.batchId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: batch
+            });
+
+        } catch (error) {
+            logger.error('Get certificate batch controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get certificate batch'
             });
         }
     }
@@ -319,13 +412,22 @@ class CertificateController {
         }
     }
 
-    // Update certificate template
+    // Select the certificate template for an event
     async updateCertificateTemplate(req, res) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
             const { eventId } = req.params;
             const templateData = {
-                template: req.body.template,
-                customContent: req.body.customContent
+                templateId: req.body.templateId,
+                version: req.body.version
             };
 
             const result = await certificateService.updateCertificateTemplate(
@@ -352,13 +454,30 @@ class CertificateController {
     // Preview certificate
     async previewCertificate(req, res) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
             const certificateData = {
-                recipientName: req.body.recipientName || 'John Doe',
-                eventTitle: req.body.eventTitle,
-                eventDate: req.body.eventDate,
+                templateId: req.body.templateId,
+                version: req.body.version,
+                html: req.body.html,
+                css: req.body.css,
+                orientation: req.body.orientation,
                 template: req.body.template,
-                customContent: req.body.customContent,
-                type: req.body.type
+                sampleData: {
+                    recipientName: req.body.recipientName,
+                    eventTitle: req.body.eventTitle,
+                    eventDate: req.body.eventDate,
+                    type: req.body.type,
+                    customBody: req.body.customContent?.body,
+                    ...req.body.sampleData
+                }
             };
 
             const previewBuffer = await certificateService.previewCertificate(certificateData);
@@ -369,9 +488,9 @@ class CertificateController {
 
         } catch (error) {
             logger.error('Preview certificate controller error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Failed to generate certificate preview'
+                message: error.message || 'Failed to generate certificate preview'
             });
         }
     }
@@ -480,7 +599,19 @@ class CertificateController {
     // Get certificate templates
     async getCertificateTemplates(req, res) {
         try {
-            const templates = await certificateService.getCertificateTemplates();
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const templates = await certificateService.getCertificateTemplates({
+                status: req.query.status,
+                type: req.query.type
+            });
 
             res.json({
                 success: true,
@@ -496,13 +627,43 @@ class CertificateController {
         }
     }
 
-    // Upload certificate template
+    // Get a certificate template with its versions
+    async getCertificateTemplate(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const template = await certificateService.getCertificateTemplate(req.params.templateId);
+
+            res.json({
+                success: true,
+                data: template
+            });
+
+        } catch (error) {
+            logger.error('Get certificate template controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get certificate template'
+            });
+        }
+    }
+
+    // Create certificate template (markup in the body, images as files)
     async uploadCertificateTemplate(req, res) {
         try {
-            if (!req.file) {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
                 return res.status(400).json({
                     success: false,
-                    message: 'No template file uploaded'
+                    message: 'Validation failed',
+                    errors: errors.array()
                 });
             }
 
@@ -510,7 +671,11 @@ class CertificateController {
                 name: req.body.name,
                 description: req.body.description,
                 type: req.body.type,
-                file: req.file
+                html: req.body.html,
+                css: req.body.css,
+                orientation: req.body.orientation,
+                notes: req.body.notes,
+                files: req.files
             };
 
             const template = await certificateService.uploadCertificateTemplate(
@@ -526,56 +691,196 @@ class CertificateController {
 
         } catch (error) {
             logger.error('Upload certificate template controller error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Failed to upload certificate template'
+                message: error.message || 'Failed to upload certificate template'
             });
         }
     }
 
-    // Get blockchain verification
-    async getBlockchainVerification(req, res) {
+    // Save a new version of a certificate template
+    async createTemplateVersion(req, res) {
         try {
-            const { certificateId } = req.params;
-            const verification = await certificateService.getBlockchainVerification(certificateId);
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const templateData = {
+                name: req.body.name,
+                description: req.body.description,
+                type: req.body.type,
+                html: req.body.html,
+                css: req.body.css,
+                orientation: req.body.orientation,
+                notes: req.body.notes,
+                removeAssets: [].concat(req.body.removeAssets || []),
+                files: req.files
+            };
+
+            const template = await certificateService.createTemplateVersion(
+                req.params.templateId,
+                templateData,
+                req.user.userId
+            );
 
             res.json({
                 success: true,
-                data: verification
+                message: 'Certificate template updated successfully',
+                data: template
             });
 
         } catch (error) {
-            logger.error('Get blockchain verification controller error:', error);
+            logger.error('Create template version controller error:', error);
             res.status(error.statusCode || 500).json({
                 success: false,
-                message: error.message || 'Failed to get blockchain verification'
+                message: error.message || 'Failed to update certificate template'
             });
         }
     }
 
-    // Record blockchain transaction
-    async recordBlockchainTransaction(req, res) {
+    // Archive a certificate template
+    async archiveCertificateTemplate(req, res) {
         try {
-            const { certificateId } = req.params;
-            const { transactionHash, blockchainNetwork } = req.body;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
 
-            const result = await certificateService.recordBlockchainTransaction(
-                certificateId,
-                transactionHash,
-                blockchainNetwork
+            const template = await certificateService.archiveCertificateTemplate(
+                req.params.templateId,
+                req.user.userId
             );
 
             res.json({
                 success: true,
-                message: 'Blockchain transaction recorded successfully',
+                message: 'Certificate template archived successfully',
+                data: template
+            });
+
+        } catch (error) {
+            logger.error('Archive certificate template controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to archive certificate template'
+            });
+        }
+    }
+
+    // Public status of a certificate by ID or verification code
+    async getCertificateStatus(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const status = await certificateStatusService.getStatus(req.params.identifier);
+
+            res.set('Cache-Control', 'public, max-age=60');
+            res.json({
+                success: true,
+                data: status
+            });
+
+        } catch (error) {
+            logger.error('Get certificate status controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get certificate status'
+            });
+        }
+    }
+
+    // Public feed of revoked certificates
+    async getRevocationList(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const result = await certificateStatusService.getRevocationList({
+                page: req.query.page,
+                limit: req.query.limit,
+                since: req.query.since
+            });
+
+            res.set('Cache-Control', 'public, max-age=300');
+            res.json({
+                success: true,
                 data: result
             });
 
         } catch (error) {
-            logger.error('Record blockchain transaction controller error:', error);
+            logger.error('Get revocation list controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get revocation list'
+            });
+        }
+    }
+
+    // Ledger entries for a certificate with Merkle inclusion proofs
+    async getLedgerProof(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const proof = await certificateLedgerService.getInclusionProof(req.params.verificationCode);
+
+            res.json({
+                success: true,
+                data: proof
+            });
+
+        } catch (error) {
+            logger.error('Get ledger proof controller error:', error);
             res.status(error.statusCode || 500).json({
                 success: false,
-                message: error.message || 'Failed to record blockchain transaction'
+                message: error.message || 'Failed to get ledger proof'
+            });
+        }
+    }
+
+    // Check the ledger and every certificate record against it
+    async verifyLedger(req, res) {
+        try {
+            const report = await certificateLedgerService.verifyLedger();
+
+            res.json({
+                success: true,
+                message: report.valid ? 'Certificate ledger is intact' : 'Certificate ledger verification found problems',
+                data: report
+            });
+
+        } catch (error) {
+            logger.error('Verify ledger controller error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to verify certificate ledger'
             });
         }
     }
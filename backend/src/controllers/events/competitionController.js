@@ -0,0 +1,320 @@
+const competitionService = require('../../services/events/competitionService');
+const { validationResult } = require('express-validator');
+const logger = require('../../utils/logger');
+
+class CompetitionController {
+    // Competition setup and judge panel
+    async getCompetition(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const competition = await competitionService.getCompetitionDetails(req.params.eventId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: competition
+            });
+
+        } catch (error) {
+            logger.error('Get competition controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get competition'
+            });
+        }
+    }
+
+    // Create or update the rubric, normalization and awards
+    async setupCompetition(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const competition = await competitionService.setupCompetition(
+                req.params.eventId,
+                {
+                    rubric: req.body.rubric,
+                    normalization: req.body.normalization,
+                    awards: req.body.awards
+                },
+                req.user.userId
+            );
+
+            res.json({
+                success: true,
+                message: 'Competition setup saved successfully',
+                data: competition
+            });
+
+        } catch (error) {
+            logger.error('Save competition setup controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to save competition setup'
+            });
+        }
+    }
+
+    // Add judges to the panel
+    async assignJudges(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const competition = await competitionService.assignJudges(
+                req.params.eventId,
+                req.body.judgeIds,
+                req.user.userId
+            );
+
+            res.json({
+                success: true,
+                message: 'Judges assigned successfully',
+                data: competition
+            });
+
+        } catch (error) {
+            logger.error('Assign judges controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to assign judges'
+            });
+        }
+    }
+
+    // Remove a judge and their scores
+    async removeJudge(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const competition = await competitionService.removeJudge(req.params.eventId, req.params.judgeId);
+
+            res.json({
+                success: true,
+                message: 'Judge removed successfully',
+                data: competition
+            });
+
+        } catch (error) {
+            logger.error('Remove judge controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to remove judge'
+            });
+        }
+    }
+
+    // The caller's score sheet
+    async getJudgeAssignments(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const assignments = await competitionService.getJudgeAssignments(req.params.eventId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: assignments
+            });
+
+        } catch (error) {
+            logger.error('Get judge assignments controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get judge assignments'
+            });
+        }
+    }
+
+    // Declare a conflict of interest with an entrant
+    async recordRecusal(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const competition = await competitionService.recordRecusal(
+                req.params.eventId,
+                req.body.judgeId || req.user.userId,
+                req.body.registrationId,
+                req.body.reason,
+                req.user.userId
+            );
+
+            res.json({
+                success: true,
+                message: 'Recusal recorded successfully',
+                data: competition
+            });
+
+        } catch (error) {
+            logger.error('Record recusal controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to record recusal'
+            });
+        }
+    }
+
+    // Enter or update the caller's scores for an entrant
+    async submitScore(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const score = await competitionService.submitScore(
+                req.params.eventId,
+                req.user.userId,
+                req.params.registrationId,
+                {
+                    scores: req.body.scores,
+                    comment: req.body.comment
+                }
+            );
+
+            res.json({
+                success: true,
+                message: 'Score submitted successfully',
+                data: score
+            });
+
+        } catch (error) {
+            logger.error('Submit score controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to submit score'
+            });
+        }
+    }
+
+    // Ranked leaderboard
+    async getLeaderboard(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const leaderboard = await competitionService.getLeaderboard(req.params.eventId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: leaderboard
+            });
+
+        } catch (error) {
+            logger.error('Get leaderboard controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get leaderboard'
+            });
+        }
+    }
+
+    // Freeze results and issue placement certificates
+    async finalizeCompetition(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const result = await competitionService.finalizeCompetition(req.params.eventId, req.user.userId);
+
+            res.json({
+                success: true,
+                message: 'Competition finalized successfully',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Finalize competition controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to finalize competition'
+            });
+        }
+    }
+
+    // Retry placement certificates that could not be issued
+    async issueAwardCertificates(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const summary = await competitionService.issueAwardCertificates(req.params.eventId, req.user.userId);
+
+            res.json({
+                success: true,
+                message: 'Award certificates processed',
+                data: summary
+            });
+
+        } catch (error) {
+            logger.error('Issue award certificates controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to issue award certificates'
+            });
+        }
+    }
+}
+
+module.exports = new CompetitionController();
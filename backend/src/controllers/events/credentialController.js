@@ -0,0 +1,143 @@
+const credentialService = require('../../services/events/credentialService');
+const { validationResult } = require('express-validator');
+const logger = require('../../utils/logger');
+
+class CredentialController {
+    // Export a certificate as an Open Badges credential (JSON or signed VC-JWT file)
+    async exportCredential(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { credential, jwt } = await credentialService.exportCredential(
+                req.params.certificateId,
+                req.user.userId
+            );
+
+            if (req.query.format === 'jwt') {
+                res.setHeader('Content-Disposition', `attachment; filename=credential_${req.params.certificateId}.jwt`);
+                res.setHeader('Content-Type', 'application/vc+jwt');
+                return res.send(jwt);
+            }
+
+            res.json({
+                success: true,
+                data: { credential, jwt }
+            });
+
+        } catch (error) {
+            logger.error('Export credential controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to export credential'
+            });
+        }
+    }
+
+    // Hosted issuer profile
+    async getIssuerProfile(req, res) {
+        try {
+            res.json(credentialService.getIssuerProfile());
+
+        } catch (error) {
+            logger.error('Get issuer profile controller error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get issuer profile'
+            });
+        }
+    }
+
+    // Hosted achievement for an event
+    async getAchievement(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const achievement = await credentialService.getAchievement(req.params.eventId);
+            res.json(achievement);
+
+        } catch (error) {
+            logger.error('Get achievement controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get achievement'
+            });
+        }
+    }
+
+    // Revocation status list, signed by default
+    async getStatusList(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { credential, jwt } = await credentialService.getStatusListCredential(Number(req.params.listId));
+
+            res.set('Cache-Control', 'public, max-age=300');
+
+            if (req.query.format === 'json') {
+                return res.json(credential);
+            }
+
+            res.setHeader('Content-Type', 'application/vc+jwt');
+            res.send(jwt);
+
+        } catch (error) {
+            logger.error('Get status list controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get status list'
+            });
+        }
+    }
+
+    // Verify an exported credential, including its revocation status
+    async verifyCredential(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const result = await credentialService.verifyCredential(req.body.credential);
+
+            res.json({
+                success: true,
+                message: result.valid ? 'Credential is valid' : 'Credential is not valid',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Verify credential controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Credential verification failed'
+            });
+        }
+    }
+}
+
+module.exports = new CredentialController();
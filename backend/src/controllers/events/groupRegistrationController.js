@@ -0,0 +1,138 @@
+const groupRegistrationService = require('../../services/events/groupRegistrationService');
+const { validationResult } = require('express-validator');
+const logger = require('../../utils/logger');
+
+class GroupRegistrationController {
+    // Register a group (current user is the leader)
+    async registerGroup(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id: eventId } = req.params;
+            const registration = await groupRegistrationService.registerGroup(
+                eventId,
+                req.user.userId,
+                { ...req.body, files: req.files, ipAddress: req.ip }
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Group registered. Invitations have been sent to members.',
+                data: registration
+            });
+
+        } catch (error) {
+            logger.error('Register group controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Group registration failed',
+                errors: error.errors,
+                reasons: error.reasons
+            });
+        }
+    }
+
+    // Get group registration with roster
+    async getGroupRegistration(req, res) {
+        try {
+            const { regId } = req.params;
+            const registration = await groupRegistrationService.getGroupRegistration(regId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: registration
+            });
+
+        } catch (error) {
+            logger.error('Get group registration controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get group registration'
+            });
+        }
+    }
+
+    // Swap a group member (leader only, before the registration deadline)
+    async replaceMember(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { regId, memberId } = req.params;
+            const registration = await groupRegistrationService.replaceMember(
+                regId,
+                req.user.userId,
+                memberId,
+                req.body
+            );
+
+            res.json({
+                success: true,
+                message: 'Group member replaced',
+                data: registration
+            });
+
+        } catch (error) {
+            logger.error('Replace group member controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to replace group member'
+            });
+        }
+    }
+
+    // Accept group invitation
+    async acceptInvitation(req, res) {
+        try {
+            const registration = await groupRegistrationService.acceptInvitation(req.params.token, req.user.userId);
+
+            res.json({
+                success: true,
+                message: 'You have joined the group',
+                data: registration
+            });
+
+        } catch (error) {
+            logger.error('Accept group invitation controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to accept invitation',
+                reasons: error.reasons
+            });
+        }
+    }
+
+    // Decline group invitation
+    async declineInvitation(req, res) {
+        try {
+            await groupRegistrationService.declineInvitation(req.params.token, req.user.userId);
+
+            res.json({
+                success: true,
+                message: 'Invitation declined'
+            });
+
+        } catch (error) {
+            logger.error('Decline group invitation controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to decline invitation'
+            });
+        }
+    }
+}
+
+module.exports = new GroupRegistrationController();
@@ -0,0 +1,156 @@
+const paymentService = require('../../services/payment/paymentService');
+const { validationResult } = require('express-validator');
+const Helpers = require('../../utils/helpers');
+const logger = require('../../utils/logger');
+
+// VNPay IPN response codes, keyed by the error messages paymentService throws
+const VNPAY_IPN_ERRORS = {
+    'Invalid payment signature': { RspCode: '97', Message: 'Invalid signature' },
+    'Payment order not found': { RspCode: '01', Message: 'Order not found' },
+    'Payment amount mismatch': { RspCode: '04', Message: 'Invalid amount' }
+};
+
+class PaymentController {
+    // Create payment intent for a registration
+    async createPayment(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { regId } = req.params;
+            const intent = await paymentService.createPaymentIntent(regId, {
+                method: req.body.method,
+                returnUrl: req.body.returnUrl,
+                cancelUrl: req.body.cancelUrl,
+                ipAddress: req.ip,
+                userId: req.user.userId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Payment created successfully',
+                data: intent
+            });
+
+        } catch (error) {
+            logger.error('Create payment controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to create payment'
+            });
+        }
+    }
+
+    // Get payment status
+    async getPaymentStatus(req, res) {
+        try {
+            const { regId } = req.params;
+            const userId = req.user.role === 'admin' ? null : req.user.userId;
+            const status = await paymentService.getPaymentStatus(regId, userId);
+
+            res.json({
+                success: true,
+                data: status
+            });
+
+        } catch (error) {
+            logger.error('Get payment status controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get payment status'
+            });
+        }
+    }
+
+    // Payer is redirected here by VNPay/MoMo after paying
+    async handleReturn(req, res) {
+        const { provider } = req.params;
+
+        try {
+            const { registration, result } = await paymentService.handleCallback(provider, req.query);
+            res.redirect(paymentService.getFrontendRedirectUrl(registration, result.isSuccess));
+
+        } catch (error) {
+            logger.error('Payment return controller error:', error);
+            res.redirect(`${process.env.FRONTEND_URL}/payment/error?message=${encodeURIComponent(error.message)}`);
+        }
+    }
+
+    // Server-to-server notification from VNPay
+    async handleVNPayIpn(req, res) {
+        try {
+            const { alreadyProcessed } = await paymentService.handleCallback('vnpay', req.query);
+
+            if (alreadyProcessed) {
+                return res.json({ RspCode: '02', Message: 'Order already confirmed' });
+            }
+
+            res.json({ RspCode: '00', Message: 'Confirm Success' });
+
+        } catch (error) {
+            logger.error('VNPay IPN controller error:', error);
+            res.json(VNPAY_IPN_ERRORS[error.message] || { RspCode: '99', Message: 'Unknown error' });
+        }
+    }
+
+    // Server-to-server notification from MoMo
+    async handleMoMoIpn(req, res) {
+        try {
+            await paymentService.handleCallback('momo', req.body);
+            res.status(204).end();
+
+        } catch (error) {
+            logger.error('MoMo IPN controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'IPN processing failed'
+            });
+        }
+    }
+
+    // Local fake gateway: settles the payment like an IPN, then redirects like the real gateway
+    async fakeGateway(req, res) {
+        try {
+            if (!paymentService.isFakeMode()) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Route not found'
+                });
+            }
+
+            const { provider } = req.params;
+            const { outcome, ...paymentParams } = req.query;
+
+            if (!outcome) {
+                const baseUrl = Helpers.escapeHtml(
+                    `${req.baseUrl}${req.path}?${new URLSearchParams(paymentParams).toString()}`
+                );
+                return res.send(
+                    '<h1>Fake payment gateway</h1>' +
+                    `<p><a href="${baseUrl}&outcome=success">Pay</a></p>` +
+                    `<p><a href="${baseUrl}&outcome=failed">Cancel</a></p>`
+                );
+            }
+
+            const callback = paymentService.simulateGatewayResult(provider, paymentParams, outcome);
+            await paymentService.handleCallback(provider, callback.params);
+
+            res.redirect(callback.redirectUrl);
+
+        } catch (error) {
+            logger.error('Fake gateway controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Fake gateway failed'
+            });
+        }
+    }
+}
+
+module.exports = new PaymentController();
@@ -0,0 +1,159 @@
+const refundService = require('../../services/payment/refundService');
+const { validationResult } = require('express-validator');
+const XLSX = require('xlsx');
+const logger = require('../../utils/logger');
+
+class RefundController {
+    // Preview refund amount before cancelling
+    async getRefundEstimate(req, res) {
+        try {
+            const { regId } = req.params;
+            const estimate = await refundService.getRefundEstimate(regId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: estimate
+            });
+
+        } catch (error) {
+            logger.error('Get refund estimate controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get refund estimate'
+            });
+        }
+    }
+
+    // Refund approval queue (organizers see their events, admins see all)
+    async getRefundQueue(req, res) {
+        try {
+            const filters = {
+                status: req.query.status,
+                eventId: req.query.eventId
+            };
+
+            const pagination = {
+                page: parseInt(req.query.page) || 1,
+                limit: parseInt(req.query.limit) || 20
+            };
+
+            const result = await refundService.getRefundQueue(req.user, filters, pagination);
+
+            res.json({
+                success: true,
+                data: result.refunds,
+                pagination: result.pagination
+            });
+
+        } catch (error) {
+            logger.error('Get refund queue controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get refund queue'
+            });
+        }
+    }
+
+    // Approve refund
+    async approveRefund(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { regId } = req.params;
+            const registration = await refundService.approveRefund(regId, req.user, {
+                amount: req.body.amount,
+                note: req.body.note
+            });
+
+            res.json({
+                success: true,
+                message: registration.payment.refundStatus === 'processed'
+                    ? 'Refund approved and processed'
+                    : 'Refund approved but the payout failed',
+                data: registration
+            });
+
+        } catch (error) {
+            logger.error('Approve refund controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to approve refund'
+            });
+        }
+    }
+
+    // Reject refund
+    async rejectRefund(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { regId } = req.params;
+            const registration = await refundService.rejectRefund(regId, req.user, req.body.note);
+
+            res.json({
+                success: true,
+                message: 'Refund rejected',
+                data: registration
+            });
+
+        } catch (error) {
+            logger.error('Reject refund controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to reject refund'
+            });
+        }
+    }
+
+    // Financial refunds report
+    async getRefundsReport(req, res) {
+        try {
+            const { format = 'json' } = req.query;
+            const report = await refundService.getRefundsReport({
+                timeframe: req.query.timeframe,
+                eventId: req.query.eventId
+            });
+
+            if (format === 'xlsx') {
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.refunds), 'Refunds');
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.byEvent), 'By Event');
+
+                const fileBuffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+                res.setHeader('Content-Disposition', `attachment; filename=refunds_${report.timeframe}_${Date.now()}.xlsx`);
+                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+                return res.send(fileBuffer);
+            }
+
+            res.json({
+                success: true,
+                data: report
+            });
+
+        } catch (error) {
+            logger.error('Get refunds report controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to generate refunds report'
+            });
+        }
+    }
+}
+
+module.exports = new RefundController();
@@ -1,4 +1,7 @@
 const registrationService = require('../../services/events/registrationService');
+const pricingService = require('../../services/payment/pricingService');
+const registrationFormService = require('../../services/events/registrationFormService');
+const eligibilityService = require('../../services/events/eligibilityService');
 const { validationResult } = require('express-validator');
 const logger = require('../../utils/logger');
 
@@ -19,7 +22,7 @@ class RegistrationController {
             const registration = await registrationService.registerForEvent(
                 eventId,
                 req.user.userId,
-                req.body
+                { ...req.body, files: req.files, ipAddress: req.ip }
             );
 
             res.status(201).json({
@@ -32,7 +35,92 @@ class RegistrationController {
             logger.error('Register for event controller error:', error);
             res.status(error.statusCode || 500).json({
                 success: false,
-                message: error.message || 'Registration failed'
+                message: error.message || 'Registration failed',
+                errors: error.errors,
+                reasons: error.reasons
+            });
+        }
+    }
+
+    // Get the event's registration form (custom fields in display order)
+    async getRegistrationForm(req, res) {
+        try {
+            const { id: eventId } = req.params;
+            const fields = await registrationFormService.getForm(eventId);
+
+            res.json({
+                success: true,
+                data: { fields }
+            });
+
+        } catch (error) {
+            logger.error('Get registration form controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get registration form'
+            });
+        }
+    }
+
+    // Check whether the current user can register, with reasons if not
+    async checkEligibility(req, res) {
+        try {
+            const { id: eventId } = req.params;
+            const eligibility = await eligibilityService.checkUserEligibility(eventId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: eligibility
+            });
+
+        } catch (error) {
+            logger.error('Check eligibility controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to check eligibility'
+            });
+        }
+    }
+
+    // Count users matching the event's audience (for organizers, before publishing)
+    async previewEligibility(req, res) {
+        try {
+            const { id: eventId } = req.params;
+            const preview = await eligibilityService.previewEligibleUsers(eventId);
+
+            res.json({
+                success: true,
+                data: preview
+            });
+
+        } catch (error) {
+            logger.error('Preview eligibility controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to preview eligibility'
+            });
+        }
+    }
+
+    // Get price quote for registering (coupon, group size, early bird)
+    async getPriceQuote(req, res) {
+        try {
+            const { id: eventId } = req.params;
+            const quote = await pricingService.getQuote(eventId, {
+                couponCode: req.query.couponCode,
+                groupSize: req.query.groupSize
+            });
+
+            res.json({
+                success: true,
+                data: quote
+            });
+
+        } catch (error) {
+            logger.error('Get price quote controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to calculate price'
             });
         }
     }
@@ -162,7 +250,7 @@ class RegistrationController {
             }
 
             // Update allowed fields
-            const allowedUpdates = ['customFieldsData', 'accommodations', 'emergencyContact'];
+            const allowedUpdates = ['accommodations', 'emergencyContact'];
             const updates = {};
 
             allowedUpdates.forEach(field => {
@@ -171,6 +259,18 @@ class RegistrationController {
                 }
             });
 
+            // Form answers are checked against the event's form like at
+            // registration; files uploaded then are kept
+            const answers = req.body.customFields !== undefined ? req.body.customFields : req.body.customFieldsData;
+            if (answers !== undefined) {
+                const fields = await registrationFormService.getForm(registration.event._id);
+                updates.customFieldsData = registrationFormService.validateAnswers(
+                    fields,
+                    answers,
+                    registrationFormService.getStoredFiles(fields, registration.customFieldsData)
+                );
+            }
+
             Object.assign(registration, updates);
             registration.updatedBy = req.user.userId;
             await registration.save();
@@ -185,7 +285,8 @@ class RegistrationController {
             logger.error('Update registration controller error:', error);
             res.status(error.statusCode || 500).json({
                 success: false,
-                message: error.message || 'Failed to update registration'
+                message: error.message || 'Failed to update registration',
+                errors: error.errors
             });
         }
     }
@@ -280,10 +381,11 @@ class RegistrationController {
             const { regId } = req.params;
             const checkInData = {
                 method: req.body.method || 'manual',
-                location: req.body.location
+                location: req.body.location,
+                verifiedBy: req.user.userId
             };
 
-            const registration = await registrationService.checkInUser(regId, checkInData);
+            const registration = await registrationService.checkInUser(regId, checkInData, req.user);
 
             res.json({
                 success: true,
@@ -315,10 +417,11 @@ class RegistrationController {
             const { qrCode } = req.body;
             const checkInData = {
                 method: 'qr_code',
-                location: req.body.location
+                location: req.body.location,
+                verifiedBy: req.user.userId
             };
 
-            const registration = await registrationService.checkInByQRCode(qrCode, checkInData);
+            const registration = await registrationService.checkInByQRCode(qrCode, checkInData, req.user);
 
             res.json({
                 success: true,
@@ -335,6 +438,26 @@ class RegistrationController {
         }
     }
 
+    // Get the attendee's check-in QR code
+    async getCheckInQRCode(req, res) {
+        try {
+            const { regId } = req.params;
+            const qrCode = await registrationService.getCheckInQRCode(regId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: qrCode
+            });
+
+        } catch (error) {
+            logger.error('Get check-in QR code controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get check-in QR code'
+            });
+        }
+    }
+
     // Submit feedback
     async submitFeedback(req, res) {
         try {
@@ -427,6 +550,61 @@ class RegistrationController {
         }
     }
 
+    // Claim a seat offered from the waitlist
+    async claimWaitlistOffer(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { regId } = req.params;
+            const registration = await registrationService.claimWaitlistOffer(
+                regId,
+                req.user.userId,
+                { paymentMethod: req.body.paymentMethod, ipAddress: req.ip }
+            );
+
+            res.json({
+                success: true,
+                message: 'Your seat is confirmed',
+                data: registration
+            });
+
+        } catch (error) {
+            logger.error('Claim waitlist offer controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to claim waitlist offer'
+            });
+        }
+    }
+
+    // Decline a seat offered from the waitlist
+    async declineWaitlistOffer(req, res) {
+        try {
+            const { regId } = req.params;
+            const registration = await registrationService.declineWaitlistOffer(regId, req.user.userId);
+
+            res.json({
+                success: true,
+                message: 'Waitlist offer declined',
+                data: registration
+            });
+
+        } catch (error) {
+            logger.error('Decline waitlist offer controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to decline waitlist offer'
+            });
+        }
+    }
+
     // Process waitlist (for organizers)
     async processWaitlist(req, res) {
         try {
@@ -451,6 +629,27 @@ class RegistrationController {
         }
     }
 
+    // Re-run auto-approval rules on pending registrations
+    async applyApprovalRules(req, res) {
+        try {
+            const { id: eventId } = req.params;
+            const result = await registrationService.applyApprovalRules(eventId);
+
+            res.json({
+                success: true,
+                message: `${result.approved} of ${result.evaluated} pending registrations approved by rules`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Apply approval rules controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to apply approval rules'
+            });
+        }
+    }
+
     // Bulk approve registrations
     async bulkApproveRegistrations(req, res) {
         try {
@@ -560,7 +759,12 @@ class RegistrationController {
 
             for (const regId of registrationIds) {
                 try {
-                    const registration = await registrationService.checkInUser(regId, { method: 'manual' });
+                    const registration = await registrationService.checkInUser(
+                        regId,
+                        { method: 'manual', verifiedBy: req.user.userId },
+                        req.user,
+                        req.params.id
+                    );
                     results.push({ id: regId, status: 'checked_in', data: registration });
                 } catch (error) {
                     results.push({ id: regId, status: 'failed', error: error.message });
@@ -602,8 +806,11 @@ class RegistrationController {
 
             const result = await registrationService.getEventRegistrations(eventId, filters, { limit: 10000 });
 
+            // Form answers become extra columns
+            const customFields = await registrationFormService.getForm(eventId);
+
             const exportService = require('../../services/analytics/exportService');
-            const fileBuffer = await exportService.exportRegistrations(result.registrations, format);
+            const fileBuffer = await exportService.exportRegistrations(result.registrations, format, { customFields });
 
             const filename = `registrations_${eventId}_${Date.now()}.${format}`;
 
@@ -614,9 +821,9 @@ class RegistrationController {
 
         } catch (error) {
             logger.error('Export registrations controller error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'Export failed'
+                message: error.statusCode ? error.message : 'Export failed'
             });
         }
     }
@@ -0,0 +1,97 @@
+const sessionRegistrationService = require('../../services/events/sessionRegistrationService');
+const { validationResult } = require('express-validator');
+const logger = require('../../utils/logger');
+
+class SessionRegistrationController {
+    // Seats and waitlist per session
+    async getSessionAvailability(req, res) {
+        try {
+            const { id: eventId } = req.params;
+            const availability = await sessionRegistrationService.getSessionAvailability(eventId);
+
+            res.json({
+                success: true,
+                data: availability
+            });
+
+        } catch (error) {
+            logger.error('Get session availability controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get session availability'
+            });
+        }
+    }
+
+    // Change the sessions picked for a registration
+    async updateSessionSelection(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { regId } = req.params;
+            const registration = await sessionRegistrationService.updateSelection(
+                regId,
+                req.user.userId,
+                req.body.sessions
+            );
+
+            res.json({
+                success: true,
+                message: 'Session selection updated',
+                data: registration
+            });
+
+        } catch (error) {
+            logger.error('Update session selection controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to update session selection'
+            });
+        }
+    }
+
+    // Check an attendee into a single session
+    async checkInSession(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { regId, sessionId } = req.params;
+            const checkInData = {
+                method: req.body.method || 'manual',
+                location: req.body.location,
+                verifiedBy: req.user.userId
+            };
+
+            const result = await sessionRegistrationService.checkInSession(regId, sessionId, checkInData);
+
+            res.json({
+                success: true,
+                message: 'Session check-in successful',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Session check-in controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Session check-in failed'
+            });
+        }
+    }
+}
+
+module.exports = new SessionRegistrationController();
@@ -0,0 +1,60 @@
+const path = require('path');
+const { validationResult } = require('express-validator');
+const { fileUtils } = require('../../middleware/upload');
+const logger = require('../../utils/logger');
+
+class FileController {
+    // Download a private upload (e.g. a registration form answer) through a
+    // signed link from fileUtils.generateSecureUrl
+    async downloadSecureFile(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { filePath } = req.params;
+            const { expires, signature } = req.query;
+
+            if (!fileUtils.validateSecureUrl(filePath, expires, signature)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Download link is invalid or has expired'
+                });
+            }
+
+            // Signed paths must still stay inside the upload directory
+            const uploadRoot = path.resolve('uploads');
+            const fullPath = path.resolve(filePath);
+            if (!fullPath.startsWith(uploadRoot + path.sep)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Download link is invalid or has expired'
+                });
+            }
+
+            const info = await fileUtils.getFileInfo(fullPath);
+            if (!info || !info.isFile) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found'
+                });
+            }
+
+            res.download(fullPath, path.basename(fullPath));
+
+        } catch (error) {
+            logger.error('Download secure file controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to download file'
+            });
+        }
+    }
+}
+
+module.exports = new FileController();
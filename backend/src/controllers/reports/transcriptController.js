@@ -0,0 +1,130 @@
+const transcriptService = require('../../services/analytics/transcriptService');
+const { validationResult } = require('express-validator');
+const logger = require('../../utils/logger');
+
+class TranscriptController {
+    // Own co-curricular transcript: a preview as JSON, or the issued PDF
+    async getMyTranscript(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            if (req.query.format !== 'pdf') {
+                const content = await transcriptService.buildTranscript(req.user.userId);
+
+                return res.json({
+                    success: true,
+                    data: content
+                });
+            }
+
+            const transcript = await transcriptService.issueTranscript(req.user.userId);
+            const pdfBuffer = await transcriptService.generatePDF(transcript);
+
+            res.setHeader('Content-Disposition', `attachment; filename=transcript_${transcript.verificationCode}.pdf`);
+            res.setHeader('Content-Type', 'application/pdf');
+
+            res.send(pdfBuffer);
+
+        } catch (error) {
+            logger.error('Get transcript controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to generate transcript'
+            });
+        }
+    }
+
+    // Own attended, organized and staffed events with hours and skills
+    async getMyActivity(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const summary = await transcriptService.getActivitySummary(req.user.userId, {
+                timeframe: req.query.timeframe
+            });
+
+            res.json({
+                success: true,
+                data: summary
+            });
+
+        } catch (error) {
+            logger.error('Get my activity controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get activity'
+            });
+        }
+    }
+
+    // Own issued certificates with their verification codes
+    async getMyCertificates(req, res) {
+        try {
+            const certificates = await transcriptService.getCertificates(req.user.userId);
+
+            res.json({
+                success: true,
+                data: certificates
+            });
+
+        } catch (error) {
+            logger.error('Get my certificates controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get certificates'
+            });
+        }
+    }
+
+    // Public verification of an issued transcript
+    async verifyTranscript(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const result = await transcriptService.verifyTranscript(req.params.verificationCode);
+
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Transcript not found or invalid'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: result.valid ? 'Transcript verified successfully' : 'Transcript is not valid',
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Verify transcript controller error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Transcript verification failed'
+            });
+        }
+    }
+}
+
+module.exports = new TranscriptController();
@@ -0,0 +1,105 @@
+const trainingPointService = require('../../services/events/trainingPointService');
+const exportService = require('../../services/analytics/exportService');
+const { validationResult } = require('express-validator');
+const logger = require('../../utils/logger');
+
+class TrainingPointController {
+    // Own training point statement, per semester and criterion
+    async getUserPoints(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const statement = await trainingPointService.getStatement(req.user.userId, {
+                academicYear: req.query.academicYear,
+                semester: req.query.semester
+            });
+
+            res.json({
+                success: true,
+                data: statement
+            });
+
+        } catch (error) {
+            logger.error('Get user points controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get training points'
+            });
+        }
+    }
+
+    // Own ledger entries
+    async getPointsHistory(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const history = await trainingPointService.getHistory(req.user.userId, {
+                page: req.query.page,
+                limit: req.query.limit,
+                type: req.query.type,
+                academicYear: req.query.academicYear,
+                semester: req.query.semester
+            });
+
+            res.json({
+                success: true,
+                data: history
+            });
+
+        } catch (error) {
+            logger.error('Get points history controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to get points history'
+            });
+        }
+    }
+
+    // Semester export for student affairs
+    async exportFacultyPoints(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { academicYear, semester, faculty, format = 'xlsx' } = req.query;
+            const report = await trainingPointService.getFacultyReport({ academicYear, semester, faculty });
+            const fileBuffer = await exportService.exportTrainingPoints(report, format);
+
+            const filename = `training_points_${academicYear}_${semester}${faculty ? `_${faculty.replace(/[^\w-]+/g, '_')}` : ''}.${format}`;
+
+            res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+            res.setHeader('Content-Type', exportService.getContentType(format));
+
+            res.send(fileBuffer);
+
+        } catch (error) {
+            logger.error('Export faculty points controller error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Export failed'
+            });
+        }
+    }
+}
+
+module.exports = new TrainingPointController();
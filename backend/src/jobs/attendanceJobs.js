@@ -0,0 +1,78 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const onlineAttendanceService = require('../services/events/onlineAttendanceService');
+const attendanceFraudService = require('../services/events/attendanceFraudService');
+
+class AttendanceJobs {
+    constructor() {
+        this.isRefreshingOnline = false;
+        this.isScanningFraud = false;
+    }
+
+    /**
+     * Khởi tạo attendance jobs
+     */
+    async initialize() {
+        try {
+            // Cập nhật thời lượng tham dự trực tuyến mỗi 5 phút
+            cron.schedule('*/5 * * * *', async () => {
+                await this.refreshOnlineAttendance();
+            });
+
+            // Quét gian lận điểm danh hàng đêm lúc 2 giờ sáng
+            cron.schedule('0 2 * * *', async () => {
+                await this.scanAttendanceFraud();
+            }, {
+                timezone: 'Asia/Ho_Chi_Minh'
+            });
+
+            logger.info('Attendance jobs đã được khởi tạo thành công');
+        } catch (error) {
+            logger.error('Khởi tạo attendance jobs thất bại:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Tính lại thời lượng và tỷ lệ tham dự từ heartbeat,
+     * đóng phiên tham dự trực tuyến khi sự kiện đã kết thúc
+     */
+    async refreshOnlineAttendance() {
+        if (this.isRefreshingOnline) return;
+
+        this.isRefreshingOnline = true;
+
+        try {
+            const { refreshed, finalized } = await onlineAttendanceService.refreshOnlineAttendance();
+
+            if (finalized > 0) {
+                logger.info(`Đã chốt ${finalized}/${refreshed} phiên tham dự trực tuyến`);
+            }
+        } catch (error) {
+            logger.error('Cập nhật tham dự trực tuyến thất bại:', error);
+        } finally {
+            this.isRefreshingOnline = false;
+        }
+    }
+
+    /**
+     * Chạy lại các quy tắc phát hiện gian lận cho điểm danh 48 giờ gần nhất
+     */
+    async scanAttendanceFraud() {
+        if (this.isScanningFraud) return;
+
+        this.isScanningFraud = true;
+
+        try {
+            const { scanned, flagged } = await attendanceFraudService.scanRecent(48);
+
+            logger.info(`Đã quét ${scanned} lượt điểm danh, gắn cờ mới ${flagged} trường hợp`);
+        } catch (error) {
+            logger.error('Quét gian lận điểm danh thất bại:', error);
+        } finally {
+            this.isScanningFraud = false;
+        }
+    }
+}
+
+module.exports = new AttendanceJobs();
@@ -0,0 +1,273 @@
+const Queue = require('bull');
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const browserPool = require('../utils/browserPool');
+const certificateService = require('../services/events/certificateService');
+const certificateLedgerService = require('../services/events/certificateLedgerService');
+const certificateStatusService = require('../services/events/certificateStatusService');
+
+class CertificateJobs {
+    constructor() {
+        this.queue = null;
+        this.io = null;
+        this.concurrency = parseInt(process.env.CERTIFICATE_QUEUE_CONCURRENCY) || 2;
+        this.maxAttempts = parseInt(process.env.CERTIFICATE_MAX_ATTEMPTS) || 3;
+        this.isSealingLedger = false;
+        this.isVerifyingLedger = false;
+        this.isCheckingExpiry = false;
+    }
+
+    /**
+     * Khởi tạo hàng đợi tạo chứng nhận hàng loạt; io dùng để gửi tiến độ
+     */
+    async initialize(io) {
+        try {
+            this.io = io;
+
+            this.queue = new Queue('certificate-generation', {
+                redis: {
+                    host: process.env.REDIS_HOST || 'localhost',
+                    port: process.env.REDIS_PORT || 6379,
+                    password: process.env.REDIS_PASSWORD || undefined
+                }
+            });
+
+            this.queue.process(this.concurrency, (job) => this.processRecipient(job));
+
+            this.queue.on('error', (error) => {
+                logger.error('Lỗi hàng đợi chứng nhận:', error);
+            });
+
+            // Đưa lại vào hàng đợi các đợt dang dở trước khi tiến trình dừng
+            await this.resumeBatches();
+
+            // Ghi bù bản ghi phát hành cho chứng nhận có trước sổ cái
+            await this.backfillLedger();
+
+            // Niêm phong sổ cái chứng nhận mỗi giờ
+            cron.schedule('0 * * * *', async () => {
+                await this.sealLedger();
+            });
+
+            // Chuyển chứng nhận hết hạn và báo trước cho người sắp hết hạn lúc 1 giờ sáng
+            cron.schedule('0 1 * * *', async () => {
+                await this.checkExpiry();
+            }, {
+                timezone: 'Asia/Ho_Chi_Minh'
+            });
+
+            // Kiểm tra toàn vẹn sổ cái hàng đêm lúc 3 giờ 30 sáng
+            cron.schedule('30 3 * * *', async () => {
+                await this.verifyLedger();
+            }, {
+                timezone: 'Asia/Ho_Chi_Minh'
+            });
+
+            logger.info('Certificate jobs đã được khởi tạo thành công');
+        } catch (error) {
+            logger.error('Khởi tạo certificate jobs thất bại:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Thêm từng người nhận của một đợt vào hàng đợi. jobId cố định theo
+     * đợt và người nhận nên thêm lại một job đang chờ sẽ không bị trùng.
+     */
+    async enqueueBatch(batchId, userIds) {
+        if (!this.queue) {
+            throw new Error('Certificate queue is not initialized');
+        }
+
+        await this.queue.addBulk(userIds.map(userId => ({
+            data: {
+                batchId: batchId.toString(),
+                userId: userId.toString()
+            },
+            opts: {
+                jobId: `${batchId}:${userId}`,
+                attempts: this.maxAttempts,
+                backoff: { type: 'exponential', delay: 5000 },
+                removeOnComplete: true,
+                removeOnFail: true
+            }
+        })));
+    }
+
+    /**
+     * Tạo chứng nhận cho một người nhận. Lỗi nghiệp vụ (không đủ điều kiện,
+     * không tìm thấy đăng ký) được ghi nhận ngay, lỗi khác được thử lại.
+     */
+    async processRecipient(job) {
+        const { batchId, userId } = job.data;
+        const attempts = job.attemptsMade + 1;
+
+        await certificateService.markBatchStarted(batchId);
+
+        try {
+            const certificate = await certificateService.generateBatchCertificate(batchId, userId);
+            if (!certificate) return;
+
+            const batch = await certificateService.recordBatchResult(batchId, userId, {
+                status: 'done',
+                certificateId: certificate._id,
+                attempts
+            });
+            this.emitProgress(batch);
+
+        } catch (error) {
+            const permanent = error.statusCode && error.statusCode < 500;
+
+            if (!permanent && attempts < this.maxAttempts) {
+                await certificateService.recordBatchAttempt(batchId, userId, attempts, error.message);
+                throw error;
+            }
+
+            logger.warn(`Tạo chứng nhận thất bại (đợt ${batchId}, người dùng ${userId}): ${error.message}`);
+
+            const batch = await certificateService.recordBatchResult(batchId, userId, {
+                status: 'failed',
+                error: error.message,
+                attempts
+            });
+            this.emitProgress(batch);
+        }
+    }
+
+    /**
+     * Gửi tiến độ của đợt tới phòng cá nhân của người phát hành
+     */
+    emitProgress(batch) {
+        if (!batch || !this.io) return;
+
+        const payload = {
+            batchId: batch._id,
+            eventId: batch.event,
+            status: batch.status,
+            total: batch.total,
+            succeeded: batch.succeeded,
+            failed: batch.failed
+        };
+
+        const room = `user_${batch.issuedBy}`;
+        this.io.to(room).emit('certificate_batch_progress', payload);
+
+        if (batch.status === 'completed') {
+            this.io.to(room).emit('certificate_batch_completed', payload);
+        }
+    }
+
+    /**
+     * Khôi phục các đợt chưa hoàn tất sau khi khởi động lại
+     */
+    async resumeBatches() {
+        const batches = await certificateService.getResumableBatches();
+
+        for (const { batchId, userIds } of batches) {
+            await this.enqueueBatch(batchId, userIds);
+        }
+
+        if (batches.length > 0) {
+            logger.info(`Đã khôi phục ${batches.length} đợt tạo chứng nhận dang dở`);
+        }
+    }
+
+    /**
+     * Đánh dấu chứng nhận đã hết hạn và thông báo cho người sở hữu
+     * chứng nhận sắp hết hạn
+     */
+    async checkExpiry() {
+        if (this.isCheckingExpiry) return;
+
+        this.isCheckingExpiry = true;
+
+        try {
+            const expired = await certificateStatusService.expireCertificates();
+            const notified = await certificateStatusService.notifyExpiringCertificates();
+
+            if (expired > 0 || notified > 0) {
+                logger.info(`Đã chuyển ${expired} chứng nhận sang hết hạn, nhắc ${notified} chứng nhận sắp hết hạn`);
+            }
+        } catch (error) {
+            logger.error('Kiểm tra hạn chứng nhận thất bại:', error);
+        } finally {
+            this.isCheckingExpiry = false;
+        }
+    }
+
+    /**
+     * Ghi bù bản ghi phát hành vào sổ cái cho chứng nhận chưa có; lỗi không
+     * chặn việc khởi động và lần khởi động sau sẽ thử lại
+     */
+    async backfillLedger() {
+        try {
+            const backfilled = await certificateLedgerService.backfillIssues();
+
+            if (backfilled > 0) {
+                logger.info(`Đã ghi bù ${backfilled} chứng nhận vào sổ cái`);
+            }
+        } catch (error) {
+            logger.error('Ghi bù sổ cái chứng nhận thất bại:', error);
+        }
+    }
+
+    /**
+     * Gom các bản ghi sổ cái chưa niêm phong dưới một Merkle root có chữ ký
+     */
+    async sealLedger() {
+        if (this.isSealingLedger) return;
+
+        this.isSealingLedger = true;
+
+        try {
+            const sealed = await certificateLedgerService.sealLedger();
+
+            if (sealed > 0) {
+                logger.info(`Đã niêm phong ${sealed} Merkle root mới cho sổ cái chứng nhận`);
+            }
+        } catch (error) {
+            logger.error('Niêm phong sổ cái chứng nhận thất bại:', error);
+        } finally {
+            this.isSealingLedger = false;
+        }
+    }
+
+    /**
+     * Kiểm tra chuỗi băm, các root đã ký và đối chiếu chứng nhận với sổ cái
+     */
+    async verifyLedger() {
+        if (this.isVerifyingLedger) return;
+
+        this.isVerifyingLedger = true;
+
+        try {
+            const report = await certificateLedgerService.verifyLedger();
+
+            if (report.valid) {
+                logger.info(`Sổ cái chứng nhận toàn vẹn: ${report.entries} bản ghi, ${report.roots} root, ${report.certificates} chứng nhận`);
+            } else {
+                logger.error(`Sổ cái chứng nhận có ${report.problemCount} vấn đề`);
+            }
+
+            if (report.unrecorded > 0) {
+                logger.warn(`${report.unrecorded} chứng nhận chưa có trong sổ cái`);
+            }
+        } catch (error) {
+            logger.error('Kiểm tra sổ cái chứng nhận thất bại:', error);
+        } finally {
+            this.isVerifyingLedger = false;
+        }
+    }
+
+    /**
+     * Đóng hàng đợi và các trình duyệt dùng để xuất PDF
+     */
+    async shutdown() {
+        if (this.queue) {
+            await this.queue.close();
+        }
+        await browserPool.close();
+    }
+}
+
+module.exports = new CertificateJobs();
@@ -0,0 +1,97 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const seatReservationService = require('../services/events/seatReservationService');
+const waitlistService = require('../services/events/waitlistService');
+const registrationService = require('../services/events/registrationService');
+
+class RegistrationJobs {
+    constructor() {
+        this.isReleasingHolds = false;
+        this.isExpiringOffers = false;
+    }
+
+    /**
+     * Khởi tạo registration jobs
+     */
+    async initialize() {
+        try {
+            // Giải phóng chỗ giữ hết hạn mỗi phút
+            cron.schedule('* * * * *', async () => {
+                await this.releaseExpiredSeatHolds();
+            });
+
+            // Chuyển chỗ cho người tiếp theo khi hết hạn xác nhận - mỗi phút
+            cron.schedule('* * * * *', async () => {
+                await this.expireWaitlistOffers();
+            });
+
+            logger.info('Registration jobs đã được khởi tạo thành công');
+        } catch (error) {
+            logger.error('Khởi tạo registration jobs thất bại:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Hủy đăng ký chưa thanh toán khi hết thời gian giữ chỗ,
+     * sau đó chuyển chỗ trống cho danh sách chờ
+     */
+    async releaseExpiredSeatHolds() {
+        if (this.isReleasingHolds) return;
+
+        this.isReleasingHolds = true;
+
+        try {
+            const eventIds = await seatReservationService.releaseExpiredHolds();
+
+            await this.promoteWaitlists(eventIds);
+
+            if (eventIds.length > 0) {
+                logger.info(`Đã giải phóng chỗ giữ hết hạn cho ${eventIds.length} sự kiện`);
+            }
+        } catch (error) {
+            logger.error('Giải phóng chỗ giữ hết hạn thất bại:', error);
+        } finally {
+            this.isReleasingHolds = false;
+        }
+    }
+
+    /**
+     * Hủy lời mời từ danh sách chờ đã quá hạn xác nhận,
+     * chỗ trống được chuyển cho người tiếp theo
+     */
+    async expireWaitlistOffers() {
+        if (this.isExpiringOffers) return;
+
+        this.isExpiringOffers = true;
+
+        try {
+            const eventIds = await waitlistService.expireOffers();
+
+            await this.promoteWaitlists(eventIds);
+
+            if (eventIds.length > 0) {
+                logger.info(`Đã hủy lời mời quá hạn cho ${eventIds.length} sự kiện`);
+            }
+        } catch (error) {
+            logger.error('Hủy lời mời danh sách chờ quá hạn thất bại:', error);
+        } finally {
+            this.isExpiringOffers = false;
+        }
+    }
+
+    /**
+     * Mời người tiếp theo trong danh sách chờ cho các sự kiện vừa có chỗ trống
+     */
+    async promoteWaitlists(eventIds) {
+        for (const eventId of eventIds) {
+            try {
+                await registrationService.processWaitlistPromotions(eventId);
+            } catch (error) {
+                logger.error(`Chuyển chỗ cho danh sách chờ thất bại (event ${eventId}):`, error);
+            }
+        }
+    }
+}
+
+module.exports = new RegistrationJobs();
@@ -990,7 +990,8 @@ class ReminderJobs {
                     // Kiểm tra đã có certificate chưa
                     const existingCertificate = await Certificate.findOne({
                         user: registration.user._id,
-                        event: event._id
+                        event: event._id,
+                        award: { $ne: true }
                     });
 
                     if (existingCertificate) continue;
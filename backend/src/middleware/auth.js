@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const redisClient = require('../config/redis');
 const logger = require('../utils/logger');
@@ -385,8 +386,10 @@ class AuthMiddleware {
         };
     };
 
-    // Check if user can manage specific event
-    canManageEvent = async (req, res, next) => {
+    // Check if user can manage the event a request refers to. `resolveEventId(req)`
+    // returns the event ID (or a promise of it) for routes that do not carry it in
+    // the URL, e.g. from the request body or an attendance record.
+    canManageEventOf = (resolveEventId) => async (req, res, next) => {
         try {
             if (!req.user) {
                 return res.status(401).json({
@@ -400,7 +403,7 @@ class AuthMiddleware {
                 return next();
             }
 
-            const eventId = req.params.id || req.params.eventId;
+            const eventId = await resolveEventId(req);
             if (!eventId) {
                 return res.status(400).json({
                     success: false,
@@ -408,6 +411,13 @@ class AuthMiddleware {
                 });
             }
 
+            if (!mongoose.Types.ObjectId.isValid(eventId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid event ID is required'
+                });
+            }
+
             const Event = require('../models/Event');
             const event = await Event.findById(eventId);
 
@@ -436,6 +446,14 @@ class AuthMiddleware {
             next();
 
         } catch (error) {
+            // Resolvers report a missing record with its status code
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             logger.error('Event management check error:', error);
             res.status(500).json({
                 success: false,
@@ -444,6 +462,9 @@ class AuthMiddleware {
         }
     };
 
+    // Check if user can manage the event in the URL
+    canManageEvent = this.canManageEventOf(req => req.params.id || req.params.eventId);
+
     // Check if user can register for event
     canRegisterForEvent = async (req, res, next) => {
         try {
@@ -16,7 +16,8 @@ const createUploadDirs = async () => {
         'uploads/exports',
         'uploads/temp',
         'uploads/documents',
-        'uploads/images'
+        'uploads/images',
+        'uploads/registrations'
     ];
 
     for (const dir of dirs) {
@@ -331,6 +332,9 @@ const uploadConfigs = {
     // Temporary uploads
     temp: createMulterConfig('temp', 'any', 'temp-'),
 
+    // Registration form answers (type and size are checked per field)
+    registrationFile: createMulterConfig('registrations', 'any', 'reg-'),
+
     // Certificate templates
     certificateTemplate: createMulterConfig('certificates', 'images', 'template-'),
 
@@ -454,13 +458,14 @@ const fileUtils = {
             .update(`${filePath}:${timestamp}`)
             .digest('hex');
 
-        return `/api/v1/files/secure/${encodeURIComponent(filePath)}?expires=${timestamp}&signature=${hash}`;
+        const apiPrefix = process.env.API_PREFIX || '/api/v1';
+        return `${apiPrefix}/files/secure/${encodeURIComponent(filePath)}?expires=${timestamp}&signature=${hash}`;
     },
 
     // Validate secure URL
     validateSecureUrl: (filePath, expires, signature) => {
         const now = Date.now();
-        if (now > parseInt(expires)) {
+        if (!(now <= parseInt(expires))) {
             return false;
         }
 
@@ -469,7 +474,9 @@ const fileUtils = {
             .update(`${filePath}:${expires}`)
             .digest('hex');
 
-        return signature === expectedHash;
+        const given = Buffer.from(String(signature || ''));
+        const expected = Buffer.from(expectedHash);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
     }
 };
 
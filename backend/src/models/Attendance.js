@@ -25,12 +25,15 @@ const attendanceSchema = new mongoose.Schema({
         },
         method: {
             type: String,
-            enum: ['qr_code', 'manual', 'nfc', 'mobile_app', 'facial_recognition'],
+            enum: ['qr_code', 'manual', 'nfc', 'mobile_app', 'facial_recognition', 'self_check_in', 'online'],
             default: 'manual'
         },
         location: {
             latitude: Number,
             longitude: Number,
+            // Reported GPS accuracy and distance from the venue, in meters
+            accuracy: Number,
+            distanceMeters: Number,
             address: String,
             venue: String
         },
@@ -125,6 +128,7 @@ const attendanceSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        reason: String,
         acceptedByOrganizer: {
             type: Boolean,
             default: false
@@ -174,6 +178,28 @@ const attendanceSchema = new mongoose.Schema({
         submittedAt: Date
     },
 
+    // Online / hybrid attendance from the join link and page heartbeats.
+    // Heartbeats closer together than the gap extend the open interval;
+    // a longer gap closes it and starts a new one.
+    onlineSession: {
+        joinedAt: Date,
+        joinCount: {
+            type: Number,
+            default: 0
+        },
+        heartbeatCount: {
+            type: Number,
+            default: 0
+        },
+        currentIntervalStart: Date,
+        lastHeartbeatAt: Date,
+        intervals: [{
+            _id: false,
+            start: Date,
+            end: Date
+        }]
+    },
+
     // Certificate Eligibility
     certificateEligible: {
         type: Boolean,
@@ -242,10 +268,17 @@ const attendanceSchema = new mongoose.Schema({
             enum: ['low', 'medium', 'high', 'critical'],
             default: 'medium'
         },
+        // Detector rule that raised the flag; empty for manual flags
+        rule: String,
         resolved: {
             type: Boolean,
             default: false
         },
+        resolution: {
+            type: String,
+            enum: ['dismissed', 'voided']
+        },
+        resolutionNotes: String,
         resolvedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
@@ -257,6 +290,20 @@ const attendanceSchema = new mongoose.Schema({
         }
     }],
 
+    // Set when an organizer rejects the attendance after review
+    voided: {
+        isVoided: {
+            type: Boolean,
+            default: false
+        },
+        voidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        voidedAt: Date,
+        reason: String
+    },
+
     // Metadata
     metadata: {
         source: {
@@ -264,6 +311,13 @@ const attendanceSchema = new mongoose.Schema({
             enum: ['web', 'mobile', 'kiosk', 'admin'],
             default: 'web'
         },
+        platform: {
+            type: String,
+            enum: ['web', 'mobile', 'kiosk']
+        },
+        // Offline kiosk check-ins: the scanning device and when the scan was synced
+        deviceId: String,
+        syncedAt: Date,
         version: String,
         timezone: String,
         weather: {
@@ -291,44 +345,22 @@ attendanceSchema.index({ 'checkIn.timestamp': 1 });
 attendanceSchema.index({ status: 1 });
 attendanceSchema.index({ attendanceRate: 1 });
 attendanceSchema.index({ certificateEligible: 1 });
+attendanceSchema.index({ event: 1, 'flags.resolved': 1 });
+attendanceSchema.index({ event: 1, 'checkIn.deviceInfo.deviceId': 1 });
+attendanceSchema.index({ 'checkIn.method': 1, 'checkOut.timestamp': 1, updatedAt: 1 });
 
-// Pre-save middleware
+// Pre-save middleware. Status, late arrival, early leave and certificate
+// eligibility need the event schedule and are classified by attendanceService.
 attendanceSchema.pre('save', function(next) {
-    // Calculate total duration
-    if (this.checkIn.timestamp && this.checkOut.timestamp) {
-        this.totalDuration = Math.round((this.checkOut.timestamp - this.checkIn.timestamp) / (1000 * 60));
+    // Calculate total duration. Online attendance is measured from heartbeat
+    // intervals by attendanceService instead.
+    if (this.checkIn.timestamp && this.checkOut.timestamp && this.checkIn.method !== 'online') {
+        this.totalDuration = Math.max(0, Math.round((this.checkOut.timestamp - this.checkIn.timestamp) / (1000 * 60)));
     }
 
     // Calculate attendance rate
-    if (this.totalDuration && this.expectedDuration) {
-        this.attendanceRate = Math.round((this.totalDuration / this.expectedDuration) * 100);
-    }
-
-    // Determine status based on attendance
-    if (this.attendanceRate >= 90) {
-        this.status = 'present';
-        this.certificateEligible = true;
-    } else if (this.attendanceRate >= 70) {
-        this.status = 'partial';
-        this.certificateEligible = this.attendanceRate >= 80;
-    } else if (this.attendanceRate < 70 && this.attendanceRate > 0) {
-        this.status = 'partial';
-        this.certificateEligible = false;
-    } else {
-        this.status = 'absent';
-        this.certificateEligible = false;
-    }
-
-    // Check for late arrival
-    if (this.checkIn.timestamp && this.event.schedule) {
-        const eventStartTime = new Date(this.event.schedule.startDate);
-        const checkInTime = new Date(this.checkIn.timestamp);
-        const timeDifference = checkInTime - eventStartTime;
-
-        if (timeDifference > 15 * 60 * 1000) { // 15 minutes grace period
-            this.lateArrival.isLate = true;
-            this.lateArrival.minutesLate = Math.round(timeDifference / (1000 * 60));
-        }
+    if (this.expectedDuration) {
+        this.attendanceRate = Math.min(100, Math.round((this.totalDuration / this.expectedDuration) * 100));
     }
 
     next();
@@ -373,20 +405,32 @@ attendanceSchema.methods.addFlag = function(flagData) {
     this.flags.push({
         type: flagData.type,
         description: flagData.description,
-        severity: flagData.severity || 'medium'
+        severity: flagData.severity || 'medium',
+        rule: flagData.rule
     });
 
     return this.save();
 };
 
-attendanceSchema.methods.resolveFlag = function(flagId, resolvedBy) {
+attendanceSchema.methods.resolveFlag = function(flagId, resolvedBy, review = {}) {
     const flag = this.flags.id(flagId);
     if (flag) {
         flag.resolved = true;
+        flag.resolution = review.resolution || 'dismissed';
+        flag.resolutionNotes = review.notes;
         flag.resolvedBy = resolvedBy;
         flag.resolvedAt = new Date();
     }
 
+    if (flag && flag.resolution === 'voided') {
+        this.voided = {
+            isVoided: true,
+            voidedBy: resolvedBy,
+            voidedAt: new Date(),
+            reason: review.notes || flag.description
+        };
+    }
+
     return this.save();
 };
 
@@ -425,7 +469,7 @@ attendanceSchema.statics.getUserAttendance = function(userId, options = {}) {
 
 attendanceSchema.statics.getAttendanceStats = async function(eventId) {
     const stats = await this.aggregate([
-        { $match: { event: mongoose.Types.ObjectId(eventId) } },
+        { $match: { event: new mongoose.Types.ObjectId(eventId) } },
         {
             $group: {
                 _id: null,
@@ -467,7 +511,7 @@ attendanceSchema.statics.getAttendanceStats = async function(eventId) {
 attendanceSchema.statics.findDuplicateCheckIns = function(eventId, timeWindow = 5) {
     // Find potential duplicate check-ins within the time window (minutes)
     return this.aggregate([
-        { $match: { event: mongoose.Types.ObjectId(eventId) } },
+        { $match: { event: new mongoose.Types.ObjectId(eventId) } },
         {
             $group: {
                 _id: {
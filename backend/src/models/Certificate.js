@@ -29,6 +29,12 @@ const certificateSchema = new mongoose.Schema({
         enum: ['participation', 'completion', 'achievement', 'excellence'],
         required: true
     },
+    // Placement award from competition results, held alongside the
+    // registration's regular certificate
+    award: {
+        type: Boolean,
+        default: false
+    },
     title: {
         type: String,
         required: true
@@ -74,6 +80,12 @@ const certificateSchema = new mongoose.Schema({
         type: String,
         default: 'default'
     },
+    // Stored template design and the version the certificate was rendered with
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CertificateTemplate'
+    },
+    templateVersion: Number,
     customContent: {
         header: String,
         body: String,
@@ -104,9 +116,18 @@ const certificateSchema = new mongoose.Schema({
     qrCode: {
         type: String
     },
+    // Compact JWS over the canonical certificate payload
     digitalSignature: {
         type: String
     },
+    signatureKeyId: {
+        type: String
+    },
+    // Position in a revocation status list, assigned on first credential export
+    credentialStatus: {
+        listId: Number,
+        index: Number
+    },
 
     // File Information
     fileUrl: {
@@ -178,6 +199,9 @@ const certificateSchema = new mongoose.Schema({
     revokedReason: {
         type: String
     },
+    expiryNotifiedAt: {
+        type: Date
+    },
 
     // Analytics
     viewCount: {
@@ -199,14 +223,6 @@ const certificateSchema = new mongoose.Schema({
         default: 0
     },
 
-    // Blockchain Integration
-    blockchainHash: {
-        type: String
-    },
-    blockchainTxId: {
-        type: String
-    },
-
     // LinkedIn Integration
     linkedInCertificateId: {
         type: String
@@ -236,8 +252,12 @@ const certificateSchema = new mongoose.Schema({
 certificateSchema.index({ certificateId: 1 });
 certificateSchema.index({ verificationCode: 1 });
 certificateSchema.index({ user: 1, event: 1 });
+certificateSchema.index({ registration: 1, award: 1 });
 certificateSchema.index({ status: 1 });
+certificateSchema.index({ status: 1, expiryDate: 1 });
+certificateSchema.index({ status: 1, revokedDate: -1 });
 certificateSchema.index({ issuedDate: -1 });
+certificateSchema.index({ 'credentialStatus.listId': 1, status: 1 });
 certificateSchema.index({ type: 1 });
 
 // Pre-save middleware
@@ -274,6 +294,11 @@ certificateSchema.methods.revoke = function(revokedBy, reason) {
     return this.save();
 };
 
+certificateSchema.methods.expire = function() {
+    this.status = 'expired';
+    return this.save();
+};
+
 certificateSchema.methods.incrementView = function() {
     this.viewCount += 1;
     this.lastViewed = new Date();
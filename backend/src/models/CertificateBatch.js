@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A bulk certificate run. Each recipient is a queue job; the outcome is
+// recorded here so progress survives restarts and can be polled.
+const batchRecipientSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    customData: mongoose.Schema.Types.Mixed,
+    status: {
+        type: String,
+        enum: ['pending', 'done', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
+    error: String,
+    finishedAt: Date
+}, {
+    _id: false
+});
+
+const certificateBatchSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Shared certificate fields (type, skills, customContent, ...)
+    certificateData: mongoose.Schema.Types.Mixed,
+
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed'],
+        default: 'queued'
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    succeeded: {
+        type: Number,
+        default: 0
+    },
+    failed: {
+        type: Number,
+        default: 0
+    },
+    recipients: [batchRecipientSchema],
+
+    startedAt: Date,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+certificateBatchSchema.index({ status: 1 });
+certificateBatchSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CertificateBatch', certificateBatchSchema);
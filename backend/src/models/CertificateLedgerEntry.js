@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One link in the certificate ledger. Each entry hashes the certificate
+// record it describes together with the previous entry's hash, so editing
+// any earlier entry or certificate breaks the chain.
+const certificateLedgerEntrySchema = new mongoose.Schema({
+    sequence: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    action: {
+        type: String,
+        enum: ['issue', 'revoke', 'expire'],
+        required: true
+    },
+    certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate',
+        required: true
+    },
+    certificateId: {
+        type: String,
+        required: true
+    },
+    // Hash of the certificate's substantive fields after the action
+    recordHash: {
+        type: String,
+        required: true
+    },
+    previousHash: {
+        type: String,
+        required: true
+    },
+    entryHash: {
+        type: String,
+        required: true
+    },
+    recordedAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Indexes
+certificateLedgerEntrySchema.index({ certificate: 1, sequence: 1 });
+
+// Entries are never changed or removed once written
+const rejectChange = function(next) {
+    next(new Error('Certificate ledger is append-only'));
+};
+
+certificateLedgerEntrySchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    certificateLedgerEntrySchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('CertificateLedgerEntry', certificateLedgerEntrySchema);
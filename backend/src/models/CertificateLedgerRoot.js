@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A signed Merkle root over a contiguous range of ledger entries. Roots
+// chain to each other, so a published root pins every entry before it.
+const certificateLedgerRootSchema = new mongoose.Schema({
+    index: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    fromSequence: {
+        type: Number,
+        required: true
+    },
+    toSequence: {
+        type: Number,
+        required: true
+    },
+    leafCount: {
+        type: Number,
+        required: true
+    },
+    merkleRoot: {
+        type: String,
+        required: true
+    },
+    lastEntryHash: {
+        type: String,
+        required: true
+    },
+    previousRoot: {
+        type: String,
+        required: true
+    },
+    // Compact JWS over the fields above, made with the certificate signing key
+    signature: {
+        type: String,
+        required: true
+    },
+    sealedAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Indexes
+certificateLedgerRootSchema.index({ fromSequence: 1, toSequence: 1 });
+
+module.exports = mongoose.model('CertificateLedgerRoot', certificateLedgerRootSchema);
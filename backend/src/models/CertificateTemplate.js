@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One saved revision of a template. Versions are append-only so that a
+// certificate can always be re-rendered with the design it was issued with.
+const templateVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true
+    },
+    html: {
+        type: String,
+        required: true
+    },
+    css: String,
+    orientation: {
+        type: String,
+        enum: ['landscape', 'portrait'],
+        default: 'landscape'
+    },
+    // Placeholder names found in html/css when the version was saved
+    placeholders: [String],
+    assets: {
+        background: String,
+        logo: String,
+        signature: String
+    },
+    notes: {
+        type: String,
+        maxlength: 500
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const certificateTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        maxlength: 500
+    },
+    // Certificate type the design is meant for; 'any' fits all
+    type: {
+        type: String,
+        enum: ['any', 'participation', 'completion', 'achievement', 'excellence'],
+        default: 'any'
+    },
+    status: {
+        type: String,
+        enum: ['active', 'archived'],
+        default: 'active'
+    },
+    currentVersion: {
+        type: Number,
+        default: 1
+    },
+    versions: [templateVersionSchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+certificateTemplateSchema.index({ status: 1, type: 1 });
+certificateTemplateSchema.index({ createdBy: 1 });
+
+// Methods
+certificateTemplateSchema.methods.getVersion = function(version) {
+    const wanted = version ? Number(version) : this.currentVersion;
+    return this.versions.find(v => v.version === wanted) || null;
+};
+
+module.exports = mongoose.model('CertificateTemplate', certificateTemplateSchema);
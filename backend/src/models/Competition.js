@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+// Judging setup and final results for a competition event
+const criterionSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    // Relative weight; totals are scaled by the sum of weights
+    weight: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    maxScore: {
+        type: Number,
+        default: 10,
+        min: 1
+    }
+}, {
+    _id: false
+});
+
+const judgeSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Entrants the judge declared a conflict of interest with and may not score
+    recusals: [{
+        registration: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Registration',
+            required: true
+        },
+        reason: String,
+        recusedAt: {
+            type: Date,
+            default: Date.now
+        },
+        _id: false
+    }]
+}, {
+    _id: false
+});
+
+// Placements that earn an award certificate, e.g. ranks 1-1 excellence
+const awardSchema = new mongoose.Schema({
+    fromRank: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    toRank: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    type: {
+        type: String,
+        enum: ['achievement', 'excellence'],
+        required: true
+    },
+    label: {
+        type: String,
+        required: true
+    }
+}, {
+    _id: false
+});
+
+const resultSchema = new mongoose.Schema({
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Registration',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    name: String,
+    rank: Number,
+    rawScore: Number,
+    normalizedScore: Number,
+    judgeCount: Number,
+    award: {
+        type: {
+            type: String,
+            enum: ['achievement', 'excellence']
+        },
+        label: String
+    }
+}, {
+    _id: false
+});
+
+const competitionSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true,
+        unique: true
+    },
+    rubric: [criterionSchema],
+    judges: [judgeSchema],
+    // zscore rescales each judge's totals to the panel's mean and spread
+    normalization: {
+        type: String,
+        enum: ['none', 'zscore'],
+        default: 'zscore'
+    },
+    awards: [awardSchema],
+
+    status: {
+        type: String,
+        enum: ['setup', 'judging', 'finalized'],
+        default: 'setup'
+    },
+    // Leaderboard frozen at finalization
+    results: [resultSchema],
+    finalizedAt: Date,
+    finalizedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+competitionSchema.index({ 'judges.user': 1 });
+
+competitionSchema.methods.getJudge = function(userId) {
+    return this.judges.find(judge => judge.user.toString() === userId.toString());
+};
+
+competitionSchema.methods.isRecused = function(userId, registrationId) {
+    const judge = this.getJudge(userId);
+    return !!judge && judge.recusals.some(
+        recusal => recusal.registration.toString() === registrationId.toString()
+    );
+};
+
+module.exports = mongoose.model('Competition', competitionSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One judge's scores for one entrant against the competition rubric
+const competitionScoreSchema = new mongoose.Schema({
+    competition: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Competition',
+        required: true
+    },
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    // The entrant: an individual registration or a group leader's registration
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Registration',
+        required: true
+    },
+    judge: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    scores: [{
+        criterion: {
+            type: String,
+            required: true
+        },
+        value: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        _id: false
+    }],
+    // Weighted total on a 0-100 scale
+    total: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    comment: {
+        type: String,
+        maxlength: 2000
+    },
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+competitionScoreSchema.index({ competition: 1, registration: 1, judge: 1 }, { unique: true });
+competitionScoreSchema.index({ competition: 1, judge: 1 });
+
+module.exports = mongoose.model('CompetitionScore', competitionScoreSchema);
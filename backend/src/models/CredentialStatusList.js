@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Allocation counter for revocation status lists. The bits themselves are
+// derived from certificate status when the list is served.
+const credentialStatusListSchema = new mongoose.Schema({
+    listId: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    nextIndex: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('CredentialStatusList', credentialStatusListSchema);
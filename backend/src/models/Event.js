@@ -72,9 +72,23 @@ const eventSchema = new mongoose.Schema({
             location: String,
             description: String,
             speaker: String,
+            track: String,
             isRequired: {
                 type: Boolean,
                 default: false
+            },
+            // Leave empty for sessions without their own seat limit
+            capacity: {
+                type: Number,
+                min: 1
+            },
+            registeredCount: {
+                type: Number,
+                default: 0
+            },
+            waitlistEnabled: {
+                type: Boolean,
+                default: true
             }
         }]
     },
@@ -121,6 +135,25 @@ const eventSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // Volunteers and speakers, credited on co-curricular transcripts
+    staff: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: ['volunteer', 'speaker'],
+            required: true
+        },
+        // Defaults to the event's length when not set
+        hours: {
+            type: Number,
+            min: 0
+        },
+        _id: false
+    }],
     hostOrganization: {
         name: String,
         logo: String,
@@ -192,11 +225,77 @@ const eventSchema = new mongoose.Schema({
             type: Boolean,
             default: true
         },
+        // Let attendees pick individual sessions (parallel tracks)
+        sessionSelection: {
+            enabled: {
+                type: Boolean,
+                default: false
+            }
+        },
+        // Auto-approval rules for events that require approval. The first active
+        // rule whose conditions match approves the registration; otherwise it
+        // waits for an organizer.
+        approvalRules: [{
+            name: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            isActive: {
+                type: Boolean,
+                default: true
+            },
+            match: {
+                type: String,
+                enum: ['all', 'any'],
+                default: 'all'
+            },
+            conditions: [{
+                attribute: {
+                    type: String,
+                    enum: [
+                        'student.faculty', 'student.department', 'student.major',
+                        'student.year', 'student.gpa', 'attendedEvents', 'customField'
+                    ],
+                    required: true
+                },
+                operator: {
+                    type: String,
+                    enum: ['equals', 'not_equals', 'in', 'not_in', 'gte', 'lte', 'in_target_audience'],
+                    default: 'equals'
+                },
+                value: mongoose.Schema.Types.Mixed,
+                // Custom form field to compare when attribute is customField
+                fieldName: String
+            }]
+        }],
+        // Hours a promoted waitlist user has to confirm their seat (0 = promote directly)
+        waitlistClaimHours: {
+            type: Number,
+            default: 24,
+            min: 0
+        },
+        groupRegistration: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            minSize: {
+                type: Number,
+                default: 2,
+                min: 2
+            },
+            maxSize: {
+                type: Number,
+                default: 10
+            }
+        },
         customFields: [{
             name: String,
+            label: String,
             type: {
                 type: String,
-                enum: ['text', 'textarea', 'select', 'multiselect', 'file', 'checkbox', 'radio']
+                enum: ['text', 'textarea', 'number', 'date', 'select', 'multiselect', 'file', 'checkbox', 'radio']
             },
             options: [String],
             required: {
@@ -204,7 +303,39 @@ const eventSchema = new mongoose.Schema({
                 default: false
             },
             placeholder: String,
-            validation: String
+            helpText: String,
+            order: {
+                type: Number,
+                default: 0
+            },
+            // Legacy regex rule, same as rules.pattern
+            validation: String,
+            rules: {
+                pattern: String,
+                patternMessage: String,
+                minLength: Number,
+                maxLength: Number,
+                // Value bounds for number fields, selection count for multiselect
+                min: Number,
+                max: Number,
+                // Extensions (".pdf") or MIME types ("image/*") accepted by file fields
+                fileTypes: [String],
+                maxFileSizeMB: Number
+            },
+            // Only show (and require) this field when another answer matches
+            showIf: {
+                field: String,
+                operator: {
+                    type: String,
+                    enum: ['equals', 'not_equals', 'in', 'includes', 'answered'],
+                    default: 'equals'
+                },
+                value: mongoose.Schema.Types.Mixed
+            },
+            exportable: {
+                type: Boolean,
+                default: true
+            }
         }],
         confirmationMessage: String
     },
@@ -255,12 +386,22 @@ const eventSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        // Training point criterion; defaults from the event type
+        trainingPointCategory: {
+            type: String,
+            enum: ['academic', 'discipline', 'social', 'community', 'leadership']
+        },
         certificateType: {
             type: String,
             enum: ['none', 'participation', 'completion', 'achievement'],
             default: 'none'
         },
-        certificateTemplate: String,
+        // Stored certificate design; without a pinned version the latest is used
+        certificateTemplate: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CertificateTemplate'
+        },
+        certificateTemplateVersion: Number,
         badges: [String],
         skills: [String],
         competencies: [String]
@@ -326,6 +467,58 @@ const eventSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Attendee check-in QR: 'static' is the signed registration code, 'rotating'
+    // is a time-based code that changes every rotationSeconds so screenshots
+    // expire
+    qrCodeSettings: {
+        mode: {
+            type: String,
+            enum: ['static', 'rotating'],
+            default: 'static'
+        },
+        rotationSeconds: {
+            type: Number,
+            min: 10,
+            max: 300,
+            default: 30
+        },
+        // Codes this many steps before/after the scanner's clock are accepted
+        clockSkewSteps: {
+            type: Number,
+            min: 0,
+            max: 5,
+            default: 1
+        }
+    },
+    // Attendee self check-in from their own device at the venue
+    selfCheckIn: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Check-ins further than this from the venue are flagged for review
+        radiusMeters: {
+            type: Number,
+            min: 20,
+            max: 5000,
+            default: 200
+        },
+        // Also require the PIN shown on the venue screen
+        requirePin: {
+            type: Boolean,
+            default: false
+        },
+        pinRotationSeconds: {
+            type: Number,
+            min: 30,
+            max: 600,
+            default: 60
+        },
+        pinSecret: {
+            type: String,
+            select: false
+        }
+    },
     qrCode: String,
 
     // Statistics
@@ -399,6 +592,29 @@ const eventSchema = new mongoose.Schema({
         },
         cancellationPolicy: String,
         refundPolicy: String,
+        // Structured refund policy; refundPolicy stays as the human-readable text
+        refundRules: {
+            enabled: {
+                type: Boolean,
+                default: true
+            },
+            requiresApproval: {
+                type: Boolean,
+                default: true
+            },
+            // Cancelling at least `daysBeforeEvent` days before the start refunds `refundPercent`
+            tiers: [{
+                daysBeforeEvent: {
+                    type: Number,
+                    min: 0
+                },
+                refundPercent: {
+                    type: Number,
+                    min: 0,
+                    max: 100
+                }
+            }]
+        },
         terms: String,
         privacy: String
     },
@@ -435,6 +651,7 @@ eventSchema.index({ 'schedule.endDate': 1 });
 eventSchema.index({ 'schedule.registrationStart': 1 });
 eventSchema.index({ 'schedule.registrationEnd': 1 });
 eventSchema.index({ organizer: 1 });
+eventSchema.index({ 'staff.user': 1 });
 eventSchema.index({ createdAt: -1 });
 eventSchema.index({ publishedAt: -1 });
 
@@ -543,25 +760,40 @@ eventSchema.methods.decrementRegistrations = function() {
 
 eventSchema.methods.canUserRegister = function(user) {
     if (!this.isRegistrationOpen) return false;
-    if (this.isFullyBooked && !this.allowWaitlist) return false;
+    // Advisory only: seats are actually taken with reserveSeats()
+    if (this.isFullyBooked && !this.registration.waitlistEnabled) return false;
 
-    // Check target audience restrictions
-    if (this.targetAudience.faculties.length > 0 &&
-        !this.targetAudience.faculties.includes(user.student.faculty)) {
-        return false;
-    }
+    return this.meetsAudienceRequirements(user);
+};
 
-    if (this.targetAudience.years.length > 0 &&
-        !this.targetAudience.years.includes(user.student.year)) {
-        return false;
-    }
+eventSchema.methods.meetsAudienceRequirements = function(user) {
+    return this.getAudienceMismatches(user).length === 0;
+};
+
+// Target audience constraints the user's student profile does not satisfy
+eventSchema.methods.getAudienceMismatches = function(user) {
+    const audience = this.targetAudience || {};
+    const student = (user && user.student) || {};
+    const mismatches = [];
+
+    [
+        ['faculty', 'faculties'],
+        ['department', 'departments'],
+        ['major', 'majors'],
+        ['year', 'years']
+    ].forEach(([field, audienceKey]) => {
+        const allowed = audience[audienceKey] || [];
+
+        if (allowed.length > 0 && !allowed.includes(student[field])) {
+            mismatches.push({ field, required: allowed, actual: student[field] });
+        }
+    });
 
-    if (this.targetAudience.minGPA &&
-        user.student.gpa < this.targetAudience.minGPA) {
-        return false;
+    if (audience.minGPA && !(student.gpa >= audience.minGPA)) {
+        mismatches.push({ field: 'gpa', required: audience.minGPA, actual: student.gpa });
     }
 
-    return true;
+    return mismatches;
 };
 
 eventSchema.methods.updateRating = async function(newRating) {
@@ -584,6 +816,42 @@ eventSchema.statics.findByEventCode = function(eventCode) {
     return this.findOne({ eventCode: eventCode.toUpperCase() });
 };
 
+// Take several seats at once. The capacity check is part of the update filter,
+// so concurrent requests cannot push currentParticipants past maxParticipants.
+eventSchema.statics.reserveSeats = async function(eventId, count = 1) {
+    const result = await this.updateOne(
+        {
+            _id: eventId,
+            $expr: {
+                $lte: [
+                    { $add: ['$registration.currentParticipants', count] },
+                    '$registration.maxParticipants'
+                ]
+            }
+        },
+        {
+            $inc: {
+                'stats.registrations': count,
+                'registration.currentParticipants': count
+            }
+        }
+    );
+
+    return result.modifiedCount > 0;
+};
+
+eventSchema.statics.releaseSeats = function(eventId, count = 1) {
+    return this.updateOne(
+        { _id: eventId },
+        {
+            $inc: {
+                'stats.cancellations': count,
+                'registration.currentParticipants': -count
+            }
+        }
+    );
+};
+
 eventSchema.statics.findUpcoming = function(limit = 10) {
     return this.find({
         'schedule.startDate': { $gt: new Date() },
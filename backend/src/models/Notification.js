@@ -42,6 +42,8 @@ const notificationSchema = new mongoose.Schema({
             'waitlist_promotion',
             'check_in_reminder',
             'certificate_ready',
+            'certificate_revoked',
+            'certificate_expiring',
             'feedback_request',
             'system_announcement',
             'account_update',
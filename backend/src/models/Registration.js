@@ -31,6 +31,11 @@ const registrationSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
+        // Set on member registrations, pointing at the leader's group registration
+        parentRegistration: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Registration'
+        },
         members: [{
             user: {
                 type: mongoose.Schema.Types.ObjectId,
@@ -40,6 +45,27 @@ const registrationSchema = new mongoose.Schema({
                 type: String,
                 enum: ['leader', 'member'],
                 default: 'member'
+            },
+            // Invitees without an account are identified by email until they sign up
+            email: {
+                type: String,
+                lowercase: true,
+                trim: true
+            },
+            studentId: String,
+            name: String,
+            status: {
+                type: String,
+                enum: ['invited', 'accepted', 'declined', 'removed'],
+                default: 'invited'
+            },
+            inviteToken: String,
+            invitedAt: Date,
+            inviteExpiresAt: Date,
+            respondedAt: Date,
+            registration: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Registration'
             }
         }]
     },
@@ -52,9 +78,17 @@ const registrationSchema = new mongoose.Schema({
     },
     approvalStatus: {
         type: String,
-        enum: ['auto_approved', 'manual_approved', 'rejected', 'pending_review'],
+        enum: ['auto_approved', 'rule_approved', 'manual_approved', 'rejected', 'pending_review'],
         default: 'auto_approved'
     },
+    // Outcome of the event's auto-approval rules at registration time
+    approvalEvaluation: {
+        rule: mongoose.Schema.Types.ObjectId,
+        ruleName: String,
+        evaluatedAt: Date,
+        // Why each rule did not match (shown to organizers reviewing manually)
+        reasons: [String]
+    },
     approvedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -62,6 +96,27 @@ const registrationSchema = new mongoose.Schema({
     approvedAt: Date,
     rejectionReason: String,
 
+    // Sessions picked at registration (multi-session events)
+    sessions: [{
+        sessionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        sessionTitle: String,
+        status: {
+            type: String,
+            enum: ['registered', 'waitlist', 'cancelled'],
+            default: 'registered'
+        },
+        registeredAt: Date,
+        waitlistJoinedAt: Date,
+        checkedIn: {
+            type: Boolean,
+            default: false
+        },
+        checkInTime: Date
+    }],
+
     // Custom Fields Data
     customFieldsData: [{
         fieldName: String,
@@ -93,16 +148,70 @@ const registrationSchema = new mongoose.Schema({
             default: 0
         },
         couponCode: String,
+        // Coupon recorded but not consumed yet; waitlisted and pending
+        // registrations use it up only when they get a seat
+        couponPending: Boolean,
+        // Price breakdown recorded at registration time for receipts and refunds
+        pricing: {
+            currency: String,
+            quantity: Number,
+            basePrice: Number,
+            unitPrice: Number,
+            earlyBird: Boolean,
+            subtotal: Number,
+            groupDiscount: {
+                minPeople: Number,
+                percent: Number,
+                amount: Number
+            },
+            coupon: {
+                code: String,
+                discountType: String,
+                discountValue: Number,
+                amount: Number
+            },
+            totalDiscount: Number,
+            finalAmount: Number,
+            calculatedAt: Date
+        },
         finalAmount: Number,
         paymentMethod: {
             type: String,
             enum: ['vnpay', 'momo', 'banking', 'cash', 'free']
         },
         transactionId: String,
+        orderId: String,
+        // Every order issued for this registration, newest last
+        orderIds: [String],
+        initiatedAt: Date,
+        paymentUrl: String,
+        returnUrl: String,
+        cancelUrl: String,
+        expiresAt: Date,
+        failureReason: String,
+        gatewayResponse: {
+            responseCode: String,
+            message: String,
+            receivedAt: Date
+        },
         paymentDate: Date,
         refundAmount: Number,
         refundDate: Date,
-        refundReason: String
+        refundReason: String,
+        refundStatus: {
+            type: String,
+            enum: ['pending_approval', 'approved', 'rejected', 'processed', 'failed']
+        },
+        refundPercent: Number,
+        refundRequestedAt: Date,
+        refundReviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        refundReviewedAt: Date,
+        refundReviewNote: String,
+        refundTransactionId: String,
+        refundFailureReason: String
     },
 
     // Attendance Tracking
@@ -114,7 +223,7 @@ const registrationSchema = new mongoose.Schema({
         checkInTime: Date,
         checkInMethod: {
             type: String,
-            enum: ['qr_code', 'manual', 'nfc', 'mobile_app']
+            enum: ['qr_code', 'manual', 'nfc', 'mobile_app', 'facial_recognition', 'self_check_in', 'online']
         },
         checkedOut: {
             type: Boolean,
@@ -132,6 +241,11 @@ const registrationSchema = new mongoose.Schema({
         attendanceRate: {
             type: Number,
             default: 0
+        },
+        // Attendance rejected by an organizer after a fraud review
+        voided: {
+            type: Boolean,
+            default: false
         }
     },
 
@@ -139,6 +253,11 @@ const registrationSchema = new mongoose.Schema({
     checkIn: {
         qrCode: String,
         qrCodeExpires: Date,
+        // Per-registration key for rotating check-in codes, never sent to clients
+        rotatingSecret: {
+            type: String,
+            select: false
+        },
         location: {
             latitude: Number,
             longitude: Number,
@@ -163,6 +282,13 @@ const registrationSchema = new mongoose.Schema({
         }
     },
 
+    // Temporary seat hold while a paid registration goes through checkout
+    seatHold: {
+        expiresAt: Date,
+        confirmedAt: Date,
+        releasedAt: Date
+    },
+
     // Communication Preferences
     notifications: {
         email: {
@@ -306,9 +432,17 @@ registrationSchema.index({ user: 1, status: 1 });
 registrationSchema.index({ registrationNumber: 1 });
 registrationSchema.index({ status: 1 });
 registrationSchema.index({ 'payment.status': 1 });
+registrationSchema.index({ 'payment.orderId': 1 }, { sparse: true });
+registrationSchema.index({ 'payment.orderIds': 1 }, { sparse: true });
+registrationSchema.index({ 'payment.refundStatus': 1 }, { sparse: true });
 registrationSchema.index({ 'attendance.checkedIn': 1 });
 registrationSchema.index({ registrationDate: -1 });
 registrationSchema.index({ 'waitlist.position': 1 });
+registrationSchema.index({ 'groupInfo.members.inviteToken': 1 }, { sparse: true });
+registrationSchema.index({ 'groupInfo.parentRegistration': 1 }, { sparse: true });
+registrationSchema.index({ 'seatHold.expiresAt': 1 }, { sparse: true });
+registrationSchema.index({ status: 1, 'waitlist.expiresAt': 1 });
+registrationSchema.index({ event: 1, 'sessions.sessionId': 1, 'sessions.status': 1 });
 
 // Virtuals
 registrationSchema.virtual('isActive').get(function() {
@@ -355,7 +489,7 @@ registrationSchema.pre('save', async function(next) {
 
     // Calculate final payment amount
     if (this.payment.required) {
-        this.payment.finalAmount = this.payment.amount - (this.payment.discountApplied || 0);
+        this.payment.finalAmount = Math.max(0, this.payment.amount - (this.payment.discountApplied || 0));
     }
 
     next();
@@ -390,14 +524,7 @@ registrationSchema.methods.cancel = async function(reason) {
     this.cancelledAt = new Date();
     this.cancellationReason = reason;
 
-    // Handle refund if payment was made
-    if (this.payment.status === 'completed') {
-        this.payment.status = 'refunded';
-        this.payment.refundDate = new Date();
-        this.payment.refundAmount = this.payment.finalAmount;
-        this.payment.refundReason = reason;
-    }
-
+    // Refunds are calculated and processed by refundService
     return this.save();
 };
 
@@ -442,9 +569,9 @@ registrationSchema.methods.submitFeedback = async function(feedbackData) {
 registrationSchema.methods.promoteFromWaitlist = async function() {
     if (this.registrationType !== 'waitlist') return false;
 
-    // Check if there's space available
-    const event = await mongoose.model('Event').findById(this.event);
-    if (event.registration.currentParticipants >= event.registration.maxParticipants) {
+    // Take the seat atomically; fails when someone else got there first
+    const reserved = await mongoose.model('Event').reserveSeats(this.event);
+    if (!reserved) {
         return false;
     }
 
@@ -454,9 +581,6 @@ registrationSchema.methods.promoteFromWaitlist = async function() {
 
     await this.save();
 
-    // Update event participant count
-    await event.incrementRegistrations();
-
     return true;
 };
 
@@ -472,6 +596,18 @@ registrationSchema.methods.generateCertificate = async function() {
     return this.save();
 };
 
+registrationSchema.methods.toJSON = function() {
+    const registrationObject = this.toObject();
+
+    if (registrationObject.groupInfo && registrationObject.groupInfo.members) {
+        registrationObject.groupInfo.members.forEach(member => {
+            delete member.inviteToken;
+        });
+    }
+
+    return registrationObject;
+};
+
 // Static methods
 registrationSchema.statics.findByRegistrationNumber = function(registrationNumber) {
     return this.findOne({ registrationNumber: registrationNumber.toUpperCase() });
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of training points (điểm rèn luyện). A student's score
+// for a semester and criterion is the sum of their entries; corrections are
+// new reversal entries, never edits.
+const trainingPointSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Registration'
+    },
+    attendance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attendance',
+        required: true
+    },
+
+    type: {
+        type: String,
+        enum: ['credit', 'reversal'],
+        required: true
+    },
+    category: {
+        type: String,
+        enum: ['academic', 'discipline', 'social', 'community', 'leadership'],
+        required: true
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: String,
+        enum: ['fall', 'spring', 'summer'],
+        required: true
+    },
+
+    // Signed: negative for reversals
+    points: {
+        type: Number,
+        required: true
+    },
+    // Points the event awards, before the semester cap
+    requestedPoints: {
+        type: Number,
+        default: 0
+    },
+    capped: {
+        type: Boolean,
+        default: false
+    },
+    reversalOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TrainingPoint'
+    },
+    reason: String,
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// One credit and at most one reversal per attendance record
+trainingPointSchema.index({ attendance: 1, type: 1 }, { unique: true });
+trainingPointSchema.index({ user: 1, academicYear: 1, semester: 1, category: 1 });
+trainingPointSchema.index({ academicYear: 1, semester: 1 });
+trainingPointSchema.index({ user: 1, createdAt: -1 });
+
+// Static methods
+trainingPointSchema.statics.getBalance = async function(userId, academicYear, semester, category) {
+    const result = await this.aggregate([
+        {
+            $match: {
+                user: new mongoose.Types.ObjectId(userId),
+                academicYear,
+                semester,
+                category
+            }
+        },
+        { $group: { _id: null, points: { $sum: '$points' } } }
+    ]);
+
+    return result[0] ? result[0].points : 0;
+};
+
+// Points per student, semester and criterion
+trainingPointSchema.statics.getTotals = function(match = {}) {
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    user: '$user',
+                    academicYear: '$academicYear',
+                    semester: '$semester',
+                    category: '$category'
+                },
+                points: { $sum: '$points' },
+                entries: { $sum: 1 }
+            }
+        }
+    ]);
+};
+
+module.exports = mongoose.model('TrainingPoint', trainingPointSchema);
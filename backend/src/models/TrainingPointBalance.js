@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Running total of a student's training points per semester and criterion.
+// Credits reserve points here with a conditional update before writing the
+// ledger entry, so concurrent credits cannot pass the semester cap together.
+const trainingPointBalanceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    academicYear: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: String,
+        enum: ['fall', 'spring', 'summer'],
+        required: true
+    },
+    category: {
+        type: String,
+        enum: ['academic', 'discipline', 'social', 'community', 'leadership'],
+        required: true
+    },
+    points: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+trainingPointBalanceSchema.index({ user: 1, academicYear: 1, semester: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('TrainingPointBalance', trainingPointBalanceSchema);
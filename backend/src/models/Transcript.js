@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// An issued co-curricular transcript. The content is frozen at issue time
+// and signed, so a verifier sees exactly what the PDF showed.
+const transcriptSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    verificationCode: {
+        type: String,
+        unique: true,
+        required: true
+    },
+
+    // Snapshot of the transcript content as JSON-safe data
+    content: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    contentHash: {
+        type: String,
+        required: true
+    },
+    signature: {
+        type: String,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['issued', 'revoked'],
+        default: 'issued'
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: Date,
+    revokedReason: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+transcriptSchema.index({ user: 1, issuedAt: -1 });
+// One live transcript per distinct content, so repeat downloads reuse it
+transcriptSchema.index({ user: 1, contentHash: 1 }, { unique: true, partialFilterExpression: { status: 'issued' } });
+
+module.exports = mongoose.model('Transcript', transcriptSchema);
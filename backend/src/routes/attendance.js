@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const attendanceController = require('../controllers/events/attendanceController');
+const attendanceService = require('../services/events/attendanceService');
+const authMiddleware = require('../middleware/auth');
+const router = express.Router();
+
+const eventIdParam = param('eventId').isMongoId().withMessage('Valid event ID is required');
+const attendanceIdParam = param('attendanceId').isMongoId().withMessage('Valid attendance ID is required');
+
+// Organizers may only act on attendance of events they manage. These routes
+// name the event in the body or through the attendance record.
+const canManageBodyEvent = authMiddleware.canManageEventOf(req => req.body.eventId);
+const canManageAttendanceEvent = authMiddleware.canManageEventOf(
+    req => attendanceService.getAttendanceEventId(req.params.attendanceId)
+);
+
+const locationValidation = [
+    body('location.latitude').optional().isFloat({ min: -90, max: 90 }),
+    body('location.longitude').optional().isFloat({ min: -180, max: 180 })
+];
+
+// Online join link redirector (opened in the browser, authenticated by its signed token)
+router.get('/join/:token',
+    param('token').isLength({ min: 10, max: 200 }),
+    attendanceController.joinOnlineEvent
+);
+
+// All other attendance routes require authentication
+router.use(authMiddleware.authenticate);
+
+// Own attendance history
+router.get('/me',
+    query('eventId').optional().isMongoId(),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    attendanceController.getUserAttendance
+);
+
+// Check-in
+router.post('/',
+    authMiddleware.requireOrganizer,
+    body('eventId').isMongoId().withMessage('Valid event ID is required'),
+    canManageBodyEvent,
+    body('registrationId').optional().isMongoId().withMessage('Valid registration ID is required'),
+    body('userId').optional().isMongoId().withMessage('Valid user ID is required'),
+    body('method').optional().isIn(['qr_code', 'manual', 'nfc', 'mobile_app', 'facial_recognition']),
+    body('expectedDuration').optional().isInt({ min: 1 }),
+    ...locationValidation,
+    attendanceController.recordAttendance
+);
+
+router.post('/qr-checkin',
+    authMiddleware.requireOrganizer,
+    body('qrCode').notEmpty().withMessage('QR code is required'),
+    ...locationValidation,
+    attendanceController.qrCheckIn
+);
+
+router.post('/bulk-checkin',
+    authMiddleware.requireOrganizer,
+    body('eventId').isMongoId().withMessage('Valid event ID is required'),
+    canManageBodyEvent,
+    body('registrationIds').isArray({ min: 1, max: 500 }).withMessage('Registration IDs must be an array of 1-500 items'),
+    body('registrationIds.*').isMongoId().withMessage('Valid registration IDs are required'),
+    attendanceController.bulkCheckIn
+);
+
+// Attendee self check-in at the venue
+router.post('/events/:eventId/self-checkin',
+    eventIdParam,
+    body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+    body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+    body('accuracy').optional().isFloat({ min: 0, max: 10000 }).withMessage('Accuracy must be between 0 and 10000 meters'),
+    body('pin').optional().isString().isLength({ max: 10 }),
+    body('deviceId').optional().isString().isLength({ max: 100 }),
+    attendanceController.selfCheckIn
+);
+
+router.get('/events/:eventId/self-checkin/pin',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    attendanceController.getSelfCheckInPin
+);
+
+// Online and hybrid events
+router.get('/events/:eventId/join-link',
+    eventIdParam,
+    attendanceController.getOnlineJoinLink
+);
+
+router.post('/events/:eventId/heartbeat',
+    eventIdParam,
+    body('interactions').optional().isObject(),
+    body(['interactions.questionsAsked', 'interactions.pollsParticipated', 'interactions.chatMessages'])
+        .optional().isInt({ min: 0, max: 100 }),
+    body('deviceId').optional().isString().isLength({ max: 100 }),
+    attendanceController.recordHeartbeat
+);
+
+// Per-event views (event organizer or admin)
+router.get('/events/:eventId',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    query('status').optional().isIn(['present', 'absent', 'late', 'early_leave', 'partial']),
+    attendanceController.getEventAttendance
+);
+
+router.get('/events/:eventId/stats',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    attendanceController.getAttendanceStats
+);
+
+router.get('/events/:eventId/duplicates',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    query('timeWindow').optional().isInt({ min: 1, max: 60 }),
+    attendanceController.getDuplicateCheckIns
+);
+
+router.get('/events/:eventId/review-queue',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    query('severity').optional().isIn(['low', 'medium', 'high', 'critical']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    attendanceController.getReviewQueue
+);
+
+router.get('/events/:eventId/export',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    query('format').optional().isIn(['xlsx', 'csv']),
+    attendanceController.exportAttendance
+);
+
+router.get('/events/:eventId/report',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    query('format').optional().isIn(['summary', 'detailed']),
+    attendanceController.generateAttendanceReport
+);
+
+router.get('/events/:eventId/realtime',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    attendanceController.getRealtimeAttendance
+);
+
+router.get('/events/:eventId/analytics',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    query('timeframe').optional().isIn(['1h', '1d', '7d', '30d']),
+    query('metrics').optional().isIn(['basic', 'detailed']),
+    attendanceController.getAttendanceAnalytics
+);
+
+router.get('/events/:eventId/health',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    attendanceController.getAttendanceHealthCheck
+);
+
+// Offline kiosk check-in
+router.get('/events/:eventId/kiosk/manifest',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    attendanceController.getKioskManifest
+);
+
+router.post('/events/:eventId/kiosk/sync',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    body('manifest.header').isObject().withMessage('Manifest header is required'),
+    body('manifest.signature').isString().withMessage('Manifest signature is required'),
+    body('deviceId').isString().isLength({ min: 1, max: 100 }).withMessage('Device ID is required'),
+    body('checkIns').isArray({ max: 2000 }).withMessage('Check-ins must be an array of at most 2000 items'),
+    body('checkIns.*.registrationId').isMongoId().withMessage('Valid registration ID is required'),
+    body('checkIns.*.scannedAt').isISO8601().withMessage('Scan time is required'),
+    body('checkIns.*.clientId').optional().isString(),
+    attendanceController.syncKioskCheckIns
+);
+
+// Attendance of another user
+router.get('/users/:userId',
+    param('userId').isMongoId().withMessage('Valid user ID is required'),
+    authMiddleware.requireOrganizer,
+    attendanceController.getUserAttendance
+);
+
+// Individual attendance records
+router.put('/:attendanceId/checkout',
+    attendanceIdParam,
+    authMiddleware.requireOrganizer,
+    canManageAttendanceEvent,
+    body('method').optional().isIn(['qr_code', 'manual', 'nfc', 'mobile_app']),
+    ...locationValidation,
+    attendanceController.updateAttendance
+);
+
+router.post('/:attendanceId/sessions',
+    attendanceIdParam,
+    authMiddleware.requireOrganizer,
+    canManageAttendanceEvent,
+    body('sessionId').notEmpty().withMessage('Session ID is required'),
+    body('checkInTime').optional().isISO8601(),
+    attendanceController.addSessionAttendance
+);
+
+router.put('/:attendanceId/sessions/:sessionId/checkout',
+    attendanceIdParam,
+    authMiddleware.requireOrganizer,
+    canManageAttendanceEvent,
+    body('checkOutTime').optional().isISO8601(),
+    attendanceController.updateSessionAttendance
+);
+
+router.put('/:attendanceId/engagement',
+    attendanceIdParam,
+    authMiddleware.requireOrganizer,
+    canManageAttendanceEvent,
+    body(['questionsAsked', 'pollsParticipated', 'chatMessages', 'networkingConnections'])
+        .optional().isInt({ min: 0 }).withMessage('Engagement metrics must be non-negative integers'),
+    attendanceController.updateEngagement
+);
+
+router.post('/:attendanceId/flags',
+    attendanceIdParam,
+    authMiddleware.requireOrganizer,
+    canManageAttendanceEvent,
+    body('type').isIn(['suspicious_activity', 'duplicate_checkin', 'location_mismatch', 'time_anomaly', 'device_mismatch'])
+        .withMessage('Invalid flag type'),
+    body('description').optional().isLength({ max: 500 }),
+    body('severity').optional().isIn(['low', 'medium', 'high', 'critical']),
+    attendanceController.flagAttendance
+);
+
+router.put('/:attendanceId/flags/:flagId/resolve',
+    attendanceIdParam,
+    param('flagId').isMongoId().withMessage('Valid flag ID is required'),
+    authMiddleware.requireOrganizer,
+    canManageAttendanceEvent,
+    body('resolution').optional().isIn(['dismissed', 'voided']).withMessage('Resolution must be dismissed or voided'),
+    body('notes').optional().isLength({ max: 500 }),
+    attendanceController.resolveFlaggedAttendance
+);
+
+router.get('/:attendanceId/certificate-eligibility',
+    attendanceIdParam,
+    authMiddleware.requireOrganizer,
+    canManageAttendanceEvent,
+    attendanceController.verifyCertificateEligibility
+);
+
+router.put('/:attendanceId/late-arrival',
+    attendanceIdParam,
+    authMiddleware.requireOrganizer,
+    canManageAttendanceEvent,
+    body('acceptedByOrganizer').isBoolean().withMessage('acceptedByOrganizer must be a boolean'),
+    body('reason').optional().isLength({ max: 500 }),
+    attendanceController.updateLateArrival
+);
+
+router.post('/:attendanceId/early-leave',
+    attendanceIdParam,
+    authMiddleware.requireOrganizer,
+    canManageAttendanceEvent,
+    body('reason').notEmpty().isLength({ max: 500 }).withMessage('Reason is required'),
+    body('acceptedByOrganizer').optional().isBoolean(),
+    attendanceController.recordEarlyLeave
+);
+
+module.exports = router;
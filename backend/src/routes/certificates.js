@@ -0,0 +1,179 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const certificateController = require('../controllers/events/certificateController');
+const credentialController = require('../controllers/events/credentialController');
+const authMiddleware = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
+const router = express.Router();
+
+const templateIdParam = param('templateId').isMongoId().withMessage('Valid template ID is required');
+
+const templateAssetUpload = upload.fields([
+    { name: 'background', maxCount: 1 },
+    { name: 'logo', maxCount: 1 },
+    { name: 'signature', maxCount: 1 }
+], 'certificateTemplate');
+
+const templateValidation = [
+    body('description').optional().isLength({ max: 500 }),
+    body('type').optional().isIn(['any', 'participation', 'completion', 'achievement', 'excellence']),
+    body('css').optional().isString().isLength({ max: 100000 }),
+    body('orientation').optional().isIn(['landscape', 'portrait']),
+    body('notes').optional().isLength({ max: 500 })
+];
+
+// Public verification: anyone holding a certificate can check it
+router.get('/public-keys',
+    certificateController.getSigningPublicKeys
+);
+
+router.get('/verify/:verificationCode',
+    param('verificationCode').isAlphanumeric().isLength({ min: 8, max: 64 }),
+    certificateController.verifyCertificate
+);
+
+// Status registry: current status by certificate ID or verification code,
+// and the feed of revocations
+router.get('/status/:identifier',
+    param('identifier').matches(/^[A-Za-z0-9-]{8,64}$/).withMessage('Valid certificate ID or verification code is required'),
+    certificateController.getCertificateStatus
+);
+
+router.get('/revocations',
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    query('since').optional().isISO8601(),
+    certificateController.getRevocationList
+);
+
+// Ledger entries and Merkle inclusion proofs for a certificate
+router.get('/verify/:verificationCode/proof',
+    param('verificationCode').isAlphanumeric().isLength({ min: 8, max: 64 }),
+    certificateController.getLedgerProof
+);
+
+router.post('/verify-signature',
+    body('signature').isString().isLength({ min: 10, max: 5000 }).withMessage('Signature is required'),
+    certificateController.verifyCertificateSignature
+);
+
+// Open Badges documents that exported credentials link to
+router.get('/credentials/issuer',
+    credentialController.getIssuerProfile
+);
+
+router.get('/credentials/achievements/:eventId',
+    param('eventId').isMongoId().withMessage('Valid event ID is required'),
+    credentialController.getAchievement
+);
+
+router.get('/credentials/status/:listId',
+    param('listId').isInt({ min: 1 }),
+    query('format').optional().isIn(['jwt', 'json']),
+    credentialController.getStatusList
+);
+
+router.post('/credentials/verify',
+    body('credential').isString().isLength({ min: 10, max: 50000 }).withMessage('Credential JWT is required'),
+    credentialController.verifyCredential
+);
+
+// All other certificate routes require authentication
+router.use(authMiddleware.authenticate);
+
+// Certificate templates
+router.get('/templates',
+    authMiddleware.requireOrganizer,
+    query('status').optional().isIn(['active', 'archived']),
+    query('type').optional().isIn(['any', 'participation', 'completion', 'achievement', 'excellence']),
+    certificateController.getCertificateTemplates
+);
+
+router.post('/templates',
+    authMiddleware.requireOrganizer,
+    templateAssetUpload,
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Template name is required'),
+    body('html').isString().isLength({ min: 1, max: 500000 }).withMessage('Template HTML is required'),
+    ...templateValidation,
+    certificateController.uploadCertificateTemplate
+);
+
+// Render a stored template, or unsaved markup, with sample data
+router.post('/templates/preview',
+    authMiddleware.requireOrganizer,
+    body('templateId').optional().isMongoId(),
+    body('version').optional().isInt({ min: 1 }),
+    body('html').optional().isString().isLength({ max: 500000 }),
+    body('css').optional().isString().isLength({ max: 100000 }),
+    body('orientation').optional().isIn(['landscape', 'portrait']),
+    body('sampleData').optional().isObject(),
+    certificateController.previewCertificate
+);
+
+router.get('/templates/:templateId',
+    authMiddleware.requireOrganizer,
+    templateIdParam,
+    certificateController.getCertificateTemplate
+);
+
+// Saves a new version when the design changes
+router.put('/templates/:templateId',
+    authMiddleware.requireOrganizer,
+    templateIdParam,
+    templateAssetUpload,
+    body('name').optional().trim().isLength({ min: 1, max: 100 }),
+    body('html').optional().isString().isLength({ min: 1, max: 500000 }),
+    body('removeAssets').optional().custom(value => [].concat(value).every(asset => ['background', 'logo', 'signature'].includes(asset)))
+        .withMessage('removeAssets may only contain background, logo or signature'),
+    ...templateValidation,
+    certificateController.createTemplateVersion
+);
+
+router.delete('/templates/:templateId',
+    authMiddleware.requireOrganizer,
+    templateIdParam,
+    certificateController.archiveCertificateTemplate
+);
+
+// Bulk generation runs on the certificate queue; recipients default to
+// attendees who have no certificate yet
+router.post('/events/:eventId/bulk',
+    param('eventId').isMongoId().withMessage('Valid event ID is required'),
+    authMiddleware.canManageEvent,
+    body('recipients').optional().isArray({ max: 5000 }),
+    body('recipients.*.userId').isMongoId().withMessage('Valid user ID is required'),
+    body('recipients.*.customData').optional().isObject(),
+    body('certificateData').optional().isObject(),
+    body('certificateData.type').optional().isIn(['participation', 'completion', 'achievement', 'excellence']),
+    certificateController.bulkGenerateCertificates
+);
+
+router.get('/batches/:batchId',
+    authMiddleware.requireOrganizer,
+    param('batchId').isMongoId().withMessage('Valid batch ID is required'),
+    certificateController.getCertificateBatch
+);
+
+// Full ledger integrity check
+router.get('/ledger/verify',
+    authMiddleware.requireAdmin,
+    certificateController.verifyLedger
+);
+
+// Export a certificate as an Open Badges 3.0 credential
+router.get('/:certificateId/credential',
+    param('certificateId').isMongoId().withMessage('Valid certificate ID is required'),
+    query('format').optional().isIn(['json', 'jwt']),
+    credentialController.exportCredential
+);
+
+// Per-event template selection
+router.put('/events/:eventId/template',
+    param('eventId').isMongoId().withMessage('Valid event ID is required'),
+    authMiddleware.canManageEvent,
+    body('templateId').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+    body('version').optional({ nullable: true }).isInt({ min: 1 }),
+    certificateController.updateCertificateTemplate
+);
+
+module.exports = router;
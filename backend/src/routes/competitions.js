@@ -0,0 +1,94 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const competitionController = require('../controllers/events/competitionController');
+const authMiddleware = require('../middleware/auth');
+const router = express.Router();
+
+const eventIdParam = param('eventId').isMongoId().withMessage('Valid event ID is required');
+
+router.use(authMiddleware.authenticate);
+
+// Setup and judge panel (organizers and judges)
+router.get('/events/:eventId',
+    eventIdParam,
+    competitionController.getCompetition
+);
+
+router.put('/events/:eventId',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    body('rubric').optional().isArray({ min: 1, max: 20 }),
+    body('rubric.*.key').trim().matches(/^[a-zA-Z0-9_-]{1,50}$/).withMessage('Criterion key may only contain letters, numbers, _ and -'),
+    body('rubric.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('Criterion name is required'),
+    body('rubric.*.description').optional().isLength({ max: 500 }),
+    body('rubric.*.weight').isFloat({ min: 0 }).withMessage('Criterion weight must be a non-negative number'),
+    body('rubric.*.maxScore').optional().isFloat({ min: 1 }),
+    body('normalization').optional().isIn(['none', 'zscore']),
+    body('awards').optional().isArray({ max: 20 }),
+    body('awards.*.fromRank').isInt({ min: 1 }),
+    body('awards.*.toRank').isInt({ min: 1 }),
+    body('awards.*.type').isIn(['achievement', 'excellence']),
+    body('awards.*.label').trim().isLength({ min: 1, max: 100 }),
+    competitionController.setupCompetition
+);
+
+// Judge panel
+router.post('/events/:eventId/judges',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    body('judgeIds').isArray({ min: 1, max: 50 }).withMessage('Judge IDs must be an array of 1-50 items'),
+    body('judgeIds.*').isMongoId().withMessage('Valid judge IDs are required'),
+    competitionController.assignJudges
+);
+
+router.delete('/events/:eventId/judges/:judgeId',
+    eventIdParam,
+    param('judgeId').isMongoId().withMessage('Valid judge ID is required'),
+    authMiddleware.canManageEvent,
+    competitionController.removeJudge
+);
+
+// Judging: score sheet, recusals and score entry
+router.get('/events/:eventId/assignments',
+    eventIdParam,
+    competitionController.getJudgeAssignments
+);
+
+// Judges recuse themselves; organizers may record a recusal for a judge
+router.post('/events/:eventId/recusals',
+    eventIdParam,
+    body('registrationId').isMongoId().withMessage('Valid registration ID is required'),
+    body('judgeId').optional().isMongoId(),
+    body('reason').optional().isLength({ max: 500 }),
+    competitionController.recordRecusal
+);
+
+router.put('/events/:eventId/scores/:registrationId',
+    eventIdParam,
+    param('registrationId').isMongoId().withMessage('Valid registration ID is required'),
+    body('scores').isArray({ min: 1, max: 20 }).withMessage('Scores are required'),
+    body('scores.*.criterion').isString().notEmpty(),
+    body('scores.*.value').isFloat({ min: 0 }).withMessage('Score values must be non-negative numbers'),
+    body('comment').optional().isLength({ max: 2000 }),
+    competitionController.submitScore
+);
+
+// Results
+router.get('/events/:eventId/leaderboard',
+    eventIdParam,
+    competitionController.getLeaderboard
+);
+
+router.post('/events/:eventId/finalize',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    competitionController.finalizeCompetition
+);
+
+router.post('/events/:eventId/awards',
+    eventIdParam,
+    authMiddleware.canManageEvent,
+    competitionController.issueAwardCertificates
+);
+
+module.exports = router;
@@ -2,10 +2,39 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const eventController = require('../controllers/events/eventController');
 const registrationController = require('../controllers/events/registrationController');
+const refundController = require('../controllers/events/refundController');
+const groupRegistrationController = require('../controllers/events/groupRegistrationController');
+const sessionRegistrationController = require('../controllers/events/sessionRegistrationController');
 const authMiddleware = require('../middleware/auth');
-const upload = require('../middleware/upload');
+const attendanceService = require('../services/events/attendanceService');
+const { upload } = require('../middleware/upload');
+const Validators = require('../utils/validators');
 const router = express.Router();
 
+// Registration routes carry no event ID; resolve it from the registration
+const canManageRegistrationEvent = authMiddleware.canManageEventOf(
+    req => attendanceService.getRegistrationEventId(req.params.regId)
+);
+
+// Multipart registration forms send nested values as JSON strings
+const parseJsonField = value => {
+    if (typeof value !== 'string') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+const customFieldDefinitions = fields => {
+    const result = Validators.validateCustomFieldDefinitions(fields);
+    if (!result.isValid) {
+        throw new Error(result.errors[0].message);
+    }
+    return true;
+};
+
 // Event validation rules
 const createEventValidation = [
     body('title').notEmpty().withMessage('Title is required').isLength({ max: 200 }),
@@ -18,6 +47,41 @@ const createEventValidation = [
     body('location.type').isIn(['physical', 'online', 'hybrid']).withMessage('Invalid location type'),
     body('registration.maxParticipants').isInt({ min: 1 }).withMessage('Max participants must be at least 1'),
     body('category').isMongoId().withMessage('Valid category ID is required'),
+    body('settings.refundRules.tiers').optional().isArray(),
+    body('settings.refundRules.tiers.*.daysBeforeEvent').optional().isInt({ min: 0 }),
+    body('settings.refundRules.tiers.*.refundPercent').optional().isFloat({ min: 0, max: 100 }),
+    body('registration.groupRegistration.minSize').optional().isInt({ min: 2 }),
+    body('registration.groupRegistration.maxSize').optional().isInt({ min: 2, max: 50 }),
+    body('registration.waitlistClaimHours').optional().isInt({ min: 0, max: 168 }),
+    body('registration.sessionSelection.enabled').optional().isBoolean(),
+    body('qrCodeSettings.mode').optional().isIn(['static', 'rotating']),
+    body('qrCodeSettings.rotationSeconds').optional().isInt({ min: 10, max: 300 }),
+    body('qrCodeSettings.clockSkewSteps').optional().isInt({ min: 0, max: 5 }),
+    body('selfCheckIn.enabled').optional().isBoolean(),
+    body('selfCheckIn.radiusMeters').optional().isInt({ min: 20, max: 5000 }),
+    body('selfCheckIn.requirePin').optional().isBoolean(),
+    body('selfCheckIn.pinRotationSeconds').optional().isInt({ min: 30, max: 600 }),
+    body('selfCheckIn.pinSecret').not().exists().withMessage('selfCheckIn.pinSecret cannot be set'),
+    body('staff').optional().isArray({ max: 200 }).withMessage('Staff must be an array of at most 200 entries'),
+    body('staff.*.user').isMongoId().withMessage('Valid staff user ID is required'),
+    body('staff.*.role').isIn(['volunteer', 'speaker']).withMessage('Staff role must be volunteer or speaker'),
+    body('staff.*.hours').optional().isFloat({ min: 0, max: 1000 }),
+    body('targetAudience.years.*').optional().isInt({ min: 1, max: 6 }),
+    body('targetAudience.minGPA').optional().isFloat({ min: 0, max: 4 }),
+    body('targetAudience.prerequisites').optional().isArray({ max: 10 }),
+    body('targetAudience.restrictions').optional().isArray(),
+    body('registration.approvalRules').optional().isArray({ max: 20 }),
+    body('registration.approvalRules.*.name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('registration.approvalRules.*.match').optional().isIn(['all', 'any']),
+    body('registration.approvalRules.*.conditions').optional().isArray({ min: 1, max: 10 }),
+    body('registration.approvalRules.*.conditions.*.attribute').optional().isIn(['student.faculty', 'student.department', 'student.major', 'student.year', 'student.gpa', 'attendedEvents', 'customField']),
+    body('registration.approvalRules.*.conditions.*.operator').optional().isIn(['equals', 'not_equals', 'in', 'not_in', 'gte', 'lte', 'in_target_audience']),
+    body('registration.customFields').optional().isArray().custom(customFieldDefinitions),
+    body('registration.customFields.*.type').optional().isIn(['text', 'textarea', 'number', 'date', 'select', 'multiselect', 'file', 'checkbox', 'radio']),
+    body('registration.customFields.*.showIf.operator').optional().isIn(['equals', 'not_equals', 'in', 'includes', 'answered']),
+    body('registration.customFields.*.rules.maxFileSizeMB').optional().isFloat({ min: 0, max: 20 }),
+    body('schedule.sessions').optional().isArray(),
+    body('schedule.sessions.*.capacity').optional().isInt({ min: 1 }),
     body('eventType').isIn(['workshop', 'seminar', 'conference', 'competition', 'social', 'career', 'academic', 'sports', 'volunteer', 'cultural'])
 ];
 
@@ -31,15 +95,69 @@ const updateEventValidation = [
     body('location.type').optional().isIn(['physical', 'online', 'hybrid']),
     body('registration.maxParticipants').optional().isInt({ min: 1 }),
     body('category').optional().isMongoId(),
+    body('settings.refundRules.tiers').optional().isArray(),
+    body('settings.refundRules.tiers.*.daysBeforeEvent').optional().isInt({ min: 0 }),
+    body('settings.refundRules.tiers.*.refundPercent').optional().isFloat({ min: 0, max: 100 }),
+    body('registration.groupRegistration.minSize').optional().isInt({ min: 2 }),
+    body('registration.groupRegistration.maxSize').optional().isInt({ min: 2, max: 50 }),
+    body('registration.waitlistClaimHours').optional().isInt({ min: 0, max: 168 }),
+    body('registration.sessionSelection.enabled').optional().isBoolean(),
+    body('qrCodeSettings.mode').optional().isIn(['static', 'rotating']),
+    body('qrCodeSettings.rotationSeconds').optional().isInt({ min: 10, max: 300 }),
+    body('qrCodeSettings.clockSkewSteps').optional().isInt({ min: 0, max: 5 }),
+    body('selfCheckIn.enabled').optional().isBoolean(),
+    body('selfCheckIn.radiusMeters').optional().isInt({ min: 20, max: 5000 }),
+    body('selfCheckIn.requirePin').optional().isBoolean(),
+    body('selfCheckIn.pinRotationSeconds').optional().isInt({ min: 30, max: 600 }),
+    body('selfCheckIn.pinSecret').not().exists().withMessage('selfCheckIn.pinSecret cannot be set'),
+    body('staff').optional().isArray({ max: 200 }).withMessage('Staff must be an array of at most 200 entries'),
+    body('staff.*.user').isMongoId().withMessage('Valid staff user ID is required'),
+    body('staff.*.role').isIn(['volunteer', 'speaker']).withMessage('Staff role must be volunteer or speaker'),
+    body('staff.*.hours').optional().isFloat({ min: 0, max: 1000 }),
+    body('targetAudience.years.*').optional().isInt({ min: 1, max: 6 }),
+    body('targetAudience.minGPA').optional().isFloat({ min: 0, max: 4 }),
+    body('targetAudience.prerequisites').optional().isArray({ max: 10 }),
+    body('targetAudience.restrictions').optional().isArray(),
+    body('registration.approvalRules').optional().isArray({ max: 20 }),
+    body('registration.approvalRules.*.name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('registration.approvalRules.*.match').optional().isIn(['all', 'any']),
+    body('registration.approvalRules.*.conditions').optional().isArray({ min: 1, max: 10 }),
+    body('registration.approvalRules.*.conditions.*.attribute').optional().isIn(['student.faculty', 'student.department', 'student.major', 'student.year', 'student.gpa', 'attendedEvents', 'customField']),
+    body('registration.approvalRules.*.conditions.*.operator').optional().isIn(['equals', 'not_equals', 'in', 'not_in', 'gte', 'lte', 'in_target_audience']),
+    body('registration.customFields').optional().isArray().custom(customFieldDefinitions),
+    body('registration.customFields.*.type').optional().isIn(['text', 'textarea', 'number', 'date', 'select', 'multiselect', 'file', 'checkbox', 'radio']),
+    body('registration.customFields.*.showIf.operator').optional().isIn(['equals', 'not_equals', 'in', 'includes', 'answered']),
+    body('registration.customFields.*.rules.maxFileSizeMB').optional().isFloat({ min: 0, max: 20 }),
+    body('schedule.sessions').optional().isArray(),
+    body('schedule.sessions.*.capacity').optional().isInt({ min: 1 }),
     body('eventType').optional().isIn(['workshop', 'seminar', 'conference', 'competition', 'social', 'career', 'academic', 'sports', 'volunteer', 'cultural'])
 ];
 
 // Registration validation rules
 const registerValidation = [
-    body('customFields').optional().isArray(),
-    body('accommodations').optional().isObject(),
-    body('emergencyContact').optional().isObject(),
-    body('couponCode').optional().isString().isLength({ max: 50 })
+    body('customFields').optional().customSanitizer(parseJsonField).isArray(),
+    body('customFields.*.fieldName').optional().isString(),
+    body('accommodations').optional().customSanitizer(parseJsonField).isObject(),
+    body('emergencyContact').optional().customSanitizer(parseJsonField).isObject(),
+    body('couponCode').optional().isString().isLength({ max: 50 }),
+    body('paymentMethod').optional().isIn(['vnpay', 'momo']),
+    body('sessions').optional().customSanitizer(parseJsonField).isArray(),
+    body('sessions.*').optional().isMongoId()
+];
+
+const groupMemberValidation = [
+    body('email').optional().isEmail().normalizeEmail(),
+    body('studentId').optional().isString().trim().isLength({ max: 20 }),
+    body('name').optional().isString().isLength({ max: 100 })
+];
+
+const registerGroupValidation = [
+    ...registerValidation,
+    body('groupName').optional().isString().trim().isLength({ max: 100 }),
+    body('members').customSanitizer(parseJsonField).isArray({ min: 1, max: 50 }).withMessage('Members array is required'),
+    body('members.*.email').optional().isEmail().normalizeEmail(),
+    body('members.*.studentId').optional().isString().trim().isLength({ max: 20 }),
+    body('members.*.name').optional().isString().isLength({ max: 100 })
 ];
 
 // Public routes (no authentication required)
@@ -181,14 +299,59 @@ router.get('/recommendations/for-me',
 
 // REGISTRATION ROUTES
 
+// Registration eligibility (current user) and audience preview (organizers)
+router.get('/:id/eligibility',
+    param('id').isMongoId().withMessage('Valid event ID is required'),
+    registrationController.checkEligibility
+);
+router.get('/:id/eligibility/preview',
+    param('id').isMongoId().withMessage('Valid event ID is required'),
+    authMiddleware.canManageEvent,
+    registrationController.previewEligibility
+);
+
+// Registration form (custom fields)
+router.get('/:id/registration-form',
+    param('id').isMongoId().withMessage('Valid event ID is required'),
+    registrationController.getRegistrationForm
+);
+
 // Register for event
 router.post('/:id/register',
     param('id').isMongoId().withMessage('Valid event ID is required'),
     authMiddleware.canRegisterForEvent,
+    upload.any('registrationFile'),
     registerValidation,
     registrationController.registerForEvent
 );
 
+// Register a group (leader registers, members accept by invite link)
+router.post('/:id/register/group',
+    param('id').isMongoId().withMessage('Valid event ID is required'),
+    authMiddleware.canRegisterForEvent,
+    upload.any('registrationFile'),
+    registerGroupValidation,
+    groupRegistrationController.registerGroup
+);
+
+router.post('/group-invitations/:token/accept',
+    param('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+    groupRegistrationController.acceptInvitation
+);
+
+router.post('/group-invitations/:token/decline',
+    param('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+    groupRegistrationController.declineInvitation
+);
+
+// Price quote before registering
+router.get('/:id/pricing/quote',
+    param('id').isMongoId().withMessage('Valid event ID is required'),
+    query('couponCode').optional().isString().isLength({ max: 50 }),
+    query('groupSize').optional().isInt({ min: 1, max: 100 }),
+    registrationController.getPriceQuote
+);
+
 // Get event registrations (for organizers)
 router.get('/:id/registrations',
     param('id').isMongoId().withMessage('Valid event ID is required'),
@@ -225,21 +388,92 @@ router.post('/registrations/:regId/cancel',
     registrationController.cancelRegistration
 );
 
+// Group roster
+router.get('/registrations/:regId/group',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    groupRegistrationController.getGroupRegistration
+);
+
+router.put('/registrations/:regId/group/members/:memberId',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    param('memberId').isMongoId().withMessage('Valid member ID is required'),
+    groupMemberValidation,
+    groupRegistrationController.replaceMember
+);
+
+// Refunds
+router.get('/registrations/:regId/refund/estimate',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    refundController.getRefundEstimate
+);
+
+router.get('/refunds/queue',
+    authMiddleware.requireOrganizer,
+    query('status').optional().isIn(['pending_approval', 'approved', 'rejected', 'processed', 'failed']),
+    query('eventId').optional().isMongoId(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    refundController.getRefundQueue
+);
+
+router.post('/registrations/:regId/refund/approve',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    body('amount').optional().isFloat({ min: 0 }).toFloat(),
+    body('note').optional().isString().isLength({ max: 500 }),
+    refundController.approveRefund
+);
+
+router.post('/registrations/:regId/refund/reject',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    body('note').notEmpty().withMessage('Rejection note is required').isLength({ max: 500 }),
+    refundController.rejectRefund
+);
+
 // Check-in
 router.post('/registrations/:regId/checkin',
     param('regId').isMongoId().withMessage('Valid registration ID is required'),
     body('method').optional().isIn(['manual', 'qr_code', 'nfc', 'mobile_app']),
     body('location').optional().isObject(),
+    authMiddleware.requireOrganizer,
+    canManageRegistrationEvent,
     registrationController.checkInUser
 );
 
+// Session availability, selection and check-in
+router.get('/:id/sessions/availability',
+    param('id').isMongoId().withMessage('Valid event ID is required'),
+    sessionRegistrationController.getSessionAvailability
+);
+router.put('/registrations/:regId/sessions',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    body('sessions').isArray().withMessage('Sessions array is required'),
+    body('sessions.*').isMongoId().withMessage('Valid session ID is required'),
+    sessionRegistrationController.updateSessionSelection
+);
+router.post('/registrations/:regId/sessions/:sessionId/checkin',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    param('sessionId').isMongoId().withMessage('Valid session ID is required'),
+    body('method').optional().isIn(['manual', 'qr_code', 'nfc', 'mobile_app']),
+    body('location').optional().isObject(),
+    authMiddleware.requireOrganizer,
+    canManageRegistrationEvent,
+    sessionRegistrationController.checkInSession
+);
+
 // Check-in by QR code
 router.post('/checkin/qr',
     body('qrCode').notEmpty().withMessage('QR code is required'),
     body('location').optional().isObject(),
+    authMiddleware.requireOrganizer,
     registrationController.checkInByQRCode
 );
 
+// Attendee's check-in QR code (rotating events return a short-lived code)
+router.get('/registrations/:regId/qr-code',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    registrationController.getCheckInQRCode
+);
+
 // Get registration details
 router.get('/registrations/:regId',
     param('regId').isMongoId().withMessage('Valid registration ID is required'),
@@ -250,6 +484,7 @@ router.get('/registrations/:regId',
 router.put('/registrations/:regId',
     param('regId').isMongoId().withMessage('Valid registration ID is required'),
     body('customFields').optional().isArray(),
+    body('customFieldsData').optional().isArray(),
     body('accommodations').optional().isObject(),
     body('emergencyContact').optional().isObject(),
     registrationController.updateRegistration
@@ -270,6 +505,25 @@ router.get('/:id/waitlist/position',
     registrationController.getWaitlistPosition
 );
 
+// Claim or decline a seat offered from the waitlist
+router.post('/registrations/:regId/waitlist/claim',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    body('paymentMethod').optional().isIn(['vnpay', 'momo']),
+    registrationController.claimWaitlistOffer
+);
+
+router.post('/registrations/:regId/waitlist/decline',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    registrationController.declineWaitlistOffer
+);
+
+// Re-run auto-approval rules on pending registrations (for organizers)
+router.post('/:id/approval-rules/apply',
+    param('id').isMongoId().withMessage('Valid event ID is required'),
+    authMiddleware.canManageEvent,
+    registrationController.applyApprovalRules
+);
+
 // Process waitlist (for organizers)
 router.post('/:id/waitlist/process',
     param('id').isMongoId().withMessage('Valid event ID is required'),
@@ -0,0 +1,14 @@
+const express = require('express');
+const { query } = require('express-validator');
+const fileController = require('../controllers/files/fileController');
+const router = express.Router();
+
+// Private uploads are shared through signed, expiring links (organizer
+// exports carry them), so the link itself is the credential
+router.get('/secure/:filePath',
+    query('expires').isInt().withMessage('Link expiry is required'),
+    query('signature').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Link signature is required'),
+    fileController.downloadSecureFile
+);
+
+module.exports = router;
@@ -16,6 +16,12 @@ const adminRoutes = require('./admin');
 const notificationRoutes = require('./notifications');
 const reportRoutes = require('./reports');
 const searchRoutes = require('./search');
+const paymentRoutes = require('./payments');
+const attendanceRoutes = require('./attendance');
+const certificateRoutes = require('./certificates');
+const competitionRoutes = require('./competitions');
+const transcriptRoutes = require('./transcripts');
+const fileRoutes = require('./files');
 
 // API Version and Info
 router.get('/', (req, res) => {
@@ -31,7 +37,12 @@ router.get('/', (req, res) => {
             admin: '/api/admin',
             notifications: '/api/notifications',
             reports: '/api/reports',
-            search: '/api/search'
+            search: '/api/search',
+            payments: '/api/payments',
+            attendance: '/api/attendance',
+            certificates: '/api/certificates',
+            competitions: '/api/competitions',
+            transcripts: '/api/transcripts'
         },
         status: 'active'
     });
@@ -233,6 +244,31 @@ router.get('/docs', (req, res) => {
                 path: '/search',
                 methods: ['GET'],
                 description: 'Search functionality'
+            },
+            {
+                path: '/payments',
+                methods: ['GET', 'POST'],
+                description: 'Registration payments and gateway callbacks'
+            },
+            {
+                path: '/attendance',
+                methods: ['GET', 'POST', 'PUT'],
+                description: 'Event check-in/out, session attendance and attendance reports'
+            },
+            {
+                path: '/certificates',
+                methods: ['GET', 'POST', 'PUT', 'DELETE'],
+                description: 'Certificate templates, bulk generation, verification, status registry, ledger proofs and Open Badges export'
+            },
+            {
+                path: '/competitions',
+                methods: ['GET', 'POST', 'PUT', 'DELETE'],
+                description: 'Competition judging: rubrics, judge panels, scoring, leaderboards and placement awards'
+            },
+            {
+                path: '/transcripts',
+                methods: ['GET'],
+                description: 'Co-curricular transcript, activity and certificate records, and public transcript verification'
             }
         ],
         authentication: {
@@ -256,6 +292,12 @@ router.use('/admin', adminRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/reports', reportRoutes);
 router.use('/search', searchRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/attendance', attendanceRoutes);
+router.use('/certificates', certificateRoutes);
+router.use('/competitions', competitionRoutes);
+router.use('/transcripts', transcriptRoutes);
+router.use('/files', fileRoutes);
 
 // 404 handler for unknown API routes
 router.use('*', (req, res) => {
@@ -272,7 +314,12 @@ router.use('*', (req, res) => {
             '/api/admin',
             '/api/notifications',
             '/api/reports',
-            '/api/search'
+            '/api/search',
+            '/api/payments',
+            '/api/attendance',
+            '/api/certificates',
+            '/api/competitions',
+            '/api/transcripts'
         ]
     });
 });
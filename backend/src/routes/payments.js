@@ -0,0 +1,33 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const paymentController = require('../controllers/events/paymentController');
+const authMiddleware = require('../middleware/auth');
+const router = express.Router();
+
+const providerValidation = param('provider').isIn(['vnpay', 'momo']).withMessage('Unsupported payment provider');
+
+// Gateway callbacks (called by VNPay/MoMo, no authentication)
+router.get('/vnpay/ipn', paymentController.handleVNPayIpn);
+router.post('/momo/ipn', paymentController.handleMoMoIpn);
+router.get('/:provider/return', providerValidation, paymentController.handleReturn);
+
+// Local fake gateway (only active when PAYMENT_GATEWAY_MODE=fake)
+router.get('/fake/:provider', providerValidation, paymentController.fakeGateway);
+
+// Protected routes (authentication required)
+router.use(authMiddleware.authenticate);
+
+router.post('/registrations/:regId',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    body('method').optional().isIn(['vnpay', 'momo']).withMessage('Invalid payment method'),
+    body('returnUrl').optional().isURL({ require_tld: false }),
+    body('cancelUrl').optional().isURL({ require_tld: false }),
+    paymentController.createPayment
+);
+
+router.get('/registrations/:regId/status',
+    param('regId').isMongoId().withMessage('Valid registration ID is required'),
+    paymentController.getPaymentStatus
+);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const authMiddleware = require('../middleware/auth');
 const reportsController = require('../controllers/reports/reportsController');
 const analyticsController = require('../controllers/reports/analyticsController');
 const exportController = require('../controllers/reports/exportController');
+const refundController = require('../controllers/events/refundController');
 const router = express.Router();
 
 // All report routes require authentication
@@ -15,14 +16,8 @@ router.get('/dashboard',
     reportsController.getDashboardReport
 );
 
-// Personal Reports (for students)
-router.get('/my/activity',
-    authMiddleware.requireStudent,
-    query('timeframe').optional().isIn(['30d', '90d', '1y']),
-    query('format').optional().isIn(['json', 'pdf']),
-    reportsController.getPersonalActivityReport
-);
-
+// Personal Reports (for students); activity, certificates and the
+// transcript are served by routes/transcripts.js
 router.get('/my/events',
     authMiddleware.requireStudent,
     query('timeframe').optional().isIn(['30d', '90d', '1y']),
@@ -31,12 +26,6 @@ router.get('/my/events',
     reportsController.getPersonalEventsReport
 );
 
-router.get('/my/certificates',
-    authMiddleware.requireStudent,
-    query('format').optional().isIn(['json', 'pdf']),
-    reportsController.getPersonalCertificatesReport
-);
-
 // Organizer Reports
 router.get('/organizer/events',
     authMiddleware.requireOrganizer,
@@ -365,8 +354,9 @@ router.get('/financial/transactions',
 router.get('/financial/refunds',
     authMiddleware.requireModerator,
     query('timeframe').optional().isIn(['30d', '90d', '6m', '1y']),
+    query('eventId').optional().isMongoId(),
     query('format').optional().isIn(['json', 'xlsx']),
-    reportsController.getRefundsReport
+    refundController.getRefundsReport
 );
 
 // Attendance Reports
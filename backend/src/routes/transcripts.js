@@ -0,0 +1,32 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const transcriptController = require('../controllers/reports/transcriptController');
+const router = express.Router();
+
+// Public transcript verification (linked from the QR code on the PDF)
+router.get('/verify/:verificationCode',
+    param('verificationCode').isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Valid verification code is required'),
+    transcriptController.verifyTranscript
+);
+
+// Own transcript and the records it is built from. Students who organize
+// events may hold the organizer role.
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.requireRole(['student', 'organizer', 'admin']));
+
+router.get('/my',
+    query('format').optional().isIn(['json', 'pdf']),
+    transcriptController.getMyTranscript
+);
+
+router.get('/my/activity',
+    query('timeframe').optional().isIn(['30d', '90d', '1y']),
+    transcriptController.getMyActivity
+);
+
+router.get('/my/certificates',
+    transcriptController.getMyCertificates
+);
+
+module.exports = router;
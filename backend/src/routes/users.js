@@ -5,6 +5,7 @@ const upload = require('../middleware/upload');
 const userController = require('../controllers/users/userController');
 const profileController = require('../controllers/users/profileController');
 const socialController = require('../controllers/users/socialController');
+const trainingPointController = require('../controllers/users/trainingPointController');
 const router = express.Router();
 
 // Profile validation rules
@@ -31,6 +32,12 @@ const updateProfileValidation = [
     body('organizer.contactInfo').optional().isObject()
 ];
 
+// Training point statement filters
+const pointsPeriodValidation = [
+    query('academicYear').optional().matches(/^\d{4}-\d{4}$/).withMessage('Academic year must look like 2025-2026'),
+    query('semester').optional().isIn(['fall', 'spring', 'summer'])
+];
+
 // All user routes require authentication
 router.use(authMiddleware.authenticate);
 
@@ -857,14 +864,25 @@ router.delete('/subscriptions/newsletter',
 
 // User Points and Gamification
 router.get('/points',
-    userController.getUserPoints
+    ...pointsPeriodValidation,
+    trainingPointController.getUserPoints
 );
 
 router.get('/points/history',
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('type').optional().isString(),
-    userController.getPointsHistory
+    query('type').optional().isIn(['credit', 'reversal']),
+    ...pointsPeriodValidation,
+    trainingPointController.getPointsHistory
+);
+
+router.get('/points/export',
+    authMiddleware.requireRole(['admin', 'moderator']),
+    query('academicYear').matches(/^\d{4}-\d{4}$/).withMessage('Academic year must look like 2025-2026'),
+    query('semester').isIn(['fall', 'spring', 'summer']).withMessage('Valid semester is required'),
+    query('faculty').optional().isLength({ max: 100 }),
+    query('format').optional().isIn(['xlsx', 'csv']),
+    trainingPointController.exportFacultyPoints
 );
 
 router.get('/leaderboard',
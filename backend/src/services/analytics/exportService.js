@@ -0,0 +1,118 @@
+const XLSX = require('xlsx');
+const registrationFormService = require('../events/registrationFormService');
+const { ValidationError } = require('../../utils/errors');
+
+class ExportService {
+    constructor() {
+        this.contentTypes = {
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            csv: 'text/csv; charset=utf-8'
+        };
+    }
+
+    getContentType(format) {
+        return this.contentTypes[format] || 'application/octet-stream';
+    }
+
+    // Registrations as a spreadsheet, one column per custom form field
+    async exportRegistrations(registrations, format = 'xlsx', options = {}) {
+        const columns = registrationFormService.getExportColumns(options.customFields || []);
+
+        const rows = registrations.map(registration => {
+            const user = registration.user || {};
+
+            return {
+                'Registration Number': registration.registrationNumber,
+                'Full Name': user.profile ? user.profile.fullName : '',
+                'Email': user.email || '',
+                'Student ID': user.student ? user.student.studentId : '',
+                'Status': registration.status,
+                'Type': registration.registrationType,
+                'Registered At': registration.registrationDate,
+                'Payment Status': registration.payment ? registration.payment.status : '',
+                'Amount': registration.payment ? registration.payment.finalAmount : 0,
+                'Checked In': registration.attendance && registration.attendance.checkedIn ? 'Yes' : 'No',
+                ...registrationFormService.getExportValues(columns, registration.customFieldsData)
+            };
+        });
+
+        return this.toBuffer(rows, 'Registrations', format);
+    }
+
+    async exportAttendance(attendance, format = 'xlsx') {
+        const rows = attendance.map(record => {
+            const user = record.user || {};
+
+            return {
+                'Registration Number': record.registration ? record.registration.registrationNumber : '',
+                'Full Name': user.profile ? user.profile.fullName : '',
+                'Email': user.email || '',
+                'Student ID': user.student ? user.student.studentId : '',
+                'Check-in Time': record.checkIn.timestamp,
+                'Check-in Method': record.checkIn.method,
+                'Check-out Time': record.checkOut && record.checkOut.timestamp ? record.checkOut.timestamp : '',
+                'Duration (min)': record.totalDuration,
+                'Attendance Rate (%)': record.attendanceRate,
+                'Status': record.status,
+                'Late (min)': record.lateArrival.isLate ? record.lateArrival.minutesLate : 0,
+                'Left Early (min)': record.earlyLeave.isEarlyLeave ? record.earlyLeave.minutesEarly : 0,
+                'Sessions Attended': record.sessions.length,
+                'Certificate Eligible': record.certificateEligible ? 'Yes' : 'No'
+            };
+        });
+
+        return this.toBuffer(rows, 'Attendance', format);
+    }
+
+    // One row per student with points per criterion, in the column layout
+    // the academic system imports
+    async exportTrainingPoints(report, format = 'xlsx') {
+        const rows = report.map(row => {
+            const user = row.user || {};
+
+            return {
+                'Student ID': user.student ? user.student.studentId : '',
+                'Full Name': user.profile ? `${user.profile.firstName} ${user.profile.lastName}` : '',
+                'Email': user.email || '',
+                'Faculty': user.student ? user.student.faculty : '',
+                'Major': user.student ? user.student.major : '',
+                'Academic Year': row.academicYear,
+                'Semester': row.semester,
+                ...Object.fromEntries(Object.entries(row.categories).map(([category, { points }]) => [
+                    `${category.charAt(0).toUpperCase()}${category.slice(1)}`,
+                    points
+                ])),
+                'Total': row.total
+            };
+        });
+
+        return this.toBuffer(rows, 'Training Points', format);
+    }
+
+    toBuffer(rows, sheetName, format) {
+        if (!this.contentTypes[format]) {
+            throw new ValidationError(`Export format "${format}" is not supported`);
+        }
+
+        const safeRows = rows.map(row => Object.fromEntries(
+            Object.entries(row).map(([header, value]) => [header, this.escapeCell(value)])
+        ));
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(safeRows), sheetName);
+
+        return XLSX.write(workbook, { type: 'buffer', bookType: format });
+    }
+
+    // Text that a spreadsheet would read as a formula (attendee answers,
+    // names) is kept as text with a leading quote
+    escapeCell(value) {
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+            return `'${value}`;
+        }
+
+        return value;
+    }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const Attendance = require('../../models/Attendance');
+const Event = require('../../models/Event');
+const Certificate = require('../../models/Certificate');
+const User = require('../../models/User');
+const Transcript = require('../../models/Transcript');
+const attendanceService = require('../events/attendanceService');
+const trainingPointService = require('../events/trainingPointService');
+const qrCodeService = require('../qrCodeService');
+const browserPool = require('../../utils/browserPool');
+const logger = require('../../utils/logger');
+const { NotFoundError } = require('../../utils/errors');
+
+const ROLE_LABELS = {
+    attendee: 'Tham dự',
+    organizer: 'Ban tổ chức',
+    volunteer: 'Tình nguyện viên',
+    speaker: 'Diễn giả'
+};
+
+const SEMESTER_LABELS = {
+    fall: 'Học kỳ 1',
+    spring: 'Học kỳ 2',
+    summer: 'Học kỳ hè'
+};
+
+const CATEGORY_LABELS = {
+    academic: 'Học tập',
+    discipline: 'Chấp hành nội quy',
+    social: 'Hoạt động chính trị - xã hội, văn hóa, thể thao',
+    community: 'Quan hệ cộng đồng',
+    leadership: 'Công tác cán bộ, đoàn thể'
+};
+
+// Events that count towards a transcript once they are over
+const COUNTED_EVENT_FILTER = { status: { $nin: ['draft', 'cancelled'] } };
+
+const TIMEFRAMES = {
+    '30d': 30 * 24 * 60 * 60 * 1000,
+    '90d': 90 * 24 * 60 * 60 * 1000,
+    '1y': 365 * 24 * 60 * 60 * 1000
+};
+
+// Co-curricular transcript: every event a student attended, organized,
+// volunteered or spoke at, with hours, skills, training points and
+// certificates. Issued transcripts are frozen and signed so the PDF can be
+// checked through the public verify endpoint. Downloading an unchanged
+// transcript again returns the transcript already issued for it.
+class TranscriptService {
+    constructor() {
+        this.apiBaseUrl = `${process.env.BACKEND_URL || 'http://localhost:5000'}${process.env.API_PREFIX || '/api/v1'}`;
+    }
+
+    // Current transcript content for a student, not yet issued
+    async buildTranscript(userId) {
+        try {
+            const user = await User.findById(userId)
+                .select('profile.firstName profile.lastName student.studentId student.faculty student.major');
+
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            const [activities, trainingPoints, certificates] = await Promise.all([
+                this.getActivities(userId),
+                trainingPointService.getStatement(userId),
+                this.getCertificates(userId)
+            ]);
+
+            // JSON round trip so the content hashes the same before and after
+            // storage. No timestamp: unchanged records give the same hash.
+            return JSON.parse(JSON.stringify({
+                student: {
+                    name: `${user.profile.firstName} ${user.profile.lastName}`,
+                    studentId: user.student && user.student.studentId,
+                    faculty: user.student && user.student.faculty,
+                    major: user.student && user.student.major
+                },
+                activities,
+                totals: this.getTotals(activities),
+                skills: this.getSkills(activities),
+                trainingPoints: trainingPoints.semesters,
+                certificates
+            }));
+        } catch (error) {
+            logger.error('Build transcript error:', error);
+            throw error;
+        }
+    }
+
+    // Activities in the timeframe, with their totals and skills
+    async getActivitySummary(userId, options = {}) {
+        try {
+            let activities = await this.getActivities(userId);
+
+            if (TIMEFRAMES[options.timeframe]) {
+                const from = new Date(Date.now() - TIMEFRAMES[options.timeframe]);
+                activities = activities.filter(activity => new Date(activity.startDate) >= from);
+            }
+
+            return {
+                activities,
+                totals: this.getTotals(activities),
+                skills: this.getSkills(activities)
+            };
+        } catch (error) {
+            logger.error('Get activity summary error:', error);
+            throw error;
+        }
+    }
+
+    // Issued certificates with their verification codes, newest first
+    async getCertificates(userId) {
+        const certificates = await Certificate.find({ user: userId, status: 'issued' })
+            .select('title eventTitle type issuedDate verificationCode')
+            .sort({ issuedDate: -1 });
+
+        return certificates.map(certificate => ({
+            title: certificate.title,
+            eventTitle: certificate.eventTitle,
+            type: certificate.type,
+            issuedDate: certificate.issuedDate,
+            verificationCode: certificate.verificationCode
+        }));
+    }
+
+    getTotals(activities) {
+        return {
+            events: new Set(activities.map(activity => activity.eventId)).size,
+            hours: Math.round(activities.reduce((total, activity) => total + activity.hours, 0) * 10) / 10
+        };
+    }
+
+    getSkills(activities) {
+        return [...new Set(activities.flatMap(activity => activity.skills))].sort();
+    }
+
+    // One entry per event and role, most recent first
+    async getActivities(userId) {
+        const now = new Date();
+        const eventFields = 'title eventType schedule rewards.skills';
+
+        const [attendance, organized, staffed] = await Promise.all([
+            Attendance.find({ user: userId, 'voided.isVoided': { $ne: true } })
+                .populate('event', eventFields)
+                .select('event totalDuration'),
+            Event.find({
+                ...COUNTED_EVENT_FILTER,
+                $or: [{ organizer: userId }, { coOrganizers: userId }],
+                'schedule.endDate': { $lte: now }
+            }).select(eventFields),
+            Event.find({
+                ...COUNTED_EVENT_FILTER,
+                'staff.user': userId,
+                'schedule.endDate': { $lte: now }
+            }).select(`${eventFields} staff`)
+        ]);
+
+        const activities = [];
+
+        attendance
+            .filter(record => record.event)
+            .forEach(record => activities.push(this.toActivity(record.event, 'attendee', record.totalDuration / 60)));
+
+        organized.forEach(event => activities.push(this.toActivity(event, 'organizer')));
+
+        staffed.forEach(event => {
+            event.staff
+                .filter(member => member.user.toString() === userId.toString())
+                .forEach(member => activities.push(this.toActivity(event, member.role, member.hours)));
+        });
+
+        return activities.sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+    }
+
+    // Hours default to the event's scheduled length
+    toActivity(event, role, hours) {
+        const scheduledHours = attendanceService.getExpectedDuration(event) / 60;
+
+        return {
+            eventId: event._id.toString(),
+            title: event.title,
+            eventType: event.eventType,
+            startDate: event.schedule.startDate,
+            endDate: event.schedule.endDate,
+            role,
+            hours: Math.round((hours != null ? hours : scheduledHours) * 10) / 10,
+            skills: (event.rewards && event.rewards.skills) || []
+        };
+    }
+
+    signContent(verificationCode, contentHash) {
+        return qrCodeService.generateSignature(`transcript:${verificationCode}:${contentHash}`);
+    }
+
+    hashContent(content) {
+        return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+    }
+
+    getVerificationUrl(verificationCode) {
+        return `${this.apiBaseUrl}/transcripts/verify/${verificationCode}`;
+    }
+
+    // Freeze and sign the current transcript. If the same content was
+    // issued before and not revoked, that transcript is returned instead; the
+    // upsert keeps parallel downloads from issuing two.
+    async issueTranscript(userId) {
+        const content = await this.buildTranscript(userId);
+        const contentHash = this.hashContent(content);
+        const filter = { user: userId, contentHash, status: 'issued' };
+        const verificationCode = crypto.randomBytes(8).toString('hex').toUpperCase();
+
+        try {
+            const transcript = await Transcript.findOneAndUpdate(
+                filter,
+                {
+                    $setOnInsert: {
+                        verificationCode,
+                        content,
+                        signature: this.signContent(verificationCode, contentHash),
+                        issuedAt: new Date()
+                    }
+                },
+                { upsert: true, new: true }
+            );
+
+            if (transcript.verificationCode === verificationCode) {
+                logger.info(`Transcript issued: ${verificationCode} for user ${userId}`);
+            }
+
+            return transcript;
+        } catch (error) {
+            // A parallel download inserted the same transcript first
+            if (error.code === 11000) {
+                return await Transcript.findOne(filter);
+            }
+
+            logger.error('Issue transcript error:', error);
+            throw error;
+        }
+    }
+
+    // Public check of an issued transcript: the stored content must still
+    // match its hash and signature
+    async verifyTranscript(verificationCode) {
+        try {
+            const transcript = await Transcript.findOne({ verificationCode: String(verificationCode).toUpperCase() });
+
+            if (!transcript) {
+                return null;
+            }
+
+            const contentHash = this.hashContent(transcript.content);
+            const expected = Buffer.from(this.signContent(transcript.verificationCode, contentHash));
+            const provided = Buffer.from(transcript.signature);
+
+            const signatureValid = contentHash === transcript.contentHash &&
+                expected.length === provided.length &&
+                crypto.timingSafeEqual(expected, provided);
+
+            if (!signatureValid) {
+                logger.security('Transcript signature mismatch', { verificationCode: transcript.verificationCode });
+            }
+
+            return {
+                valid: signatureValid && transcript.status === 'issued',
+                status: transcript.status,
+                signatureValid,
+                verificationCode: transcript.verificationCode,
+                issuedAt: transcript.issuedAt,
+                revokedAt: transcript.revokedAt,
+                content: transcript.content
+            };
+        } catch (error) {
+            logger.error('Verify transcript error:', error);
+            throw error;
+        }
+    }
+
+    async generatePDF(transcript) {
+        try {
+            const verificationUrl = this.getVerificationUrl(transcript.verificationCode);
+            const qrCode = await qrCodeService.generateQRCode(verificationUrl);
+            const html = this.renderHTML(transcript, verificationUrl, qrCode);
+
+            const pdfBuffer = await browserPool.withPage(async (page) => {
+                await page.setContent(html, { waitUntil: 'networkidle0' });
+
+                return page.pdf({
+                    format: 'A4',
+                    margin: {
+                        top: '0.6in',
+                        right: '0.5in',
+                        bottom: '0.6in',
+                        left: '0.5in'
+                    },
+                    printBackground: true
+                });
+            });
+
+            logger.info(`Transcript PDF generated: ${transcript.verificationCode}`);
+            return pdfBuffer;
+        } catch (error) {
+            logger.error('Generate transcript PDF error:', error);
+            throw error;
+        }
+    }
+
+    renderHTML(transcript, verificationUrl, qrCode) {
+        const { student, activities, totals, skills, trainingPoints, certificates } = transcript.content;
+        const escape = this.escapeHTML;
+        const formatDate = date => new Date(date).toLocaleDateString('vi-VN');
+
+        const activityRows = activities.map(activity => `
+            <tr>
+                <td>${escape(activity.title)}</td>
+                <td>${formatDate(activity.startDate)}</td>
+                <td>${ROLE_LABELS[activity.role] || escape(activity.role)}</td>
+                <td class="num">${activity.hours}</td>
+                <td>${escape(activity.skills.join(', '))}</td>
+            </tr>`).join('');
+
+        const pointRows = trainingPoints.map(semester => `
+            <tr>
+                <td>${escape(semester.academicYear)} - ${SEMESTER_LABELS[semester.semester] || escape(semester.semester)}</td>
+                ${Object.keys(CATEGORY_LABELS).map(category =>
+                    `<td class="num">${semester.categories[category] ? semester.categories[category].points : 0}</td>`).join('')}
+                <td class="num"><strong>${semester.total}</strong></td>
+            </tr>`).join('');
+
+        const certificateRows = certificates.map(certificate => `
+            <tr>
+                <td>${escape(certificate.title)}</td>
+                <td>${formatDate(certificate.issuedDate)}</td>
+                <td class="mono">${escape(certificate.verificationCode)}</td>
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="vi">
+<head>
+<meta charset="utf-8">
+<style>
+    body { font-family: 'Times New Roman', serif; font-size: 12px; color: #111; }
+    h1 { text-align: center; font-size: 18px; margin-bottom: 4px; }
+    h2 { font-size: 14px; margin: 18px 0 6px; border-bottom: 1px solid #999; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+    .num { text-align: right; }
+    .mono { font-family: monospace; }
+    .student td { border: none; padding: 2px 0; }
+    .footer { margin-top: 24px; display: flex; justify-content: space-between; align-items: flex-end; }
+    .footer img { width: 110px; height: 110px; }
+</style>
+</head>
+<body>
+    <h1>BẢNG GHI NHẬN HOẠT ĐỘNG NGOẠI KHÓA</h1>
+    <p style="text-align:center">Mã xác thực: <span class="mono">${escape(transcript.verificationCode)}</span></p>
+
+    <table class="student">
+        <tr><td>Họ và tên: <strong>${escape(student.name)}</strong></td><td>MSSV: ${escape(student.studentId || '')}</td></tr>
+        <tr><td>Khoa: ${escape(student.faculty || '')}</td><td>Ngành: ${escape(student.major || '')}</td></tr>
+        <tr><td>Tổng số sự kiện: ${totals.events}</td><td>Tổng số giờ: ${totals.hours}</td></tr>
+    </table>
+
+    <h2>Hoạt động</h2>
+    <table>
+        <tr><th>Sự kiện</th><th>Ngày</th><th>Vai trò</th><th>Số giờ</th><th>Kỹ năng</th></tr>
+        ${activityRows || '<tr><td colspan="5">Chưa có hoạt động</td></tr>'}
+    </table>
+
+    <h2>Kỹ năng</h2>
+    <p>${escape(skills.join(', ')) || 'Chưa có'}</p>
+
+    <h2>Điểm rèn luyện</h2>
+    <table>
+        <tr><th>Học kỳ</th>${Object.values(CATEGORY_LABELS).map(label => `<th>${label}</th>`).join('')}<th>Tổng</th></tr>
+        ${pointRows || `<tr><td colspan="${Object.keys(CATEGORY_LABELS).length + 2}">Chưa có điểm rèn luyện</td></tr>`}
+    </table>
+
+    <h2>Chứng nhận</h2>
+    <table>
+        <tr><th>Chứng nhận</th><th>Ngày cấp</th><th>Mã xác thực</th></tr>
+        ${certificateRows || '<tr><td colspan="3">Chưa có chứng nhận</td></tr>'}
+    </table>
+
+    <div class="footer">
+        <div>
+            <p>Ngày cấp: ${formatDate(transcript.issuedAt)}</p>
+            <p>Xác thực tại: <span class="mono">${escape(verificationUrl)}</span></p>
+        </div>
+        <img src="${qrCode}" alt="QR">
+    </div>
+</body>
+</html>`;
+    }
+
+    escapeHTML(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+module.exports = new TranscriptService();
@@ -0,0 +1,165 @@
+const Registration = require('../../models/Registration');
+const logger = require('../../utils/logger');
+
+const ATTRIBUTE_LABELS = {
+    'student.faculty': 'faculty',
+    'student.department': 'department',
+    'student.major': 'major',
+    'student.year': 'year of study',
+    'student.gpa': 'GPA',
+    attendedEvents: 'events attended',
+    customField: 'answer'
+};
+
+class ApprovalRulesService {
+    getActiveRules(event) {
+        return (event.registration.approvalRules || []).filter(rule => rule.isActive !== false);
+    }
+
+    // Evaluate the event's rules for a registrant. Returns the first matching
+    // rule (or null) and, for manual review, why each rule did not match.
+    async evaluate(event, user, customFieldsData = []) {
+        const rules = this.getActiveRules(event);
+
+        if (rules.length === 0) {
+            return { rule: null, reasons: [] };
+        }
+
+        const context = await this.buildContext(event, user, customFieldsData, rules);
+        const reasons = [];
+
+        for (const rule of rules) {
+            const results = rule.conditions.map(condition => this.evaluateCondition(condition, context));
+            const matched = rule.match === 'any'
+                ? results.some(result => result.passed)
+                : results.length > 0 && results.every(result => result.passed);
+
+            if (matched) {
+                logger.info(`Approval rule "${rule.name}" matched for ${user.email} -> ${event.title}`);
+                return { rule, reasons: [] };
+            }
+
+            const failed = results.filter(result => !result.passed).map(result => result.reason);
+            reasons.push(`${rule.name}: ${failed.length > 0 ? failed.join('; ') : 'no conditions'}`);
+        }
+
+        return { rule: null, reasons };
+    }
+
+    // Collect the values conditions compare against. The attendance count is
+    // only queried when a rule needs it.
+    async buildContext(event, user, customFieldsData, rules) {
+        const student = user.student || {};
+        const context = {
+            event,
+            values: {
+                'student.faculty': student.faculty,
+                'student.department': student.department,
+                'student.major': student.major,
+                'student.year': student.year,
+                'student.gpa': student.gpa
+            },
+            answers: new Map(customFieldsData.map(answer => [answer.fieldName, answer.value]))
+        };
+
+        const needsAttendance = rules.some(rule =>
+            rule.conditions.some(condition => condition.attribute === 'attendedEvents'));
+
+        if (needsAttendance) {
+            context.values.attendedEvents = await Registration.countDocuments({
+                user: user._id,
+                event: { $ne: event._id },
+                status: 'attended'
+            });
+        }
+
+        return context;
+    }
+
+    evaluateCondition(condition, context) {
+        const actual = condition.attribute === 'customField'
+            ? context.answers.get(condition.fieldName)
+            : context.values[condition.attribute];
+
+        const label = condition.attribute === 'customField'
+            ? `answer to "${condition.fieldName}"`
+            : ATTRIBUTE_LABELS[condition.attribute];
+
+        if (this.isMissing(actual)) {
+            return { passed: false, reason: `${label} is not provided` };
+        }
+
+        const passed = this.compare(condition, actual, context.event);
+
+        return {
+            passed,
+            reason: passed ? null : `${label} is ${Array.isArray(actual) ? actual.join(', ') : actual}, ${this.describeExpectation(condition)}`
+        };
+    }
+
+    // Auto-approval must rest on data the registrant actually has: a missing
+    // value matches no operator, including not_equals and not_in
+    isMissing(actual) {
+        return actual === undefined || actual === null || actual === '' ||
+            (Array.isArray(actual) && actual.length === 0);
+    }
+
+    compare(condition, actual, event) {
+        if (this.isMissing(actual)) {
+            return false;
+        }
+
+        const actualValues = (Array.isArray(actual) ? actual : [actual]).map(String);
+        const expectedValues = (Array.isArray(condition.value) ? condition.value : [condition.value]).map(String);
+
+        switch (condition.operator) {
+            case 'not_equals':
+                return !actualValues.includes(expectedValues[0]);
+            case 'in':
+                return actualValues.some(value => expectedValues.includes(value));
+            case 'not_in':
+                return !actualValues.some(value => expectedValues.includes(value));
+            case 'gte':
+                return Number(actual) >= Number(condition.value);
+            case 'lte':
+                return Number(actual) <= Number(condition.value);
+            case 'in_target_audience': {
+                const audienceKey = {
+                    'student.faculty': 'faculties',
+                    'student.department': 'departments',
+                    'student.major': 'majors',
+                    'student.year': 'years'
+                }[condition.attribute];
+                const audience = ((audienceKey && event.targetAudience[audienceKey]) || []).map(String);
+                return actualValues.some(value => audience.includes(value));
+            }
+            case 'equals':
+            default:
+                return actualValues.includes(expectedValues[0]);
+        }
+    }
+
+    describeExpectation(condition) {
+        const value = Array.isArray(condition.value) ? condition.value.join(', ') : condition.value;
+
+        switch (condition.operator) {
+            case 'not_equals':
+                return `must not be ${value}`;
+            case 'in':
+                return `must be one of ${value}`;
+            case 'not_in':
+                return `must not be one of ${value}`;
+            case 'gte':
+                return `must be at least ${value}`;
+            case 'lte':
+                return `must be at most ${value}`;
+            case 'in_target_audience':
+                return 'must be in the event\'s target audience';
+            case 'equals':
+            default:
+                return `must be ${value}`;
+        }
+    }
+}
+
+module.exports = new ApprovalRulesService();
@@ -0,0 +1,252 @@
+const Attendance = require('../../models/Attendance');
+const Registration = require('../../models/Registration');
+const Helpers = require('../../utils/helpers');
+const logger = require('../../utils/logger');
+
+// Check-ins made on the attendee's own device. Kiosk and organizer scans
+// share one device by design and are never checked for it.
+const ATTENDEE_METHODS = ['self_check_in', 'online', 'mobile_app'];
+
+// Rules-based attendance fraud detection. Findings become attendance flags
+// tagged with the rule that raised them, so a rule flags a record at most
+// once and a dismissed flag is not raised again. Flags wait in the
+// organizer review queue; nothing is blocked here.
+class AttendanceFraudService {
+    constructor() {
+        // Distinct attendees checked in from one device before it is flagged
+        this.sharedDeviceUsers = parseInt(process.env.FRAUD_SHARED_DEVICE_USERS) || 3;
+        // Travel speed between two check-ins that counts as impossible
+        this.maxTravelKmh = parseInt(process.env.FRAUD_MAX_TRAVEL_KMH) || 200;
+        // Self check-ins this soon after registering are suspicious
+        this.minRegistrationLeadSeconds = parseInt(process.env.FRAUD_MIN_REGISTRATION_LEAD_SECONDS) || 60;
+    }
+
+    // Run every rule against one attendance record; returns the new flags
+    async inspect(attendanceId) {
+        const attendance = await Attendance.findById(attendanceId)
+            .populate('event', 'title schedule');
+
+        if (!attendance || attendance.voided.isVoided) {
+            return [];
+        }
+
+        const findings = [
+            ...await this.detectSharedDevice(attendance),
+            ...await this.detectImpossibleTravel(attendance),
+            ...await this.detectInstantCheckIn(attendance),
+            ...this.detectEarlyCheckOut(attendance)
+        ];
+
+        const raised = [];
+        for (const finding of findings) {
+            if (await this.raise(finding)) {
+                raised.push(finding);
+            }
+        }
+
+        if (raised.length > 0) {
+            logger.security('Attendance fraud rules triggered', {
+                attendanceId: attendance._id,
+                eventId: attendance.event._id,
+                rules: raised.map(finding => finding.rule)
+            });
+        }
+
+        return raised;
+    }
+
+    // Same device used to check in several attendees of one event
+    async detectSharedDevice(attendance) {
+        const deviceId = attendance.checkIn.deviceInfo && attendance.checkIn.deviceInfo.deviceId;
+
+        if (!deviceId || !ATTENDEE_METHODS.includes(attendance.checkIn.method)) {
+            return [];
+        }
+
+        const shared = await Attendance.find({
+            event: attendance.event._id,
+            'checkIn.deviceInfo.deviceId': deviceId,
+            'checkIn.method': { $in: ATTENDEE_METHODS }
+        }).select('_id user');
+
+        const users = new Set(shared.map(record => record.user.toString()));
+        if (users.size < this.sharedDeviceUsers) {
+            return [];
+        }
+
+        // Every record from the device goes to review, not just the latest
+        return shared.map(record => ({
+            attendanceId: record._id,
+            rule: 'shared_device',
+            type: 'device_mismatch',
+            severity: 'high',
+            description: `Device ${deviceId} was used to check in ${users.size} attendees`
+        }));
+    }
+
+    // Check-in too far from the same attendee's check-in at another event
+    // for the time between them
+    async detectImpossibleTravel(attendance) {
+        const location = attendance.checkIn.location;
+
+        if (!location || location.latitude == null || location.longitude == null) {
+            return [];
+        }
+
+        const timestamp = attendance.checkIn.timestamp;
+        const day = 24 * 60 * 60 * 1000;
+
+        const nearby = await Attendance.find({
+            user: attendance.user,
+            _id: { $ne: attendance._id },
+            'checkIn.timestamp': {
+                $gte: new Date(timestamp.getTime() - day),
+                $lte: new Date(timestamp.getTime() + day)
+            },
+            'checkIn.location.latitude': { $ne: null },
+            'checkIn.location.longitude': { $ne: null }
+        }).select('checkIn.timestamp checkIn.location');
+
+        for (const other of nearby) {
+            const km = Helpers.calculateDistance(
+                location.latitude,
+                location.longitude,
+                other.checkIn.location.latitude,
+                other.checkIn.location.longitude
+            );
+            // At least a minute apart, so near-simultaneous check-ins a few
+            // hundred meters apart are not flagged for GPS noise
+            const hours = Math.max(Math.abs(timestamp - other.checkIn.timestamp), 60 * 1000) / (60 * 60 * 1000);
+
+            if (km > 1 && km / hours > this.maxTravelKmh) {
+                return [{
+                    attendanceId: attendance._id,
+                    rule: 'impossible_travel',
+                    type: 'location_mismatch',
+                    severity: 'high',
+                    description: `Checked in ${Math.round(km)} km from another check-in ` +
+                        `${Math.round(hours * 60)} min apart (${Math.round(km / hours)} km/h)`
+                }];
+            }
+        }
+
+        return [];
+    }
+
+    // Attendee checked themselves in within seconds of registering. On-site
+    // registrations checked in by an organizer are expected to be instant.
+    async detectInstantCheckIn(attendance) {
+        if (attendance.checkIn.verifiedBy || !ATTENDEE_METHODS.includes(attendance.checkIn.method)) {
+            return [];
+        }
+
+        const registration = await Registration.findById(attendance.registration).select('registrationDate');
+        if (!registration || !registration.registrationDate) {
+            return [];
+        }
+
+        const seconds = Math.round((attendance.checkIn.timestamp - registration.registrationDate) / 1000);
+        if (seconds >= this.minRegistrationLeadSeconds) {
+            return [];
+        }
+
+        return [{
+            attendanceId: attendance._id,
+            rule: 'instant_checkin',
+            type: 'time_anomaly',
+            severity: 'medium',
+            description: `Checked in ${Math.max(0, seconds)} s after registering`
+        }];
+    }
+
+    // Checked out of the event or a session before it started
+    detectEarlyCheckOut(attendance) {
+        const findings = [];
+        const schedule = attendance.event && attendance.event.schedule;
+
+        if (!schedule) {
+            return findings;
+        }
+
+        const checkOut = attendance.checkOut && attendance.checkOut.timestamp;
+        if (checkOut && checkOut < new Date(schedule.startDate)) {
+            findings.push({
+                attendanceId: attendance._id,
+                rule: 'checkout_before_start',
+                type: 'time_anomaly',
+                severity: 'high',
+                description: 'Checked out before the event started'
+            });
+        }
+
+        attendance.sessions.forEach(session => {
+            const sessionCheckOut = session.checkOut && session.checkOut.timestamp;
+            const scheduled = sessionCheckOut && (schedule.sessions || [])
+                .find(item => item._id.toString() === session.sessionId);
+
+            if (scheduled && scheduled.startTime && sessionCheckOut < new Date(scheduled.startTime)) {
+                findings.push({
+                    attendanceId: attendance._id,
+                    rule: `session_checkout_before_start:${session.sessionId}`,
+                    type: 'time_anomaly',
+                    severity: 'medium',
+                    description: `Checked out of "${scheduled.title}" before it started`
+                });
+            }
+        });
+
+        return findings;
+    }
+
+    // Add the flag unless the rule already flagged this record
+    async raise(finding) {
+        const result = await Attendance.updateOne(
+            {
+                _id: finding.attendanceId,
+                'flags.rule': { $ne: finding.rule }
+            },
+            {
+                $push: {
+                    flags: {
+                        type: finding.type,
+                        description: finding.description,
+                        severity: finding.severity,
+                        rule: finding.rule
+                    }
+                }
+            }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    // Nightly pass over recent attendance, catching patterns that only
+    // appear after later check-ins and check-outs
+    async scanRecent(hours = 48) {
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+        const cursor = Attendance.find({
+            $or: [
+                { 'checkIn.timestamp': { $gte: since } },
+                { 'checkOut.timestamp': { $gte: since } }
+            ],
+            'voided.isVoided': { $ne: true }
+        }).select('_id').cursor();
+
+        let scanned = 0;
+        let flagged = 0;
+
+        for (let record = await cursor.next(); record; record = await cursor.next()) {
+            try {
+                const raised = await this.inspect(record._id);
+                scanned++;
+                flagged += raised.length;
+            } catch (error) {
+                logger.error(`Fraud scan of attendance ${record._id} failed:`, error);
+            }
+        }
+
+        return { scanned, flagged };
+    }
+}
+
+module.exports = new AttendanceFraudService();
@@ -0,0 +1,1146 @@
+const mongoose = require('mongoose');
+const Attendance = require('../../models/Attendance');
+const Registration = require('../../models/Registration');
+const Event = require('../../models/Event');
+const qrCodeService = require('../qrCodeService');
+const attendanceFraudService = require('./attendanceFraudService');
+const trainingPointService = require('./trainingPointService');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError, PermissionError } = require('../../utils/errors');
+
+// Check-in methods that count as verifying the attendee in person
+const VERIFICATION_METHODS = ['qr_code', 'nfc', 'facial_recognition', 'manual'];
+
+const TIMEFRAMES = {
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// Attendance is the single place that writes check-in/out data. Every change
+// is mirrored to Registration.attendance and Event.stats.attendees here.
+class AttendanceService {
+    constructor() {
+        // Minutes after the start that still count as on time
+        this.lateGraceMinutes = parseInt(process.env.ATTENDANCE_LATE_GRACE_MINUTES) || 15;
+        // Minutes before the end a check-out may happen without counting as early leave
+        this.earlyLeaveGraceMinutes = parseInt(process.env.ATTENDANCE_EARLY_LEAVE_GRACE_MINUTES) || 15;
+        // Attendance rate (%) needed to count as fully present and to earn a certificate
+        this.presentRate = parseInt(process.env.ATTENDANCE_PRESENT_RATE) || 90;
+        this.certificateRate = parseInt(process.env.ATTENDANCE_CERTIFICATE_RATE) || 80;
+    }
+
+    // Check a registered attendee in. When an `actor` ({ userId, role }) is
+    // given, it must manage the registration's event.
+    async recordAttendance(attendanceData, actor = null) {
+        try {
+            const registration = await this.findRegistration(attendanceData);
+
+            if (actor) {
+                this.assertCanManage(registration.event, actor);
+            }
+
+            if (!['approved', 'attended'].includes(registration.status)) {
+                throw new ValidationError('Only approved registrations can be checked in');
+            }
+
+            const event = registration.event;
+
+            const existing = await Attendance.findOne({ event: event._id, user: registration.user });
+            if (existing) {
+                await existing.addFlag({
+                    type: 'duplicate_checkin',
+                    description: `Repeated check-in attempt (${attendanceData.checkIn.method || 'manual'})`,
+                    severity: 'low'
+                });
+                throw new ValidationError('User already checked in');
+            }
+
+            const checkIn = {
+                ...attendanceData.checkIn,
+                timestamp: attendanceData.checkIn.timestamp || new Date(),
+                method: attendanceData.checkIn.method || 'manual'
+            };
+
+            const attendance = new Attendance({
+                event: event._id,
+                registration: registration._id,
+                user: registration.user,
+                checkIn,
+                expectedDuration: attendanceData.expectedDuration || this.getExpectedDuration(event),
+                verified: Boolean(checkIn.verifiedBy) || checkIn.method === 'qr_code',
+                verificationMethod: VERIFICATION_METHODS.includes(checkIn.method) ? checkIn.method : undefined,
+                metadata: {
+                    source: attendanceData.source || 'web',
+                    ...attendanceData.metadata
+                },
+                createdBy: checkIn.verifiedBy
+            });
+
+            this.classify(attendance, event);
+
+            try {
+                await attendance.save();
+            } catch (error) {
+                // Unique (event, user) index: a parallel check-in won
+                if (error.code === 11000) {
+                    throw new ValidationError('User already checked in');
+                }
+                throw error;
+            }
+
+            await Event.updateOne({ _id: event._id }, { $inc: { 'stats.attendees': 1 } });
+            await this.syncRegistration(attendance, { firstCheckIn: true });
+            await this.runFraudChecks(attendance);
+
+            logger.info(`Attendance recorded: ${registration.registrationNumber} -> ${event.title}`);
+
+            return attendance;
+        } catch (error) {
+            logger.error('Record attendance error:', error);
+            throw error;
+        }
+    }
+
+    async findRegistration(attendanceData) {
+        const query = attendanceData.registration
+            ? Registration.findById(attendanceData.registration)
+            : Registration.findOne({ event: attendanceData.event, user: attendanceData.user });
+
+        const registration = await query.populate('event', 'title schedule organizer coOrganizers');
+
+        if (!registration) {
+            throw new NotFoundError('Registration not found');
+        }
+
+        if (attendanceData.event && registration.event._id.toString() !== attendanceData.event.toString()) {
+            throw new ValidationError('Registration does not belong to this event');
+        }
+
+        return registration;
+    }
+
+    // Check in by scanning the attendee's QR code. When an `actor` ({ userId, role })
+    // is given, it must manage the event the code belongs to.
+    async qrCheckIn(qrCode, checkInData = {}, actor = null) {
+        const registration = await this.resolveQRCode(qrCode);
+
+        if (actor) {
+            this.assertCanManage(registration.event, actor);
+        }
+
+        return await this.recordAttendance({
+            event: registration.event._id,
+            registration: registration._id,
+            checkIn: {
+                ...checkInData,
+                method: 'qr_code',
+                qrCode: typeof qrCode === 'string' ? qrCode : JSON.stringify(qrCode)
+            },
+            source: checkInData.source
+        });
+    }
+
+    // Find the registration behind a scanned code: a rotating code, the
+    // signed static registration payload or the plain check-in token
+    async resolveQRCode(qrCode) {
+        let payload = null;
+        try {
+            payload = typeof qrCode === 'string' ? JSON.parse(qrCode) : qrCode;
+        } catch (error) {
+            payload = null;
+        }
+
+        const type = payload && payload.type;
+        let registration;
+
+        if (type === 'registration_rotating' || type === 'registration') {
+            if (!mongoose.Types.ObjectId.isValid(payload.registrationId)) {
+                throw new ValidationError('Invalid QR code');
+            }
+
+            registration = await Registration.findById(payload.registrationId)
+                .select('+checkIn.rotatingSecret')
+                .populate('event', 'title qrCodeSettings organizer coOrganizers');
+        } else {
+            registration = await Registration.findOne({
+                'checkIn.qrCode': qrCode,
+                'checkIn.qrCodeExpires': { $gt: new Date() }
+            }).populate('event', 'title qrCodeSettings organizer coOrganizers');
+        }
+
+        if (!registration) {
+            throw new NotFoundError('Invalid or expired QR code');
+        }
+
+        const settings = registration.event.qrCodeSettings;
+
+        if (type === 'registration_rotating') {
+            // The secret is created when the attendee first opens their code;
+            // without it no rotating code was ever issued
+            if (!registration.checkIn || !registration.checkIn.rotatingSecret) {
+                throw new ValidationError('Invalid QR code');
+            }
+
+            const result = await qrCodeService.verifyRotatingQRCode(
+                payload,
+                registration.checkIn.rotatingSecret,
+                settings
+            );
+
+            if (!result.valid) {
+                if (result.replay) {
+                    await this.flagReplayedCode(registration);
+                }
+                throw new ValidationError(result.reason);
+            }
+        } else if (settings.mode === 'rotating') {
+            throw new ValidationError('This event only accepts the rotating check-in code shown in the attendee app');
+        } else if (type === 'registration') {
+            const result = await qrCodeService.verifyQRCode(payload, 'registration');
+            if (!result.valid) {
+                throw new ValidationError(result.reason);
+            }
+        }
+
+        return registration;
+    }
+
+    async flagReplayedCode(registration) {
+        const attendance = await Attendance.findOne({ event: registration.event._id, user: registration.user });
+
+        if (attendance) {
+            await attendance.addFlag({
+                type: 'suspicious_activity',
+                description: 'A rotating check-in code was scanned more than once',
+                severity: 'medium'
+            });
+        }
+    }
+
+    async bulkCheckIn(eventId, registrationIds, checkInData = {}) {
+        const results = {
+            successful: 0,
+            failed: 0,
+            results: []
+        };
+
+        for (const registrationId of registrationIds) {
+            try {
+                const attendance = await this.recordAttendance({
+                    event: eventId,
+                    registration: registrationId,
+                    checkIn: { ...checkInData },
+                    source: 'admin'
+                });
+
+                results.successful++;
+                results.results.push({ registrationId, success: true, attendanceId: attendance._id });
+            } catch (error) {
+                results.failed++;
+                results.results.push({ registrationId, success: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    // Check out
+    async updateAttendance(attendanceId, updateData = {}) {
+        try {
+            const attendance = await this.getAttendanceWithEvent(attendanceId);
+
+            if (updateData.checkOut) {
+                if (attendance.checkOut && attendance.checkOut.timestamp) {
+                    throw new ValidationError('Already checked out');
+                }
+
+                const timestamp = updateData.checkOut.timestamp || new Date();
+                if (timestamp < attendance.checkIn.timestamp) {
+                    throw new ValidationError('Check-out cannot be before check-in');
+                }
+
+                attendance.checkOut = {
+                    ...updateData.checkOut,
+                    timestamp
+                };
+            }
+
+            attendance.updatedBy = updateData.checkOut && updateData.checkOut.verifiedBy;
+
+            await this.saveAndSync(attendance);
+            await this.runFraudChecks(attendance);
+
+            return attendance;
+        } catch (error) {
+            logger.error('Update attendance error:', error);
+            throw error;
+        }
+    }
+
+    // Fraud rules flag records for review; a detector failure must not fail
+    // the check-in itself
+    async runFraudChecks(attendance) {
+        try {
+            await attendanceFraudService.inspect(attendance._id);
+        } catch (error) {
+            logger.error(`Fraud checks for attendance ${attendance._id} failed:`, error);
+        }
+    }
+
+    // Event of an attendance record, for ownership checks on per-record routes
+    async getAttendanceEventId(attendanceId) {
+        if (!mongoose.Types.ObjectId.isValid(attendanceId)) {
+            throw new ValidationError('Valid attendance ID is required');
+        }
+
+        const attendance = await Attendance.findById(attendanceId).select('event');
+
+        if (!attendance) {
+            throw new NotFoundError('Attendance record not found');
+        }
+
+        return attendance.event;
+    }
+
+    async getRegistrationEventId(registrationId) {
+        if (!mongoose.Types.ObjectId.isValid(registrationId)) {
+            throw new ValidationError('Valid registration ID is required');
+        }
+
+        const registration = await Registration.findById(registrationId).select('event');
+
+        if (!registration) {
+            throw new NotFoundError('Registration not found');
+        }
+
+        return registration.event;
+    }
+
+    assertCanManage(event, actor) {
+        const userId = actor.userId.toString();
+        const canManage = actor.role === 'admin' ||
+            event.organizer.toString() === userId ||
+            (event.coOrganizers || []).some(coOrg => coOrg.toString() === userId);
+
+        if (!canManage) {
+            throw new PermissionError('You can only manage events you organize');
+        }
+    }
+
+    async getAttendanceWithEvent(attendanceId) {
+        const attendance = await Attendance.findById(attendanceId)
+            .populate('event', 'title schedule');
+
+        if (!attendance) {
+            throw new NotFoundError('Attendance record not found');
+        }
+
+        return attendance;
+    }
+
+    // Classify against the schedule, save, and mirror to the registration
+    async saveAndSync(attendance) {
+        if (this.isOnline(attendance)) {
+            attendance.totalDuration = this.getOnlineMinutes(attendance, attendance.event);
+        }
+
+        this.classify(attendance, attendance.event);
+        await attendance.save();
+        await this.syncRegistration(attendance);
+        await this.syncTrainingPoints(attendance);
+
+        return attendance;
+    }
+
+    // Credit training points once attendance is confirmed, reverse them if
+    // it is voided
+    async syncTrainingPoints(attendance) {
+        try {
+            if (attendance.voided && attendance.voided.isVoided) {
+                await trainingPointService.reverseAttendance(attendance, attendance.voided.reason, attendance.voided.voidedBy);
+            } else if (attendance.certificateEligible) {
+                await trainingPointService.creditAttendance(attendance);
+            }
+        } catch (error) {
+            logger.error(`Training point sync for attendance ${attendance._id} failed:`, error);
+        }
+    }
+
+    // Attendance that started from the join link or a heartbeat is measured
+    // by heartbeat intervals rather than check-in to check-out
+    isOnline(attendance) {
+        return attendance.checkIn.method === 'online' &&
+            Boolean(attendance.onlineSession && attendance.onlineSession.lastHeartbeatAt);
+    }
+
+    // Minutes of the event covered by heartbeat intervals, clipped to the
+    // schedule with overlaps merged
+    getOnlineMinutes(attendance, event) {
+        const session = attendance.onlineSession;
+        const from = new Date(event.schedule.startDate).getTime();
+        const to = new Date(event.schedule.endDate).getTime();
+
+        const intervals = session.intervals.map(interval => [interval.start.getTime(), interval.end.getTime()]);
+        if (session.currentIntervalStart) {
+            intervals.push([session.currentIntervalStart.getTime(), session.lastHeartbeatAt.getTime()]);
+        }
+
+        const clipped = intervals
+            .map(([start, end]) => [Math.max(start, from), Math.min(end, to)])
+            .filter(([start, end]) => end > start)
+            .sort((a, b) => a[0] - b[0]);
+
+        let total = 0;
+        let current = null;
+
+        clipped.forEach(([start, end]) => {
+            if (current && start <= current[1]) {
+                current[1] = Math.max(current[1], end);
+            } else {
+                if (current) total += current[1] - current[0];
+                current = [start, end];
+            }
+        });
+        if (current) total += current[1] - current[0];
+
+        return Math.round(total / 60000);
+    }
+
+    // Minutes an attendee is expected to be present: the sessions' total
+    // length when the event has sessions, otherwise the whole event
+    getExpectedDuration(event) {
+        const sessions = (event.schedule.sessions || []).filter(session => session.startTime && session.endTime);
+
+        const minutes = sessions.length > 0
+            ? sessions.reduce((total, session) => total + (new Date(session.endTime) - new Date(session.startTime)), 0) / 60000
+            : (new Date(event.schedule.endDate) - new Date(event.schedule.startDate)) / 60000;
+
+        return Math.max(0, Math.round(minutes));
+    }
+
+    // Late arrival, early leave, status and certificate eligibility
+    classify(attendance, event) {
+        const schedule = event && event.schedule;
+        if (!schedule) return attendance;
+
+        const start = new Date(schedule.startDate);
+        const end = new Date(schedule.endDate);
+
+        const minutesLate = Math.round((attendance.checkIn.timestamp - start) / 60000);
+        attendance.lateArrival.isLate = minutesLate > this.lateGraceMinutes;
+        attendance.lateArrival.minutesLate = attendance.lateArrival.isLate ? minutesLate : 0;
+
+        const checkedOut = Boolean(attendance.checkOut && attendance.checkOut.timestamp);
+        const minutesEarly = checkedOut ? Math.round((end - attendance.checkOut.timestamp) / 60000) : 0;
+        attendance.earlyLeave.isEarlyLeave = checkedOut &&
+            attendance.checkOut.method !== 'automatic' &&
+            minutesEarly > this.earlyLeaveGraceMinutes;
+        attendance.earlyLeave.minutesEarly = attendance.earlyLeave.isEarlyLeave ? minutesEarly : 0;
+
+        const late = attendance.lateArrival.isLate && !attendance.lateArrival.acceptedByOrganizer;
+        const earlyLeave = attendance.earlyLeave.isEarlyLeave && !attendance.earlyLeave.acceptedByOrganizer;
+
+        if (!checkedOut) {
+            attendance.status = late ? 'late' : 'present';
+            attendance.certificateEligible = false;
+            attendance.certificateEligibilityReason = 'Not checked out yet';
+            return attendance;
+        }
+
+        const rate = this.getEffectiveRate(attendance);
+
+        if (earlyLeave) {
+            attendance.status = 'early_leave';
+        } else if (rate < this.presentRate) {
+            attendance.status = 'partial';
+        } else {
+            attendance.status = late ? 'late' : 'present';
+        }
+
+        attendance.certificateEligible = rate >= this.certificateRate;
+        attendance.certificateEligibilityReason = attendance.certificateEligible
+            ? `Attended ${rate}% of the event`
+            : `Attended ${rate}% of the event, ${this.certificateRate}% required`;
+
+        if (attendance.voided && attendance.voided.isVoided) {
+            attendance.certificateEligible = false;
+            attendance.certificateEligibilityReason = 'Attendance was voided after review';
+        }
+
+        return attendance;
+    }
+
+    // Attendance rate with organizer-accepted late arrival / early leave
+    // counted as time present
+    getEffectiveRate(attendance) {
+        if (!attendance.expectedDuration) {
+            return attendance.attendanceRate || 0;
+        }
+
+        let minutes = attendance.checkOut && attendance.checkOut.timestamp && !this.isOnline(attendance)
+            ? Math.max(0, (attendance.checkOut.timestamp - attendance.checkIn.timestamp) / 60000)
+            : attendance.totalDuration;
+
+        if (attendance.lateArrival.isLate && attendance.lateArrival.acceptedByOrganizer) {
+            minutes += attendance.lateArrival.minutesLate;
+        }
+
+        if (attendance.earlyLeave.isEarlyLeave && attendance.earlyLeave.acceptedByOrganizer) {
+            minutes += attendance.earlyLeave.minutesEarly;
+        }
+
+        return Math.min(100, Math.round((minutes / attendance.expectedDuration) * 100));
+    }
+
+    // Mirror an attendance record onto its registration
+    async syncRegistration(attendance, options = {}) {
+        const update = {
+            'attendance.checkedIn': true,
+            'attendance.checkInTime': attendance.checkIn.timestamp,
+            'attendance.checkInMethod': attendance.checkIn.method,
+            'attendance.checkedOut': Boolean(attendance.checkOut && attendance.checkOut.timestamp),
+            'attendance.checkOutTime': attendance.checkOut ? attendance.checkOut.timestamp : undefined,
+            'attendance.attendanceDuration': attendance.totalDuration,
+            'attendance.attendanceRate': attendance.attendanceRate,
+            'attendance.voided': Boolean(attendance.voided && attendance.voided.isVoided),
+            'attendance.sessionsAttended': attendance.sessions.map(session => ({
+                sessionId: session.sessionId,
+                sessionTitle: session.sessionTitle,
+                checkInTime: session.checkIn && session.checkIn.timestamp,
+                checkOutTime: session.checkOut && session.checkOut.timestamp,
+                duration: session.duration
+            }))
+        };
+
+        if (options.firstCheckIn) {
+            update.status = 'attended';
+            if (attendance.checkIn.location) {
+                update['checkIn.location'] = attendance.checkIn.location;
+            }
+        }
+
+        await Registration.updateOne({ _id: attendance.registration }, { $set: update });
+    }
+
+    // Session check-in; creates the event check-in first if needed
+    async recordSessionCheckIn(registration, session, checkInData = {}) {
+        let attendance = await Attendance.findOne({ event: registration.event._id, user: registration.user })
+            .select('_id');
+
+        if (!attendance) {
+            attendance = await this.recordAttendance({
+                event: registration.event._id,
+                registration: registration._id,
+                checkIn: { ...checkInData },
+                source: checkInData.source
+            });
+        }
+
+        return await this.addSessionAttendance(attendance._id, {
+            sessionId: session._id.toString(),
+            sessionTitle: session.title,
+            checkIn: {
+                timestamp: new Date(),
+                method: checkInData.method || 'manual',
+                verifiedBy: checkInData.verifiedBy
+            }
+        });
+    }
+
+    async addSessionAttendance(attendanceId, sessionData) {
+        try {
+            const attendance = await this.getAttendanceWithEvent(attendanceId);
+
+            if (!sessionData.sessionId) {
+                throw new ValidationError('Session ID is required');
+            }
+
+            if (attendance.sessions.some(session => session.sessionId === sessionData.sessionId.toString())) {
+                throw new ValidationError('Already checked in to this session');
+            }
+
+            const scheduled = this.findScheduledSession(attendance.event, sessionData.sessionId);
+
+            attendance.sessions.push({
+                ...sessionData,
+                sessionId: sessionData.sessionId.toString(),
+                sessionTitle: sessionData.sessionTitle || (scheduled && scheduled.title)
+            });
+
+            return await this.saveAndSync(attendance);
+        } catch (error) {
+            logger.error('Add session attendance error:', error);
+            throw error;
+        }
+    }
+
+    async updateSessionAttendance(attendanceId, sessionId, sessionData = {}) {
+        try {
+            const attendance = await this.getAttendanceWithEvent(attendanceId);
+            const session = attendance.sessions.find(item => item.sessionId === sessionId.toString());
+
+            if (!session) {
+                throw new NotFoundError('Session attendance not found');
+            }
+
+            if (sessionData.checkOut) {
+                if (session.checkOut && session.checkOut.timestamp) {
+                    throw new ValidationError('Already checked out of this session');
+                }
+
+                session.checkOut = sessionData.checkOut;
+                session.duration = Math.max(0, Math.round((session.checkOut.timestamp - session.checkIn.timestamp) / 60000));
+
+                const scheduled = this.findScheduledSession(attendance.event, sessionId);
+                if (scheduled && scheduled.startTime && scheduled.endTime) {
+                    const length = (new Date(scheduled.endTime) - new Date(scheduled.startTime)) / 60000;
+                    session.attendanceRate = length > 0 ? Math.min(100, Math.round((session.duration / length) * 100)) : 100;
+                }
+            }
+
+            if (sessionData.notes !== undefined) {
+                session.notes = sessionData.notes;
+            }
+
+            await this.saveAndSync(attendance);
+            if (sessionData.checkOut) {
+                await this.runFraudChecks(attendance);
+            }
+
+            return attendance;
+        } catch (error) {
+            logger.error('Update session attendance error:', error);
+            throw error;
+        }
+    }
+
+    findScheduledSession(event, sessionId) {
+        if (!event || !event.schedule || !mongoose.Types.ObjectId.isValid(sessionId)) {
+            return null;
+        }
+
+        return event.schedule.sessions.id(sessionId);
+    }
+
+    async updateEngagement(attendanceId, engagementData) {
+        const attendance = await Attendance.findById(attendanceId);
+
+        if (!attendance) {
+            throw new NotFoundError('Attendance record not found');
+        }
+
+        const metrics = {};
+        Object.entries(engagementData).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                metrics[key] = Math.max(0, parseInt(value) || 0);
+            }
+        });
+
+        return await attendance.updateEngagement(metrics);
+    }
+
+    async flagAttendance(attendanceId, flagData) {
+        const attendance = await Attendance.findById(attendanceId);
+
+        if (!attendance) {
+            throw new NotFoundError('Attendance record not found');
+        }
+
+        await attendance.addFlag(flagData);
+
+        logger.security('Attendance flagged', {
+            attendanceId,
+            type: flagData.type,
+            severity: flagData.severity
+        });
+
+        return attendance;
+    }
+
+    // Review decision on a flag: dismiss it, or void the attendance, which
+    // removes certificate eligibility
+    async resolveFlaggedAttendance(attendanceId, flagId, resolvedBy, review = {}) {
+        const attendance = await this.getAttendanceWithEvent(attendanceId);
+
+        const flag = attendance.flags.id(flagId);
+        if (!flag) {
+            throw new NotFoundError('Flag not found');
+        }
+
+        if (flag.resolved) {
+            throw new ValidationError('Flag already resolved');
+        }
+
+        await attendance.resolveFlag(flagId, resolvedBy, review);
+
+        if (review.resolution === 'voided') {
+            await this.saveAndSync(attendance);
+
+            logger.security('Attendance voided after review', {
+                attendanceId,
+                flagId,
+                type: flag.type,
+                voidedBy: resolvedBy
+            });
+        } else {
+            // Credits training points held while the flag was open
+            await this.syncTrainingPoints(attendance);
+        }
+
+        return attendance;
+    }
+
+    // Attendance with unresolved flags, most severe first
+    async getReviewQueue(eventId, options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = Math.min(parseInt(options.limit) || 20, 100);
+        const severities = ['critical', 'high', 'medium', 'low'];
+
+        const flagMatch = { resolved: false };
+        if (options.severity) {
+            flagMatch.severity = options.severity;
+        }
+
+        const match = {
+            event: new mongoose.Types.ObjectId(eventId),
+            flags: { $elemMatch: flagMatch }
+        };
+
+        // Worst open flag first, so ranking and paging both happen in the database
+        const [records, total] = await Promise.all([
+            Attendance.aggregate([
+                { $match: match },
+                {
+                    $addFields: {
+                        severityRank: {
+                            $min: {
+                                $map: {
+                                    input: {
+                                        $filter: { input: '$flags', as: 'flag', cond: { $ne: ['$$flag.resolved', true] } }
+                                    },
+                                    as: 'flag',
+                                    in: { $indexOfArray: [severities, '$$flag.severity'] }
+                                }
+                            }
+                        }
+                    }
+                },
+                { $sort: { severityRank: 1, 'checkIn.timestamp': -1, _id: 1 } },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                {
+                    $project: {
+                        user: 1, registration: 1, checkIn: 1, checkOut: 1, status: 1, flags: 1, voided: 1
+                    }
+                }
+            ]),
+            Attendance.countDocuments(match)
+        ]);
+
+        const items = await Attendance.populate(records, [
+            { path: 'user', select: 'profile.fullName profile.avatar email student.studentId' },
+            { path: 'registration', select: 'registrationNumber registrationDate' }
+        ]);
+
+        return {
+            items,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    // Records with repeated check-in attempts plus any grouped by the model's
+    // time-window heuristic
+    async findDuplicateCheckIns(eventId, timeWindow = 5) {
+        const [flagged, grouped] = await Promise.all([
+            Attendance.find({
+                event: eventId,
+                flags: { $elemMatch: { type: 'duplicate_checkin', resolved: false } }
+            }).populate('user', 'profile.fullName email student.studentId'),
+            Attendance.findDuplicateCheckIns(eventId, timeWindow)
+        ]);
+
+        return { flagged, grouped };
+    }
+
+    async getEventAttendance(eventId, options = {}) {
+        let query = Attendance.getEventAttendance(eventId, options);
+
+        if (!options.includeEngagement) {
+            query = query.select('-engagementMetrics -viewedMaterials');
+        }
+
+        return await query;
+    }
+
+    async getUserAttendance(userId, options = {}) {
+        return await Attendance.getUserAttendance(userId, options);
+    }
+
+    async getRecentAttendance(eventId, limit = 10) {
+        return await Attendance.find({ event: eventId })
+            .populate('user', 'profile.fullName profile.avatar student.studentId')
+            .select('user checkIn.timestamp checkIn.method status')
+            .sort({ 'checkIn.timestamp': -1 })
+            .limit(limit);
+    }
+
+    async getAttendanceStatistics(eventId) {
+        try {
+            const eventObjectId = new mongoose.Types.ObjectId(eventId);
+
+            const [summary, byStatus, byMethod, expected] = await Promise.all([
+                Attendance.aggregate([
+                    { $match: { event: eventObjectId } },
+                    {
+                        $group: {
+                            _id: null,
+                            totalAttendees: { $sum: 1 },
+                            checkedOut: { $sum: { $cond: [{ $ifNull: ['$checkOut.timestamp', false] }, 1, 0] } },
+                            lateArrivals: { $sum: { $cond: ['$lateArrival.isLate', 1, 0] } },
+                            earlyLeaves: { $sum: { $cond: ['$earlyLeave.isEarlyLeave', 1, 0] } },
+                            certificateEligible: { $sum: { $cond: ['$certificateEligible', 1, 0] } },
+                            averageAttendanceRate: { $avg: '$attendanceRate' },
+                            averageDuration: { $avg: '$totalDuration' }
+                        }
+                    }
+                ]),
+                Attendance.aggregate([
+                    { $match: { event: eventObjectId } },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ]),
+                Attendance.aggregate([
+                    { $match: { event: eventObjectId } },
+                    { $group: { _id: '$checkIn.method', count: { $sum: 1 } } }
+                ]),
+                Registration.countDocuments({ event: eventId, status: { $in: ['approved', 'attended'] } })
+            ]);
+
+            const stats = summary[0] || {
+                totalAttendees: 0,
+                checkedOut: 0,
+                lateArrivals: 0,
+                earlyLeaves: 0,
+                certificateEligible: 0,
+                averageAttendanceRate: 0,
+                averageDuration: 0
+            };
+            delete stats._id;
+
+            return {
+                ...stats,
+                averageAttendanceRate: Math.round(stats.averageAttendanceRate || 0),
+                averageDuration: Math.round(stats.averageDuration || 0),
+                expectedAttendees: expected,
+                turnoutRate: expected > 0 ? Math.round((stats.totalAttendees / expected) * 100) : 0,
+                byStatus: Object.fromEntries(byStatus.map(item => [item._id, item.count])),
+                byMethod: Object.fromEntries(byMethod.map(item => [item._id, item.count]))
+            };
+        } catch (error) {
+            logger.error('Get attendance statistics error:', error);
+            throw error;
+        }
+    }
+
+    async generateAttendanceReport(eventId, options = {}) {
+        try {
+            const event = await Event.findById(eventId).select('title eventCode schedule location');
+
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            const [statistics, attendance] = await Promise.all([
+                this.getAttendanceStatistics(eventId),
+                Attendance.getEventAttendance(eventId)
+            ]);
+
+            const report = {
+                event: {
+                    id: event._id,
+                    title: event.title,
+                    eventCode: event.eventCode,
+                    startDate: event.schedule.startDate,
+                    endDate: event.schedule.endDate,
+                    expectedDuration: this.getExpectedDuration(event)
+                },
+                statistics,
+                sessions: this.summarizeSessions(event, attendance),
+                generatedAt: new Date()
+            };
+
+            if (options.includeTrends) {
+                report.checkInTimeline = this.bucketCheckIns(attendance, 15 * 60 * 1000);
+            }
+
+            if (options.format === 'detailed') {
+                report.attendees = attendance.map(record => ({
+                    registrationNumber: record.registration && record.registration.registrationNumber,
+                    name: record.user && record.user.profile.fullName,
+                    studentId: record.user && record.user.student && record.user.student.studentId,
+                    checkInTime: record.checkIn.timestamp,
+                    checkOutTime: record.checkOut && record.checkOut.timestamp,
+                    duration: record.totalDuration,
+                    attendanceRate: record.attendanceRate,
+                    status: record.status,
+                    certificateEligible: record.certificateEligible
+                }));
+            }
+
+            return report;
+        } catch (error) {
+            logger.error('Generate attendance report error:', error);
+            throw error;
+        }
+    }
+
+    summarizeSessions(event, attendance) {
+        return (event.schedule.sessions || []).map(session => {
+            const records = attendance
+                .map(record => record.sessions.find(item => item.sessionId === session._id.toString()))
+                .filter(Boolean);
+
+            return {
+                sessionId: session._id,
+                title: session.title,
+                attendees: records.length,
+                averageDuration: records.length > 0
+                    ? Math.round(records.reduce((total, item) => total + (item.duration || 0), 0) / records.length)
+                    : 0
+            };
+        });
+    }
+
+    bucketCheckIns(attendance, bucketSize) {
+        const buckets = new Map();
+
+        attendance.forEach(record => {
+            const bucket = Math.floor(new Date(record.checkIn.timestamp).getTime() / bucketSize) * bucketSize;
+            buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+        });
+
+        return Array.from(buckets.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([bucket, count]) => ({ time: new Date(bucket), checkIns: count }));
+    }
+
+    // Auto check-out at the event end for attendees who never checked out,
+    // so their duration and certificate eligibility can be computed
+    async closeOpenAttendance(attendance) {
+        const end = new Date(attendance.event.schedule.endDate);
+
+        if ((attendance.checkOut && attendance.checkOut.timestamp) || end > new Date()) {
+            return attendance;
+        }
+
+        if (this.isOnline(attendance)) {
+            // Online attendees leave with their last heartbeat
+            const session = attendance.onlineSession;
+            if (session.currentIntervalStart) {
+                session.intervals.push({ start: session.currentIntervalStart, end: session.lastHeartbeatAt });
+                session.currentIntervalStart = undefined;
+            }
+
+            attendance.checkOut = {
+                timestamp: new Date(Math.max(Math.min(session.lastHeartbeatAt.getTime(), end.getTime()), attendance.checkIn.timestamp.getTime())),
+                method: 'automatic',
+                notes: 'Closed at the last heartbeat'
+            };
+        } else {
+            attendance.checkOut = {
+                timestamp: end,
+                method: 'automatic',
+                notes: 'Closed automatically at event end'
+            };
+        }
+
+        return await this.saveAndSync(attendance);
+    }
+
+    async verifyCertificateEligibility(attendanceId) {
+        try {
+            let attendance = await this.getAttendanceWithEvent(attendanceId);
+            attendance = await this.closeOpenAttendance(attendance);
+
+            if (attendance.voided && attendance.voided.isVoided) {
+                return {
+                    eligible: false,
+                    reason: 'Attendance was voided after review',
+                    attendanceRate: this.getEffectiveRate(attendance),
+                    requirements: {
+                        minAttendanceRate: this.certificateRate,
+                        checkedOut: Boolean(attendance.checkOut && attendance.checkOut.timestamp),
+                        voided: true
+                    }
+                };
+            }
+
+            const unresolvedFlags = attendance.flags.filter(flag =>
+                !flag.resolved && ['high', 'critical'].includes(flag.severity));
+
+            let eligible = attendance.certificateEligible;
+            let reason = attendance.certificateEligibilityReason;
+
+            if (eligible && unresolvedFlags.length > 0) {
+                eligible = false;
+                reason = 'Attendance has unresolved flags';
+            }
+
+            return {
+                eligible,
+                reason,
+                attendanceRate: this.getEffectiveRate(attendance),
+                requirements: {
+                    minAttendanceRate: this.certificateRate,
+                    checkedOut: Boolean(attendance.checkOut && attendance.checkOut.timestamp),
+                    unresolvedFlags: unresolvedFlags.length
+                }
+            };
+        } catch (error) {
+            logger.error('Verify certificate eligibility error:', error);
+            throw error;
+        }
+    }
+
+    async getAttendanceAnalytics(eventId, options = {}) {
+        try {
+            const range = TIMEFRAMES[options.timeframe] || TIMEFRAMES['1d'];
+            const since = new Date(Date.now() - range);
+
+            const attendance = await Attendance.find({
+                event: eventId,
+                'checkIn.timestamp': { $gte: since }
+            }).select('checkIn checkOut status totalDuration attendanceRate engagementMetrics participationScore');
+
+            const analytics = {
+                timeframe: options.timeframe || '1d',
+                since,
+                checkIns: attendance.length,
+                checkInTimeline: this.bucketCheckIns(attendance, range <= TIMEFRAMES['1d'] ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000)
+            };
+
+            if (options.metrics === 'detailed') {
+                const count = attendance.length || 1;
+                const sum = selector => attendance.reduce((total, record) => total + (selector(record) || 0), 0);
+
+                analytics.byMethod = attendance.reduce((methods, record) => {
+                    methods[record.checkIn.method] = (methods[record.checkIn.method] || 0) + 1;
+                    return methods;
+                }, {});
+                analytics.byStatus = attendance.reduce((statuses, record) => {
+                    statuses[record.status] = (statuses[record.status] || 0) + 1;
+                    return statuses;
+                }, {});
+                analytics.averageDuration = Math.round(sum(record => record.totalDuration) / count);
+                analytics.averageAttendanceRate = Math.round(sum(record => record.attendanceRate) / count);
+                analytics.averageParticipationScore = Math.round(sum(record => record.participationScore) / count);
+            }
+
+            return analytics;
+        } catch (error) {
+            logger.error('Get attendance analytics error:', error);
+            throw error;
+        }
+    }
+
+    async updateLateArrival(attendanceId, acceptedByOrganizer, reason) {
+        const attendance = await this.getAttendanceWithEvent(attendanceId);
+
+        if (!attendance.lateArrival.isLate) {
+            throw new ValidationError('Attendee did not arrive late');
+        }
+
+        attendance.lateArrival.acceptedByOrganizer = Boolean(acceptedByOrganizer);
+        if (reason !== undefined) {
+            attendance.lateArrival.reason = reason;
+        }
+
+        return await this.saveAndSync(attendance);
+    }
+
+    // Record an early leave; checks the attendee out now if still checked in
+    async recordEarlyLeave(attendanceId, reason, acceptedByOrganizer) {
+        const attendance = await this.getAttendanceWithEvent(attendanceId);
+
+        if (!attendance.checkOut || !attendance.checkOut.timestamp) {
+            attendance.checkOut = {
+                timestamp: new Date(),
+                method: 'manual',
+                notes: 'Early leave'
+            };
+        }
+
+        attendance.earlyLeave.reason = reason;
+        attendance.earlyLeave.acceptedByOrganizer = Boolean(acceptedByOrganizer);
+
+        return await this.saveAndSync(attendance);
+    }
+
+    // Compare attendance records, registrations and event stats
+    async getAttendanceHealthCheck(eventId) {
+        try {
+            const event = await Event.findById(eventId).select('title schedule stats.attendees');
+
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            const [attendanceCount, attendedRegistrations, records, openAfterEnd, flagged] = await Promise.all([
+                Attendance.countDocuments({ event: eventId }),
+                Registration.find({ event: eventId, 'attendance.checkedIn': true }).select('_id'),
+                Attendance.find({ event: eventId }).select('registration'),
+                event.schedule.endDate < new Date()
+                    ? Attendance.countDocuments({ event: eventId, 'checkOut.timestamp': null })
+                    : 0,
+                Attendance.countDocuments({ event: eventId, 'flags.resolved': false })
+            ]);
+
+            const recordedRegistrations = new Set(records.map(record => record.registration.toString()));
+            const checkedInRegistrations = new Set(attendedRegistrations.map(registration => registration._id.toString()));
+
+            const withoutRecord = [...checkedInRegistrations].filter(id => !recordedRegistrations.has(id));
+            const notMarked = [...recordedRegistrations].filter(id => !checkedInRegistrations.has(id));
+
+            const issues = [];
+
+            if (event.stats.attendees !== attendanceCount) {
+                issues.push({
+                    type: 'stats_mismatch',
+                    message: `Event stats show ${event.stats.attendees} attendees, ${attendanceCount} attendance records exist`
+                });
+            }
+            if (withoutRecord.length > 0) {
+                issues.push({ type: 'missing_attendance', message: `${withoutRecord.length} checked-in registrations have no attendance record`, registrations: withoutRecord });
+            }
+            if (notMarked.length > 0) {
+                issues.push({ type: 'registration_not_synced', message: `${notMarked.length} attendance records are not reflected on their registration`, registrations: notMarked });
+            }
+            if (openAfterEnd > 0) {
+                issues.push({ type: 'open_check_ins', message: `${openAfterEnd} attendees never checked out` });
+            }
+            if (flagged > 0) {
+                issues.push({ type: 'unresolved_flags', message: `${flagged} attendance records have unresolved flags` });
+            }
+
+            return {
+                healthy: issues.length === 0,
+                attendanceRecords: attendanceCount,
+                checkedInRegistrations: checkedInRegistrations.size,
+                statsAttendees: event.stats.attendees,
+                issues,
+                checkedAt: new Date()
+            };
+        } catch (error) {
+            logger.error('Attendance health check error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new AttendanceService();
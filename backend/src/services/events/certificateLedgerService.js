@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const Certificate = require('../../models/Certificate');
+const CertificateLedgerEntry = require('../../models/CertificateLedgerEntry');
+const CertificateLedgerRoot = require('../../models/CertificateLedgerRoot');
+const encryption = require('../../utils/encryption');
+const logger = require('../../utils/logger');
+const { NotFoundError } = require('../../utils/errors');
+const { JWS_TYPES } = require('../../utils/constants');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entries covered by a single Merkle root
+const MAX_ROOT_LEAVES = 10000;
+
+// Problems listed in a verification report; the rest are only counted
+const MAX_REPORTED_PROBLEMS = 100;
+
+// Append-only, hash-chained log of certificate issue, revoke and expire events,
+// sealed periodically under signed Merkle roots
+class CertificateLedgerService {
+    // Fields whose change after issue must go through the ledger
+    snapshotCertificate(certificate) {
+        const iso = (date) => (date ? new Date(date).toISOString() : null);
+        const id = (ref) => (ref ? String(ref._id || ref) : null);
+
+        return {
+            certificateId: certificate.certificateId,
+            verificationCode: certificate.verificationCode,
+            user: id(certificate.user),
+            event: id(certificate.event),
+            registration: id(certificate.registration),
+            type: certificate.type,
+            title: certificate.title,
+            recipientName: certificate.recipientName,
+            recipientId: certificate.recipientId || null,
+            eventTitle: certificate.eventTitle,
+            eventDate: iso(certificate.eventDate),
+            grade: certificate.grade || null,
+            score: certificate.score ?? null,
+            trainingPoints: certificate.trainingPoints ?? null,
+            issuedDate: iso(certificate.issuedDate),
+            expiryDate: iso(certificate.expiryDate),
+            status: certificate.status,
+            revokedDate: iso(certificate.revokedDate),
+            revokedReason: certificate.revokedReason || null,
+            digitalSignature: certificate.digitalSignature || null
+        };
+    }
+
+    hashRecord(certificate) {
+        return encryption.hash(encryption.canonicalJSON(this.snapshotCertificate(certificate)));
+    }
+
+    hashEntry(entry) {
+        return encryption.hash(encryption.canonicalJSON({
+            sequence: entry.sequence,
+            action: entry.action,
+            certificate: String(entry.certificate),
+            certificateId: entry.certificateId,
+            recordHash: entry.recordHash,
+            previousHash: entry.previousHash,
+            recordedAt: new Date(entry.recordedAt).toISOString()
+        }));
+    }
+
+    // Append after the current head; a concurrent writer that takes the same
+    // sequence makes the insert fail on the unique index, and we retry
+    async appendEntry(certificate, action) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const head = await CertificateLedgerEntry.findOne()
+                .sort({ sequence: -1 })
+                .select('sequence entryHash')
+                .lean();
+
+            const entry = {
+                sequence: (head?.sequence || 0) + 1,
+                action,
+                certificate: certificate._id,
+                certificateId: certificate.certificateId,
+                recordHash: this.hashRecord(certificate),
+                previousHash: head?.entryHash || GENESIS_HASH,
+                recordedAt: new Date()
+            };
+            entry.entryHash = this.hashEntry(entry);
+
+            try {
+                return await CertificateLedgerEntry.create(entry);
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        throw new Error('Could not append to the certificate ledger');
+    }
+
+    // Issue entries are written once per certificate
+    async recordIssue(certificate) {
+        const recorded = await CertificateLedgerEntry.exists({ certificate: certificate._id, action: 'issue' });
+        if (recorded) {
+            return null;
+        }
+
+        return this.appendEntry(certificate, 'issue');
+    }
+
+    // Certificates issued before the ledger existed get their issue entry
+    // first, so no chain starts with a revoke or expire
+    async recordRevocation(certificate) {
+        await this.recordIssue(certificate);
+        return this.appendEntry(certificate, 'revoke');
+    }
+
+    async recordExpiry(certificate) {
+        await this.recordIssue(certificate);
+        return this.appendEntry(certificate, 'expire');
+    }
+
+    // One-time catch-up for certificates issued before the ledger existed.
+    // Their issue entry records their state when the backfill runs.
+    async backfillIssues() {
+        const recorded = new Set(
+            (await CertificateLedgerEntry.distinct('certificate', { action: 'issue' })).map(String)
+        );
+
+        let backfilled = 0;
+        for await (const certificate of Certificate.find({ status: { $ne: 'draft' } }).lean().cursor()) {
+            if (recorded.has(String(certificate._id))) {
+                continue;
+            }
+
+            await this.appendEntry(certificate, 'issue');
+            backfilled++;
+        }
+
+        return backfilled;
+    }
+
+    // Merkle hashing with leaf/node prefixes (as in RFC 6962) so a node
+    // can never be passed off as a leaf; an odd node moves up unpaired
+    hashLeaf(entryHash) {
+        return crypto.createHash('sha256')
+            .update(Buffer.from([0]))
+            .update(Buffer.from(entryHash, 'hex'))
+            .digest('hex');
+    }
+
+    hashNode(left, right) {
+        return crypto.createHash('sha256')
+            .update(Buffer.from([1]))
+            .update(Buffer.from(left, 'hex'))
+            .update(Buffer.from(right, 'hex'))
+            .digest('hex');
+    }
+
+    buildMerkleLevels(entryHashes) {
+        const levels = [entryHashes.map(hash => this.hashLeaf(hash))];
+
+        while (levels[levels.length - 1].length > 1) {
+            const level = levels[levels.length - 1];
+            const next = [];
+
+            for (let i = 0; i < level.length; i += 2) {
+                next.push(i + 1 < level.length ? this.hashNode(level[i], level[i + 1]) : level[i]);
+            }
+
+            levels.push(next);
+        }
+
+        return levels;
+    }
+
+    computeMerkleRoot(entryHashes) {
+        const levels = this.buildMerkleLevels(entryHashes);
+        return levels[levels.length - 1][0];
+    }
+
+    // Sibling hashes from a leaf up to the root
+    computeMerkleProof(entryHashes, leafIndex) {
+        const levels = this.buildMerkleLevels(entryHashes);
+        const path = [];
+        let position = leafIndex;
+
+        for (const level of levels.slice(0, -1)) {
+            const sibling = position % 2 === 0 ? position + 1 : position - 1;
+
+            if (sibling < level.length) {
+                path.push({
+                    side: position % 2 === 0 ? 'right' : 'left',
+                    hash: level[sibling]
+                });
+            }
+
+            position = Math.floor(position / 2);
+        }
+
+        return path;
+    }
+
+    rootPayload(root) {
+        return {
+            index: root.index,
+            fromSequence: root.fromSequence,
+            toSequence: root.toSequence,
+            leafCount: root.leafCount,
+            merkleRoot: root.merkleRoot,
+            lastEntryHash: root.lastEntryHash,
+            previousRoot: root.previousRoot,
+            sealedAt: new Date(root.sealedAt).toISOString()
+        };
+    }
+
+    // Seal all unsealed entries under new signed roots
+    async sealLedger() {
+        let sealed = 0;
+
+        for (;;) {
+            const lastRoot = await CertificateLedgerRoot.findOne().sort({ index: -1 }).lean();
+            const fromSequence = (lastRoot?.toSequence || 0) + 1;
+
+            const entries = await CertificateLedgerEntry.find({ sequence: { $gte: fromSequence } })
+                .sort({ sequence: 1 })
+                .limit(MAX_ROOT_LEAVES)
+                .select('sequence entryHash')
+                .lean();
+
+            if (entries.length === 0) {
+                return sealed;
+            }
+
+            const root = {
+                index: (lastRoot?.index || 0) + 1,
+                fromSequence,
+                toSequence: entries[entries.length - 1].sequence,
+                leafCount: entries.length,
+                merkleRoot: this.computeMerkleRoot(entries.map(entry => entry.entryHash)),
+                lastEntryHash: entries[entries.length - 1].entryHash,
+                previousRoot: lastRoot?.merkleRoot || GENESIS_HASH,
+                sealedAt: new Date()
+            };
+            root.signature = encryption.signJWS(this.rootPayload(root), { typ: JWS_TYPES.LEDGER_ROOT });
+
+            try {
+                await CertificateLedgerRoot.create(root);
+                sealed++;
+            } catch (error) {
+                // Another instance sealed this range first
+                if (error.code === 11000) return sealed;
+                throw error;
+            }
+
+            if (entries.length < MAX_ROOT_LEAVES) {
+                return sealed;
+            }
+        }
+    }
+
+    // Ledger entries of a certificate with Merkle inclusion proofs for the sealed ones
+    async getInclusionProof(verificationCode) {
+        try {
+            const certificate = await Certificate.findOne({ verificationCode: verificationCode.toUpperCase() });
+            if (!certificate) {
+                throw new NotFoundError('Certificate not found');
+            }
+
+            const entries = await CertificateLedgerEntry.find({ certificate: certificate._id })
+                .sort({ sequence: 1 })
+                .select('-_id -__v')
+                .lean();
+
+            const proofs = [];
+            for (const entry of entries) {
+                const root = await CertificateLedgerRoot.findOne({
+                    fromSequence: { $lte: entry.sequence },
+                    toSequence: { $gte: entry.sequence }
+                }).select('-_id -__v').lean();
+
+                let proof = null;
+                if (root) {
+                    const leaves = await CertificateLedgerEntry.find({
+                        sequence: { $gte: root.fromSequence, $lte: root.toSequence }
+                    }).sort({ sequence: 1 }).select('entryHash').lean();
+
+                    const leafIndex = entry.sequence - root.fromSequence;
+                    proof = {
+                        root,
+                        leafIndex,
+                        path: this.computeMerkleProof(leaves.map(leaf => leaf.entryHash), leafIndex)
+                    };
+                }
+
+                proofs.push({ entry, proof });
+            }
+
+            const recordHash = this.hashRecord(certificate);
+
+            return {
+                certificateId: certificate.certificateId,
+                recordHash,
+                matchesLedger: entries.length > 0 && entries[entries.length - 1].recordHash === recordHash,
+                entries: proofs,
+                hashing: {
+                    entry: 'sha256 of canonical JSON of the entry fields',
+                    leaf: 'sha256(0x00 || entryHash)',
+                    node: 'sha256(0x01 || left || right)',
+                    rootSignature: 'EdDSA JWS, keys at /certificates/public-keys'
+                }
+            };
+
+        } catch (error) {
+            logger.error('Get ledger inclusion proof error:', error);
+            throw error;
+        }
+    }
+
+    // Re-check the whole ledger: chain links, sealed roots and their
+    // signatures, and that every certificate still matches its last entry
+    async verifyLedger() {
+        const report = {
+            checkedAt: new Date(),
+            entries: 0,
+            roots: 0,
+            certificates: 0,
+            unrecorded: 0,
+            problemCount: 0,
+            problems: []
+        };
+
+        const addProblem = (problem) => {
+            report.problemCount++;
+            if (report.problems.length < MAX_REPORTED_PROBLEMS) {
+                report.problems.push(problem);
+            }
+        };
+
+        // Chain
+        let previousHash = GENESIS_HASH;
+        let expectedSequence = 1;
+
+        for await (const entry of CertificateLedgerEntry.find().sort({ sequence: 1 }).lean().cursor()) {
+            if (entry.sequence !== expectedSequence) {
+                addProblem({ type: 'sequence_gap', sequence: entry.sequence, expected: expectedSequence });
+            }
+            if (entry.previousHash !== previousHash) {
+                addProblem({ type: 'broken_link', sequence: entry.sequence });
+            }
+            if (this.hashEntry(entry) !== entry.entryHash) {
+                addProblem({ type: 'entry_modified', sequence: entry.sequence, certificateId: entry.certificateId });
+            }
+
+            previousHash = entry.entryHash;
+            expectedSequence = entry.sequence + 1;
+            report.entries++;
+        }
+
+        // Roots
+        let previousRoot = GENESIS_HASH;
+        let nextFromSequence = 1;
+
+        for await (const root of CertificateLedgerRoot.find().sort({ index: 1 }).lean().cursor()) {
+            if (root.fromSequence !== nextFromSequence || root.previousRoot !== previousRoot) {
+                addProblem({ type: 'root_chain_broken', index: root.index });
+            }
+
+            const leaves = await CertificateLedgerEntry.find({
+                sequence: { $gte: root.fromSequence, $lte: root.toSequence }
+            }).sort({ sequence: 1 }).select('entryHash').lean();
+
+            if (leaves.length !== root.leafCount ||
+                this.computeMerkleRoot(leaves.map(leaf => leaf.entryHash)) !== root.merkleRoot) {
+                addProblem({ type: 'root_mismatch', index: root.index });
+            }
+
+            const signature = encryption.verifyJWS(root.signature, { typ: JWS_TYPES.LEDGER_ROOT, allowUntyped: true });
+            if (!signature.valid ||
+                encryption.canonicalJSON(signature.payload) !== encryption.canonicalJSON(this.rootPayload(root))) {
+                addProblem({ type: 'root_signature_invalid', index: root.index });
+            }
+
+            previousRoot = root.merkleRoot;
+            nextFromSequence = root.toSequence + 1;
+            report.roots++;
+        }
+
+        // Certificate records against their latest entry
+        const latest = await CertificateLedgerEntry.aggregate([
+            { $sort: { sequence: 1 } },
+            {
+                $group: {
+                    _id: '$certificate',
+                    recordHash: { $last: '$recordHash' },
+                    certificateId: { $last: '$certificateId' }
+                }
+            }
+        ]).allowDiskUse(true);
+
+        const latestByCertificate = new Map(latest.map(item => [String(item._id), item]));
+
+        for await (const certificate of Certificate.find({ status: { $ne: 'draft' } }).lean().cursor()) {
+            const recorded = latestByCertificate.get(String(certificate._id));
+
+            if (!recorded) {
+                report.unrecorded++;
+                continue;
+            }
+
+            latestByCertificate.delete(String(certificate._id));
+
+            if (recorded.recordHash !== this.hashRecord(certificate)) {
+                addProblem({ type: 'certificate_modified', certificateId: certificate.certificateId });
+            }
+            report.certificates++;
+        }
+
+        latestByCertificate.forEach(recorded => {
+            addProblem({ type: 'certificate_deleted', certificateId: recorded.certificateId });
+        });
+
+        report.valid = report.problemCount === 0;
+
+        if (!report.valid) {
+            logger.security('Certificate ledger verification failed', {
+                problemCount: report.problemCount,
+                problems: report.problems.slice(0, 10)
+            });
+        }
+
+        return report;
+    }
+}
+
+module.exports = new CertificateLedgerService();
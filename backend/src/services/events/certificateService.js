@@ -1,13 +1,84 @@
 const Certificate = require('../../models/Certificate');
+const CertificateTemplate = require('../../models/CertificateTemplate');
+const CertificateBatch = require('../../models/CertificateBatch');
 const Registration = require('../../models/Registration');
 const Event = require('../../models/Event');
 const User = require('../../models/User');
-const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
 const qrCodeService = require('../qrCodeService');
+const certificateLedgerService = require('./certificateLedgerService');
+const certificateStatusService = require('./certificateStatusService');
+const encryption = require('../../utils/encryption');
+const storage = require('../../config/storage');
+const browserPool = require('../../utils/browserPool');
 const logger = require('../../utils/logger');
-const { NotFoundError, ValidationError } = require('../../utils/errors');
+const { NotFoundError, ValidationError, PermissionError } = require('../../utils/errors');
+const { JWS_TYPES } = require('../../utils/constants');
+
+// Placeholders a stored template may use, with the sample values shown in previews
+const TEMPLATE_PLACEHOLDERS = {
+    recipientName: 'Nguyễn Văn A',
+    eventTitle: 'Hội thảo Kỹ năng mềm',
+    eventDate: '15 tháng 10, 2024',
+    eventDuration: '180',
+    eventLocation: 'Hội trường A',
+    organizationName: 'Student Event Management',
+    organizationLogo: '',
+    issuerName: 'Trần Thị B',
+    issuerTitle: 'Event Organizer',
+    issuedDate: '20 tháng 10, 2024',
+    certificateId: 'CERT-PREVIEW',
+    verificationCode: 'PREVIEW',
+    verificationUrl: '#',
+    qrCode: '',
+    type: 'participation',
+    skills: 'Giao tiếp, Làm việc nhóm',
+    competencies: 'Thuyết trình',
+    trainingPoints: '5',
+    grade: 'A',
+    score: '95',
+    customHeader: '',
+    customBody: 'has successfully participated in',
+    customFooter: '',
+    digitalSignature: 'PREVIEW.SIGNATURE',
+    signatureKeyId: 'preview',
+    backgroundImage: '',
+    logoImage: '',
+    signatureImage: ''
+};
+
+const REQUIRED_PLACEHOLDERS = ['recipientName', 'verificationCode'];
+
+// Uploadable images, each exposed to the template as {{<name>Image}}
+const TEMPLATE_ASSETS = ['background', 'logo', 'signature'];
+
+// Markup a stored template may use. Templates are printed by Chromium, so
+// anything that can run script, embed a document or redirect is left out.
+const ALLOWED_TAGS = new Set([
+    'html', 'head', 'body', 'style', 'div', 'span', 'p', 'br', 'hr',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 'small', 'sub', 'sup',
+    'img', 'a', 'ul', 'ol', 'li', 'blockquote', 'figure', 'figcaption',
+    'section', 'header', 'footer', 'main', 'article', 'aside',
+    'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+    'class', 'id', 'style', 'title', 'lang', 'dir', 'src', 'alt', 'href',
+    'width', 'height', 'align', 'valign', 'colspan', 'rowspan'
+]);
+
+const URL_ATTRIBUTES = new Set(['src', 'href']);
+
+// Placeholders that expand to an image or link URL
+const URL_PLACEHOLDERS = ['backgroundImage', 'logoImage', 'signatureImage', 'organizationLogo', 'qrCode', 'verificationUrl'];
+
+const DOCTYPE_PATTERN = /<!doctype\s+html\s*>/iy;
+const CLOSE_TAG_PATTERN = /<\/([a-z][a-z0-9]*)\s*>/iy;
+const OPEN_TAG_PATTERN = /<([a-z][a-z0-9]*)((?:\s+[^\s"'<>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/iy;
+const ATTRIBUTE_PATTERN = /\s+([^\s"'<>\/=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^\s"')]*))\s*\)/gi;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')', sol: '/' };
 
 class CertificateService {
     constructor() {
@@ -15,8 +86,9 @@ class CertificateService {
         this.defaultTemplate = 'default';
     }
 
-    // Generate certificate
-    async generateCertificate(certificateData, issuerId) {
+    // Generate certificate. options.award marks a competition placement
+    // certificate, issued on top of any certificate the entrant already holds
+    async generateCertificate(certificateData, issuerId, options = {}) {
         try {
             const {
                 user: userId,
@@ -43,28 +115,32 @@ class CertificateService {
             }
 
             // Check eligibility
-            const eligibility = await this.validateCertificateEligibility(registrationId);
+            const eligibility = await this.validateCertificateEligibility(registrationId, options);
             if (!eligibility.eligible) {
                 throw new ValidationError(`Certificate not eligible: ${eligibility.reason}`);
             }
 
-            // Check if certificate already exists
+            // A registration holds one regular certificate and one award per type
             const existingCert = await Certificate.findOne({
                 user: userId,
                 event: eventId,
-                registration: registrationId
+                registration: registrationId,
+                ...(options.award ? { award: true, type } : { award: { $ne: true } })
             });
 
             if (existingCert) {
                 throw new ValidationError('Certificate already exists for this registration');
             }
 
+            const storedTemplate = await this.resolveEventTemplate(event);
+
             // Create certificate
             const certificate = new Certificate({
                 user: userId,
                 event: eventId,
                 registration: registrationId,
                 type,
+                award: !!options.award,
                 title: this.generateCertificateTitle(type, event.title),
                 description: customContent?.body || this.getDefaultDescription(type),
 
@@ -82,6 +158,8 @@ class CertificateService {
 
                 // Certificate content
                 template: customContent?.template || this.defaultTemplate,
+                templateId: storedTemplate?.templateId,
+                templateVersion: storedTemplate?.version,
                 customContent,
                 skills: skills || [],
                 competencies: competencies || [],
@@ -108,21 +186,7 @@ class CertificateService {
 
             await certificate.save();
 
-            // Generate QR code
-            await certificate.generateQRCode();
-
-            // Generate PDF
-            const pdfBuffer = await this.generateCertificatePDF(certificate._id);
-            certificate.fileUrl = await this.saveCertificatePDF(certificate.certificateId, pdfBuffer);
-            certificate.fileSize = pdfBuffer.length;
-
-            await certificate.save();
-
-            // Update registration
-            registration.certificate.issued = true;
-            registration.certificate.issuedAt = new Date();
-            registration.certificate.certificateId = certificate.certificateId;
-            await registration.save();
+            await this.completeCertificate(certificate, registration);
 
             logger.info(`Certificate generated: ${certificate.certificateId} for ${user.email}`);
 
@@ -134,6 +198,123 @@ class CertificateService {
         }
     }
 
+    // Sign, render and store the PDF, then mark the registration as certified
+    async completeCertificate(certificate, registration) {
+        if (!certificate.digitalSignature) {
+            await this.signCertificate(certificate);
+        }
+
+        const pdfBuffer = await this.generateCertificatePDF(certificate._id);
+        certificate.fileUrl = await this.saveCertificatePDF(certificate.certificateId, pdfBuffer);
+        certificate.fileSize = pdfBuffer.length;
+
+        await certificate.save();
+        await certificateLedgerService.recordIssue(certificate);
+
+        // The registration tracks its regular certificate, not placement awards
+        if (certificate.award) {
+            return;
+        }
+
+        registration.certificate.issued = true;
+        registration.certificate.issuedAt = new Date();
+        registration.certificate.certificateId = certificate.certificateId;
+        await registration.save();
+    }
+
+    // The fields a signature vouches for, in a stable shape
+    buildSignedPayload(certificate) {
+        return {
+            v: 1,
+            certificateId: certificate.certificateId,
+            verificationCode: certificate.verificationCode,
+            recipientName: certificate.recipientName,
+            recipientId: certificate.recipientId || null,
+            eventTitle: certificate.eventTitle,
+            eventDate: new Date(certificate.eventDate).toISOString().slice(0, 10),
+            type: certificate.type,
+            grade: certificate.grade || null,
+            issuer: certificate.organization?.name || null,
+            issuedDate: new Date(certificate.issuedDate).toISOString()
+        };
+    }
+
+    // Sign the canonical payload with the institution key; the QR code
+    // carries the signature so the printed certificate verifies offline
+    async signCertificate(certificate) {
+        certificate.digitalSignature = encryption.signJWS(this.buildSignedPayload(certificate), { typ: JWS_TYPES.CERTIFICATE });
+        certificate.signatureKeyId = encryption.getSigningKeys().keyId;
+
+        const { qrCode } = await qrCodeService.generateCertificateQR(
+            certificate._id,
+            certificate.verificationCode,
+            { signature: certificate.digitalSignature }
+        );
+        certificate.qrCode = qrCode;
+    }
+
+    // Check a stored certificate's signature against its current fields
+    checkCertificateSignature(certificate) {
+        if (!certificate.digitalSignature) {
+            return { signed: false, valid: false };
+        }
+
+        const result = this.verifyCertificateJWS(certificate.digitalSignature);
+        const matches = result.valid &&
+            encryption.canonicalJSON(result.payload) === encryption.canonicalJSON(this.buildSignedPayload(certificate));
+
+        return {
+            signed: true,
+            valid: matches,
+            keyId: result.keyId,
+            keyStatus: result.keyStatus
+        };
+    }
+
+    // Credentials, status lists and ledger roots share the signing key, so a
+    // certificate signature must carry the certificate typ (or none, for ones
+    // signed before typ was set) and a certificate payload
+    verifyCertificateJWS(signature) {
+        const result = encryption.verifyJWS(signature, { typ: JWS_TYPES.CERTIFICATE, allowUntyped: true });
+        if (result.valid && (!result.payload?.v || !result.payload.certificateId)) {
+            return { valid: false, reason: 'not_a_certificate' };
+        }
+
+        return result;
+    }
+
+    // Verify a signature taken from a certificate file or QR code. The
+    // signature alone proves authenticity; the status lookup is informational.
+    async verifyCertificateSignature(signature) {
+        try {
+            const result = this.verifyCertificateJWS(signature);
+
+            let status = null;
+            if (result.valid && result.payload?.verificationCode) {
+                const certificate = await Certificate.findOne({ verificationCode: result.payload.verificationCode })
+                    .select('status expiryDate');
+                status = certificate ? (certificate.isValid() ? 'valid' : certificate.status) : 'unknown';
+            }
+
+            return {
+                valid: result.valid,
+                reason: result.reason,
+                keyId: result.keyId,
+                keyStatus: result.keyStatus,
+                payload: result.valid ? result.payload : undefined,
+                status
+            };
+
+        } catch (error) {
+            logger.error('Verify certificate signature error:', error);
+            throw error;
+        }
+    }
+
+    getSigningPublicKeys() {
+        return encryption.getPublicJWKS();
+    }
+
     // Get certificate by ID
     async getCertificateById(certificateId) {
         try {
@@ -167,8 +348,19 @@ class CertificateService {
                 }
             }
 
-            // Load template
-            const template = await this.loadCertificateTemplate(certificate.template);
+            // Load template: the stored version it was issued with, or a bundled file
+            let template;
+            let orientation = 'landscape';
+            let assetData = {};
+
+            if (certificate.templateId) {
+                const version = await this.getTemplateVersion(certificate.templateId, certificate.templateVersion);
+                template = this.buildTemplateDocument(version);
+                orientation = version.orientation;
+                assetData = this.getAssetData(version);
+            } else {
+                template = await this.loadCertificateTemplate(certificate.template);
+            }
 
             // Prepare template data
             const templateData = {
@@ -192,34 +384,20 @@ class CertificateService {
                 trainingPoints: certificate.trainingPoints,
                 grade: certificate.grade,
                 score: certificate.score,
-                customContent: certificate.customContent
+                customHeader: certificate.customContent?.header,
+                customBody: certificate.customContent?.body || certificate.description,
+                customFooter: certificate.customContent?.footer,
+                digitalSignature: certificate.digitalSignature,
+                signatureKeyId: certificate.signatureKeyId,
+                ...assetData
             };
 
-            // Render HTML
-            const html = this.renderTemplate(template, templateData);
-
-            // Generate PDF using Puppeteer
-            const browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-
-            const page = await browser.newPage();
-            await page.setContent(html, { waitUntil: 'networkidle0' });
-
-            const pdfBuffer = await page.pdf({
-                format: 'A4',
-                landscape: true,
-                margin: {
-                    top: '0.5in',
-                    right: '0.5in',
-                    bottom: '0.5in',
-                    left: '0.5in'
-                },
-                printBackground: true
-            });
-
-            await browser.close();
+            // Render HTML; designs that do not place the signature get it in a footer
+            let html = this.renderTemplate(template, templateData);
+            if (certificate.digitalSignature && !template.includes('{{digitalSignature}}')) {
+                html = this.appendSignatureBlock(html, certificate);
+            }
+            const pdfBuffer = await this.renderPDF(html, orientation);
 
             logger.info(`Certificate PDF generated: ${certificate.certificateId}`);
             return pdfBuffer;
@@ -230,64 +408,235 @@ class CertificateService {
         }
     }
 
-    // Bulk generate certificates
-    async bulkGenerateCertificates(eventId, recipients, certificateData, issuerId) {
+    // Record a bulk run; recipients default to attendees without a certificate.
+    // The queue then generates one certificate per recipient.
+    async createCertificateBatch(eventId, recipients, certificateData = {}, issuerId) {
         try {
-            const results = {
-                successful: 0,
-                failed: 0,
-                errors: []
-            };
-
             const event = await Event.findById(eventId);
             if (!event) {
                 throw new NotFoundError('Event not found');
             }
 
-            for (const recipient of recipients) {
-                try {
-                    const registration = await Registration.findOne({
-                        event: eventId,
-                        user: recipient.userId
-                    });
-
-                    if (!registration) {
-                        results.failed++;
-                        results.errors.push({
-                            userId: recipient.userId,
-                            error: 'Registration not found'
-                        });
-                        continue;
-                    }
+            const type = certificateData.type || event.rewards?.certificateType;
+            if (!type || type === 'none') {
+                throw new ValidationError('Event does not issue certificates');
+            }
 
-                    const certData = {
-                        ...certificateData,
-                        user: recipient.userId,
-                        event: eventId,
-                        registration: registration._id,
-                        ...recipient.customData
-                    };
+            let batchRecipients = recipients;
+            if (!batchRecipients || batchRecipients.length === 0) {
+                const registrations = await Registration.find({
+                    event: eventId,
+                    status: 'attended',
+                    'certificate.issued': { $ne: true }
+                }).select('user').lean();
 
-                    await this.generateCertificate(certData, issuerId);
-                    results.successful++;
+                batchRecipients = registrations.map(registration => ({ userId: registration.user }));
+            }
 
-                } catch (error) {
-                    results.failed++;
-                    results.errors.push({
-                        userId: recipient.userId,
-                        error: error.message
-                    });
-                }
+            // One entry per user
+            const seen = new Set();
+            batchRecipients = batchRecipients.filter(recipient => {
+                const key = recipient.userId.toString();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+
+            if (batchRecipients.length === 0) {
+                throw new ValidationError('No recipients to generate certificates for');
+            }
+
+            const batch = await CertificateBatch.create({
+                event: eventId,
+                issuedBy: issuerId,
+                certificateData: { ...certificateData, type },
+                total: batchRecipients.length,
+                recipients: batchRecipients.map(recipient => ({
+                    user: recipient.userId,
+                    customData: recipient.customData
+                }))
+            });
+
+            logger.info(`Certificate batch ${batch._id} created for event ${eventId}: ${batch.total} recipients`);
+            return batch;
+
+        } catch (error) {
+            logger.error('Create certificate batch error:', error);
+            throw error;
+        }
+    }
+
+    // Generate one recipient's certificate. Returns null when the recipient
+    // was already recorded, so a replayed job does nothing.
+    async generateBatchCertificate(batchId, userId) {
+        const batch = await CertificateBatch.findById(batchId, {
+            event: 1,
+            issuedBy: 1,
+            certificateData: 1,
+            recipients: { $elemMatch: { user: userId } }
+        });
+
+        const recipient = batch?.recipients[0];
+        if (!recipient) {
+            throw new NotFoundError('Batch recipient not found');
+        }
+
+        if (recipient.status !== 'pending') {
+            return null;
+        }
 
-                // Small delay to prevent overwhelming the system
-                await new Promise(resolve => setTimeout(resolve, 100));
+        const registration = await Registration.findOne({ event: batch.event, user: userId });
+        if (!registration) {
+            throw new NotFoundError('Registration not found');
+        }
+
+        // A previous attempt may have stopped after saving the certificate;
+        // placement awards are not the certificate this batch issues
+        const existing = await Certificate.findOne({ registration: registration._id, award: { $ne: true } });
+        if (existing) {
+            if (!existing.fileUrl) {
+                await this.completeCertificate(existing, registration);
+            } else {
+                await certificateLedgerService.recordIssue(existing);
+            }
+            return existing;
+        }
+
+        return await this.generateCertificate({
+            ...batch.certificateData,
+            ...recipient.customData,
+            user: userId,
+            event: batch.event,
+            registration: registration._id
+        }, batch.issuedBy.toString());
+    }
+
+    async markBatchStarted(batchId) {
+        await CertificateBatch.updateOne(
+            { _id: batchId, status: 'queued' },
+            { status: 'processing', startedAt: new Date() }
+        );
+    }
+
+    // Keep the last error of an attempt that will be retried
+    async recordBatchAttempt(batchId, userId, attempts, error) {
+        await CertificateBatch.updateOne(
+            { _id: batchId, recipients: { $elemMatch: { user: userId, status: 'pending' } } },
+            { $set: { 'recipients.$.attempts': attempts, 'recipients.$.error': error } }
+        );
+    }
+
+    // Record a recipient's final outcome once; returns the batch counters,
+    // or null if the outcome was already recorded
+    async recordBatchResult(batchId, userId, result) {
+        const { status, certificateId, error, attempts } = result;
+
+        const update = {
+            $set: {
+                'recipients.$.status': status,
+                'recipients.$.attempts': attempts,
+                'recipients.$.finishedAt': new Date()
+            },
+            $inc: { [status === 'done' ? 'succeeded' : 'failed']: 1 }
+        };
+
+        if (certificateId) update.$set['recipients.$.certificate'] = certificateId;
+        if (error) update.$set['recipients.$.error'] = error;
+
+        const batch = await CertificateBatch.findOneAndUpdate(
+            { _id: batchId, recipients: { $elemMatch: { user: userId, status: 'pending' } } },
+            update,
+            { new: true, projection: { recipients: 0 } }
+        );
+
+        if (!batch) {
+            return null;
+        }
+
+        if (batch.succeeded + batch.failed >= batch.total) {
+            const completed = await CertificateBatch.findOneAndUpdate(
+                { _id: batchId, status: { $ne: 'completed' } },
+                { status: 'completed', completedAt: new Date() },
+                { new: true, projection: { recipients: 0 } }
+            );
+
+            if (completed) {
+                logger.info(`Certificate batch ${batchId} completed: ${completed.succeeded} successful, ${completed.failed} failed`);
+                return completed;
+            }
+        }
+
+        return batch;
+    }
+
+    // Unfinished batches and their pending recipients, for requeueing after a restart
+    async getResumableBatches() {
+        const batches = await CertificateBatch.find({ status: { $in: ['queued', 'processing'] } })
+            .select('recipients.user recipients.status')
+            .lean();
+
+        const resumable = [];
+
+        for (const batch of batches) {
+            const userIds = batch.recipients
+                .filter(recipient => recipient.status === 'pending')
+                .map(recipient => recipient.user);
+
+            if (userIds.length === 0) {
+                await CertificateBatch.updateOne(
+                    { _id: batch._id },
+                    { status: 'completed', completedAt: new Date() }
+                );
+                continue;
+            }
+
+            resumable.push({ batchId: batch._id, userIds });
+        }
+
+        return resumable;
+    }
+
+    // Progress of a bulk run, visible to its issuer and admins
+    async getCertificateBatch(batchId, userId) {
+        try {
+            const batch = await CertificateBatch.findById(batchId)
+                .populate('recipients.user', 'profile.fullName email student.studentId')
+                .lean();
+
+            if (!batch) {
+                throw new NotFoundError('Certificate batch not found');
             }
 
-            logger.info(`Bulk certificate generation completed: ${results.successful} successful, ${results.failed} failed`);
-            return results;
+            const user = await User.findById(userId);
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            if (user.role !== 'admin' && batch.issuedBy.toString() !== userId) {
+                throw new PermissionError('Insufficient permissions to view this batch');
+            }
+
+            return {
+                _id: batch._id,
+                event: batch.event,
+                status: batch.status,
+                total: batch.total,
+                succeeded: batch.succeeded,
+                failed: batch.failed,
+                pending: batch.total - batch.succeeded - batch.failed,
+                startedAt: batch.startedAt,
+                completedAt: batch.completedAt,
+                failures: batch.recipients
+                    .filter(recipient => recipient.status === 'failed')
+                    .map(recipient => ({
+                        user: recipient.user,
+                        error: recipient.error,
+                        attempts: recipient.attempts
+                    }))
+            };
 
         } catch (error) {
-            logger.error('Bulk generate certificates error:', error);
+            logger.error('Get certificate batch error:', error);
             throw error;
         }
     }
@@ -311,7 +660,13 @@ class CertificateService {
                 throw new NotFoundError('Certificate not found');
             }
 
+            if (certificate.status === 'revoked') {
+                throw new ValidationError('Certificate is already revoked');
+            }
+
             await certificate.revoke(revokedBy, reason);
+            await certificateLedgerService.recordRevocation(certificate);
+            await certificateStatusService.notifyRevocation(certificate);
 
             logger.info(`Certificate revoked: ${certificate.certificateId}`);
             return certificate;
@@ -343,7 +698,7 @@ class CertificateService {
     }
 
     // Validate certificate eligibility
-    async validateCertificateEligibility(registrationId) {
+    async validateCertificateEligibility(registrationId, options = {}) {
         try {
             const registration = await Registration.findById(registrationId)
                 .populate('event')
@@ -356,15 +711,24 @@ class CertificateService {
             const event = registration.event;
             const requirements = event.rewards?.certificateType;
 
-            if (!requirements || requirements === 'none') {
+            if (!options.award && (!requirements || requirements === 'none')) {
                 return { eligible: false, reason: 'Event does not issue certificates' };
             }
 
             // Check registration status
+            if (registration.attendance?.voided) {
+                return { eligible: false, reason: 'Attendance was voided after review' };
+            }
+
             if (registration.status !== 'attended') {
                 return { eligible: false, reason: 'Must attend event to receive certificate' };
             }
 
+            // Placement awards are earned by the competition result itself
+            if (options.award) {
+                return { eligible: true, type: 'award' };
+            }
+
             // Check attendance if required
             if (requirements !== 'participation') {
                 const attendance = registration.attendance;
@@ -444,13 +808,106 @@ class CertificateService {
         }
     }
 
-    // Render template with data
+    // Render template with data; values are escaped since they come from users
     renderTemplate(template, data) {
         return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-            return data[key] || '';
+            const value = data[key];
+            return value === undefined || value === null ? '' : this.escapeHTML(value);
+        });
+    }
+
+    appendSignatureBlock(html, certificate) {
+        const block = `<div style="position:fixed;bottom:0;left:0;right:0;font:6px monospace;color:#666;word-break:break-all;">` +
+            `Chữ ký số (${this.escapeHTML(certificate.signatureKeyId)}): ${this.escapeHTML(certificate.digitalSignature)}</div>`;
+
+        return /<\/body>/i.test(html)
+            ? html.replace(/<\/body>/i, `${block}</body>`)
+            : `${html}${block}`;
+    }
+
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Print rendered certificate HTML to an A4 PDF
+    async renderPDF(html, orientation = 'landscape') {
+        return browserPool.withPage(async (page) => {
+            // Templates come from organizers: print them without script and
+            // let them load nothing but inline data and our asset hosts
+            await page.setJavaScriptEnabled(false);
+            await page.setRequestInterception(true);
+            page.on('request', (request) => {
+                if (this.isAllowedResourceUrl(request.url())) {
+                    request.continue();
+                } else {
+                    logger.warn(`Blocked certificate resource request: ${request.url().slice(0, 200)}`);
+                    request.abort('blockedbyclient');
+                }
+            });
+
+            await page.setContent(html, { waitUntil: 'networkidle0' });
+
+            return page.pdf({
+                format: 'A4',
+                landscape: orientation !== 'portrait',
+                margin: {
+                    top: '0.5in',
+                    right: '0.5in',
+                    bottom: '0.5in',
+                    left: '0.5in'
+                },
+                printBackground: true
+            });
         });
     }
 
+    // Requests a certificate page may make while printing. file: URLs and
+    // hosts outside the allowlist are aborted.
+    isAllowedResourceUrl(url) {
+        if (url === 'about:blank' || url.startsWith('data:')) {
+            return true;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+
+        return ['http:', 'https:'].includes(parsed.protocol) && this.getAssetHosts().has(parsed.host);
+    }
+
+    // Our own hosts, the storage host and CERTIFICATE_ASSET_HOSTS
+    getAssetHosts() {
+        const urls = [process.env.BACKEND_URL || 'http://localhost:3000', process.env.FRONTEND_URL];
+        try {
+            urls.push(storage.getFileUrl('certificates/templates'));
+        } catch (error) {
+            logger.warn('Could not resolve storage host for certificate assets:', error.message);
+        }
+
+        const hosts = (process.env.CERTIFICATE_ASSET_HOSTS || '')
+            .split(',')
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean);
+
+        for (const url of urls.filter(Boolean)) {
+            try {
+                hosts.push(new URL(url).host);
+            } catch (error) {
+                // Not a URL; nothing to allow
+            }
+        }
+
+        return new Set(hosts);
+    }
+
     // Save certificate PDF
     async saveCertificatePDF(certificateId, pdfBuffer) {
         try {
@@ -512,7 +969,8 @@ class CertificateService {
 
             const qrData = await qrCodeService.generateCertificateQR(
                 certificate._id,
-                certificate.verificationCode
+                certificate.verificationCode,
+                { signature: certificate.digitalSignature }
             );
 
             return qrData;
@@ -563,73 +1021,495 @@ class CertificateService {
         }
     }
 
-    // Preview certificate
+    // Preview a design with sample data: unsaved markup from the designer,
+    // a stored template version, or a bundled template file
     async previewCertificate(certificateData) {
         try {
-            const mockCertificate = {
-                recipientName: certificateData.recipientName,
-                eventTitle: certificateData.eventTitle,
-                eventDate: certificateData.eventDate || new Date(),
-                template: certificateData.template || this.defaultTemplate,
-                customContent: certificateData.customContent,
-                type: certificateData.type || 'participation',
-                certificateId: 'PREVIEW-' + Date.now(),
-                verificationCode: 'PREVIEW',
-                organization: {
-                    name: 'Student Event Management',
-                    logo: null
-                },
-                issuerName: 'Preview Issuer',
-                issuedDate: new Date()
-            };
+            const { templateId, version, html, css, sampleData = {} } = certificateData;
 
-            const template = await this.loadCertificateTemplate(mockCertificate.template);
-            const html = this.renderTemplate(template, mockCertificate);
+            let template;
+            let orientation = certificateData.orientation || 'landscape';
+            let assetData = {};
+
+            if (html) {
+                this.validateTemplateMarkup(html, css);
+                template = this.buildTemplateDocument({ html, css });
+            } else if (templateId) {
+                const templateVersion = await this.getTemplateVersion(templateId, version);
+                template = this.buildTemplateDocument(templateVersion);
+                orientation = templateVersion.orientation;
+                assetData = this.getAssetData(templateVersion);
+            } else {
+                template = await this.loadCertificateTemplate(certificateData.template || this.defaultTemplate);
+            }
 
-            const browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
+            // Only known placeholders can be overridden by the caller
+            const data = { ...TEMPLATE_PLACEHOLDERS, ...assetData };
+            Object.keys(TEMPLATE_PLACEHOLDERS).forEach(key => {
+                if (sampleData[key] !== undefined && sampleData[key] !== null && sampleData[key] !== '') {
+                    data[key] = sampleData[key];
+                }
             });
+            if (sampleData.eventDate) {
+                data.eventDate = this.formatDate(sampleData.eventDate);
+            }
 
-            const page = await browser.newPage();
-            await page.setContent(html, { waitUntil: 'networkidle0' });
+            const renderedHtml = this.renderTemplate(template, data);
+            return await this.renderPDF(renderedHtml, orientation);
 
-            const pdfBuffer = await page.pdf({
-                format: 'A4',
-                landscape: true,
-                margin: { top: '0.5in', right: '0.5in', bottom: '0.5in', left: '0.5in' },
-                printBackground: true
+        } catch (error) {
+            logger.error('Preview certificate error:', error);
+            throw error;
+        }
+    }
+
+    // Check a design before it is stored: only allowlisted tags, attributes and
+    // resource URLs, only known placeholders, and the ones a certificate cannot
+    // be verified without
+    validateTemplateMarkup(html, css = '') {
+        const markup = `${html || ''}\n${css || ''}`;
+
+        const problems = new Set([...this.findMarkupProblems(html || ''), ...this.findStyleProblems(css || '')]);
+        if (problems.size > 0) {
+            throw new ValidationError(`Template contains markup that is not allowed: ${[...problems].join(', ')}`);
+        }
+
+        const placeholders = new Set();
+        const unknown = new Set();
+
+        for (const [, rawName] of markup.matchAll(/\{\{([^{}]*)\}\}/g)) {
+            if (Object.prototype.hasOwnProperty.call(TEMPLATE_PLACEHOLDERS, rawName)) {
+                placeholders.add(rawName);
+            } else {
+                unknown.add(rawName);
+            }
+        }
+
+        if (unknown.size > 0) {
+            throw new ValidationError(`Unknown template placeholders: ${[...unknown].map(name => `{{${name}}}`).join(', ')}`);
+        }
+
+        const missing = REQUIRED_PLACEHOLDERS.filter(name => !placeholders.has(name));
+        if (missing.length > 0) {
+            throw new ValidationError(`Template must include placeholders: ${missing.map(name => `{{${name}}}`).join(', ')}`);
+        }
+
+        return [...placeholders];
+    }
+
+    // Walk the tags of a template and describe each one outside the allowlist.
+    // Anything that does not parse as a plain tag is rejected rather than
+    // guessed at, since Chromium would parse it more leniently.
+    findMarkupProblems(html) {
+        const problems = [];
+        let index = 0;
+
+        while ((index = html.indexOf('<', index)) !== -1) {
+            DOCTYPE_PATTERN.lastIndex = index;
+            CLOSE_TAG_PATTERN.lastIndex = index;
+            OPEN_TAG_PATTERN.lastIndex = index;
+
+            let match;
+            if ((match = DOCTYPE_PATTERN.exec(html))) {
+                index = DOCTYPE_PATTERN.lastIndex;
+            } else if ((match = CLOSE_TAG_PATTERN.exec(html))) {
+                if (!ALLOWED_TAGS.has(match[1].toLowerCase())) {
+                    problems.push(`<${match[1].toLowerCase()}>`);
+                }
+                index = CLOSE_TAG_PATTERN.lastIndex;
+            } else if ((match = OPEN_TAG_PATTERN.exec(html))) {
+                const tag = match[1].toLowerCase();
+                index = OPEN_TAG_PATTERN.lastIndex;
+
+                if (!ALLOWED_TAGS.has(tag)) {
+                    problems.push(`<${tag}>`);
+                }
+                problems.push(...this.findAttributeProblems(tag, match[2]));
+
+                // Style contents are CSS, not markup
+                if (tag === 'style') {
+                    const end = html.toLowerCase().indexOf('</style', index);
+                    const stop = end === -1 ? html.length : end;
+                    problems.push(...this.findStyleProblems(html.slice(index, stop)));
+                    index = stop;
+                }
+            } else if (/[a-z/!?]/i.test(html.charAt(index + 1))) {
+                problems.push(`malformed tag "${html.slice(index, index + 20)}"`);
+                index++;
+            } else {
+                index++;
+            }
+        }
+
+        return problems;
+    }
+
+    findAttributeProblems(tag, attributes) {
+        const problems = [];
+
+        for (const [, rawName, rawValue] of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+            const name = rawName.toLowerCase();
+            if (!ALLOWED_ATTRIBUTES.has(name)) {
+                problems.push(`${name} attribute on <${tag}>`);
+                continue;
+            }
+            if (rawValue === undefined) {
+                continue;
+            }
+
+            const quoted = /^["']/.test(rawValue);
+            if (!quoted && rawValue.includes('{{')) {
+                problems.push(`unquoted placeholder in ${name} attribute`);
+                continue;
+            }
+
+            const value = this.decodeEntities(quoted ? rawValue.slice(1, -1) : rawValue);
+            if (name === 'style') {
+                problems.push(...this.findStyleProblems(value));
+            } else if (URL_ATTRIBUTES.has(name) && !this.isAllowedTemplateUrl(value, name === 'href')) {
+                problems.push(`${name} "${value.slice(0, 100)}"`);
+            }
+        }
+
+        return problems;
+    }
+
+    findStyleProblems(css) {
+        const problems = [];
+
+        if (css.includes('<')) {
+            problems.push('markup in CSS');
+        }
+        if (css.includes('\\')) {
+            problems.push('escapes in CSS');
+        }
+        if (/@import/i.test(css)) {
+            problems.push('@import');
+        }
+        if (/image-set\s*\(/i.test(css)) {
+            problems.push('image-set()');
+        }
+
+        const urls = [...css.matchAll(CSS_URL_PATTERN)];
+        if (urls.length !== (css.match(/url\(/gi) || []).length) {
+            problems.push('malformed url()');
+        }
+        for (const [, doubleQuoted, singleQuoted, bare] of urls) {
+            const url = doubleQuoted ?? singleQuoted ?? bare;
+            if (!this.isAllowedTemplateUrl(url.trim())) {
+                problems.push(`url(${url.slice(0, 100)})`);
+            }
+        }
+
+        return problems;
+    }
+
+    // Images must be inline, an asset placeholder or on an asset host;
+    // links may also point within the document
+    isAllowedTemplateUrl(url, isLink = false) {
+        const placeholder = url.match(/^\{\{(\w+)\}\}$/);
+        if (placeholder) {
+            return URL_PLACEHOLDERS.includes(placeholder[1]);
+        }
+        if (/^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]*$/i.test(url)) {
+            return true;
+        }
+        if (isLink && /^#[\w-]*$/.test(url)) {
+            return true;
+        }
+
+        return /^https?:\/\//i.test(url) && this.isAllowedResourceUrl(url);
+    }
+
+    decodeEntities(value) {
+        const character = (codePoint) => (codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd');
+
+        return value
+            .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => character(parseInt(hex, 16)))
+            .replace(/&#(\d+);?/g, (match, decimal) => character(parseInt(decimal, 10)))
+            .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] ?? match);
+    }
+
+    // Full HTML document for a template version, with its CSS inlined
+    buildTemplateDocument(version) {
+        if (!version.css) {
+            return version.html;
+        }
+
+        const style = `<style>${version.css}</style>`;
+        return /<\/head>/i.test(version.html)
+            ? version.html.replace(/<\/head>/i, `${style}</head>`)
+            : `${style}${version.html}`;
+    }
+
+    getAssetData(version) {
+        return TEMPLATE_ASSETS.reduce((data, asset) => {
+            data[`${asset}Image`] = version.assets?.[asset] || '';
+            return data;
+        }, {});
+    }
+
+    // Versions never change once saved, so they are cached by id and number
+    async getTemplateVersion(templateId, version) {
+        const cacheKey = version ? `${templateId}:${version}` : null;
+        if (cacheKey && this.templateCache.has(cacheKey)) {
+            return this.templateCache.get(cacheKey);
+        }
+
+        const template = await CertificateTemplate.findById(templateId);
+        const templateVersion = template?.getVersion(version);
+
+        if (!templateVersion) {
+            throw new NotFoundError('Certificate template version not found');
+        }
+
+        this.templateCache.set(`${templateId}:${templateVersion.version}`, templateVersion.toObject());
+        return templateVersion.toObject();
+    }
+
+    // Template and version selected for an event, or null for the bundled default
+    async resolveEventTemplate(event) {
+        if (!event.rewards?.certificateTemplate) {
+            return null;
+        }
+
+        const template = await CertificateTemplate.findById(event.rewards.certificateTemplate);
+        const version = template?.getVersion(event.rewards.certificateTemplateVersion);
+
+        if (!version) {
+            logger.warn(`Certificate template ${event.rewards.certificateTemplate} missing for event ${event._id}, using default`);
+            return null;
+        }
+
+        return { templateId: template._id, version: version.version };
+    }
+
+    // Move uploaded images into storage under the template's folder
+    async storeTemplateAssets(templateId, files = {}) {
+        const assets = {};
+
+        for (const asset of TEMPLATE_ASSETS) {
+            const file = files[asset]?.[0];
+            if (!file) continue;
+
+            const key = `certificates/templates/${templateId}/${asset}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`;
+            const stored = await storage.storeFile(file.path, key);
+            assets[asset] = stored.url;
+        }
+
+        return assets;
+    }
+
+    // Only the author or an admin may change a stored template
+    async assertCanManageTemplate(template, userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+
+        if (user.role !== 'admin' && template.createdBy.toString() !== userId) {
+            throw new PermissionError('Insufficient permissions to manage this template');
+        }
+    }
+
+    // Create a stored template with its first version
+    async uploadCertificateTemplate(templateData, userId) {
+        try {
+            const { name, description, type, html, css, orientation, notes, files } = templateData;
+
+            const placeholders = this.validateTemplateMarkup(html, css);
+
+            const template = new CertificateTemplate({
+                name,
+                description,
+                type,
+                createdBy: userId,
+                updatedBy: userId
             });
 
-            await browser.close();
+            const assets = await this.storeTemplateAssets(template._id, files);
+
+            template.versions.push({
+                version: 1,
+                html,
+                css,
+                orientation,
+                placeholders,
+                assets,
+                notes,
+                createdBy: userId
+            });
 
-            return pdfBuffer;
+            await template.save();
+
+            logger.info(`Certificate template created: ${template._id} by ${userId}`);
+            return template;
 
         } catch (error) {
-            logger.error('Preview certificate error:', error);
+            logger.error('Upload certificate template error:', error);
+            throw error;
+        }
+    }
+
+    // Save a new version; details such as the name are edited in place
+    async createTemplateVersion(templateId, templateData, userId) {
+        try {
+            const template = await CertificateTemplate.findById(templateId);
+            if (!template) {
+                throw new NotFoundError('Certificate template not found');
+            }
+
+            await this.assertCanManageTemplate(template, userId);
+
+            if (template.status === 'archived') {
+                throw new ValidationError('Archived templates cannot be changed');
+            }
+
+            const { name, description, type, html, css, orientation, notes, removeAssets = [], files } = templateData;
+
+            if (name !== undefined) template.name = name;
+            if (description !== undefined) template.description = description;
+            if (type !== undefined) template.type = type;
+
+            const hasUploads = TEMPLATE_ASSETS.some(asset => files?.[asset]?.length);
+            const designChanged = html !== undefined || css !== undefined || orientation !== undefined ||
+                removeAssets.length > 0 || hasUploads;
+
+            if (designChanged) {
+                const current = template.getVersion();
+                const nextHtml = html !== undefined ? html : current.html;
+                const nextCss = css !== undefined ? css : current.css;
+                const placeholders = this.validateTemplateMarkup(nextHtml, nextCss);
+
+                const assets = { ...current.toObject().assets };
+                removeAssets.forEach(asset => delete assets[asset]);
+                Object.assign(assets, await this.storeTemplateAssets(template._id, files));
+
+                template.currentVersion = current.version + 1;
+                template.versions.push({
+                    version: template.currentVersion,
+                    html: nextHtml,
+                    css: nextCss,
+                    orientation: orientation || current.orientation,
+                    placeholders,
+                    assets,
+                    notes,
+                    createdBy: userId
+                });
+            }
+
+            template.updatedBy = userId;
+            await template.save();
+
+            logger.info(`Certificate template ${template._id} updated to version ${template.currentVersion}`);
+            return template;
+
+        } catch (error) {
+            logger.error('Create template version error:', error);
             throw error;
         }
     }
 
-    // Get certificate templates
-    async getCertificateTemplates() {
+    // List stored templates without their markup
+    async getCertificateTemplates(filters = {}) {
         try {
-            const templatesDir = path.join(__dirname, '../../templates/certificates');
-            const files = await fs.readdir(templatesDir);
+            const query = { status: filters.status || 'active' };
 
-            const templates = files
-                .filter(file => file.endsWith('.html'))
-                .map(file => ({
-                    name: path.basename(file, '.html'),
-                    displayName: this.formatTemplateName(path.basename(file, '.html')),
-                    filename: file
-                }));
+            if (filters.type) {
+                query.type = { $in: [filters.type, 'any'] };
+            }
 
-            return templates;
+            return await CertificateTemplate.find(query)
+                .select('-versions')
+                .populate('createdBy', 'profile.fullName')
+                .sort({ updatedAt: -1 })
+                .lean();
 
         } catch (error) {
             logger.error('Get certificate templates error:', error);
-            return [];
+            throw error;
+        }
+    }
+
+    async getCertificateTemplate(templateId) {
+        try {
+            const template = await CertificateTemplate.findById(templateId)
+                .populate('createdBy', 'profile.fullName')
+                .populate('versions.createdBy', 'profile.fullName');
+
+            if (!template) {
+                throw new NotFoundError('Certificate template not found');
+            }
+
+            return template;
+
+        } catch (error) {
+            logger.error('Get certificate template error:', error);
+            throw error;
+        }
+    }
+
+    // Archived templates can no longer be selected, but issued
+    // certificates keep rendering with them
+    async archiveCertificateTemplate(templateId, userId) {
+        try {
+            const template = await CertificateTemplate.findById(templateId);
+            if (!template) {
+                throw new NotFoundError('Certificate template not found');
+            }
+
+            await this.assertCanManageTemplate(template, userId);
+
+            template.status = 'archived';
+            template.updatedBy = userId;
+            await template.save();
+
+            logger.info(`Certificate template archived: ${template._id}`);
+            return template;
+
+        } catch (error) {
+            logger.error('Archive certificate template error:', error);
+            throw error;
+        }
+    }
+
+    // Select the stored template (and optionally pin a version) for an event;
+    // an empty templateId goes back to the bundled default
+    async updateCertificateTemplate(eventId, templateData, userId) {
+        try {
+            const { templateId, version } = templateData;
+
+            const event = await Event.findById(eventId);
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            if (templateId) {
+                const template = await CertificateTemplate.findById(templateId);
+                if (!template || template.status !== 'active') {
+                    throw new NotFoundError('Certificate template not found');
+                }
+
+                if (version && !template.getVersion(version)) {
+                    throw new ValidationError(`Template has no version ${version}`);
+                }
+            }
+
+            event.rewards.certificateTemplate = templateId || undefined;
+            event.rewards.certificateTemplateVersion = templateId && version ? Number(version) : undefined;
+            await event.save();
+
+            logger.info(`Certificate template for event ${eventId} set to ${templateId || 'default'} by ${userId}`);
+
+            return {
+                event: event._id,
+                certificateTemplate: event.rewards.certificateTemplate || null,
+                certificateTemplateVersion: event.rewards.certificateTemplateVersion || null
+            };
+
+        } catch (error) {
+            logger.error('Update certificate template error:', error);
+            throw error;
         }
     }
 
@@ -0,0 +1,230 @@
+const Certificate = require('../../models/Certificate');
+const Notification = require('../../models/Notification');
+const certificateLedgerService = require('./certificateLedgerService');
+const emailService = require('../notifications/emailService');
+const logger = require('../../utils/logger');
+const { NotFoundError } = require('../../utils/errors');
+
+const CERTIFICATE_ID_PATTERN = /^CERT-\d+-[A-F0-9]+$/;
+
+// Public status registry for issued certificates: lookups, the revocation
+// feed, expiry transitions and holder notifications
+class CertificateStatusService {
+    constructor() {
+        this.expiryWarningDays = parseInt(process.env.CERTIFICATE_EXPIRY_WARNING_DAYS) || 30;
+    }
+
+    // Status by certificate ID or verification code
+    async getStatus(identifier) {
+        try {
+            const value = identifier.toUpperCase();
+            const query = CERTIFICATE_ID_PATTERN.test(value)
+                ? { certificateId: value }
+                : { verificationCode: value };
+
+            const certificate = await Certificate.findOne({ ...query, status: { $ne: 'draft' } })
+                .select('certificateId eventTitle issuedDate expiryDate status revokedDate revokedReason')
+                .lean();
+
+            if (!certificate) {
+                throw new NotFoundError('Certificate not found');
+            }
+
+            return this.formatStatus(certificate);
+
+        } catch (error) {
+            logger.error('Get certificate status error:', error);
+            throw error;
+        }
+    }
+
+    // A passed expiry date counts even before the expiry job has run
+    formatStatus(certificate) {
+        let status = certificate.status;
+        if (status === 'issued' && certificate.expiryDate && certificate.expiryDate <= new Date()) {
+            status = 'expired';
+        }
+
+        return {
+            certificateId: certificate.certificateId,
+            eventTitle: certificate.eventTitle,
+            status,
+            issuedDate: certificate.issuedDate,
+            expiryDate: certificate.expiryDate || null,
+            revokedDate: status === 'revoked' ? certificate.revokedDate : null,
+            reason: status === 'revoked' ? certificate.revokedReason || null : null,
+            checkedAt: new Date()
+        };
+    }
+
+    // Revoked certificates, newest first; `since` lets consumers fetch only new revocations
+    async getRevocationList(options = {}) {
+        try {
+            const page = parseInt(options.page) || 1;
+            const limit = Math.min(parseInt(options.limit) || 100, 500);
+
+            const query = { status: 'revoked' };
+            if (options.since) {
+                query.revokedDate = { $gt: new Date(options.since) };
+            }
+
+            const [revocations, total] = await Promise.all([
+                Certificate.find(query)
+                    .select('-_id certificateId revokedDate revokedReason')
+                    .sort({ revokedDate: -1, _id: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                Certificate.countDocuments(query)
+            ]);
+
+            return {
+                revocations: revocations.map(certificate => ({
+                    certificateId: certificate.certificateId,
+                    revokedDate: certificate.revokedDate,
+                    reason: certificate.revokedReason || null
+                })),
+                generatedAt: new Date(),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+
+        } catch (error) {
+            logger.error('Get revocation list error:', error);
+            throw error;
+        }
+    }
+
+    // Move certificates past their expiry date to `expired`
+    async expireCertificates() {
+        const certificates = Certificate.find({
+            status: 'issued',
+            expiryDate: { $lte: new Date() }
+        }).cursor();
+
+        let expired = 0;
+        for await (const certificate of certificates) {
+            try {
+                await certificate.expire();
+                await certificateLedgerService.recordExpiry(certificate);
+                expired++;
+            } catch (error) {
+                logger.error(`Expire certificate ${certificate.certificateId} error:`, error);
+            }
+        }
+
+        return expired;
+    }
+
+    // Warn holders once when their certificate is about to expire
+    async notifyExpiringCertificates() {
+        const now = new Date();
+        const warnBefore = new Date(now.getTime() + this.expiryWarningDays * 24 * 60 * 60 * 1000);
+
+        const certificates = Certificate.find({
+            status: 'issued',
+            expiryDate: { $gt: now, $lte: warnBefore },
+            expiryNotifiedAt: { $exists: false }
+        }).cursor();
+
+        let notified = 0;
+        for await (const certificate of certificates) {
+            // Claim the certificate first so a concurrent run does not warn twice
+            const claimed = await Certificate.updateOne(
+                { _id: certificate._id, expiryNotifiedAt: { $exists: false } },
+                { expiryNotifiedAt: now }
+            );
+            if (claimed.modifiedCount === 0) continue;
+
+            await this.notifyExpiring(certificate);
+            notified++;
+        }
+
+        return notified;
+    }
+
+    async notifyRevocation(certificate) {
+        const statusUrl = `${process.env.FRONTEND_URL}/certificates/verify/${certificate.verificationCode}`;
+
+        try {
+            await Notification.create({
+                recipient: certificate.user,
+                type: 'certificate_revoked',
+                title: `Certificate revoked - ${certificate.eventTitle}`,
+                message: certificate.revokedReason
+                    ? `Your certificate for ${certificate.eventTitle} has been revoked: ${certificate.revokedReason}`
+                    : `Your certificate for ${certificate.eventTitle} has been revoked.`,
+                relatedEvent: certificate.event,
+                relatedCertificate: certificate._id,
+                channels: {
+                    inApp: { enabled: true, delivered: true, deliveredAt: new Date() }
+                },
+                category: 'events',
+                priority: 'high',
+                status: 'sent'
+            });
+
+            await emailService.sendEmail({
+                to: certificate.recipientEmail,
+                subject: `Certificate Revoked - ${certificate.eventTitle}`,
+                template: 'certificate-revoked',
+                data: {
+                    userName: certificate.recipientName,
+                    eventTitle: certificate.eventTitle,
+                    certificateId: certificate.certificateId,
+                    revokedDate: certificate.revokedDate,
+                    revokedReason: certificate.revokedReason,
+                    statusUrl
+                }
+            });
+        } catch (error) {
+            logger.error('Send certificate revocation notice error:', error);
+        }
+    }
+
+    async notifyExpiring(certificate) {
+        const certificatesUrl = `${process.env.FRONTEND_URL}/certificates`;
+
+        try {
+            await Notification.create({
+                recipient: certificate.user,
+                type: 'certificate_expiring',
+                title: `Certificate expiring soon - ${certificate.eventTitle}`,
+                message: `Your certificate for ${certificate.eventTitle} expires on ${certificate.expiryDate.toISOString().slice(0, 10)}.`,
+                relatedEvent: certificate.event,
+                relatedCertificate: certificate._id,
+                channels: {
+                    inApp: { enabled: true, delivered: true, deliveredAt: new Date() }
+                },
+                content: {
+                    actions: [{ label: 'View certificate', url: certificatesUrl, type: 'link', style: 'primary' }]
+                },
+                category: 'events',
+                priority: 'normal',
+                status: 'sent',
+                expiresAt: certificate.expiryDate
+            });
+
+            await emailService.sendEmail({
+                to: certificate.recipientEmail,
+                subject: `Certificate Expiring Soon - ${certificate.eventTitle}`,
+                template: 'certificate-expiring',
+                data: {
+                    userName: certificate.recipientName,
+                    eventTitle: certificate.eventTitle,
+                    certificateId: certificate.certificateId,
+                    expiryDate: certificate.expiryDate,
+                    certificatesUrl
+                }
+            });
+        } catch (error) {
+            logger.error('Send certificate expiry notice error:', error);
+        }
+    }
+}
+
+module.exports = new CertificateStatusService();
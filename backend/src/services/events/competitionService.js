@@ -0,0 +1,663 @@
+const Competition = require('../../models/Competition');
+const CompetitionScore = require('../../models/CompetitionScore');
+const Certificate = require('../../models/Certificate');
+const Registration = require('../../models/Registration');
+const Event = require('../../models/Event');
+const User = require('../../models/User');
+const certificateService = require('./certificateService');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError, PermissionError } = require('../../utils/errors');
+
+const DEFAULT_AWARDS = [
+    { fromRank: 1, toRank: 1, type: 'excellence', label: 'First Place' },
+    { fromRank: 2, toRank: 2, type: 'achievement', label: 'Second Place' },
+    { fromRank: 3, toRank: 3, type: 'achievement', label: 'Third Place' }
+];
+
+// Lowest score for each certificate grade
+const GRADE_THRESHOLDS = [
+    [90, 'A+'],
+    [85, 'A'],
+    [80, 'B+'],
+    [70, 'B'],
+    [65, 'C+'],
+    [50, 'C']
+];
+
+const ENTRANT_STATUSES = ['approved', 'attended'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Judging for competition events: rubric, judge panel, score entry with
+// recusal, normalized leaderboard and placement certificates
+class CompetitionService {
+    // Competition setup for an event, created on first save
+    async setupCompetition(eventId, setup, userId) {
+        try {
+            const event = await Event.findById(eventId);
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            if (event.eventType !== 'competition') {
+                throw new ValidationError('Judging is only available for competition events');
+            }
+
+            let competition = await Competition.findOne({ event: eventId });
+            if (competition?.status === 'finalized') {
+                throw new ValidationError('Competition results are already finalized');
+            }
+
+            if (!competition) {
+                competition = new Competition({
+                    event: eventId,
+                    awards: DEFAULT_AWARDS,
+                    createdBy: userId
+                });
+            }
+
+            if (setup.rubric) {
+                const scored = await CompetitionScore.exists({ competition: competition._id });
+                if (scored) {
+                    throw new ValidationError('Rubric cannot change after scoring has started');
+                }
+
+                this.validateRubric(setup.rubric);
+                competition.rubric = setup.rubric;
+            }
+
+            if (setup.awards) {
+                this.validateAwards(setup.awards);
+                competition.awards = setup.awards;
+            }
+
+            if (setup.normalization) {
+                competition.normalization = setup.normalization;
+            }
+
+            await competition.save();
+
+            logger.info(`Competition setup saved for event ${eventId}`);
+            return competition;
+
+        } catch (error) {
+            logger.error('Setup competition error:', error);
+            throw error;
+        }
+    }
+
+    validateRubric(rubric) {
+        if (rubric.length === 0) {
+            throw new ValidationError('Rubric needs at least one criterion');
+        }
+
+        const keys = new Set(rubric.map(criterion => criterion.key));
+        if (keys.size !== rubric.length) {
+            throw new ValidationError('Rubric criteria must have unique keys');
+        }
+
+        if (!rubric.some(criterion => criterion.weight > 0)) {
+            throw new ValidationError('At least one criterion must have a positive weight');
+        }
+    }
+
+    validateAwards(awards) {
+        const sorted = [...awards].sort((a, b) => a.fromRank - b.fromRank);
+
+        sorted.forEach((award, i) => {
+            if (award.fromRank > award.toRank) {
+                throw new ValidationError(`Award "${award.label}" has an invalid rank range`);
+            }
+            if (i > 0 && award.fromRank <= sorted[i - 1].toRank) {
+                throw new ValidationError(`Award "${award.label}" overlaps "${sorted[i - 1].label}"`);
+            }
+        });
+    }
+
+    async getCompetition(eventId) {
+        const competition = await Competition.findOne({ event: eventId });
+        if (!competition) {
+            throw new NotFoundError('Competition not found');
+        }
+
+        return competition;
+    }
+
+    // Organizers, co-organizers and admins manage the competition
+    async canManage(eventId, userId) {
+        const [event, user] = await Promise.all([
+            Event.findById(eventId).select('organizer coOrganizers'),
+            User.findById(userId).select('role')
+        ]);
+
+        if (!event || !user) {
+            return false;
+        }
+
+        return user.role === 'admin' ||
+            event.organizer.toString() === userId.toString() ||
+            event.coOrganizers.some(coOrganizer => coOrganizer.toString() === userId.toString());
+    }
+
+    // Setup and judge panel, visible to managers and judges
+    async getCompetitionDetails(eventId, userId) {
+        try {
+            const competition = await this.getCompetition(eventId);
+
+            if (!competition.getJudge(userId) && !(await this.canManage(eventId, userId))) {
+                throw new PermissionError('Only judges and organizers can view the competition setup');
+            }
+
+            await competition.populate('judges.user', 'profile.fullName email');
+
+            const scoreCounts = await CompetitionScore.aggregate([
+                { $match: { competition: competition._id } },
+                { $group: { _id: '$judge', count: { $sum: 1 } } }
+            ]);
+            const counts = new Map(scoreCounts.map(item => [item._id.toString(), item.count]));
+
+            return {
+                ...competition.toObject(),
+                judges: competition.judges.map(judge => ({
+                    ...judge.toObject(),
+                    scoresSubmitted: counts.get(String(judge.user?._id)) || 0
+                }))
+            };
+
+        } catch (error) {
+            logger.error('Get competition error:', error);
+            throw error;
+        }
+    }
+
+    async assignJudges(eventId, judgeIds, assignedBy) {
+        try {
+            const competition = await this.getCompetition(eventId);
+            if (competition.status === 'finalized') {
+                throw new ValidationError('Competition results are already finalized');
+            }
+
+            const users = await User.find({ _id: { $in: judgeIds } }).select('_id');
+            if (users.length !== new Set(judgeIds.map(String)).size) {
+                throw new NotFoundError('One or more judges not found');
+            }
+
+            users.forEach(user => {
+                if (!competition.getJudge(user._id)) {
+                    competition.judges.push({ user: user._id, assignedBy });
+                }
+            });
+
+            await competition.save();
+
+            logger.info(`Judges assigned to competition for event ${eventId}`);
+            return competition;
+
+        } catch (error) {
+            logger.error('Assign judges error:', error);
+            throw error;
+        }
+    }
+
+    // Removing a judge also discards their scores
+    async removeJudge(eventId, judgeId) {
+        try {
+            const competition = await this.getCompetition(eventId);
+            if (competition.status === 'finalized') {
+                throw new ValidationError('Competition results are already finalized');
+            }
+
+            if (!competition.getJudge(judgeId)) {
+                throw new NotFoundError('Judge not found');
+            }
+
+            competition.judges = competition.judges.filter(judge => judge.user.toString() !== judgeId);
+            await competition.save();
+
+            await CompetitionScore.deleteMany({ competition: competition._id, judge: judgeId });
+
+            logger.info(`Judge ${judgeId} removed from competition for event ${eventId}`);
+            return competition;
+
+        } catch (error) {
+            logger.error('Remove judge error:', error);
+            throw error;
+        }
+    }
+
+    // Individual registrations and group leaders' registrations compete;
+    // group members are credited through their leader's entry
+    async getEntrants(eventId) {
+        return Registration.find({
+            event: eventId,
+            status: { $in: ENTRANT_STATUSES },
+            'groupInfo.parentRegistration': { $exists: false }
+        })
+            .populate('user', 'profile.fullName email student.studentId')
+            .sort({ registrationNumber: 1 });
+    }
+
+    async getEntrant(eventId, registrationId) {
+        const registration = await Registration.findOne({
+            _id: registrationId,
+            event: eventId,
+            status: { $in: ENTRANT_STATUSES },
+            'groupInfo.parentRegistration': { $exists: false }
+        });
+
+        if (!registration) {
+            throw new NotFoundError('Entrant not found');
+        }
+
+        return registration;
+    }
+
+    entrantName(registration) {
+        return registration.groupInfo?.groupName || registration.user?.profile?.fullName;
+    }
+
+    // A judge may never score their own entry or their own team
+    findConflict(judgeId, registration) {
+        const id = judgeId.toString();
+        const userId = registration.user?._id || registration.user;
+
+        if (userId.toString() === id) {
+            return 'Judge is the entrant';
+        }
+
+        const isMember = registration.groupInfo?.members?.some(
+            member => member.user && member.user.toString() === id && member.status !== 'removed'
+        );
+        if (isMember) {
+            return 'Judge is a member of the entrant team';
+        }
+
+        return null;
+    }
+
+    // Entrants for a judge's score sheet with their own scores and recusals
+    async getJudgeAssignments(eventId, judgeId) {
+        try {
+            const competition = await this.getCompetition(eventId);
+            if (!competition.getJudge(judgeId)) {
+                throw new PermissionError('You are not a judge for this competition');
+            }
+
+            const [entrants, scores] = await Promise.all([
+                this.getEntrants(eventId),
+                CompetitionScore.find({ competition: competition._id, judge: judgeId }).lean()
+            ]);
+            const scoresByEntrant = new Map(scores.map(score => [score.registration.toString(), score]));
+
+            return {
+                rubric: competition.rubric,
+                status: competition.status,
+                entrants: entrants.map(registration => {
+                    const conflict = this.findConflict(judgeId, registration);
+                    const recused = competition.isRecused(judgeId, registration._id);
+
+                    return {
+                        registration: registration._id,
+                        registrationNumber: registration.registrationNumber,
+                        name: this.entrantName(registration),
+                        recused: recused || !!conflict,
+                        conflict,
+                        score: scoresByEntrant.get(registration._id.toString()) || null
+                    };
+                })
+            };
+
+        } catch (error) {
+            logger.error('Get judge assignments error:', error);
+            throw error;
+        }
+    }
+
+    // Record a conflict of interest; any score the judge already gave is withdrawn
+    async recordRecusal(eventId, judgeId, registrationId, reason, recordedBy) {
+        try {
+            const competition = await this.getCompetition(eventId);
+            if (competition.status === 'finalized') {
+                throw new ValidationError('Competition results are already finalized');
+            }
+
+            if (judgeId.toString() !== recordedBy.toString() && !(await this.canManage(eventId, recordedBy))) {
+                throw new PermissionError('Only the judge or an organizer can record a recusal');
+            }
+
+            const judge = competition.getJudge(judgeId);
+            if (!judge) {
+                throw new NotFoundError('Judge not found');
+            }
+
+            await this.getEntrant(eventId, registrationId);
+
+            if (!competition.isRecused(judgeId, registrationId)) {
+                judge.recusals.push({ registration: registrationId, reason });
+                await competition.save();
+            }
+
+            await CompetitionScore.deleteOne({
+                competition: competition._id,
+                judge: judgeId,
+                registration: registrationId
+            });
+
+            logger.info(`Judge ${judgeId} recused from entrant ${registrationId} (event ${eventId})`);
+            return competition;
+
+        } catch (error) {
+            logger.error('Record recusal error:', error);
+            throw error;
+        }
+    }
+
+    // Weighted total on a 0-100 scale; every criterion must be scored once
+    computeTotal(rubric, scores) {
+        const values = new Map();
+
+        scores.forEach(({ criterion, value }) => {
+            if (values.has(criterion)) {
+                throw new ValidationError(`Criterion "${criterion}" is scored more than once`);
+            }
+            values.set(criterion, value);
+        });
+
+        let weighted = 0;
+        let totalWeight = 0;
+
+        rubric.forEach(criterion => {
+            const value = values.get(criterion.key);
+
+            if (value === undefined) {
+                throw new ValidationError(`Missing score for "${criterion.name}"`);
+            }
+            if (value < 0 || value > criterion.maxScore) {
+                throw new ValidationError(`Score for "${criterion.name}" must be between 0 and ${criterion.maxScore}`);
+            }
+
+            weighted += (value / criterion.maxScore) * criterion.weight;
+            totalWeight += criterion.weight;
+            values.delete(criterion.key);
+        });
+
+        if (values.size > 0) {
+            throw new ValidationError(`Unknown criteria: ${[...values.keys()].join(', ')}`);
+        }
+
+        return round((weighted / totalWeight) * 100);
+    }
+
+    async submitScore(eventId, judgeId, registrationId, { scores, comment }) {
+        try {
+            const competition = await this.getCompetition(eventId);
+
+            if (competition.status === 'finalized') {
+                throw new ValidationError('Competition results are already finalized');
+            }
+            if (!competition.getJudge(judgeId)) {
+                throw new PermissionError('You are not a judge for this competition');
+            }
+            if (competition.rubric.length === 0) {
+                throw new ValidationError('The competition rubric has not been defined');
+            }
+
+            const registration = await this.getEntrant(eventId, registrationId);
+
+            const conflict = this.findConflict(judgeId, registration);
+            if (conflict || competition.isRecused(judgeId, registrationId)) {
+                throw new PermissionError(`You are recused from scoring this entrant${conflict ? `: ${conflict}` : ''}`);
+            }
+
+            const total = this.computeTotal(competition.rubric, scores);
+
+            const score = await CompetitionScore.findOneAndUpdate(
+                { competition: competition._id, registration: registrationId, judge: judgeId },
+                {
+                    event: eventId,
+                    scores,
+                    total,
+                    comment,
+                    submittedAt: new Date()
+                },
+                { new: true, upsert: true, runValidators: true }
+            );
+
+            if (competition.status === 'setup') {
+                competition.status = 'judging';
+                await competition.save();
+            }
+
+            return score;
+
+        } catch (error) {
+            logger.error('Submit score error:', error);
+            throw error;
+        }
+    }
+
+    // Rescale each judge's totals to the panel's mean and standard deviation,
+    // so a harsh or lenient judge does not decide the ranking. Judges with
+    // fewer than two scores, or no spread, are left as they are.
+    normalizeScores(scores) {
+        const stats = (values) => {
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+            return { mean, sd: Math.sqrt(variance) };
+        };
+
+        const panel = stats(scores.map(score => score.total));
+
+        const byJudge = new Map();
+        scores.forEach(score => {
+            const key = score.judge.toString();
+            if (!byJudge.has(key)) byJudge.set(key, []);
+            byJudge.get(key).push(score.total);
+        });
+
+        const judgeStats = new Map();
+        byJudge.forEach((totals, judge) => judgeStats.set(judge, stats(totals)));
+
+        return scores.map(score => {
+            const judge = judgeStats.get(score.judge.toString());
+            const count = byJudge.get(score.judge.toString()).length;
+
+            if (count < 2 || judge.sd === 0) {
+                return score.total;
+            }
+
+            const normalized = panel.mean + ((score.total - judge.mean) / judge.sd) * panel.sd;
+            return Math.min(100, Math.max(0, normalized));
+        });
+    }
+
+    // Ranked leaderboard from the current scores; equal scores share a rank
+    async computeLeaderboard(competition) {
+        const [entrants, scores] = await Promise.all([
+            this.getEntrants(competition.event),
+            CompetitionScore.find({ competition: competition._id }).lean()
+        ]);
+
+        const normalized = competition.normalization === 'zscore'
+            ? this.normalizeScores(scores)
+            : scores.map(score => score.total);
+
+        const totals = new Map();
+        scores.forEach((score, i) => {
+            const key = score.registration.toString();
+            if (!totals.has(key)) totals.set(key, { raw: 0, normalized: 0, count: 0 });
+
+            const entry = totals.get(key);
+            entry.raw += score.total;
+            entry.normalized += normalized[i];
+            entry.count++;
+        });
+
+        const rows = entrants.map(registration => {
+            const entry = totals.get(registration._id.toString());
+
+            return {
+                registration: registration._id,
+                user: registration.user?._id,
+                name: this.entrantName(registration),
+                rank: null,
+                rawScore: entry ? round(entry.raw / entry.count) : null,
+                normalizedScore: entry ? round(entry.normalized / entry.count) : null,
+                judgeCount: entry ? entry.count : 0
+            };
+        });
+
+        const scored = rows
+            .filter(row => row.judgeCount > 0)
+            .sort((a, b) => (b.normalizedScore - a.normalizedScore) || (b.rawScore - a.rawScore));
+
+        scored.forEach((row, i) => {
+            const previous = scored[i - 1];
+            row.rank = previous &&
+                previous.normalizedScore === row.normalizedScore &&
+                previous.rawScore === row.rawScore
+                ? previous.rank
+                : i + 1;
+
+            const award = competition.awards.find(item => row.rank >= item.fromRank && row.rank <= item.toRank);
+            if (award) {
+                row.award = { type: award.type, label: award.label };
+            }
+        });
+
+        return [...scored, ...rows.filter(row => row.judgeCount === 0)];
+    }
+
+    // Live leaderboard for managers and judges; frozen results for everyone once finalized
+    async getLeaderboard(eventId, userId) {
+        try {
+            const competition = await this.getCompetition(eventId);
+
+            if (competition.status === 'finalized') {
+                return {
+                    status: competition.status,
+                    finalizedAt: competition.finalizedAt,
+                    results: competition.results
+                };
+            }
+
+            if (!competition.getJudge(userId) && !(await this.canManage(eventId, userId))) {
+                throw new PermissionError('The leaderboard is published when results are finalized');
+            }
+
+            return {
+                status: competition.status,
+                normalization: competition.normalization,
+                results: await this.computeLeaderboard(competition)
+            };
+
+        } catch (error) {
+            logger.error('Get leaderboard error:', error);
+            throw error;
+        }
+    }
+
+    // Freeze the leaderboard and issue placement certificates
+    async finalizeCompetition(eventId, userId) {
+        try {
+            const competition = await this.getCompetition(eventId);
+
+            if (competition.status === 'finalized') {
+                throw new ValidationError('Competition results are already finalized');
+            }
+
+            const results = await this.computeLeaderboard(competition);
+            if (!results.some(row => row.rank)) {
+                throw new ValidationError('No entrant has been scored yet');
+            }
+
+            competition.results = results;
+            competition.status = 'finalized';
+            competition.finalizedAt = new Date();
+            competition.finalizedBy = userId;
+            await competition.save();
+
+            logger.info(`Competition finalized for event ${eventId}`);
+
+            const awards = await this.issueAwardCertificates(eventId, userId);
+
+            return { competition, awards };
+
+        } catch (error) {
+            logger.error('Finalize competition error:', error);
+            throw error;
+        }
+    }
+
+    gradeFor(score) {
+        const match = GRADE_THRESHOLDS.find(([minimum]) => score >= minimum);
+        return match ? match[1] : 'Pass';
+    }
+
+    // Issue achievement/excellence certificates for awarded placements, to the
+    // entrant and every member of their team. Safe to re-run after failures.
+    async issueAwardCertificates(eventId, issuerId) {
+        try {
+            const competition = await this.getCompetition(eventId);
+            if (competition.status !== 'finalized') {
+                throw new ValidationError('Finalize the competition before issuing awards');
+            }
+
+            const summary = { issued: 0, skipped: 0, failed: [] };
+
+            for (const result of competition.results.filter(row => row.award?.type)) {
+                const members = await Registration.find({
+                    'groupInfo.parentRegistration': result.registration
+                }).select('user');
+
+                const recipients = [
+                    { registration: result.registration, user: result.user },
+                    ...members.map(member => ({ registration: member._id, user: member.user }))
+                ];
+
+                const score = Math.round(result.normalizedScore);
+
+                for (const recipient of recipients) {
+                    const existing = await Certificate.exists({
+                        registration: recipient.registration,
+                        award: true,
+                        type: result.award.type
+                    });
+                    if (existing) {
+                        summary.skipped++;
+                        continue;
+                    }
+
+                    try {
+                        await certificateService.generateCertificate({
+                            user: recipient.user,
+                            event: eventId,
+                            registration: recipient.registration,
+                            type: result.award.type,
+                            customContent: { header: result.award.label },
+                            grade: this.gradeFor(score),
+                            score
+                        }, issuerId, { award: true });
+
+                        summary.issued++;
+                    } catch (error) {
+                        summary.failed.push({
+                            registration: recipient.registration,
+                            user: recipient.user,
+                            reason: error.message
+                        });
+                    }
+                }
+            }
+
+            logger.info(`Competition awards for event ${eventId}: ${summary.issued} issued, ${summary.failed.length} failed`);
+            return summary;
+
+        } catch (error) {
+            logger.error('Issue award certificates error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new CompetitionService();
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const Certificate = require('../../models/Certificate');
+const CredentialStatusList = require('../../models/CredentialStatusList');
+const Event = require('../../models/Event');
+const User = require('../../models/User');
+const encryption = require('../../utils/encryption');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError, PermissionError } = require('../../utils/errors');
+const { JWS_TYPES } = require('../../utils/constants');
+
+const CREDENTIALS_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+const OPEN_BADGES_CONTEXT = 'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json';
+const STATUS_LIST_CONTEXT = 'https://w3id.org/vc/status-list/2021/v1';
+
+// 16KB of bits, the smallest list the status list spec allows
+const STATUS_LIST_SIZE = 131072;
+
+const CRITERIA = {
+    participation: 'Attended the event.',
+    completion: 'Attended at least 80% of the event.',
+    achievement: 'Completed the event and received a positive assessment.',
+    excellence: 'Demonstrated excellence in the event.'
+};
+
+// Open Badges 3.0 credentials for issued certificates, secured as VC-JWTs
+// with the certificate signing key, plus the hosted documents they point to
+class CredentialService {
+    constructor() {
+        this.apiBaseUrl = `${process.env.BACKEND_URL || 'http://localhost:5000'}${process.env.API_PREFIX || '/api/v1'}`;
+        this.issuerName = process.env.CREDENTIAL_ISSUER_NAME || 'Student Event Management';
+    }
+
+    getIssuerUrl() {
+        return `${this.apiBaseUrl}/certificates/credentials/issuer`;
+    }
+
+    getAchievementUrl(eventId) {
+        return `${this.apiBaseUrl}/certificates/credentials/achievements/${eventId}`;
+    }
+
+    getStatusListUrl(listId) {
+        return `${this.apiBaseUrl}/certificates/credentials/status/${listId}`;
+    }
+
+    // Hosted issuer profile
+    getIssuerProfile() {
+        return {
+            '@context': [CREDENTIALS_CONTEXT, OPEN_BADGES_CONTEXT],
+            id: this.getIssuerUrl(),
+            type: ['Profile'],
+            name: this.issuerName,
+            url: process.env.FRONTEND_URL,
+            email: process.env.CREDENTIAL_ISSUER_EMAIL || undefined
+        };
+    }
+
+    // Hosted achievement (badge class) for an event that issues certificates
+    async getAchievement(eventId) {
+        try {
+            const event = await Event.findById(eventId)
+                .select('title description images rewards');
+
+            if (!event || !event.rewards?.certificateType || event.rewards.certificateType === 'none') {
+                throw new NotFoundError('Achievement not found');
+            }
+
+            return {
+                '@context': [CREDENTIALS_CONTEXT, OPEN_BADGES_CONTEXT],
+                ...this.buildAchievement(event, event.rewards.certificateType)
+            };
+
+        } catch (error) {
+            logger.error('Get achievement error:', error);
+            throw error;
+        }
+    }
+
+    buildAchievement(event, type) {
+        const tags = [...new Set([...(event.rewards?.badges || []), ...(event.rewards?.skills || [])])];
+
+        return {
+            id: this.getAchievementUrl(event._id),
+            type: ['Achievement'],
+            achievementType: 'Certificate',
+            name: event.title,
+            description: event.description?.short || event.title,
+            criteria: {
+                narrative: CRITERIA[type] || CRITERIA.participation
+            },
+            image: event.images?.banner ? { id: event.images.banner, type: 'Image' } : undefined,
+            tag: tags.length > 0 ? tags : undefined,
+            creator: {
+                id: this.getIssuerUrl(),
+                type: ['Profile'],
+                name: this.issuerName
+            }
+        };
+    }
+
+    // Export one of the caller's certificates (any certificate for admins)
+    async exportCredential(certificateId, userId) {
+        try {
+            const certificate = await Certificate.findById(certificateId);
+            if (!certificate) {
+                throw new NotFoundError('Certificate not found');
+            }
+
+            const user = await User.findById(userId).select('role');
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            if (user.role !== 'admin' && certificate.user.toString() !== userId) {
+                throw new PermissionError('Can only export your own certificates');
+            }
+
+            if (!certificate.isValid()) {
+                throw new ValidationError('Only valid certificates can be exported');
+            }
+
+            await this.allocateStatusEntry(certificate);
+
+            // Fall back to the certificate's own snapshot if the event is gone
+            const event = await Event.findById(certificate.event).select('title description images rewards') || {
+                _id: certificate.event,
+                title: certificate.eventTitle,
+                rewards: { skills: certificate.skills }
+            };
+
+            const credential = this.buildCredential(certificate, event);
+
+            logger.info(`Credential exported for certificate ${certificate.certificateId}`);
+            return {
+                credential,
+                jwt: this.signCredential(credential)
+            };
+
+        } catch (error) {
+            logger.error('Export credential error:', error);
+            throw error;
+        }
+    }
+
+    buildCredential(certificate, event) {
+        const salt = crypto.randomBytes(8).toString('hex');
+        const hashIdentity = (value) => `sha256$${encryption.hash(`${value}${salt}`)}`;
+
+        const identifier = [
+            {
+                type: 'IdentityObject',
+                identityType: 'name',
+                hashed: false,
+                identityHash: certificate.recipientName
+            },
+            {
+                type: 'IdentityObject',
+                identityType: 'emailAddress',
+                hashed: true,
+                identityHash: hashIdentity(certificate.recipientEmail.toLowerCase()),
+                salt
+            }
+        ];
+
+        if (certificate.recipientId) {
+            identifier.push({
+                type: 'IdentityObject',
+                identityType: 'studentId',
+                hashed: true,
+                identityHash: hashIdentity(certificate.recipientId),
+                salt
+            });
+        }
+
+        const statusListUrl = this.getStatusListUrl(certificate.credentialStatus.listId);
+
+        return {
+            '@context': [CREDENTIALS_CONTEXT, OPEN_BADGES_CONTEXT, STATUS_LIST_CONTEXT],
+            id: `${process.env.FRONTEND_URL}/certificates/verify/${certificate.verificationCode}`,
+            type: ['VerifiableCredential', 'OpenBadgeCredential'],
+            name: certificate.title,
+            issuer: {
+                id: this.getIssuerUrl(),
+                type: ['Profile'],
+                name: this.issuerName
+            },
+            issuanceDate: new Date(certificate.issuedDate).toISOString(),
+            expirationDate: certificate.expiryDate ? new Date(certificate.expiryDate).toISOString() : undefined,
+            credentialSubject: {
+                type: ['AchievementSubject'],
+                identifier,
+                activityStartDate: new Date(certificate.eventDate).toISOString(),
+                result: certificate.grade ? [{ type: ['Result'], value: certificate.grade }] : undefined,
+                achievement: this.buildAchievement(event, certificate.type)
+            },
+            credentialStatus: {
+                id: `${statusListUrl}#${certificate.credentialStatus.index}`,
+                type: 'StatusList2021Entry',
+                statusPurpose: 'revocation',
+                statusListIndex: String(certificate.credentialStatus.index),
+                statusListCredential: statusListUrl
+            }
+        };
+    }
+
+    // VC-JWT: the credential in the `vc` claim, signed with the issuer key
+    signCredential(credential) {
+        const payload = {
+            iss: credential.issuer.id || credential.issuer,
+            jti: credential.id,
+            nbf: Math.floor(Date.parse(credential.issuanceDate) / 1000),
+            vc: credential
+        };
+
+        if (credential.expirationDate) {
+            payload.exp = Math.floor(Date.parse(credential.expirationDate) / 1000);
+        }
+
+        return encryption.signJWS(payload, {
+            typ: JWS_TYPES.CREDENTIAL,
+            jku: `${this.apiBaseUrl}/certificates/public-keys`
+        });
+    }
+
+    // Give the certificate a fixed slot in a status list the first time it is exported
+    async allocateStatusEntry(certificate) {
+        if (certificate.credentialStatus?.listId) {
+            return certificate.credentialStatus;
+        }
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const list = await CredentialStatusList.findOneAndUpdate(
+                { $expr: { $lt: ['$nextIndex', '$size'] } },
+                { $inc: { nextIndex: 1 } },
+                { sort: { listId: -1 } }
+            );
+
+            if (list) {
+                // A concurrent export may have assigned a slot already; keep that one
+                const updated = await Certificate.findOneAndUpdate(
+                    { _id: certificate._id, 'credentialStatus.listId': { $exists: false } },
+                    { credentialStatus: { listId: list.listId, index: list.nextIndex } },
+                    { new: true }
+                ) || await Certificate.findById(certificate._id);
+
+                certificate.credentialStatus = updated.credentialStatus;
+                return certificate.credentialStatus;
+            }
+
+            // Every list is full: open the next one
+            const last = await CredentialStatusList.findOne().sort({ listId: -1 }).select('listId');
+            try {
+                await CredentialStatusList.create({
+                    listId: (last?.listId || 0) + 1,
+                    size: STATUS_LIST_SIZE
+                });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        throw new Error('Could not allocate a credential status entry');
+    }
+
+    // Revocation status list; a bit is set for every revoked certificate in it
+    async getStatusListCredential(listId) {
+        try {
+            const list = await CredentialStatusList.findOne({ listId });
+            if (!list) {
+                throw new NotFoundError('Status list not found');
+            }
+
+            const revoked = await Certificate.find({
+                'credentialStatus.listId': list.listId,
+                status: 'revoked'
+            }).select('credentialStatus.index').lean();
+
+            const bits = Buffer.alloc(list.size / 8);
+            revoked.forEach(({ credentialStatus: { index } }) => {
+                bits[index >> 3] |= 0x80 >> (index % 8);
+            });
+
+            const url = this.getStatusListUrl(list.listId);
+            const credential = {
+                '@context': [CREDENTIALS_CONTEXT, STATUS_LIST_CONTEXT],
+                id: url,
+                type: ['VerifiableCredential', 'StatusList2021Credential'],
+                issuer: this.getIssuerUrl(),
+                issuanceDate: new Date().toISOString(),
+                credentialSubject: {
+                    id: `${url}#list`,
+                    type: 'StatusList2021',
+                    statusPurpose: 'revocation',
+                    encodedList: zlib.gzipSync(bits).toString('base64url')
+                }
+            };
+
+            return {
+                credential,
+                jwt: this.signCredential(credential)
+            };
+
+        } catch (error) {
+            logger.error('Get status list credential error:', error);
+            throw error;
+        }
+    }
+
+    isStatusSet(encodedList, index) {
+        const bits = zlib.gunzipSync(Buffer.from(encodedList, 'base64url'));
+        return (bits[index >> 3] & (0x80 >> (index % 8))) !== 0;
+    }
+
+    // Verify a credential JWT and check its entry in our status list
+    async verifyCredential(token) {
+        try {
+            const result = encryption.verifyJWS(token, { typ: JWS_TYPES.CREDENTIAL });
+            if (!result.valid) {
+                return { valid: false, reason: result.reason };
+            }
+
+            // Status lists are signed credentials too, but not achievements
+            const credential = result.payload.vc;
+            if (!credential || [].concat(credential.type).includes('StatusList2021Credential')) {
+                return { valid: false, reason: 'not_a_credential' };
+            }
+
+            if (result.payload.exp && result.payload.exp * 1000 < Date.now()) {
+                return { valid: false, reason: 'expired', credential };
+            }
+
+            let revoked = false;
+            const status = credential.credentialStatus;
+            const statusListPrefix = `${this.apiBaseUrl}/certificates/credentials/status/`;
+
+            if (status?.statusListCredential?.startsWith(statusListPrefix)) {
+                const listId = Number(status.statusListCredential.slice(statusListPrefix.length));
+                const { credential: statusList } = await this.getStatusListCredential(listId);
+                revoked = this.isStatusSet(statusList.credentialSubject.encodedList, Number(status.statusListIndex));
+            }
+
+            return {
+                valid: !revoked,
+                reason: revoked ? 'revoked' : undefined,
+                revoked,
+                keyId: result.keyId,
+                credential
+            };
+
+        } catch (error) {
+            logger.error('Verify credential error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new CredentialService();
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const User = require('../../models/User');
+const Registration = require('../../models/Registration');
+const Certificate = require('../../models/Certificate');
+const logger = require('../../utils/logger');
+const { EVENT_RESTRICTIONS } = require('../../utils/constants');
+const { NotFoundError } = require('../../utils/errors');
+
+const AUDIENCE_LABELS = {
+    faculty: 'faculty',
+    department: 'department',
+    major: 'major',
+    year: 'year of study',
+    gpa: 'GPA'
+};
+
+const AUDIENCE_QUERY_FIELDS = {
+    faculties: 'student.faculty',
+    departments: 'student.department',
+    majors: 'student.major',
+    years: 'student.year'
+};
+
+class EligibilityService {
+    // Check whether a user may register for an event. Every unmet requirement
+    // is returned as { code, field, message, required, actual } so the
+    // frontend can explain exactly what is missing.
+    async checkEligibility(event, user, options = {}) {
+        const { includeRegistrationState = true } = options;
+        const reasons = [];
+
+        if (includeRegistrationState) {
+            reasons.push(...await this.getRegistrationStateReasons(event, user));
+        }
+
+        event.getAudienceMismatches(user).forEach(mismatch => {
+            reasons.push(this.describeAudienceMismatch(mismatch));
+        });
+
+        reasons.push(...this.getRestrictionReasons(event, user));
+        reasons.push(...await this.getPrerequisiteReasons(event, user));
+
+        return {
+            eligible: reasons.length === 0,
+            reasons
+        };
+    }
+
+    async checkUserEligibility(eventId, userId) {
+        try {
+            const [event, user] = await Promise.all([
+                Event.findById(eventId),
+                User.findById(userId)
+            ]);
+
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            return await this.checkEligibility(event, user);
+        } catch (error) {
+            logger.error('Check eligibility error:', error);
+            throw error;
+        }
+    }
+
+    async getRegistrationStateReasons(event, user) {
+        const reasons = [];
+
+        const existingRegistration = await Registration.findOne({
+            event: event._id,
+            user: user._id
+        }).select('_id');
+
+        if (existingRegistration) {
+            reasons.push({ code: 'already_registered', message: 'You are already registered for this event' });
+        }
+
+        if (!event.isRegistrationOpen) {
+            reasons.push({ code: 'registration_closed', message: 'Registration is not open for this event' });
+        } else if (event.isFullyBooked && !event.registration.waitlistEnabled) {
+            reasons.push({ code: 'event_full', message: 'Event is fully booked' });
+        }
+
+        return reasons;
+    }
+
+    describeAudienceMismatch({ field, required, actual }) {
+        const label = AUDIENCE_LABELS[field];
+        const missing = actual === undefined || actual === null || actual === '';
+
+        let message;
+        if (missing) {
+            message = `Your student profile does not include your ${label}`;
+        } else if (field === 'gpa') {
+            message = `A GPA of at least ${required} is required (yours is ${actual})`;
+        } else {
+            message = `This event is only open to ${label} ${required.join(', ')}`;
+        }
+
+        return {
+            code: missing ? 'profile_incomplete' : `audience_${field}`,
+            field: `student.${field}`,
+            message,
+            required,
+            actual
+        };
+    }
+
+    getRestrictionReasons(event, user) {
+        const reasons = [];
+
+        (event.targetAudience.restrictions || []).forEach(restriction => {
+            switch (restriction) {
+                case EVENT_RESTRICTIONS.STUDENTS_ONLY:
+                    if (user.role !== 'student') {
+                        reasons.push({ code: 'students_only', message: 'This event is only open to students' });
+                    }
+                    break;
+                case EVENT_RESTRICTIONS.ACTIVE_STUDENTS:
+                    if (!user.student || user.student.status !== 'active') {
+                        reasons.push({
+                            code: 'inactive_student',
+                            field: 'student.status',
+                            message: 'This event is only open to currently enrolled students',
+                            actual: user.student ? user.student.status : undefined
+                        });
+                    }
+                    break;
+                case EVENT_RESTRICTIONS.VERIFIED_EMAIL:
+                    if (!user.emailVerified) {
+                        reasons.push({ code: 'email_unverified', field: 'emailVerified', message: 'Please verify your email address first' });
+                    }
+                    break;
+                default:
+                    // Free-text restrictions are shown on the event page but not enforced
+                    break;
+            }
+        });
+
+        return reasons;
+    }
+
+    // Prerequisites are event IDs or event codes; each requires a valid
+    // certificate from that event
+    async getPrerequisiteReasons(event, user) {
+        const { events } = await this.resolvePrerequisites(event);
+        if (events.length === 0) return [];
+
+        const certificates = await Certificate.find({
+            user: user._id,
+            event: { $in: events.map(prerequisite => prerequisite._id) },
+            status: 'issued'
+        }).select('event status expiryDate');
+
+        const heldEvents = new Set(certificates
+            .filter(certificate => certificate.isValid())
+            .map(certificate => certificate.event.toString()));
+
+        return events
+            .filter(prerequisite => !heldEvents.has(prerequisite._id.toString()))
+            .map(prerequisite => ({
+                code: 'prerequisite_missing',
+                field: 'prerequisites',
+                message: `Requires a certificate from "${prerequisite.title}"`,
+                required: {
+                    eventId: prerequisite._id,
+                    eventCode: prerequisite.eventCode,
+                    title: prerequisite.title
+                }
+            }));
+    }
+
+    async resolvePrerequisites(event) {
+        const references = (event.targetAudience.prerequisites || []).filter(Boolean);
+        if (references.length === 0) {
+            return { events: [], unresolved: [] };
+        }
+
+        const ids = references.filter(reference => mongoose.Types.ObjectId.isValid(reference));
+        const codes = references.map(reference => reference.toUpperCase());
+
+        const events = await Event.find({
+            $or: [
+                { _id: { $in: ids } },
+                { eventCode: { $in: codes } }
+            ]
+        }).select('title eventCode');
+
+        const unresolved = references.filter(reference => !events.some(prerequisite =>
+            prerequisite._id.toString() === reference ||
+            prerequisite.eventCode === reference.toUpperCase()));
+
+        if (unresolved.length > 0) {
+            logger.warn(`Event ${event._id} has unknown prerequisites: ${unresolved.join(', ')}`);
+        }
+
+        return { events, unresolved };
+    }
+
+    // How many active users currently satisfy the event's audience,
+    // restrictions and prerequisites, with a count per constraint
+    async previewEligibleUsers(eventId) {
+        try {
+            const event = await Event.findById(eventId);
+
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            const audience = event.targetAudience;
+            const baseQuery = { status: 'active' };
+            const constraints = [];
+
+            Object.entries(AUDIENCE_QUERY_FIELDS).forEach(([audienceKey, path]) => {
+                if (audience[audienceKey] && audience[audienceKey].length > 0) {
+                    constraints.push({ constraint: audienceKey, query: { [path]: { $in: audience[audienceKey] } } });
+                }
+            });
+
+            if (audience.minGPA) {
+                constraints.push({ constraint: 'minGPA', query: { 'student.gpa': { $gte: audience.minGPA } } });
+            }
+
+            (audience.restrictions || []).forEach(restriction => {
+                const query = {
+                    [EVENT_RESTRICTIONS.STUDENTS_ONLY]: { role: 'student' },
+                    [EVENT_RESTRICTIONS.ACTIVE_STUDENTS]: { 'student.status': 'active' },
+                    [EVENT_RESTRICTIONS.VERIFIED_EMAIL]: { emailVerified: true }
+                }[restriction];
+
+                if (query) {
+                    constraints.push({ constraint: restriction, query });
+                }
+            });
+
+            const { events: prerequisites, unresolved } = await this.resolvePrerequisites(event);
+            for (const prerequisite of prerequisites) {
+                const holders = await Certificate.distinct('user', {
+                    event: prerequisite._id,
+                    status: 'issued',
+                    $or: [
+                        { expiryDate: null },
+                        { expiryDate: { $gt: new Date() } }
+                    ]
+                });
+
+                constraints.push({
+                    constraint: `prerequisite:${prerequisite.eventCode || prerequisite._id}`,
+                    query: { _id: { $in: holders } }
+                });
+            }
+
+            const [totalUsers, eligibleUsers, byConstraint] = await Promise.all([
+                User.countDocuments(baseQuery),
+                User.countDocuments({ $and: [baseQuery, ...constraints.map(item => item.query)] }),
+                Promise.all(constraints.map(async item => ({
+                    constraint: item.constraint,
+                    eligible: await User.countDocuments({ $and: [baseQuery, item.query] })
+                })))
+            ]);
+
+            return {
+                totalUsers,
+                eligibleUsers,
+                maxParticipants: event.registration.maxParticipants,
+                byConstraint,
+                unresolvedPrerequisites: unresolved
+            };
+        } catch (error) {
+            logger.error('Preview eligible users error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new EligibilityService();
@@ -0,0 +1,680 @@
+const crypto = require('crypto');
+const Registration = require('../../models/Registration');
+const Event = require('../../models/Event');
+const User = require('../../models/User');
+const emailService = require('../notifications/emailService');
+const paymentService = require('../payment/paymentService');
+const pricingService = require('../payment/pricingService');
+const seatReservationService = require('./seatReservationService');
+const registrationFormService = require('./registrationFormService');
+const eligibilityService = require('./eligibilityService');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError, PermissionError } = require('../../utils/errors');
+
+class GroupRegistrationService {
+    constructor() {
+        this.inviteExpiryDays = parseInt(process.env.GROUP_INVITE_EXPIRY_DAYS) || 7;
+    }
+
+    // Register a group led by the current user. Seats for the whole group are
+    // reserved up front; members confirm their place through an invite link.
+    async registerGroup(eventId, leaderId, groupData = {}) {
+        try {
+            const [event, leader] = await Promise.all([
+                Event.findById(eventId),
+                User.findById(leaderId)
+            ]);
+
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            if (!leader) {
+                throw new NotFoundError('User not found');
+            }
+
+            const groupSettings = event.registration.groupRegistration || {};
+            if (!groupSettings.enabled) {
+                throw new ValidationError('Group registration is not enabled for this event');
+            }
+
+            if (!event.isRegistrationOpen) {
+                throw new ValidationError('Registration is not open for this event');
+            }
+
+            await this.assertEligible(event, leader, 'You do not meet the requirements for this event');
+
+            const existingRegistration = await Registration.findOne({
+                event: eventId,
+                user: leaderId
+            });
+
+            if (existingRegistration) {
+                throw new ValidationError('Already registered for this event');
+            }
+
+            const members = await this.resolveMembers(event, groupData.members || [], [leader]);
+            const groupSize = members.length + 1;
+
+            if (groupSize < groupSettings.minSize || groupSize > groupSettings.maxSize) {
+                throw new ValidationError(
+                    `Group size must be between ${groupSettings.minSize} and ${groupSettings.maxSize} people`
+                );
+            }
+
+            // The leader fills in the registration form for the group
+            const customFieldsData = registrationFormService.validateAnswers(
+                event.registration.customFields,
+                groupData.customFields,
+                groupData.files
+            );
+
+            // Price the whole group so group discount tiers apply
+            const pricing = pricingService.calculatePrice(event, {
+                couponCode: groupData.couponCode,
+                groupSize
+            });
+
+            const seatsReserved = await seatReservationService.reserve(eventId, groupSize);
+            if (!seatsReserved) {
+                throw new ValidationError('Not enough seats available for this group');
+            }
+
+            const now = new Date();
+            const invitations = [];
+
+            const registration = new Registration({
+                event: eventId,
+                user: leaderId,
+                registrationType: 'group',
+                status: event.registration.requiresApproval ? 'pending' : 'approved',
+                approvalStatus: event.registration.requiresApproval ? 'pending_review' : 'auto_approved',
+                groupInfo: {
+                    groupName: groupData.groupName,
+                    groupSize,
+                    groupLeader: leaderId,
+                    members: [{
+                        user: leaderId,
+                        role: 'leader',
+                        email: leader.email,
+                        studentId: leader.student?.studentId,
+                        name: leader.profile.fullName,
+                        status: 'accepted',
+                        respondedAt: now
+                    }]
+                },
+                customFieldsData,
+                accommodations: groupData.accommodations || {},
+                emergencyContact: groupData.emergencyContact || {},
+                source: {
+                    channel: 'web',
+                    referrer: groupData.referrer,
+                    utmParams: groupData.utmParams
+                },
+                payment: {
+                    required: !event.pricing.isFree,
+                    currency: event.pricing.currency
+                }
+            });
+
+            members.forEach(member => {
+                const token = this.generateInviteToken();
+                registration.groupInfo.members.push({
+                    ...member,
+                    role: 'member',
+                    status: 'invited',
+                    inviteToken: this.hashToken(token),
+                    invitedAt: now,
+                    inviteExpiresAt: this.getInviteExpiry(now)
+                });
+                invitations.push({ member, token });
+            });
+
+            pricingService.applyToRegistration(registration, pricing);
+
+            if (seatReservationService.owesPayment(registration)) {
+                seatReservationService.startHold(registration);
+            }
+
+            try {
+                // Group seats are taken up front, so the coupon is used up now
+                if (pricing.coupon) {
+                    await pricingService.redeemCoupon(eventId, pricing.coupon.code);
+                }
+
+                try {
+                    await registration.save();
+                } catch (error) {
+                    if (pricing.coupon) {
+                        await pricingService.releaseCoupon(eventId, pricing.coupon.code);
+                    }
+                    throw error;
+                }
+            } catch (error) {
+                await seatReservationService.release(eventId, groupSize);
+                throw error;
+            }
+
+            for (const invitation of invitations) {
+                await this.sendInvitationEmail(invitation.member, invitation.token, event, leader, registration);
+            }
+
+            // The leader pays for the whole group
+            if (registration.payment.required && registration.payment.finalAmount > 0) {
+                try {
+                    await paymentService.createPaymentLink({
+                        registrationId: registration._id,
+                        method: groupData.paymentMethod,
+                        ipAddress: groupData.ipAddress,
+                        description: `Group registration for ${event.title}`,
+                        returnUrl: `${process.env.FRONTEND_URL}/events/${event.slug}/registration/success`,
+                        cancelUrl: `${process.env.FRONTEND_URL}/events/${event.slug}/registration/cancel`
+                    });
+                } catch (error) {
+                    logger.error('Create payment link error:', error);
+                }
+            }
+
+            logger.info(`Group registered for event: ${leader.email} (${groupSize} people) -> ${event.title}`);
+
+            return await this.getGroupRegistration(registration._id, leaderId);
+        } catch (error) {
+            logger.error('Register group error:', error);
+            await registrationFormService.discardUploads(groupData.files);
+            throw error;
+        }
+    }
+
+    // Accept a group invitation and create the member's own registration
+    async acceptInvitation(token, userId) {
+        try {
+            const { registration, member } = await this.findInvitation(token);
+            const user = await User.findById(userId);
+
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            this.assertInvitee(member, user);
+
+            const event = await Event.findById(registration.event);
+            if (event.schedule.startDate <= new Date()) {
+                throw new ValidationError('This event has already started');
+            }
+
+            // Email-only invitees are checked once they have an account
+            await this.assertEligible(event, user, 'You do not meet the requirements for this event');
+
+            const existingRegistration = await Registration.findOne({
+                event: registration.event,
+                user: userId
+            });
+
+            if (existingRegistration) {
+                throw new ValidationError('Already registered for this event');
+            }
+
+            // The seat was reserved with the group, so no capacity change here
+            const memberRegistration = new Registration({
+                event: registration.event,
+                user: userId,
+                registrationType: 'group',
+                status: registration.status,
+                approvalStatus: registration.approvalStatus,
+                groupInfo: {
+                    groupName: registration.groupInfo.groupName,
+                    groupSize: registration.groupInfo.groupSize,
+                    groupLeader: registration.groupInfo.groupLeader,
+                    parentRegistration: registration._id
+                },
+                source: {
+                    channel: 'web'
+                },
+                payment: {
+                    required: false,
+                    currency: registration.payment.currency
+                }
+            });
+
+            await memberRegistration.save();
+
+            member.user = userId;
+            member.status = 'accepted';
+            member.respondedAt = new Date();
+            member.registration = memberRegistration._id;
+            member.inviteToken = undefined;
+
+            await registration.save();
+
+            logger.info(`Group invitation accepted: ${user.email} -> ${registration.registrationNumber}`);
+
+            return await Registration.findById(memberRegistration._id)
+                .populate('event', 'title slug images.banner schedule location organizer');
+        } catch (error) {
+            logger.error('Accept group invitation error:', error);
+            throw error;
+        }
+    }
+
+    // Decline a group invitation; the seat stays with the group for the leader to refill
+    async declineInvitation(token, userId) {
+        try {
+            const { registration, member } = await this.findInvitation(token);
+            const user = await User.findById(userId);
+
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            this.assertInvitee(member, user);
+
+            member.status = 'declined';
+            member.respondedAt = new Date();
+            member.inviteToken = undefined;
+
+            await registration.save();
+
+            await this.notifyLeader(registration, 'group-invitation-declined', {
+                memberName: member.name || user.profile.fullName
+            });
+
+            logger.info(`Group invitation declined: ${user.email} -> ${registration.registrationNumber}`);
+
+            return { declined: true };
+        } catch (error) {
+            logger.error('Decline group invitation error:', error);
+            throw error;
+        }
+    }
+
+    // Swap a member for someone else. Allowed until the registration deadline.
+    async replaceMember(registrationId, leaderId, memberId, newMemberData) {
+        try {
+            const registration = await Registration.findById(registrationId)
+                .populate('event', 'title slug schedule targetAudience registration status');
+
+            if (!registration || registration.registrationType !== 'group' || registration.groupInfo.parentRegistration) {
+                throw new NotFoundError('Group registration not found');
+            }
+
+            if (registration.groupInfo.groupLeader.toString() !== leaderId) {
+                throw new PermissionError('Only the group leader can change members');
+            }
+
+            if (['cancelled', 'rejected'].includes(registration.status)) {
+                throw new ValidationError('Group registration is no longer active');
+            }
+
+            const event = registration.event;
+            if (event.schedule.registrationEnd < new Date()) {
+                throw new ValidationError('Member changes are closed after the registration deadline');
+            }
+
+            const member = registration.groupInfo.members.id(memberId);
+            if (!member || member.role === 'leader' || member.status === 'removed') {
+                throw new NotFoundError('Group member not found');
+            }
+
+            const currentMembers = registration.groupInfo.members
+                .filter(m => m.status !== 'removed' && m._id.toString() !== memberId);
+            const [newMember] = await this.resolveMembers(event, [newMemberData], currentMembers);
+
+            // Free the outgoing member's registration without touching the group's seats
+            if (member.registration) {
+                await Registration.updateOne(
+                    { _id: member.registration, status: { $nin: ['cancelled', 'attended'] } },
+                    {
+                        status: 'cancelled',
+                        cancelledAt: new Date(),
+                        cancellationReason: 'Removed from group by the group leader'
+                    }
+                );
+            }
+
+            member.status = 'removed';
+            member.inviteToken = undefined;
+            member.respondedAt = member.respondedAt || new Date();
+
+            const token = this.generateInviteToken();
+            const now = new Date();
+            registration.groupInfo.members.push({
+                ...newMember,
+                role: 'member',
+                status: 'invited',
+                inviteToken: this.hashToken(token),
+                invitedAt: now,
+                inviteExpiresAt: this.getInviteExpiry(now)
+            });
+
+            await registration.save();
+
+            const leader = await User.findById(leaderId);
+            await this.sendInvitationEmail(newMember, token, event, leader, registration);
+
+            logger.info(`Group member replaced in ${registration.registrationNumber}: ${member.email} -> ${newMember.email}`);
+
+            return await this.getGroupRegistration(registrationId, leaderId);
+        } catch (error) {
+            logger.error('Replace group member error:', error);
+            throw error;
+        }
+    }
+
+    // Get a group registration with its roster (leader and active members only)
+    async getGroupRegistration(registrationId, userId) {
+        try {
+            const registration = await Registration.findById(registrationId)
+                .populate('event', 'title slug images.banner schedule location organizer')
+                .populate('user', 'profile.fullName profile.avatar email student')
+                .populate('groupInfo.members.user', 'profile.fullName profile.avatar email student.studentId');
+
+            if (!registration || registration.registrationType !== 'group' || registration.groupInfo.parentRegistration) {
+                throw new NotFoundError('Group registration not found');
+            }
+
+            const isMember = registration.groupInfo.members.some(member =>
+                member.user && (member.user._id || member.user).toString() === userId &&
+                member.status === 'accepted'
+            );
+
+            if (!isMember) {
+                throw new PermissionError('Access denied');
+            }
+
+            return registration;
+        } catch (error) {
+            logger.error('Get group registration error:', error);
+            throw error;
+        }
+    }
+
+    // Cancelling the leader's registration cancels the whole group and frees its seats
+    async handleGroupCancellation(registration, reason) {
+        const memberRegistrationIds = registration.groupInfo.members
+            .filter(member => member.registration && member.status === 'accepted')
+            .map(member => member.registration);
+
+        if (memberRegistrationIds.length > 0) {
+            await Registration.updateMany(
+                { _id: { $in: memberRegistrationIds }, status: { $nin: ['cancelled', 'attended'] } },
+                {
+                    status: 'cancelled',
+                    cancelledAt: new Date(),
+                    cancellationReason: `Group registration cancelled: ${reason}`
+                }
+            );
+        }
+
+        registration.groupInfo.members.forEach(member => {
+            member.inviteToken = undefined;
+        });
+        await registration.save();
+
+        await seatReservationService.release(registration.event._id || registration.event, registration.groupInfo.groupSize);
+    }
+
+    // Undo handleGroupCancellation for a group whose lapsed hold was paid after all:
+    // members cancelled with the group get their registration back and open
+    // invitations get a fresh link. Saving the group is left to the caller.
+    async restoreGroup(registration, reason) {
+        const memberRegistrationIds = registration.groupInfo.members
+            .filter(member => member.registration && member.status === 'accepted')
+            .map(member => member.registration);
+
+        if (memberRegistrationIds.length > 0) {
+            await Registration.updateMany(
+                {
+                    _id: { $in: memberRegistrationIds },
+                    status: 'cancelled',
+                    cancellationReason: `Group registration cancelled: ${reason}`
+                },
+                {
+                    status: registration.status,
+                    $unset: { cancelledAt: 1, cancellationReason: 1 }
+                }
+            );
+        }
+
+        const reinvited = registration.groupInfo.members.filter(member =>
+            member.status === 'invited' && !member.inviteToken
+        );
+
+        if (reinvited.length === 0) return;
+
+        const [event, leader] = await Promise.all([
+            Event.findById(registration.event._id || registration.event).select('title slug schedule'),
+            User.findById(registration.groupInfo.groupLeader)
+        ]);
+        const now = new Date();
+        const invitations = reinvited.map(member => {
+            const token = this.generateInviteToken();
+            member.inviteToken = this.hashToken(token);
+            member.invitedAt = now;
+            member.inviteExpiresAt = this.getInviteExpiry(now);
+            return { member, token };
+        });
+
+        for (const invitation of invitations) {
+            await this.sendInvitationEmail(invitation.member, invitation.token, event, leader, registration);
+        }
+    }
+
+    // A member leaving keeps the seat reserved for the group; the leader can refill it
+    async handleMemberCancellation(registration) {
+        const group = await Registration.findById(registration.groupInfo.parentRegistration);
+        if (!group) return;
+
+        const member = group.groupInfo.members.find(m =>
+            m.registration && m.registration.toString() === registration._id.toString()
+        );
+
+        if (member) {
+            member.status = 'declined';
+            member.respondedAt = new Date();
+            await group.save();
+
+            await this.notifyLeader(group, 'group-member-left', {
+                memberName: member.name
+            });
+        }
+    }
+
+    // Keep member registrations in step with an approval decision on the group
+    async applyGroupDecision(registration) {
+        const memberRegistrationIds = registration.groupInfo.members
+            .filter(member => member.registration && member.status === 'accepted')
+            .map(member => member.registration);
+
+        if (memberRegistrationIds.length === 0) return;
+
+        const memberRegistrations = await Registration.find({
+            _id: { $in: memberRegistrationIds },
+            status: 'pending'
+        });
+
+        for (const memberRegistration of memberRegistrations) {
+            memberRegistration.status = registration.status;
+            memberRegistration.approvalStatus = registration.approvalStatus;
+            memberRegistration.approvedBy = registration.approvedBy;
+            memberRegistration.approvedAt = registration.approvedAt;
+            memberRegistration.rejectionReason = registration.rejectionReason;
+            await memberRegistration.save();
+        }
+    }
+
+    // Resolve requested members to users (by email or student ID) or email-only invitees
+    async resolveMembers(event, requestedMembers, existingMembers = []) {
+        const taken = new Set();
+        existingMembers.forEach(member => {
+            if (member.email) taken.add(member.email.toLowerCase());
+            const studentId = member.studentId || member.student?.studentId;
+            if (studentId) taken.add(studentId);
+        });
+
+        const resolved = [];
+
+        for (const requested of requestedMembers) {
+            const email = requested.email ? requested.email.trim().toLowerCase() : undefined;
+            const studentId = requested.studentId ? requested.studentId.trim() : undefined;
+
+            if (!email && !studentId) {
+                throw new ValidationError('Each group member needs an email or student ID');
+            }
+
+            const user = await User.findOne(email
+                ? { email }
+                : { 'student.studentId': studentId });
+
+            if (!user && !email) {
+                throw new ValidationError(`No user found with student ID ${studentId}`);
+            }
+
+            const member = user
+                ? {
+                    user: user._id,
+                    email: user.email,
+                    studentId: user.student?.studentId,
+                    name: user.profile.fullName
+                }
+                : {
+                    email,
+                    name: requested.name
+                };
+
+            if (taken.has(member.email) || (member.studentId && taken.has(member.studentId))) {
+                throw new ValidationError(`${member.email} is listed more than once in the group`);
+            }
+
+            if (user) {
+                await this.assertEligible(event, user, `${member.email} does not meet the requirements for this event`);
+
+                const existingRegistration = await Registration.findOne({
+                    event: event._id,
+                    user: user._id,
+                    status: { $nin: ['cancelled', 'rejected'] }
+                });
+
+                if (existingRegistration) {
+                    throw new ValidationError(`${member.email} is already registered for this event`);
+                }
+            }
+
+            taken.add(member.email);
+            if (member.studentId) taken.add(member.studentId);
+            resolved.push(member);
+        }
+
+        return resolved;
+    }
+
+    async findInvitation(token) {
+        const hashedToken = this.hashToken(token);
+        const registration = await Registration.findOne({
+            'groupInfo.members': { $elemMatch: { inviteToken: hashedToken, status: 'invited' } },
+            status: { $in: ['pending', 'approved'] }
+        });
+
+        const member = registration && registration.groupInfo.members.find(m =>
+            m.inviteToken === hashedToken && m.status === 'invited'
+        );
+
+        if (!member) {
+            throw new NotFoundError('Invitation not found or no longer valid');
+        }
+
+        // Invitations sent before expiry was recorded run from when they were sent
+        const expiresAt = member.inviteExpiresAt || this.getInviteExpiry(member.invitedAt);
+        if (expiresAt <= new Date()) {
+            throw new ValidationError('This invitation has expired. Ask the group leader to invite you again');
+        }
+
+        return { registration, member };
+    }
+
+    getInviteExpiry(invitedAt = new Date()) {
+        return new Date(new Date(invitedAt).getTime() + this.inviteExpiryDays * 24 * 60 * 60 * 1000);
+    }
+
+    // Invitations are personal: existing users by ID, email-only invitees by their account email
+    assertInvitee(member, user) {
+        const matches = member.user
+            ? member.user.toString() === user._id.toString()
+            : member.email === user.email;
+
+        if (!matches) {
+            throw new PermissionError('This invitation was sent to a different account');
+        }
+    }
+
+    // Audience, restrictions and prerequisites apply to every group member.
+    // Seat availability is checked when the group's seats are reserved.
+    async assertEligible(event, user, message) {
+        const eligibility = await eligibilityService.checkEligibility(event, user, {
+            includeRegistrationState: false
+        });
+
+        if (!eligibility.eligible) {
+            const error = new ValidationError(message);
+            error.reasons = eligibility.reasons;
+            throw error;
+        }
+    }
+
+    generateInviteToken() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Email helpers
+    async sendInvitationEmail(member, token, event, leader, registration) {
+        try {
+            await emailService.sendEmail({
+                to: member.email,
+                subject: `You've been added to a group for ${event.title}`,
+                template: 'group-invitation',
+                data: {
+                    memberName: member.name,
+                    leaderName: leader.profile.fullName,
+                    groupName: registration.groupInfo.groupName,
+                    eventTitle: event.title,
+                    eventDate: event.schedule.startDate,
+                    hasAccount: Boolean(member.user),
+                    expiresAt: this.getInviteExpiry(),
+                    acceptUrl: `${process.env.FRONTEND_URL}/group-invitations/${token}`
+                }
+            });
+        } catch (error) {
+            logger.error('Send group invitation email error:', error);
+        }
+    }
+
+    async notifyLeader(registration, template, data = {}) {
+        try {
+            const [leader, event] = await Promise.all([
+                User.findById(registration.groupInfo.groupLeader),
+                Event.findById(registration.event).select('title')
+            ]);
+
+            if (!leader || !event) return;
+
+            await emailService.sendEmail({
+                to: leader.email,
+                subject: `Group update - ${event.title}`,
+                template,
+                data: {
+                    ...data,
+                    leaderName: leader.profile.fullName,
+                    groupName: registration.groupInfo.groupName,
+                    eventTitle: event.title
+                }
+            });
+        } catch (error) {
+            logger.error('Notify group leader error:', error);
+        }
+    }
+}
+
+module.exports = new GroupRegistrationService();
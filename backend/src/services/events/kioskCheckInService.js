@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const Attendance = require('../../models/Attendance');
+const Registration = require('../../models/Registration');
+const Event = require('../../models/Event');
+const attendanceService = require('./attendanceService');
+const qrCodeService = require('../qrCodeService');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError } = require('../../utils/errors');
+
+// Offline check-in for venues without reliable network. A kiosk downloads a
+// signed manifest of hashed registration QR codes, verifies scans locally and
+// later syncs its queue, where conflicts are resolved.
+class KioskCheckInService {
+    constructor() {
+        // Hours a downloaded manifest can be used to scan
+        this.manifestTtlHours = parseInt(process.env.KIOSK_MANIFEST_TTL_HOURS) || 24;
+        // Scans timestamped further ahead than this are rejected (kiosk clock drift)
+        this.maxClockDriftMinutes = 5;
+    }
+
+    // Hash the kiosk looks scanned codes up by. Signed registration payloads
+    // are keyed by their signature, plain check-in tokens by the token itself.
+    hashCode(code) {
+        return crypto.createHash('sha256').update(code).digest('hex');
+    }
+
+    async getManifest(eventId, issuedBy) {
+        try {
+            const event = await Event.findById(eventId).select('title schedule enableQRCode qrCodeSettings');
+
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            if (!event.enableQRCode) {
+                throw new ValidationError('QR check-in is disabled for this event');
+            }
+
+            // Rotating codes need the per-registration secrets, which never leave the server
+            if (event.qrCodeSettings.mode === 'rotating') {
+                throw new ValidationError('Offline check-in is not available for events using rotating QR codes');
+            }
+
+            const registrations = await Registration.find({
+                event: eventId,
+                status: { $in: ['approved', 'attended'] }
+            })
+                .populate('user', 'profile.fullName student.studentId')
+                .select('user status checkIn.qrCode attendance.checkedIn');
+
+            const entries = registrations.map(registration => {
+                const hashes = [
+                    this.hashCode(qrCodeService.generateSignature(
+                        `registration:${registration._id}:${registration.user._id}`
+                    ))
+                ];
+
+                if (registration.checkIn.qrCode) {
+                    hashes.push(this.hashCode(registration.checkIn.qrCode));
+                }
+
+                return {
+                    registrationId: registration._id,
+                    hashes,
+                    name: registration.user.profile.fullName,
+                    studentId: registration.user.student ? registration.user.student.studentId : undefined,
+                    checkedIn: registration.attendance.checkedIn
+                };
+            });
+
+            const issuedAt = new Date();
+            const header = {
+                eventId: event._id.toString(),
+                issuedAt: issuedAt.toISOString(),
+                expiresAt: new Date(issuedAt.getTime() + this.manifestTtlHours * 60 * 60 * 1000).toISOString(),
+                issuedBy: issuedBy.toString(),
+                count: entries.length,
+                entriesDigest: this.digestEntries(entries)
+            };
+
+            logger.info(`Kiosk manifest issued for ${event.title}: ${entries.length} registrations`);
+
+            return {
+                header,
+                signature: this.signHeader(header),
+                event: {
+                    title: event.title,
+                    startDate: event.schedule.startDate,
+                    endDate: event.schedule.endDate
+                },
+                entries
+            };
+        } catch (error) {
+            logger.error('Get kiosk manifest error:', error);
+            throw error;
+        }
+    }
+
+    // The signature covers the entries through their digest, so the hashes
+    // and names a kiosk scans against are part of the signed manifest
+    signHeader(header) {
+        return qrCodeService.generateSignature(
+            `kiosk_manifest:${header.eventId}:${header.issuedAt}:${header.expiresAt}:${header.issuedBy}:${header.count}:${header.entriesDigest}`
+        );
+    }
+
+    digestEntries(entries = []) {
+        const canonical = entries.map(entry => [
+            entry.registrationId.toString(),
+            entry.hashes,
+            entry.name,
+            entry.studentId || null,
+            Boolean(entry.checkedIn)
+        ]);
+
+        return this.hashCode(JSON.stringify(canonical));
+    }
+
+    verifyManifest(eventId, manifest) {
+        if (!manifest || !manifest.header || !manifest.signature) {
+            throw new ValidationError('Manifest is required');
+        }
+
+        const expected = Buffer.from(this.signHeader(manifest.header));
+        const provided = Buffer.from(String(manifest.signature));
+
+        if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            throw new ValidationError('Invalid manifest signature');
+        }
+
+        if (manifest.header.eventId !== eventId.toString()) {
+            throw new ValidationError('Manifest belongs to another event');
+        }
+
+        // Kiosks that send their entries back must send them unchanged
+        if (manifest.entries && this.digestEntries(manifest.entries) !== manifest.header.entriesDigest) {
+            throw new ValidationError('Invalid manifest signature');
+        }
+
+        return {
+            issuedAt: new Date(manifest.header.issuedAt),
+            expiresAt: new Date(manifest.header.expiresAt)
+        };
+    }
+
+    // Apply a kiosk's queued check-ins. Every item gets a result so the kiosk
+    // can drop it from its queue:
+    //   checked_in - attendance recorded
+    //   duplicate  - already checked in (another door, or a retried sync);
+    //                the earliest scan is kept
+    //   conflict   - cancelled or rejected after the manifest was downloaded
+    //   rejected   - not a valid check-in for this event
+    async syncCheckIns(eventId, syncData, syncedBy) {
+        try {
+            const { issuedAt, expiresAt } = this.verifyManifest(eventId, syncData.manifest);
+            const latestAllowed = new Date(Date.now() + this.maxClockDriftMinutes * 60 * 1000);
+            const summary = { checked_in: 0, duplicate: 0, conflict: 0, rejected: 0 };
+            const results = [];
+
+            // Oldest scans first, so the earliest door wins within one batch
+            const checkIns = [...syncData.checkIns].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+
+            for (const item of checkIns) {
+                const scannedAt = new Date(item.scannedAt);
+                let result;
+
+                if (isNaN(scannedAt.getTime()) || scannedAt < issuedAt || scannedAt > expiresAt || scannedAt > latestAllowed) {
+                    result = { status: 'rejected', reason: 'Scan time is outside the manifest validity' };
+                } else {
+                    result = await this.applyCheckIn(eventId, item, scannedAt, issuedAt, {
+                        deviceId: syncData.deviceId,
+                        syncedBy
+                    });
+                }
+
+                summary[result.status]++;
+                results.push({ clientId: item.clientId, registrationId: item.registrationId, ...result });
+            }
+
+            logger.info(`Kiosk sync for event ${eventId} (${syncData.deviceId}): ${JSON.stringify(summary)}`);
+
+            return { summary, results };
+        } catch (error) {
+            logger.error('Kiosk sync error:', error);
+            throw error;
+        }
+    }
+
+    async applyCheckIn(eventId, item, scannedAt, issuedAt, context) {
+        const registration = await Registration.findOne({ _id: item.registrationId, event: eventId })
+            .select('status updatedAt user');
+
+        if (!registration) {
+            return { status: 'rejected', reason: 'Registration not found for this event' };
+        }
+
+        if (!['approved', 'attended'].includes(registration.status)) {
+            // Valid when the manifest was downloaded, changed since
+            return registration.updatedAt > issuedAt
+                ? { status: 'conflict', reason: `Registration was ${registration.status} after the manifest was downloaded` }
+                : { status: 'rejected', reason: `Registration is ${registration.status}` };
+        }
+
+        const existing = await Attendance.findOne({ event: eventId, user: registration.user });
+        if (existing) {
+            return await this.resolveDuplicate(existing, scannedAt);
+        }
+
+        try {
+            const attendance = await attendanceService.recordAttendance({
+                event: eventId,
+                registration: registration._id,
+                checkIn: {
+                    timestamp: scannedAt,
+                    method: 'qr_code',
+                    verifiedBy: context.syncedBy,
+                    deviceInfo: {
+                        platform: 'kiosk',
+                        deviceId: context.deviceId
+                    }
+                },
+                source: 'kiosk',
+                metadata: {
+                    platform: 'kiosk',
+                    deviceId: context.deviceId,
+                    syncedAt: new Date()
+                }
+            });
+
+            return { status: 'checked_in', attendanceId: attendance._id };
+        } catch (error) {
+            // Another door's sync got there between our lookup and insert
+            const raced = await Attendance.findOne({ event: eventId, user: registration.user });
+            if (raced) {
+                return await this.resolveDuplicate(raced, scannedAt);
+            }
+
+            return { status: 'rejected', reason: error.message };
+        }
+    }
+
+    // Keep the earliest check-in time when the same attendee was scanned at
+    // two doors
+    async resolveDuplicate(attendance, scannedAt) {
+        const open = !attendance.checkOut || !attendance.checkOut.timestamp;
+
+        if (open && scannedAt < attendance.checkIn.timestamp) {
+            const record = await Attendance.findById(attendance._id).populate('event', 'title schedule');
+            record.checkIn.timestamp = scannedAt;
+            await attendanceService.saveAndSync(record);
+        }
+
+        return {
+            status: 'duplicate',
+            attendanceId: attendance._id,
+            checkInTime: scannedAt < attendance.checkIn.timestamp && open ? scannedAt : attendance.checkIn.timestamp
+        };
+    }
+}
+
+module.exports = new KioskCheckInService();
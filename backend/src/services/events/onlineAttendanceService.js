@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const Attendance = require('../../models/Attendance');
+const Registration = require('../../models/Registration');
+const attendanceService = require('./attendanceService');
+const qrCodeService = require('../qrCodeService');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError } = require('../../utils/errors');
+
+// Engagement counters a single heartbeat may add, so a client cannot inflate
+// its participation score
+const MAX_INTERACTIONS_PER_HEARTBEAT = 20;
+
+// Attendance for online and hybrid events. Opening the meeting through the
+// join link checks the attendee in; the event page then sends heartbeats
+// which become attendance intervals.
+class OnlineAttendanceService {
+    constructor() {
+        // Heartbeats further apart than this start a new interval
+        this.heartbeatGapSeconds = parseInt(process.env.ONLINE_HEARTBEAT_GAP_SECONDS) || 90;
+        // The join link works this many minutes before the event starts
+        this.joinOpensMinutes = parseInt(process.env.ONLINE_JOIN_OPENS_MINUTES) || 15;
+        // Heartbeats for the same attendance closer together than this are ignored
+        this.minHeartbeatSeconds = parseInt(process.env.ONLINE_HEARTBEAT_MIN_INTERVAL_SECONDS) || 10;
+        this.apiBaseUrl = `${process.env.BACKEND_URL || 'http://localhost:5000'}${process.env.API_PREFIX || '/api/v1'}`;
+    }
+
+    // Per-registration join link token; the meeting link itself is only
+    // revealed by the redirect
+    generateJoinToken(registrationId) {
+        return `${registrationId}.${qrCodeService.generateSignature(`online_join:${registrationId}`)}`;
+    }
+
+    parseJoinToken(token) {
+        const [registrationId, signature] = String(token).split('.');
+        const expected = Buffer.from(qrCodeService.generateSignature(`online_join:${registrationId}`));
+        const provided = Buffer.from(signature || '');
+
+        if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            throw new ValidationError('Invalid join link');
+        }
+
+        return registrationId;
+    }
+
+    async getJoinLink(eventId, userId) {
+        const registration = await Registration.findOne({ event: eventId, user: userId })
+            .populate('event', 'title location');
+
+        if (!registration) {
+            throw new NotFoundError('Registration not found');
+        }
+
+        this.assertOnlineEvent(registration.event);
+
+        if (!['approved', 'attended'].includes(registration.status)) {
+            throw new ValidationError('Only approved registrations can join the event');
+        }
+
+        return {
+            url: `${this.apiBaseUrl}/attendance/join/${this.generateJoinToken(registration._id)}`
+        };
+    }
+
+    assertOnlineEvent(event) {
+        if (!['online', 'hybrid'].includes(event.location.type)) {
+            throw new ValidationError('This event is not held online');
+        }
+    }
+
+    assertLive(event, now = new Date()) {
+        const opensAt = new Date(new Date(event.schedule.startDate).getTime() - this.joinOpensMinutes * 60 * 1000);
+
+        if (now < opensAt) {
+            throw new ValidationError('The event has not started yet');
+        }
+
+        if (now > new Date(event.schedule.endDate)) {
+            throw new ValidationError('The event has already ended');
+        }
+    }
+
+    // Join link redirect target: records the join and returns the meeting link
+    async join(token, deviceInfo = {}) {
+        try {
+            const registrationId = this.parseJoinToken(token);
+            const registration = await Registration.findById(registrationId)
+                .populate('event', 'title schedule location');
+
+            if (!registration) {
+                throw new NotFoundError('Registration not found');
+            }
+
+            const event = registration.event;
+            this.assertOnlineEvent(event);
+            this.assertLive(event);
+
+            if (!event.location.online || !event.location.online.meetingLink) {
+                throw new ValidationError('The meeting link is not available yet');
+            }
+
+            const now = new Date();
+            const attendance = await this.ensureAttendance(registration, now, deviceInfo);
+
+            await Attendance.updateOne(
+                { _id: attendance._id },
+                {
+                    $inc: { 'onlineSession.joinCount': 1 },
+                    $min: { 'onlineSession.joinedAt': now }
+                }
+            );
+            await this.recordHeartbeat(attendance._id, now);
+
+            logger.info(`Online join: ${registration.registrationNumber} -> ${event.title}`);
+
+            return event.location.online.meetingLink;
+        } catch (error) {
+            logger.error('Online join error:', error);
+            throw error;
+        }
+    }
+
+    // Heartbeat from the event page while it is open
+    async heartbeat(eventId, userId, heartbeatData = {}) {
+        try {
+            const registration = await Registration.findOne({ event: eventId, user: userId })
+                .populate('event', 'title schedule location');
+
+            if (!registration) {
+                throw new NotFoundError('Registration not found');
+            }
+
+            this.assertOnlineEvent(registration.event);
+            this.assertLive(registration.event);
+
+            const now = new Date();
+            const attendance = await this.ensureAttendance(registration, now, heartbeatData.deviceInfo);
+
+            const recorded = await this.recordHeartbeat(attendance._id, now, heartbeatData.interactions);
+
+            return {
+                attendanceId: attendance._id,
+                recorded,
+                nextHeartbeatSeconds: Math.floor(this.heartbeatGapSeconds / 3)
+            };
+        } catch (error) {
+            logger.error('Online heartbeat error:', error);
+            throw error;
+        }
+    }
+
+    // The first join or heartbeat checks the attendee in
+    async ensureAttendance(registration, now, deviceInfo = {}) {
+        const existing = await Attendance.findOne({ event: registration.event._id, user: registration.user })
+            .select('_id');
+
+        if (existing) {
+            return existing;
+        }
+
+        try {
+            return await attendanceService.recordAttendance({
+                event: registration.event._id,
+                registration: registration._id,
+                checkIn: {
+                    timestamp: now,
+                    method: 'online',
+                    deviceInfo
+                },
+                source: 'web'
+            });
+        } catch (error) {
+            // A parallel join or heartbeat created it first
+            const raced = await Attendance.findOne({ event: registration.event._id, user: registration.user })
+                .select('_id');
+            if (raced) {
+                return raced;
+            }
+            throw error;
+        }
+    }
+
+    // Extend the open interval, or close it and start a new one after a gap.
+    // Both paths are conditional updates so concurrent heartbeats (several
+    // tabs) cannot lose time. Returns false for a heartbeat that came within
+    // minHeartbeatSeconds of the last one; it adds nothing.
+    async recordHeartbeat(attendanceId, now, interactions = {}) {
+        const gapStart = new Date(now.getTime() - this.heartbeatGapSeconds * 1000);
+        const throttleStart = new Date(now.getTime() - this.minHeartbeatSeconds * 1000);
+        const increments = { 'onlineSession.heartbeatCount': 1 };
+
+        ['questionsAsked', 'pollsParticipated', 'chatMessages'].forEach(metric => {
+            const value = parseInt(interactions && interactions[metric]) || 0;
+            if (value > 0) {
+                increments[`engagementMetrics.${metric}`] = Math.min(value, MAX_INTERACTIONS_PER_HEARTBEAT);
+            }
+        });
+
+        const extended = await Attendance.updateOne(
+            {
+                _id: attendanceId,
+                'onlineSession.currentIntervalStart': { $ne: null },
+                'onlineSession.lastHeartbeatAt': { $gte: gapStart, $lte: throttleStart }
+            },
+            {
+                $max: { 'onlineSession.lastHeartbeatAt': now },
+                $inc: increments
+            }
+        );
+
+        if (extended.matchedCount > 0) {
+            return true;
+        }
+
+        const attendance = await Attendance.findById(attendanceId).select('onlineSession');
+        const session = attendance.onlineSession;
+
+        if (session.lastHeartbeatAt && session.lastHeartbeatAt > throttleStart) {
+            return false;
+        }
+        const update = {
+            $set: {
+                'onlineSession.currentIntervalStart': now,
+                'onlineSession.lastHeartbeatAt': now
+            },
+            $inc: increments
+        };
+
+        if (session.currentIntervalStart) {
+            update.$push = {
+                'onlineSession.intervals': { start: session.currentIntervalStart, end: session.lastHeartbeatAt }
+            };
+        }
+
+        const started = await Attendance.updateOne(
+            {
+                _id: attendanceId,
+                'onlineSession.lastHeartbeatAt': session.lastHeartbeatAt || null
+            },
+            update
+        );
+
+        // Otherwise another heartbeat moved the interval meanwhile; it now
+        // covers this one
+        return started.matchedCount > 0;
+    }
+
+    // Recompute duration and rate for online attendance in progress, and close
+    // it with the last heartbeat once the event has ended. The least recently
+    // updated records go first, so every record is reached across runs.
+    async refreshOnlineAttendance(limit = 500) {
+        const records = await Attendance.find({
+            'checkIn.method': 'online',
+            'onlineSession.lastHeartbeatAt': { $ne: null },
+            'checkOut.timestamp': null
+        })
+            .populate('event', 'title schedule')
+            .sort({ updatedAt: 1 })
+            .limit(limit);
+
+        let finalized = 0;
+
+        for (const attendance of records) {
+            try {
+                if (new Date(attendance.event.schedule.endDate) <= new Date()) {
+                    // Participation score from the engagement counters heartbeats added
+                    await attendance.updateEngagement({});
+                    await attendanceService.closeOpenAttendance(attendance);
+                    finalized++;
+                } else {
+                    await attendanceService.saveAndSync(attendance);
+                }
+            } catch (error) {
+                logger.error(`Refresh online attendance ${attendance._id} failed:`, error);
+            }
+        }
+
+        return { refreshed: records.length, finalized };
+    }
+}
+
+module.exports = new OnlineAttendanceService();
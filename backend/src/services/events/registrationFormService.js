@@ -0,0 +1,113 @@
+const Event = require('../../models/Event');
+const Validators = require('../../utils/validators');
+const { fileUtils } = require('../../middleware/upload');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError } = require('../../utils/errors');
+
+class RegistrationFormService {
+    // Custom fields of an event's registration form, in display order
+    async getForm(eventId) {
+        const event = await Event.findById(eventId).select('title registration.customFields');
+
+        if (!event) {
+            throw new NotFoundError('Event not found');
+        }
+
+        return this.sortFields(event.registration.customFields);
+    }
+
+    sortFields(fields = []) {
+        return fields
+            .map((field, index) => ({ field, index }))
+            .sort((a, b) => (a.field.order || 0) - (b.field.order || 0) || a.index - b.index)
+            .map(item => item.field);
+    }
+
+    // Check answers (and uploaded files) against the form; returns the
+    // normalized answers to store in customFieldsData
+    validateAnswers(fields, answers = [], files = []) {
+        const result = Validators.validateEventRegistration(
+            { customFields: answers, files },
+            this.sortFields(fields)
+        );
+
+        if (!result.isValid) {
+            const error = new ValidationError(result.errors[0].message);
+            error.errors = result.errors;
+            throw error;
+        }
+
+        return result.customFieldsData;
+    }
+
+    // File answers already on a registration, in the shape of uploads, so an
+    // answer update without new files keeps them
+    getStoredFiles(fields = [], customFieldsData = []) {
+        const fileFields = new Set(fields.filter(field => field.type === 'file').map(field => field.name));
+
+        return (customFieldsData || [])
+            .filter(answer => fileFields.has(answer.fieldName) && answer.value && answer.value.path)
+            .map(answer => ({
+                fieldname: answer.fieldName,
+                originalname: answer.value.originalName,
+                filename: answer.value.fileName,
+                path: answer.value.path,
+                mimetype: answer.value.mimeType,
+                size: answer.value.size
+            }));
+    }
+
+    // Remove uploaded answer files when the registration is not saved
+    async discardUploads(files = []) {
+        for (const file of files || []) {
+            const deleted = await fileUtils.deleteFile(file.path);
+            if (!deleted) {
+                logger.warn(`Could not remove uploaded form file ${file.path}`);
+            }
+        }
+    }
+
+    // One export column per exportable field
+    getExportColumns(fields = []) {
+        return this.sortFields(fields)
+            .filter(field => field.exportable !== false && field.name)
+            .map(field => ({
+                key: field.name,
+                header: field.label || field.name,
+                type: field.type
+            }));
+    }
+
+    // Answers of one registration keyed by column header
+    getExportValues(columns, customFieldsData = []) {
+        const answers = new Map(customFieldsData.map(answer => [answer.fieldName, answer.value]));
+        const values = {};
+
+        columns.forEach(column => {
+            values[column.header] = this.formatAnswer(column.type, answers.get(column.key));
+        });
+
+        return values;
+    }
+
+    formatAnswer(type, value) {
+        if (value === undefined || value === null) return '';
+
+        if (Array.isArray(value)) return value.join(', ');
+
+        // Uploaded files are private; exports carry a signed link valid for a week
+        if (type === 'file') {
+            return value.path
+                ? `${process.env.BACKEND_URL || ''}${fileUtils.generateSecureUrl(value.path, 7 * 24 * 60 * 60)}`
+                : '';
+        }
+
+        if (type === 'date') return new Date(value).toISOString().split('T')[0];
+
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+
+        return value;
+    }
+}
+
+module.exports = new RegistrationFormService();
@@ -1,9 +1,20 @@
 const Registration = require('../../models/Registration');
 const Event = require('../../models/Event');
 const User = require('../../models/User');
+const Notification = require('../../models/Notification');
 const redisClient = require('../../config/redis');
 const emailService = require('../notifications/emailService');
 const paymentService = require('../payment/paymentService');
+const pricingService = require('../payment/pricingService');
+const refundService = require('../payment/refundService');
+const groupRegistrationService = require('./groupRegistrationService');
+const seatReservationService = require('./seatReservationService');
+const waitlistService = require('./waitlistService');
+const sessionRegistrationService = require('./sessionRegistrationService');
+const registrationFormService = require('./registrationFormService');
+const approvalRulesService = require('./approvalRulesService');
+const eligibilityService = require('./eligibilityService');
+const attendanceService = require('./attendanceService');
 const qrCodeService = require('../qrCodeService');
 const logger = require('../../utils/logger');
 const { NotFoundError, ValidationError, PermissionError } = require('../../utils/errors');
@@ -41,18 +52,62 @@ class RegistrationService {
                 throw new ValidationError('Registration is not open for this event');
             }
 
-            // Check if user can register
-            if (!event.canUserRegister(user)) {
-                throw new ValidationError('You do not meet the requirements for this event');
+            // Check audience, restrictions and prerequisites
+            const eligibility = await eligibilityService.checkEligibility(event, user, {
+                includeRegistrationState: false
+            });
+
+            if (!eligibility.eligible) {
+                const error = new ValidationError('You do not meet the requirements for this event');
+                error.reasons = eligibility.reasons;
+                throw error;
             }
 
+            // Check form answers and session picks before any seat is taken
+            const customFieldsData = registrationFormService.validateAnswers(
+                event.registration.customFields,
+                registrationData.customFields,
+                registrationData.files
+            );
+            const selectedSessions = sessionRegistrationService.resolveSelection(event, registrationData.sessions);
+
             // Determine registration type and status
             let registrationType = 'individual';
             let status = event.registration.requiresApproval ? 'pending' : 'approved';
             let approvalStatus = event.registration.requiresApproval ? 'pending_review' : 'auto_approved';
+            let approvalEvaluation;
+
+            // Auto-approval rules can skip manual review
+            if (event.registration.requiresApproval) {
+                const evaluation = await approvalRulesService.evaluate(event, user, customFieldsData);
+
+                if (evaluation.rule) {
+                    status = 'approved';
+                    approvalStatus = 'rule_approved';
+                }
+
+                approvalEvaluation = {
+                    rule: evaluation.rule ? evaluation.rule._id : undefined,
+                    ruleName: evaluation.rule ? evaluation.rule.name : undefined,
+                    evaluatedAt: new Date(),
+                    reasons: evaluation.reasons
+                };
+            }
+
+            // Price the registration (early bird, group discount, coupon)
+            const pricing = pricingService.calculatePrice(event, {
+                couponCode: registrationData.couponCode
+            });
 
-            // Check if event is full
-            if (event.isFullyBooked) {
+            // Auto-approved registrations take their seat now, atomically.
+            // Registrations awaiting approval take it when approved.
+            let seatReserved = false;
+            if (status === 'approved') {
+                seatReserved = await seatReservationService.reserve(eventId);
+            }
+
+            const isFull = status === 'approved' ? !seatReserved : event.isFullyBooked;
+            if (isFull) {
                 if (!event.registration.waitlistEnabled) {
                     throw new ValidationError('Event is fully booked and waitlist is not enabled');
                 }
@@ -68,7 +123,8 @@ class RegistrationService {
                 registrationType,
                 status,
                 approvalStatus,
-                customFieldsData: registrationData.customFields || [],
+                approvalEvaluation,
+                customFieldsData,
                 accommodations: registrationData.accommodations || {},
                 emergencyContact: registrationData.emergencyContact || {},
                 source: {
@@ -78,11 +134,24 @@ class RegistrationService {
                 },
                 payment: {
                     required: !event.pricing.isFree,
-                    amount: event.pricing.price || 0,
                     currency: event.pricing.currency
                 }
             });
 
+            pricingService.applyToRegistration(registration, pricing);
+
+            // Only a confirmed seat uses up the coupon; waitlisted and pending
+            // registrations redeem it when they get one
+            const redeemCoupon = Boolean(pricing.coupon) && seatReserved;
+            if (pricing.coupon && !seatReserved) {
+                registration.payment.couponPending = true;
+            }
+
+            // Unpaid seats are only held for the checkout window
+            if (seatReserved && seatReservationService.owesPayment(registration)) {
+                seatReservationService.startHold(registration);
+            }
+
             // Handle waitlist
             if (registrationType === 'waitlist') {
                 const waitlistPosition = await this.getWaitlistPosition(eventId);
@@ -93,48 +162,42 @@ class RegistrationService {
                 };
             }
 
-            // Apply coupon if provided
-            if (registrationData.couponCode && !event.pricing.isFree) {
-                const coupon = event.pricing.coupons.find(
-                    c => c.code === registrationData.couponCode && c.isActive
-                );
-
-                if (coupon && coupon.usedCount < coupon.maxUses) {
-                    const discountAmount = coupon.discountType === 'percentage'
-                        ? (registration.payment.amount * coupon.discountValue / 100)
-                        : coupon.discountValue;
-
-                    registration.payment.discountApplied = discountAmount;
-                    registration.payment.couponCode = registrationData.couponCode;
-
-                    // Update coupon usage
-                    coupon.usedCount += 1;
-                    await event.save();
+            // Take the coupon and session seats atomically; give them and the
+            // event seat back if the registration fails
+            try {
+                if (redeemCoupon) {
+                    await pricingService.redeemCoupon(eventId, pricing.coupon.code);
                 }
-            }
-
-            await registration.save();
 
-            // Update event statistics
-            if (status === 'approved') {
-                await event.incrementRegistrations();
+                let sessionEntries = [];
+                try {
+                    // Event waitlist entries queue for their sessions as well
+                    sessionEntries = await sessionRegistrationService.reserveSessions(event, selectedSessions, {
+                        waitlistOnly: status === 'waitlist'
+                    });
+                    registration.sessions = sessionEntries;
+
+                    await registration.save();
+                } catch (error) {
+                    await sessionRegistrationService.releaseSessions(eventId, sessionEntries);
+                    if (redeemCoupon) {
+                        await pricingService.releaseCoupon(eventId, pricing.coupon.code);
+                    }
+                    throw error;
+                }
+            } catch (error) {
+                if (seatReserved) {
+                    await seatReservationService.release(eventId);
+                }
+                throw error;
             }
 
             // Send confirmation email
             await this.sendRegistrationConfirmationEmail(registration, event, user);
 
-            // Handle payment if required
-            if (registration.payment.required && registration.payment.finalAmount > 0) {
-                const paymentUrl = await paymentService.createPaymentLink({
-                    registrationId: registration._id,
-                    amount: registration.payment.finalAmount,
-                    currency: registration.payment.currency,
-                    description: `Registration for ${event.title}`,
-                    returnUrl: `${process.env.FRONTEND_URL}/events/${event.slug}/registration/success`,
-                    cancelUrl: `${process.env.FRONTEND_URL}/events/${event.slug}/registration/cancel`
-                });
-
-                registration.payment.paymentUrl = paymentUrl;
+            // Handle payment if required (waitlisted users pay once promoted)
+            if (registration.payment.required && registration.payment.finalAmount > 0 && status !== 'waitlist') {
+                await this.startPayment(registration, event, registrationData);
             }
 
             logger.info(`User registered for event: ${user.email} -> ${event.title}`);
@@ -142,6 +205,7 @@ class RegistrationService {
             return await this.getRegistrationById(registration._id);
         } catch (error) {
             logger.error('Register for event error:', error);
+            await registrationFormService.discardUploads(registrationData.files);
             throw error;
         }
     }
@@ -292,7 +356,7 @@ class RegistrationService {
     async cancelRegistration(registrationId, userId, reason = 'User requested cancellation') {
         try {
             const registration = await Registration.findById(registrationId)
-                .populate('event', 'title organizer coOrganizers')
+                .populate('event', 'title organizer coOrganizers schedule settings.refundRules')
                 .populate('user', 'profile.fullName email');
 
             if (!registration) {
@@ -313,13 +377,40 @@ class RegistrationService {
                 throw new ValidationError('Registration cannot be cancelled');
             }
 
+            const previousStatus = registration.status;
+            // A waitlist entry with an open offer is already holding a seat
+            const hadWaitlistOffer = waitlistService.hasOpenOffer(registration);
+
+            // Return the coupon use to the pool
+            await pricingService.releaseForRegistration(registration);
+
             await registration.cancel(reason);
 
-            // Update event statistics
-            await registration.event.decrementRegistrations();
+            // Open a refund according to the event's refund policy
+            if (registration.payment.status === 'completed') {
+                await refundService.handleCancellation(registration, registration.event, reason);
+            }
+
+            // Update event statistics. Group seats are held by the leader's
+            // registration, so a member leaving does not free a seat.
+            if (registration.registrationType === 'group') {
+                if (registration.groupInfo.parentRegistration) {
+                    await groupRegistrationService.handleMemberCancellation(registration);
+                } else {
+                    await groupRegistrationService.handleGroupCancellation(registration, reason);
+                }
+            } else if (previousStatus === 'approved' || hadWaitlistOffer) {
+                await seatReservationService.release(registration.event._id);
+            }
+
+            await sessionRegistrationService.releaseAll(registration);
 
-            // Process waitlist if applicable
-            if (registration.status === 'approved') {
+            // Hand freed seats to the waitlist
+            const seatsFreed = registration.registrationType === 'group'
+                ? !registration.groupInfo.parentRegistration
+                : previousStatus === 'approved' || hadWaitlistOffer;
+
+            if (seatsFreed) {
                 await this.processWaitlistPromotions(registration.event._id);
             }
 
@@ -350,13 +441,37 @@ class RegistrationService {
                 throw new ValidationError('Only pending registrations can be approved');
             }
 
-            // Check if event still has space
-            if (registration.event.isFullyBooked) {
-                throw new ValidationError('Event is fully booked');
-            }
+            // Group seats were reserved when the group registered
+            if (registration.registrationType === 'group') {
+                if (registration.groupInfo.parentRegistration) {
+                    throw new ValidationError('Group members are approved together with their group');
+                }
+
+                await registration.approve(approverId);
+                await groupRegistrationService.applyGroupDecision(registration);
+            } else {
+                const seatReserved = await seatReservationService.reserve(registration.event._id);
+                if (!seatReserved) {
+                    throw new ValidationError('Event is fully booked');
+                }
 
-            await registration.approve(approverId);
-            await registration.event.incrementRegistrations();
+                const couponPending = registration.payment.couponPending;
+                try {
+                    await pricingService.redeemForRegistration(registration);
+
+                    if (seatReservationService.owesPayment(registration)) {
+                        seatReservationService.startHold(registration);
+                    }
+
+                    await registration.approve(approverId);
+                } catch (error) {
+                    if (couponPending) {
+                        await pricingService.releaseForRegistration(registration);
+                    }
+                    await seatReservationService.release(registration.event._id);
+                    throw error;
+                }
+            }
 
             // Send approval email
             await this.sendApprovalEmail(registration);
@@ -370,6 +485,78 @@ class RegistrationService {
         }
     }
 
+    // Re-run the event's approval rules on registrations still awaiting review
+    // (e.g. after the organizer added a rule). Matches take a seat like a manual approval.
+    async applyApprovalRules(eventId) {
+        try {
+            const event = await Event.findById(eventId);
+
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            const pending = await Registration.find({
+                event: eventId,
+                status: 'pending',
+                registrationType: 'individual'
+            }).populate('user', 'profile.fullName email student')
+                .populate('event', 'title');
+
+            const approved = [];
+
+            for (const registration of pending) {
+                const evaluation = await approvalRulesService.evaluate(event, registration.user, registration.customFieldsData);
+
+                registration.approvalEvaluation = {
+                    rule: evaluation.rule ? evaluation.rule._id : undefined,
+                    ruleName: evaluation.rule ? evaluation.rule.name : undefined,
+                    evaluatedAt: new Date(),
+                    reasons: evaluation.reasons
+                };
+
+                if (!evaluation.rule || !await seatReservationService.reserve(eventId)) {
+                    await registration.save();
+                    continue;
+                }
+
+                registration.status = 'approved';
+                registration.approvalStatus = 'rule_approved';
+                registration.approvedAt = new Date();
+
+                const couponPending = registration.payment.couponPending;
+                try {
+                    await pricingService.redeemForRegistration(registration);
+
+                    if (seatReservationService.owesPayment(registration)) {
+                        seatReservationService.startHold(registration);
+                    }
+
+                    await registration.save();
+                } catch (error) {
+                    if (couponPending) {
+                        await pricingService.releaseForRegistration(registration);
+                    }
+                    await seatReservationService.release(eventId);
+                    throw error;
+                }
+
+                await this.sendApprovalEmail(registration);
+                approved.push(registration);
+            }
+
+            logger.info(`Approval rules applied for event ${event.title}: ${approved.length}/${pending.length} approved`);
+
+            return {
+                evaluated: pending.length,
+                approved: approved.length,
+                registrations: approved
+            };
+        } catch (error) {
+            logger.error('Apply approval rules error:', error);
+            throw error;
+        }
+    }
+
     // Reject registration
     async rejectRegistration(registrationId, rejectorId, reason) {
         try {
@@ -384,8 +571,21 @@ class RegistrationService {
                 throw new ValidationError('Only pending registrations can be rejected');
             }
 
+            if (registration.registrationType === 'group' && registration.groupInfo.parentRegistration) {
+                throw new ValidationError('Group members are approved together with their group');
+            }
+
             await registration.reject(reason, rejectorId);
 
+            await sessionRegistrationService.releaseAll(registration);
+
+            // Free the seats the group was holding
+            if (registration.registrationType === 'group') {
+                await groupRegistrationService.applyGroupDecision(registration);
+                await seatReservationService.release(registration.event, registration.groupInfo.groupSize);
+                await this.processWaitlistPromotions(registration.event);
+            }
+
             // Send rejection email
             await this.sendRejectionEmail(registration, reason);
 
@@ -398,54 +598,94 @@ class RegistrationService {
         }
     }
 
-    // Check-in user
-    async checkInUser(registrationId, checkInData = {}) {
+    // Check-in user; `actor` must manage the registration's event, and an
+    // `eventId` rejects registrations of other events
+    async checkInUser(registrationId, checkInData = {}, actor = null, eventId = null) {
+        try {
+            await attendanceService.recordAttendance({
+                event: eventId || undefined,
+                registration: registrationId,
+                checkIn: { ...checkInData },
+                source: checkInData.source
+            }, actor);
+
+            return await this.getRegistrationById(registrationId);
+        } catch (error) {
+            logger.error('Check-in user error:', error);
+            throw error;
+        }
+    }
+
+    // Check-in by QR code; `actor` must manage the code's event
+    async checkInByQRCode(qrCode, checkInData = {}, actor = null) {
+        try {
+            const attendance = await attendanceService.qrCheckIn(qrCode, checkInData, actor);
+
+            return await this.getRegistrationById(attendance.registration);
+        } catch (error) {
+            logger.error('Check-in by QR code error:', error);
+            throw error;
+        }
+    }
+
+    // QR code the attendee shows at check-in. For events in rotating mode the
+    // code is only valid for the current time step and must be refreshed.
+    async getCheckInQRCode(registrationId, userId) {
         try {
             const registration = await Registration.findById(registrationId)
-                .populate('event', 'title')
-                .populate('user', 'profile.fullName email');
+                .select('+checkIn.rotatingSecret')
+                .populate('event', 'title enableQRCode qrCodeSettings');
 
             if (!registration) {
                 throw new NotFoundError('Registration not found');
             }
 
-            if (registration.status !== 'approved') {
-                throw new ValidationError('Only approved registrations can be checked in');
+            if (registration.user.toString() !== userId.toString()) {
+                throw new PermissionError('Access denied');
             }
 
-            if (registration.attendance.checkedIn) {
-                throw new ValidationError('User already checked in');
+            if (!['approved', 'attended'].includes(registration.status)) {
+                throw new ValidationError('Check-in code is only available for approved registrations');
             }
 
-            await registration.checkIn(
-                checkInData.method || 'manual',
-                checkInData.location
-            );
-
-            logger.info(`User checked in: ${registration.user.email} -> ${registration.event.title}`);
+            const event = registration.event;
+            if (!event.enableQRCode) {
+                throw new ValidationError('QR check-in is disabled for this event');
+            }
 
-            return await this.getRegistrationById(registrationId);
-        } catch (error) {
-            logger.error('Check-in user error:', error);
-            throw error;
-        }
-    }
+            if (event.qrCodeSettings.mode !== 'rotating') {
+                const qrCode = await qrCodeService.generateRegistrationQR(
+                    registration._id.toString(),
+                    registration.user.toString(),
+                    event._id.toString()
+                );
 
-    // Check-in by QR code
-    async checkInByQRCode(qrCode, checkInData = {}) {
-        try {
-            const registration = await Registration.findByQRCode(qrCode);
+                return { mode: 'static', qrCode };
+            }
 
-            if (!registration) {
-                throw new NotFoundError('Invalid or expired QR code');
+            let secret = registration.checkIn.rotatingSecret;
+            if (!secret) {
+                // Only the first request sets the secret; a concurrent one re-reads it
+                const updated = await Registration.findOneAndUpdate(
+                    { _id: registration._id, 'checkIn.rotatingSecret': null },
+                    { $set: { 'checkIn.rotatingSecret': qrCodeService.generateRotatingSecret() } },
+                    { new: true }
+                ).select('+checkIn.rotatingSecret');
+
+                secret = updated
+                    ? updated.checkIn.rotatingSecret
+                    : (await Registration.findById(registration._id).select('+checkIn.rotatingSecret')).checkIn.rotatingSecret;
             }
 
-            return await this.checkInUser(registration._id, {
-                ...checkInData,
-                method: 'qr_code'
-            });
+            const code = await qrCodeService.generateRotatingRegistrationQR(
+                registration._id.toString(),
+                secret,
+                event.qrCodeSettings
+            );
+
+            return { mode: 'rotating', ...code };
         } catch (error) {
-            logger.error('Check-in by QR code error:', error);
+            logger.error('Get check-in QR code error:', error);
             throw error;
         }
     }
@@ -505,13 +745,15 @@ class RegistrationService {
         }
     }
 
-    // Process waitlist promotions
+    // Process waitlist promotions. Runs whenever seats free up; each promoted
+    // user gets a claim window before the seat moves to the next person.
     async processWaitlistPromotions(eventId) {
         try {
-            const promoted = await Registration.processWaitlistPromotions(eventId);
+            const promoted = await waitlistService.promoteNext(eventId);
 
             for (const registration of promoted) {
                 await this.sendWaitlistPromotionEmail(registration);
+                await this.createWaitlistNotification(registration);
             }
 
             logger.info(`Promoted ${promoted.length} users from waitlist for event ${eventId}`);
@@ -523,6 +765,70 @@ class RegistrationService {
         }
     }
 
+    // Confirm a seat offered from the waitlist
+    async claimWaitlistOffer(registrationId, userId, options = {}) {
+        try {
+            const registration = await Registration.findById(registrationId)
+                .populate('event', 'title slug schedule location')
+                .populate('user', 'profile.fullName email');
+
+            if (!registration) {
+                throw new NotFoundError('Registration not found');
+            }
+
+            if (registration.user._id.toString() !== userId) {
+                throw new PermissionError('Can only claim your own waitlist offer');
+            }
+
+            if (!waitlistService.hasOpenOffer(registration)) {
+                throw new ValidationError('There is no open waitlist offer for this registration');
+            }
+
+            const claimed = await waitlistService.claimOffer(registrationId);
+
+            if (!claimed) {
+                throw new ValidationError('This waitlist offer has expired');
+            }
+
+            await this.sendRegistrationConfirmationEmail(claimed, registration.event, registration.user);
+
+            if (seatReservationService.owesPayment(claimed)) {
+                await this.startPayment(claimed, registration.event, options);
+            }
+
+            logger.info(`Waitlist offer claimed: ${registration.user.email} -> ${registration.event.title}`);
+
+            return await this.getRegistrationById(registrationId);
+        } catch (error) {
+            logger.error('Claim waitlist offer error:', error);
+            throw error;
+        }
+    }
+
+    // Turn down a waitlist offer; the seat moves on to the next person
+    async declineWaitlistOffer(registrationId, userId) {
+        try {
+            const registration = await Registration.findById(registrationId);
+
+            if (!registration) {
+                throw new NotFoundError('Registration not found');
+            }
+
+            if (registration.user.toString() !== userId) {
+                throw new PermissionError('Can only decline your own waitlist offer');
+            }
+
+            if (!waitlistService.hasOpenOffer(registration)) {
+                throw new ValidationError('There is no open waitlist offer for this registration');
+            }
+
+            return await this.cancelRegistration(registrationId, userId, 'Declined waitlist offer');
+        } catch (error) {
+            logger.error('Decline waitlist offer error:', error);
+            throw error;
+        }
+    }
+
     // Get waitlist position
     async getWaitlistPosition(eventId, userId = null) {
         try {
@@ -581,6 +887,56 @@ class RegistrationService {
         }
     }
 
+    // Create the gateway payment link. A failure leaves the registration in
+    // place; the user can retry payment from their registration page.
+    async startPayment(registration, event, options = {}) {
+        try {
+            await paymentService.createPaymentLink({
+                registrationId: registration._id,
+                method: options.paymentMethod,
+                ipAddress: options.ipAddress,
+                description: `Registration for ${event.title}`,
+                returnUrl: `${process.env.FRONTEND_URL}/events/${event.slug}/registration/success`,
+                cancelUrl: `${process.env.FRONTEND_URL}/events/${event.slug}/registration/cancel`
+            });
+        } catch (error) {
+            logger.error('Create payment link error:', error);
+        }
+    }
+
+    // In-app notification for a waitlist promotion
+    async createWaitlistNotification(registration) {
+        try {
+            const isOffer = waitlistService.hasOpenOffer(registration);
+            const claimUrl = `${process.env.FRONTEND_URL}/registrations/${registration._id}/waitlist/claim`;
+
+            await Notification.create({
+                recipient: registration.user._id,
+                type: 'waitlist_promotion',
+                title: isOffer
+                    ? `A seat opened up - ${registration.event.title}`
+                    : `You're in - ${registration.event.title}`,
+                message: isOffer
+                    ? `A seat is available for ${registration.event.title}. Confirm it before ${registration.waitlist.expiresAt.toISOString()} or it will go to the next person on the waitlist.`
+                    : `You have been moved from the waitlist to the participant list for ${registration.event.title}.`,
+                relatedEvent: registration.event._id,
+                relatedRegistration: registration._id,
+                channels: {
+                    inApp: { enabled: true, delivered: true, deliveredAt: new Date() }
+                },
+                content: isOffer
+                    ? { actions: [{ label: 'Confirm my seat', url: claimUrl, type: 'button', style: 'primary' }] }
+                    : undefined,
+                category: 'events',
+                priority: isOffer ? 'high' : 'normal',
+                status: 'sent',
+                expiresAt: isOffer ? registration.waitlist.expiresAt : undefined
+            });
+        } catch (error) {
+            logger.error('Create waitlist notification error:', error);
+        }
+    }
+
     // Email helpers
     async sendRegistrationConfirmationEmail(registration, event, user) {
         try {
@@ -655,14 +1011,21 @@ class RegistrationService {
 
     async sendWaitlistPromotionEmail(registration) {
         try {
+            const isOffer = waitlistService.hasOpenOffer(registration);
+
             await emailService.sendEmail({
                 to: registration.user.email,
-                subject: `You're In! Registration Confirmed - ${registration.event.title}`,
+                subject: isOffer
+                    ? `A Seat Is Available - Confirm Your Place - ${registration.event.title}`
+                    : `You're In! Registration Confirmed - ${registration.event.title}`,
                 template: 'waitlist-promotion',
                 data: {
                     userName: registration.user.profile.fullName,
                     eventTitle: registration.event.title,
-                    registrationNumber: registration.registrationNumber
+                    registrationNumber: registration.registrationNumber,
+                    requiresClaim: isOffer,
+                    claimDeadline: isOffer ? registration.waitlist.expiresAt : undefined,
+                    claimUrl: `${process.env.FRONTEND_URL}/registrations/${registration._id}/waitlist/claim`
                 }
             });
         } catch (error) {
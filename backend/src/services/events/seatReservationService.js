@@ -0,0 +1,201 @@
+const Registration = require('../../models/Registration');
+const Event = require('../../models/Event');
+const emailService = require('../notifications/emailService');
+const pricingService = require('../payment/pricingService');
+const sessionRegistrationService = require('./sessionRegistrationService');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../utils/errors');
+
+class SeatReservationService {
+    constructor() {
+        this.holdMinutes = parseInt(process.env.SEAT_HOLD_MINUTES) || 15;
+        // Leave the gateway time to deliver its IPN after the payment page closes
+        this.holdGraceMinutes = parseInt(process.env.SEAT_HOLD_GRACE_MINUTES) || 5;
+    }
+
+    // Take seats atomically; returns false when the event cannot fit them
+    async reserve(eventId, count = 1) {
+        const reserved = await Event.reserveSeats(eventId, count);
+
+        if (!reserved) {
+            logger.debug(`Seat reservation refused for event ${eventId} (${count} requested)`);
+        }
+
+        return reserved;
+    }
+
+    async release(eventId, count = 1) {
+        await Event.releaseSeats(eventId, count);
+    }
+
+    // Number of seats a registration occupies
+    getSeatCount(registration) {
+        if (registration.registrationType === 'group' && !registration.groupInfo.parentRegistration) {
+            return registration.groupInfo.groupSize || 1;
+        }
+
+        return 1;
+    }
+
+    owesPayment(registration) {
+        return registration.payment.required &&
+            registration.payment.finalAmount > 0 &&
+            !['completed', 'refunded'].includes(registration.payment.status);
+    }
+
+    // Paid registrations keep their seat only for a short checkout window
+    startHold(registration, minutes = this.holdMinutes) {
+        registration.seatHold = {
+            expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+        };
+
+        return registration;
+    }
+
+    // Keep the seat while a gateway payment page is still open
+    extendHold(registration, paymentExpiresAt) {
+        if (!registration.seatHold || !registration.seatHold.expiresAt || registration.seatHold.releasedAt) {
+            return registration;
+        }
+
+        const extendedUntil = new Date(new Date(paymentExpiresAt).getTime() + this.holdGraceMinutes * 60 * 1000);
+        if (extendedUntil > registration.seatHold.expiresAt) {
+            registration.seatHold.expiresAt = extendedUntil;
+        }
+
+        return registration;
+    }
+
+    // Payment arrived: make the seat permanent. If the hold already lapsed, try to
+    // take a seat again; returns false when the event has filled up in the meantime.
+    async confirmHold(registration) {
+        if (!registration.seatHold || !registration.seatHold.expiresAt) {
+            return true;
+        }
+
+        if (registration.seatHold.releasedAt) {
+            const eventId = registration.event._id || registration.event;
+            const seatCount = this.getSeatCount(registration);
+
+            const reserved = await this.reserve(eventId, seatCount);
+            if (!reserved) {
+                return false;
+            }
+
+            // The lapse gave the coupon back, but the amount paid was priced with it
+            if (registration.payment.couponCode && registration.payment.couponPending) {
+                try {
+                    await pricingService.redeemCoupon(eventId, registration.payment.couponCode);
+                    registration.payment.couponPending = false;
+                } catch (error) {
+                    await this.release(eventId, seatCount);
+
+                    if (error instanceof ValidationError) {
+                        logger.warn(`Coupon no longer available for lapsed registration ${registration._id}: ${error.message}`);
+                        return false;
+                    }
+                    throw error;
+                }
+            }
+
+            const lapseReason = registration.cancellationReason;
+
+            // Registrations still awaiting review go back to the review queue
+            registration.status = registration.approvalStatus === 'pending_review' ? 'pending' : 'approved';
+            registration.cancelledAt = undefined;
+            registration.cancellationReason = undefined;
+            registration.seatHold.releasedAt = undefined;
+
+            if (registration.registrationType === 'group' && !registration.groupInfo.parentRegistration) {
+                // Loaded lazily: the group service depends on this one
+                const groupRegistrationService = require('./groupRegistrationService');
+                await groupRegistrationService.restoreGroup(registration, lapseReason);
+            }
+        }
+
+        registration.seatHold.confirmedAt = new Date();
+        registration.seatHold.expiresAt = undefined;
+
+        return true;
+    }
+
+    // Cancel unpaid registrations whose hold has lapsed and free their seats.
+    // Returns the IDs of events that got seats back so the waitlist can be processed.
+    async releaseExpiredHolds(limit = 200) {
+        const now = new Date();
+        const expiredFilter = {
+            'seatHold.expiresAt': { $lte: now },
+            'seatHold.confirmedAt': null,
+            'seatHold.releasedAt': null,
+            status: { $in: ['approved', 'pending'] },
+            'payment.status': { $nin: ['completed', 'refunded'] }
+        };
+
+        const candidates = await Registration.find(expiredFilter)
+            .select('_id')
+            .limit(limit);
+
+        const eventIds = new Set();
+
+        for (const candidate of candidates) {
+            // Claim each registration with a conditional update so a payment
+            // confirmed at the same moment is never cancelled
+            const registration = await Registration.findOneAndUpdate(
+                { _id: candidate._id, ...expiredFilter },
+                {
+                    status: 'cancelled',
+                    cancelledAt: now,
+                    cancellationReason: 'Seat hold expired before payment',
+                    'seatHold.releasedAt': now
+                },
+                { new: true }
+            ).populate('user', 'profile.fullName email')
+                .populate('event', 'title slug');
+
+            if (!registration) continue;
+
+            if (registration.registrationType === 'group' && !registration.groupInfo.parentRegistration) {
+                // Loaded lazily: the group service depends on this one
+                const groupRegistrationService = require('./groupRegistrationService');
+                await groupRegistrationService.handleGroupCancellation(registration, registration.cancellationReason);
+            } else {
+                await this.release(registration.event._id, this.getSeatCount(registration));
+            }
+
+            await sessionRegistrationService.releaseAll(registration);
+
+            if (registration.payment.couponCode && !registration.payment.couponPending) {
+                await pricingService.releaseForRegistration(registration);
+                await registration.save();
+            }
+
+            await this.sendHoldExpiredEmail(registration);
+
+            eventIds.add(registration.event._id.toString());
+
+            logger.info(`Seat hold expired: ${registration.registrationNumber} -> ${registration.event.title}`);
+        }
+
+        return Array.from(eventIds);
+    }
+
+    async sendHoldExpiredEmail(registration) {
+        try {
+            await emailService.sendEmail({
+                to: registration.user.email,
+                subject: `Registration Released - ${registration.event.title}`,
+                template: 'seat-hold-expired',
+                data: {
+                    userName: registration.user.profile.fullName,
+                    eventTitle: registration.event.title,
+                    registrationNumber: registration.registrationNumber,
+                    eventUrl: `${process.env.FRONTEND_URL}/events/${registration.event.slug}`
+                }
+            });
+        } catch (error) {
+            logger.error('Send seat hold expired email error:', error);
+        }
+    }
+}
+
+module.exports = new SeatReservationService();
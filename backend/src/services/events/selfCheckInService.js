@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const Event = require('../../models/Event');
+const Registration = require('../../models/Registration');
+const attendanceService = require('./attendanceService');
+const qrCodeService = require('../qrCodeService');
+const redisClient = require('../../config/redis');
+const Helpers = require('../../utils/helpers');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError, TooManyRequestsError } = require('../../utils/errors');
+
+const PIN_DIGITS = 6;
+
+// Attendees check themselves in from their phone at a physical venue. The
+// device location is compared to the venue radius; check-ins from too far
+// away are recorded and flagged for the organizer instead of rejected, since
+// indoor GPS is often off by more than the radius.
+class SelfCheckInService {
+    constructor() {
+        // Self check-in opens this many minutes before the event starts
+        this.opensMinutes = parseInt(process.env.SELF_CHECKIN_OPENS_MINUTES) || 30;
+        // Readings less precise than this are flagged for review
+        this.maxAccuracyMeters = parseInt(process.env.SELF_CHECKIN_MAX_ACCURACY_METERS) || 100;
+        // PIN guesses allowed per attendee and event within the lockout window
+        this.maxPinAttempts = parseInt(process.env.SELF_CHECKIN_PIN_MAX_ATTEMPTS) || 5;
+        this.pinLockoutMinutes = parseInt(process.env.SELF_CHECKIN_PIN_LOCKOUT_MINUTES) || 15;
+    }
+
+    async getEventWithSettings(eventId) {
+        const event = await Event.findById(eventId)
+            .select('title schedule location selfCheckIn +selfCheckIn.pinSecret');
+
+        if (!event) {
+            throw new NotFoundError('Event not found');
+        }
+
+        return event;
+    }
+
+    // Current PIN for the venue screen; the secret is created on first use
+    async getCurrentPin(eventId) {
+        try {
+            const event = await this.getEventWithSettings(eventId);
+
+            if (!event.selfCheckIn.enabled || !event.selfCheckIn.requirePin) {
+                throw new ValidationError('This event does not use a check-in PIN');
+            }
+
+            const secret = await this.ensurePinSecret(event);
+            const step = event.selfCheckIn.pinRotationSeconds;
+            const counter = qrCodeService.getRotationCounter(step);
+
+            return {
+                pin: qrCodeService.generateRotatingToken(secret, counter, PIN_DIGITS),
+                rotationSeconds: step,
+                expiresAt: new Date((counter + 1) * step * 1000)
+            };
+        } catch (error) {
+            logger.error('Get self check-in PIN error:', error);
+            throw error;
+        }
+    }
+
+    async ensurePinSecret(event) {
+        if (event.selfCheckIn.pinSecret) {
+            return event.selfCheckIn.pinSecret;
+        }
+
+        // Only the first request sets the secret; a concurrent one re-reads it
+        await Event.updateOne(
+            { _id: event._id, 'selfCheckIn.pinSecret': null },
+            { $set: { 'selfCheckIn.pinSecret': qrCodeService.generateRotatingSecret() } }
+        );
+
+        const updated = await Event.findById(event._id).select('+selfCheckIn.pinSecret');
+        return updated.selfCheckIn.pinSecret;
+    }
+
+    // Accept the current PIN or the previous one, for attendees who read it
+    // just before it changed
+    verifyPin(event, pin) {
+        if (!pin || !event.selfCheckIn.pinSecret) {
+            return false;
+        }
+
+        const provided = Buffer.from(String(pin));
+        const counter = qrCodeService.getRotationCounter(event.selfCheckIn.pinRotationSeconds);
+
+        return [counter, counter - 1].some(step => {
+            const expected = Buffer.from(qrCodeService.generateRotatingToken(event.selfCheckIn.pinSecret, step, PIN_DIGITS));
+            return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+        });
+    }
+
+    // Count a PIN attempt; a correct PIN clears the count. The counter is
+    // required, so attempts are refused when it cannot be updated.
+    async checkPinAttempt(event, userId, pin) {
+        const key = `selfcheckin:pin:${event._id}:${userId}`;
+        const attempts = await redisClient.increment(key);
+
+        if (attempts === null || attempts === undefined) {
+            throw new ValidationError('The check-in PIN cannot be verified right now. Please try again');
+        }
+
+        if (attempts === 1) {
+            await redisClient.expire(key, this.pinLockoutMinutes * 60);
+        }
+
+        if (attempts > this.maxPinAttempts) {
+            logger.security('Self check-in PIN attempts exceeded', { eventId: event._id, userId, attempts });
+            throw new TooManyRequestsError(`Too many PIN attempts. Try again in ${this.pinLockoutMinutes} minutes`);
+        }
+
+        if (!this.verifyPin(event, pin)) {
+            throw new ValidationError('Invalid or expired check-in PIN');
+        }
+
+        await redisClient.del(key);
+    }
+
+    async checkIn(eventId, userId, checkInData) {
+        try {
+            const event = await this.getEventWithSettings(eventId);
+            const settings = event.selfCheckIn;
+
+            if (!settings.enabled) {
+                throw new ValidationError('Self check-in is not enabled for this event');
+            }
+
+            const venue = event.location.venue && event.location.venue.coordinates;
+            if (event.location.type === 'online' || !venue || venue.latitude == null || venue.longitude == null) {
+                throw new ValidationError('Self check-in requires a venue location');
+            }
+
+            const now = new Date();
+            const opensAt = new Date(new Date(event.schedule.startDate).getTime() - this.opensMinutes * 60 * 1000);
+            if (now < opensAt) {
+                throw new ValidationError('Self check-in is not open yet');
+            }
+            if (now > new Date(event.schedule.endDate)) {
+                throw new ValidationError('Event has already ended');
+            }
+
+            if (settings.requirePin) {
+                await this.checkPinAttempt(event, userId, checkInData.pin);
+            }
+
+            const registration = await Registration.findOne({ event: eventId, user: userId }).select('_id');
+            if (!registration) {
+                throw new NotFoundError('You are not registered for this event');
+            }
+
+            const distanceMeters = Math.round(Helpers.calculateDistance(
+                venue.latitude,
+                venue.longitude,
+                checkInData.latitude,
+                checkInData.longitude
+            ) * 1000);
+            const accuracy = checkInData.accuracy != null ? Math.round(checkInData.accuracy) : undefined;
+
+            const attendance = await attendanceService.recordAttendance({
+                event: eventId,
+                registration: registration._id,
+                checkIn: {
+                    method: 'self_check_in',
+                    location: {
+                        latitude: checkInData.latitude,
+                        longitude: checkInData.longitude,
+                        accuracy,
+                        distanceMeters,
+                        venue: event.location.venue.name
+                    },
+                    deviceInfo: checkInData.deviceInfo
+                },
+                source: 'mobile',
+                metadata: {
+                    platform: 'mobile'
+                }
+            });
+
+            const withinRadius = distanceMeters <= settings.radiusMeters;
+
+            if (!withinRadius) {
+                await attendance.addFlag({
+                    type: 'location_mismatch',
+                    description: `Self check-in ${distanceMeters} m from the venue ` +
+                        `(allowed ${settings.radiusMeters} m${accuracy != null ? `, GPS accuracy ±${accuracy} m` : ''})`,
+                    // Far outliers block the certificate until an organizer resolves the flag
+                    severity: distanceMeters > settings.radiusMeters * 5 ? 'high' : 'medium'
+                });
+
+                logger.security('Self check-in outside venue radius', {
+                    eventId,
+                    userId,
+                    distanceMeters,
+                    radiusMeters: settings.radiusMeters
+                });
+            }
+
+            // A vague fix cannot place the attendee at the venue either way
+            const poorAccuracy = accuracy != null && accuracy > this.maxAccuracyMeters;
+
+            if (poorAccuracy) {
+                await attendance.addFlag({
+                    type: 'suspicious_activity',
+                    description: `Self check-in with poor GPS accuracy ±${accuracy} m ` +
+                        `(required ±${this.maxAccuracyMeters} m or better)`,
+                    severity: 'medium'
+                });
+            }
+
+            return {
+                attendance,
+                distanceMeters,
+                withinRadius,
+                poorAccuracy
+            };
+        } catch (error) {
+            logger.error('Self check-in error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new SelfCheckInService();
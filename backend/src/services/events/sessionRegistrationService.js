@@ -0,0 +1,435 @@
+const Registration = require('../../models/Registration');
+const Event = require('../../models/Event');
+const attendanceService = require('./attendanceService');
+const emailService = require('../notifications/emailService');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError, PermissionError } = require('../../utils/errors');
+
+class SessionRegistrationService {
+    constructor() {
+        // Session check-in opens this many minutes before the session starts
+        this.checkInOpensMinutes = parseInt(process.env.SESSION_CHECKIN_OPENS_MINUTES) || 30;
+    }
+
+    isSelectionEnabled(event) {
+        return Boolean(event.registration.sessionSelection && event.registration.sessionSelection.enabled) &&
+            event.schedule.sessions.length > 0;
+    }
+
+    // Turn requested session IDs into session documents. Required sessions are
+    // always included; overlapping time slots are rejected.
+    resolveSelection(event, sessionIds = []) {
+        if (!this.isSelectionEnabled(event)) {
+            return [];
+        }
+
+        const requestedIds = new Set((sessionIds || []).map(id => id.toString()));
+        const sessions = [];
+
+        for (const sessionId of requestedIds) {
+            const session = event.schedule.sessions.id(sessionId);
+            if (!session) {
+                throw new ValidationError(`Session ${sessionId} does not belong to this event`);
+            }
+            sessions.push(session);
+        }
+
+        event.schedule.sessions
+            .filter(session => session.isRequired && !requestedIds.has(session._id.toString()))
+            .forEach(session => sessions.push(session));
+
+        if (sessions.length === 0) {
+            throw new ValidationError('Please select at least one session');
+        }
+
+        this.assertNoConflicts(sessions);
+
+        return sessions;
+    }
+
+    assertNoConflicts(sessions) {
+        const timed = sessions
+            .filter(session => session.startTime && session.endTime)
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+        for (let i = 1; i < timed.length; i++) {
+            const previous = timed[i - 1];
+            const current = timed[i];
+
+            if (new Date(current.startTime) < new Date(previous.endTime)) {
+                throw new ValidationError(`Sessions "${previous.title}" and "${current.title}" overlap`);
+            }
+        }
+    }
+
+    // Take one seat in a session. The capacity check is part of the update
+    // filter, so parallel registrations cannot overfill the session.
+    async reserveSessionSeat(eventId, session) {
+        const match = { _id: session._id };
+
+        if (session.capacity) {
+            match.registeredCount = { $lt: session.capacity };
+        }
+
+        const result = await Event.updateOne(
+            { _id: eventId, 'schedule.sessions': { $elemMatch: match } },
+            { $inc: { 'schedule.sessions.$.registeredCount': 1 } }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    async releaseSessionSeat(eventId, sessionId) {
+        await Event.updateOne(
+            {
+                _id: eventId,
+                'schedule.sessions': { $elemMatch: { _id: sessionId, registeredCount: { $gt: 0 } } }
+            },
+            { $inc: { 'schedule.sessions.$.registeredCount': -1 } }
+        );
+    }
+
+    // Reserve seats for the selected sessions, falling back to each session's
+    // waitlist when it is full. Partial reservations are rolled back on error.
+    async reserveSessions(event, sessions, options = {}) {
+        const now = new Date();
+        const entries = [];
+
+        try {
+            for (const session of sessions) {
+                const reserved = !options.waitlistOnly && await this.reserveSessionSeat(event._id, session);
+
+                if (reserved) {
+                    entries.push({
+                        sessionId: session._id,
+                        sessionTitle: session.title,
+                        status: 'registered',
+                        registeredAt: now
+                    });
+                } else if (session.waitlistEnabled !== false) {
+                    entries.push({
+                        sessionId: session._id,
+                        sessionTitle: session.title,
+                        status: 'waitlist',
+                        waitlistJoinedAt: now
+                    });
+                } else {
+                    throw new ValidationError(`Session "${session.title}" is full`);
+                }
+            }
+        } catch (error) {
+            await this.releaseSessions(event._id, entries);
+            throw error;
+        }
+
+        return entries;
+    }
+
+    async releaseSessions(eventId, entries = []) {
+        for (const entry of entries) {
+            if (entry.status === 'registered') {
+                await this.releaseSessionSeat(eventId, entry.sessionId);
+            }
+        }
+    }
+
+    // Give up every session seat a registration holds (cancellation, rejection,
+    // expired holds) and move each session's waitlist along
+    async releaseAll(registration) {
+        const entries = (registration.sessions || [])
+            .filter(entry => ['registered', 'waitlist'].includes(entry.status));
+
+        if (entries.length === 0) return;
+
+        const eventId = registration.event._id || registration.event;
+
+        await Registration.updateOne(
+            { _id: registration._id },
+            { $set: { 'sessions.$[entry].status': 'cancelled' } },
+            { arrayFilters: [{ 'entry.status': { $in: ['registered', 'waitlist'] } }] }
+        );
+
+        await this.releaseSessions(eventId, entries);
+
+        for (const entry of entries.filter(e => e.status === 'registered')) {
+            await this.promoteSessionWaitlist(eventId, entry.sessionId);
+        }
+    }
+
+    // Try to move a registration's waitlisted sessions to registered (used when
+    // the registration itself is promoted from the event waitlist)
+    async claimWaitlistedSessions(registration) {
+        const event = await Event.findById(registration.event._id || registration.event).select('schedule.sessions');
+        if (!event) return registration;
+
+        for (const entry of registration.sessions.filter(e => e.status === 'waitlist')) {
+            const session = event.schedule.sessions.id(entry.sessionId);
+            if (session && await this.reserveSessionSeat(event._id, session)) {
+                entry.status = 'registered';
+                entry.registeredAt = new Date();
+            }
+        }
+
+        return registration;
+    }
+
+    // Fill free seats in a session from its waitlist, in join order
+    async promoteSessionWaitlist(eventId, sessionId) {
+        try {
+            const event = await Event.findById(eventId).select('title schedule.sessions');
+            const session = event && event.schedule.sessions.id(sessionId);
+            if (!session) return [];
+
+            const candidates = await Registration.find({
+                event: eventId,
+                status: { $in: ['pending', 'approved'] },
+                sessions: { $elemMatch: { sessionId, status: 'waitlist' } }
+            }).populate('user', 'profile.fullName email');
+
+            const joinedAt = registration => registration.sessions
+                .find(entry => entry.sessionId.toString() === sessionId.toString()).waitlistJoinedAt || 0;
+            candidates.sort((a, b) => joinedAt(a) - joinedAt(b));
+
+            const promoted = [];
+
+            for (const registration of candidates) {
+                const reserved = await this.reserveSessionSeat(eventId, session);
+                if (!reserved) break;
+
+                const result = await Registration.updateOne(
+                    { _id: registration._id, sessions: { $elemMatch: { sessionId, status: 'waitlist' } } },
+                    {
+                        $set: {
+                            'sessions.$.status': 'registered',
+                            'sessions.$.registeredAt': new Date()
+                        }
+                    }
+                );
+
+                if (result.modifiedCount === 0) {
+                    await this.releaseSessionSeat(eventId, sessionId);
+                    continue;
+                }
+
+                promoted.push(registration);
+                await this.sendSessionPromotionEmail(registration, event, session);
+            }
+
+            if (promoted.length > 0) {
+                logger.info(`Promoted ${promoted.length} registrations from waitlist of session ${session.title}`);
+            }
+
+            return promoted;
+        } catch (error) {
+            logger.error('Promote session waitlist error:', error);
+            return [];
+        }
+    }
+
+    // Change session picks after registering (until the registration deadline)
+    async updateSelection(registrationId, userId, sessionIds) {
+        try {
+            const registration = await Registration.findById(registrationId);
+
+            if (!registration) {
+                throw new NotFoundError('Registration not found');
+            }
+
+            if (registration.user.toString() !== userId) {
+                throw new PermissionError('Can only change sessions for your own registration');
+            }
+
+            if (!['pending', 'approved', 'waitlist'].includes(registration.status)) {
+                throw new ValidationError('Sessions cannot be changed for this registration');
+            }
+
+            const event = await Event.findById(registration.event);
+
+            if (!this.isSelectionEnabled(event)) {
+                throw new ValidationError('This event does not offer session selection');
+            }
+
+            if (event.schedule.registrationEnd < new Date()) {
+                throw new ValidationError('Session changes are closed after the registration deadline');
+            }
+
+            const selected = this.resolveSelection(event, sessionIds);
+            const selectedIds = new Set(selected.map(session => session._id.toString()));
+            const activeEntries = registration.sessions.filter(entry => entry.status !== 'cancelled');
+            const activeIds = new Set(activeEntries.map(entry => entry.sessionId.toString()));
+
+            const removed = activeEntries.filter(entry => !selectedIds.has(entry.sessionId.toString()));
+            const added = selected.filter(session => !activeIds.has(session._id.toString()));
+
+            const newEntries = await this.reserveSessions(event, added, {
+                waitlistOnly: registration.status === 'waitlist'
+            });
+
+            const freed = removed.filter(entry => entry.status === 'registered');
+            removed.forEach(entry => {
+                entry.status = 'cancelled';
+            });
+            newEntries.forEach(entry => registration.sessions.push(entry));
+
+            try {
+                await registration.save();
+            } catch (error) {
+                await this.releaseSessions(event._id, newEntries);
+                throw error;
+            }
+
+            await this.releaseSessions(event._id, freed);
+            for (const entry of freed) {
+                await this.promoteSessionWaitlist(event._id, entry.sessionId);
+            }
+
+            logger.info(`Session selection updated for registration ${registration.registrationNumber}`);
+
+            return registration;
+        } catch (error) {
+            logger.error('Update session selection error:', error);
+            throw error;
+        }
+    }
+
+    // Seats, registrations and waitlist length per session
+    async getSessionAvailability(eventId) {
+        try {
+            const event = await Event.findById(eventId).select('title schedule.sessions registration.sessionSelection');
+
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            const waitlistCounts = await Registration.aggregate([
+                { $match: { event: event._id, status: { $in: ['pending', 'approved', 'waitlist'] } } },
+                { $unwind: '$sessions' },
+                { $match: { 'sessions.status': 'waitlist' } },
+                { $group: { _id: '$sessions.sessionId', count: { $sum: 1 } } }
+            ]);
+
+            const waitlistBySession = new Map(waitlistCounts.map(item => [item._id.toString(), item.count]));
+
+            return {
+                selectionEnabled: this.isSelectionEnabled(event),
+                sessions: event.schedule.sessions.map(session => ({
+                    sessionId: session._id,
+                    title: session.title,
+                    track: session.track,
+                    startTime: session.startTime,
+                    endTime: session.endTime,
+                    location: session.location,
+                    isRequired: session.isRequired,
+                    capacity: session.capacity || null,
+                    registered: session.registeredCount,
+                    available: session.capacity ? Math.max(0, session.capacity - session.registeredCount) : null,
+                    waitlist: waitlistBySession.get(session._id.toString()) || 0
+                }))
+            };
+        } catch (error) {
+            logger.error('Get session availability error:', error);
+            throw error;
+        }
+    }
+
+    // Check an attendee into one session and record it on their attendance
+    async checkInSession(registrationId, sessionId, checkInData = {}) {
+        try {
+            const registration = await Registration.findById(registrationId)
+                .populate('event', 'title schedule registration');
+
+            if (!registration) {
+                throw new NotFoundError('Registration not found');
+            }
+
+            if (!['approved', 'attended'].includes(registration.status)) {
+                throw new ValidationError('Only approved registrations can be checked in');
+            }
+
+            const session = registration.event.schedule.sessions.id(sessionId);
+            if (!session) {
+                throw new NotFoundError('Session not found');
+            }
+
+            // Without session selection every attendee may join every session
+            let entry = registration.sessions.find(e => e.sessionId.toString() === sessionId.toString());
+            if (this.isSelectionEnabled(registration.event)) {
+                if (!entry || entry.status !== 'registered') {
+                    throw new ValidationError('Attendee is not registered for this session');
+                }
+            }
+
+            if (entry && entry.checkedIn) {
+                throw new ValidationError('Attendee already checked in to this session');
+            }
+
+            const now = new Date();
+            if (session.startTime &&
+                now < new Date(new Date(session.startTime).getTime() - this.checkInOpensMinutes * 60 * 1000)) {
+                throw new ValidationError('Session check-in is not open yet');
+            }
+
+            if (session.endTime && now > new Date(session.endTime)) {
+                throw new ValidationError('Session has already ended');
+            }
+
+            // Attendance (and Registration.attendance) is written by attendanceService
+            const attendance = await attendanceService.recordSessionCheckIn(registration, session, checkInData);
+
+            if (entry) {
+                await Registration.updateOne(
+                    { _id: registration._id },
+                    { $set: { 'sessions.$[entry].checkedIn': true, 'sessions.$[entry].checkInTime': now } },
+                    { arrayFilters: [{ 'entry.sessionId': session._id }] }
+                );
+            } else {
+                await Registration.updateOne(
+                    { _id: registration._id },
+                    {
+                        $push: {
+                            sessions: {
+                                sessionId: session._id,
+                                sessionTitle: session.title,
+                                status: 'registered',
+                                registeredAt: now,
+                                checkedIn: true,
+                                checkInTime: now
+                            }
+                        }
+                    }
+                );
+            }
+
+            logger.info(`Session check-in: ${registration.registrationNumber} -> ${session.title}`);
+
+            return {
+                registration: await Registration.findById(registration._id),
+                attendance
+            };
+        } catch (error) {
+            logger.error('Session check-in error:', error);
+            throw error;
+        }
+    }
+
+    async sendSessionPromotionEmail(registration, event, session) {
+        try {
+            await emailService.sendEmail({
+                to: registration.user.email,
+                subject: `Session Seat Confirmed - ${session.title}`,
+                template: 'session-waitlist-promotion',
+                data: {
+                    userName: registration.user.profile.fullName,
+                    eventTitle: event.title,
+                    sessionTitle: session.title,
+                    sessionStart: session.startTime,
+                    registrationNumber: registration.registrationNumber
+                }
+            });
+        } catch (error) {
+            logger.error('Send session promotion email error:', error);
+        }
+    }
+}
+
+module.exports = new SessionRegistrationService();
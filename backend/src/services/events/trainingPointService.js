@@ -0,0 +1,345 @@
+const mongoose = require('mongoose');
+const TrainingPoint = require('../../models/TrainingPoint');
+const TrainingPointBalance = require('../../models/TrainingPointBalance');
+const Event = require('../../models/Event');
+const User = require('../../models/User');
+const DateUtils = require('../../utils/dateUtils');
+const logger = require('../../utils/logger');
+const {
+    TRAINING_POINT_CATEGORIES,
+    TRAINING_POINT_CAPS,
+    EVENT_TYPE_TRAINING_CATEGORIES
+} = require('../../utils/constants');
+const { ValidationError, ConflictError } = require('../../utils/errors');
+
+const CATEGORIES = Object.values(TRAINING_POINT_CATEGORIES);
+
+// Open fraud flags of these severities hold the credit until reviewed
+const HOLDING_SEVERITIES = ['high', 'critical'];
+
+// Compare-and-set retries when concurrent credits move the semester balance
+const MAX_RESERVE_ATTEMPTS = 5;
+
+// Training points (điểm rèn luyện) ledger. Points are credited once per
+// confirmed attendance, in the semester the event takes place, up to the
+// criterion's semester cap; voiding the attendance reverses the credit.
+// Attendance with open high-severity fraud flags is not credited until an
+// organizer resolves them.
+class TrainingPointService {
+    getCategory(event) {
+        return event.rewards.trainingPointCategory ||
+            EVENT_TYPE_TRAINING_CATEGORIES[event.eventType] ||
+            TRAINING_POINT_CATEGORIES.SOCIAL;
+    }
+
+    getPeriod(date) {
+        return {
+            academicYear: DateUtils.getAcademicYear(date),
+            semester: DateUtils.getSemester(date)
+        };
+    }
+
+    isHeld(attendance) {
+        return (attendance.flags || []).some(flag =>
+            !flag.resolved && HOLDING_SEVERITIES.includes(flag.severity));
+    }
+
+    // Semester balance counter; the first credit after counters were
+    // introduced seeds it from the ledger
+    async getBalanceCounter(key) {
+        const counter = await TrainingPointBalance.findOne(key);
+        if (counter) {
+            return counter;
+        }
+
+        const points = await TrainingPoint.getBalance(key.user, key.academicYear, key.semester, key.category);
+
+        try {
+            return await TrainingPointBalance.create({ ...key, points });
+        } catch (error) {
+            if (error.code === 11000) {
+                return await TrainingPointBalance.findOne(key);
+            }
+            throw error;
+        }
+    }
+
+    // Take up to `requested` points from what is left under the cap. The
+    // update only matches the balance it was computed from, so a concurrent
+    // credit forces a recompute instead of both passing the cap.
+    async reservePoints(key, requested, cap) {
+        let { points: balance } = await this.getBalanceCounter(key);
+
+        for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+            const points = Math.max(0, Math.min(requested, cap - balance));
+            if (points === 0) {
+                return 0;
+            }
+
+            const updated = await TrainingPointBalance.findOneAndUpdate(
+                { ...key, points: balance },
+                { $inc: { points } },
+                { new: true }
+            );
+
+            if (updated) {
+                return points;
+            }
+
+            ({ points: balance } = await TrainingPointBalance.findOne(key).select('points'));
+        }
+
+        throw new ConflictError('Training point balance changed concurrently, please retry');
+    }
+
+    async adjustBalance(key, points) {
+        if (points) {
+            await TrainingPointBalance.updateOne(key, { $inc: { points } });
+        }
+    }
+
+    // Credit the event's points for a confirmed attendance; repeated calls
+    // return the existing entry
+    async creditAttendance(attendance) {
+        let reserved = null;
+
+        try {
+            const existing = await TrainingPoint.findOne({ attendance: attendance._id, type: 'credit' });
+            if (existing) {
+                return existing;
+            }
+
+            if (this.isHeld(attendance)) {
+                logger.info(`Training points held for attendance ${attendance._id}: open fraud flags`);
+                return null;
+            }
+
+            const event = await Event.findById(attendance.event._id || attendance.event)
+                .select('title eventType schedule rewards');
+
+            const requestedPoints = event && event.rewards ? event.rewards.trainingPoints : 0;
+            if (!requestedPoints || requestedPoints <= 0) {
+                return null;
+            }
+
+            const category = this.getCategory(event);
+            const { academicYear, semester } = this.getPeriod(event.schedule.startDate);
+            const key = { user: attendance.user, academicYear, semester, category };
+            const points = await this.reservePoints(key, requestedPoints, TRAINING_POINT_CAPS[category]);
+            reserved = { key, points };
+
+            const entry = await TrainingPoint.create({
+                user: attendance.user,
+                event: event._id,
+                registration: attendance.registration,
+                attendance: attendance._id,
+                type: 'credit',
+                category,
+                academicYear,
+                semester,
+                points,
+                requestedPoints,
+                capped: points < requestedPoints,
+                reason: points < requestedPoints
+                    ? `Attended ${event.title} (semester cap of ${TRAINING_POINT_CAPS[category]} reached)`
+                    : `Attended ${event.title}`
+            });
+
+            logger.info(`Training points credited: ${points}/${requestedPoints} ${category} to user ${attendance.user} for ${event.title}`);
+
+            return entry;
+        } catch (error) {
+            // Give back points reserved for an entry that was not written
+            if (reserved) {
+                await this.adjustBalance(reserved.key, -reserved.points);
+            }
+
+            // A concurrent confirmation credited it first
+            if (error.code === 11000) {
+                return await TrainingPoint.findOne({ attendance: attendance._id, type: 'credit' });
+            }
+
+            logger.error('Credit training points error:', error);
+            throw error;
+        }
+    }
+
+    // Reverse the credit for an attendance, e.g. when it is voided
+    async reverseAttendance(attendance, reason, reversedBy) {
+        try {
+            const credit = await TrainingPoint.findOne({ attendance: attendance._id, type: 'credit' });
+            if (!credit) {
+                return null;
+            }
+
+            const existing = await TrainingPoint.findOne({ attendance: attendance._id, type: 'reversal' });
+            if (existing) {
+                return existing;
+            }
+
+            const entry = await TrainingPoint.create({
+                user: credit.user,
+                event: credit.event,
+                registration: credit.registration,
+                attendance: credit.attendance,
+                type: 'reversal',
+                category: credit.category,
+                academicYear: credit.academicYear,
+                semester: credit.semester,
+                points: -credit.points,
+                requestedPoints: credit.requestedPoints,
+                reversalOf: credit._id,
+                reason: reason || 'Attendance voided',
+                createdBy: reversedBy
+            });
+
+            await this.adjustBalance({
+                user: credit.user,
+                academicYear: credit.academicYear,
+                semester: credit.semester,
+                category: credit.category
+            }, -credit.points);
+
+            logger.info(`Training points reversed: ${credit.points} ${credit.category} from user ${credit.user}`);
+
+            return entry;
+        } catch (error) {
+            if (error.code === 11000) {
+                return await TrainingPoint.findOne({ attendance: attendance._id, type: 'reversal' });
+            }
+
+            logger.error('Reverse training points error:', error);
+            throw error;
+        }
+    }
+
+    // Per-semester score by criterion for one student
+    async getStatement(userId, options = {}) {
+        try {
+            const match = { user: new mongoose.Types.ObjectId(userId) };
+            if (options.academicYear) match.academicYear = options.academicYear;
+            if (options.semester) match.semester = options.semester;
+
+            const totals = await TrainingPoint.getTotals(match);
+
+            const semesters = new Map();
+            totals.forEach(({ _id, points }) => {
+                const key = `${_id.academicYear}:${_id.semester}`;
+                if (!semesters.has(key)) {
+                    semesters.set(key, this.emptySemester(_id.academicYear, _id.semester));
+                }
+
+                const semester = semesters.get(key);
+                semester.categories[_id.category].points = points;
+                semester.total += points;
+            });
+
+            const current = this.getPeriod(new Date());
+
+            return {
+                current,
+                semesters: Array.from(semesters.values()).sort((a, b) =>
+                    b.academicYear.localeCompare(a.academicYear) || this.semesterOrder(b.semester) - this.semesterOrder(a.semester))
+            };
+        } catch (error) {
+            logger.error('Get training point statement error:', error);
+            throw error;
+        }
+    }
+
+    emptySemester(academicYear, semester) {
+        const categories = {};
+        CATEGORIES.forEach(category => {
+            categories[category] = { points: 0, cap: TRAINING_POINT_CAPS[category] };
+        });
+
+        return { academicYear, semester, categories, total: 0 };
+    }
+
+    // Fall opens the academic year, then spring, then summer
+    semesterOrder(semester) {
+        return ['fall', 'spring', 'summer'].indexOf(semester);
+    }
+
+    async getHistory(userId, options = {}) {
+        try {
+            const page = parseInt(options.page) || 1;
+            const limit = parseInt(options.limit) || 20;
+
+            const query = { user: userId };
+            if (options.type) query.type = options.type;
+            if (options.academicYear) query.academicYear = options.academicYear;
+            if (options.semester) query.semester = options.semester;
+
+            const [entries, total] = await Promise.all([
+                TrainingPoint.find(query)
+                    .populate('event', 'title slug schedule.startDate eventType')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                TrainingPoint.countDocuments(query)
+            ]);
+
+            return {
+                entries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Get training point history error:', error);
+            throw error;
+        }
+    }
+
+    // One row per student for a semester, for import into the academic system
+    async getFacultyReport(options = {}) {
+        try {
+            if (!options.academicYear || !options.semester) {
+                throw new ValidationError('Academic year and semester are required');
+            }
+
+            const totals = await TrainingPoint.getTotals({
+                academicYear: options.academicYear,
+                semester: options.semester
+            });
+
+            const userQuery = { _id: { $in: [...new Set(totals.map(({ _id }) => _id.user.toString()))] } };
+            if (options.faculty) {
+                userQuery['student.faculty'] = options.faculty;
+            }
+
+            const users = await User.find(userQuery)
+                .select('email profile.firstName profile.lastName student.studentId student.faculty student.major');
+            const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+            const rows = new Map();
+            totals.forEach(({ _id, points }) => {
+                const user = usersById.get(_id.user.toString());
+                if (!user) return;
+
+                if (!rows.has(_id.user.toString())) {
+                    rows.set(_id.user.toString(), {
+                        user,
+                        ...this.emptySemester(options.academicYear, options.semester)
+                    });
+                }
+
+                const row = rows.get(_id.user.toString());
+                row.categories[_id.category].points = points;
+                row.total += points;
+            });
+
+            return Array.from(rows.values()).sort((a, b) =>
+                String(a.user.student && a.user.student.studentId).localeCompare(String(b.user.student && b.user.student.studentId)));
+        } catch (error) {
+            logger.error('Get faculty training point report error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new TrainingPointService();
@@ -0,0 +1,171 @@
+const Registration = require('../../models/Registration');
+const Event = require('../../models/Event');
+const seatReservationService = require('./seatReservationService');
+const sessionRegistrationService = require('./sessionRegistrationService');
+const pricingService = require('../payment/pricingService');
+const logger = require('../../utils/logger');
+
+class WaitlistService {
+    constructor() {
+        this.defaultClaimHours = parseInt(process.env.WAITLIST_CLAIM_HOURS) || 24;
+    }
+
+    // Hours a promoted user has to confirm; 0 promotes straight to approved
+    getClaimWindowHours(event) {
+        const hours = event.registration.waitlistClaimHours;
+        return hours === undefined || hours === null ? this.defaultClaimHours : hours;
+    }
+
+    hasOpenOffer(registration) {
+        return registration.status === 'waitlist' &&
+            Boolean(registration.waitlist && registration.waitlist.notifiedAt && registration.waitlist.expiresAt);
+    }
+
+    openOfferFilter(now = new Date()) {
+        return {
+            status: 'waitlist',
+            'waitlist.notifiedAt': { $ne: null },
+            'waitlist.expiresAt': { $gt: now }
+        };
+    }
+
+    // Offer free seats to the waitlist in join order. Each offered registration
+    // holds a seat until it is claimed, declined or the claim window lapses.
+    async promoteNext(eventId) {
+        const event = await Event.findById(eventId).select('title slug registration schedule');
+
+        if (!event || event.schedule.startDate <= new Date()) {
+            return [];
+        }
+
+        const claimHours = this.getClaimWindowHours(event);
+        const promoted = [];
+
+        while (true) {
+            const now = new Date();
+
+            // Mark the next entry first so parallel runs never offer the same registration
+            const registration = await Registration.findOneAndUpdate(
+                {
+                    event: eventId,
+                    registrationType: 'waitlist',
+                    status: 'waitlist',
+                    'waitlist.autoPromote': true,
+                    'waitlist.notifiedAt': null
+                },
+                { 'waitlist.notifiedAt': now },
+                { sort: { 'waitlist.joinedAt': 1 }, new: true }
+            ).populate('user', 'profile.fullName email')
+                .populate('event', 'title slug');
+
+            if (!registration) break;
+
+            const reserved = await seatReservationService.reserve(eventId);
+            if (!reserved) {
+                await Registration.updateOne(
+                    { _id: registration._id },
+                    { $unset: { 'waitlist.notifiedAt': 1 } }
+                );
+                break;
+            }
+
+            if (claimHours > 0) {
+                registration.waitlist.expiresAt = new Date(now.getTime() + claimHours * 60 * 60 * 1000);
+                await registration.save();
+            } else {
+                await this.confirmPromotion(registration);
+            }
+
+            promoted.push(registration);
+        }
+
+        if (promoted.length > 0) {
+            logger.info(`Offered ${promoted.length} waitlist seat(s) for event ${eventId}`);
+        }
+
+        return promoted;
+    }
+
+    // Claim an open offer. The status change is conditional on the offer still
+    // being open, so it cannot race with the expiry job.
+    async claimOffer(registrationId) {
+        const registration = await Registration.findOneAndUpdate(
+            { _id: registrationId, ...this.openOfferFilter() },
+            { status: 'approved', registrationType: 'individual' },
+            { new: true }
+        );
+
+        if (!registration) {
+            return null;
+        }
+
+        return await this.confirmPromotion(registration);
+    }
+
+    async confirmPromotion(registration) {
+        registration.status = 'approved';
+        registration.registrationType = 'individual';
+        registration.waitlist.expiresAt = undefined;
+
+        await sessionRegistrationService.claimWaitlistedSessions(registration);
+
+        // The seat is confirmed now, so the coupon is used up
+        await pricingService.redeemForRegistration(registration);
+
+        // Unpaid promotions get the usual checkout window
+        if (seatReservationService.owesPayment(registration)) {
+            seatReservationService.startHold(registration);
+        }
+
+        // Saving generates the check-in QR code
+        return await registration.save();
+    }
+
+    // Cancel offers whose claim window lapsed and free their seats.
+    // Returns the IDs of events whose seats should cascade to the next person.
+    async expireOffers(limit = 200) {
+        const now = new Date();
+        const expiredFilter = {
+            status: 'waitlist',
+            'waitlist.notifiedAt': { $ne: null },
+            'waitlist.expiresAt': { $lte: now }
+        };
+
+        const candidates = await Registration.find(expiredFilter)
+            .select('_id')
+            .limit(limit);
+
+        const eventIds = new Set();
+
+        for (const candidate of candidates) {
+            const registration = await Registration.findOneAndUpdate(
+                { _id: candidate._id, ...expiredFilter },
+                {
+                    status: 'cancelled',
+                    cancelledAt: now,
+                    cancellationReason: 'Waitlist claim window expired'
+                },
+                { new: true }
+            );
+
+            if (!registration) continue;
+
+            await seatReservationService.release(registration.event);
+            await sessionRegistrationService.releaseAll(registration);
+
+            // Give back a coupon use the entry consumed
+            if (registration.payment.couponCode && !registration.payment.couponPending) {
+                await pricingService.releaseForRegistration(registration);
+                await registration.save();
+            }
+
+            eventIds.add(registration.event.toString());
+
+            logger.info(`Waitlist offer expired: ${registration.registrationNumber}`);
+        }
+
+        return Array.from(eventIds);
+    }
+}
+
+module.exports = new WaitlistService();
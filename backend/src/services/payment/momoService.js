@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const querystring = require('querystring');
+const encryption = require('../../utils/encryption');
+const logger = require('../../utils/logger');
+
+class MoMoService {
+    constructor() {
+        this.name = 'momo';
+        this.partnerCode = process.env.MOMO_PARTNER_CODE;
+        this.accessKey = process.env.MOMO_ACCESS_KEY;
+        this.secretKey = process.env.MOMO_SECRET_KEY;
+        this.endpoint = process.env.MOMO_ENDPOINT || 'https://test-payment.momo.vn/v2/gateway/api/create';
+        this.refundEndpoint = process.env.MOMO_REFUND_ENDPOINT || 'https://test-payment.momo.vn/v2/gateway/api/refund';
+        this.requestType = process.env.MOMO_REQUEST_TYPE || 'captureWallet';
+        this.expireMinutes = parseInt(process.env.MOMO_EXPIRE_MINUTES) || 15;
+
+        // Field order is fixed by MoMo for each signature type
+        this.createSignatureFields = [
+            'accessKey', 'amount', 'extraData', 'ipnUrl', 'orderId', 'orderInfo',
+            'partnerCode', 'redirectUrl', 'requestId', 'requestType'
+        ];
+        this.refundSignatureFields = [
+            'accessKey', 'amount', 'description', 'orderId', 'partnerCode', 'requestId', 'transId'
+        ];
+        this.callbackSignatureFields = [
+            'accessKey', 'amount', 'extraData', 'message', 'orderId', 'orderInfo', 'orderType',
+            'partnerCode', 'payType', 'requestId', 'responseTime', 'resultCode', 'transId'
+        ];
+    }
+
+    // Resolve credentials, swapping in the local fake gateway when requested
+    getConfig(options = {}) {
+        if (options.fakeGateway) {
+            return {
+                partnerCode: 'FAKEMOMO',
+                accessKey: 'fake-access-key',
+                secretKey: options.fakeSecret,
+                fakeGatewayUrl: options.fakeGatewayUrl
+            };
+        }
+
+        if (!this.partnerCode || !this.accessKey || !this.secretKey) {
+            throw new Error('MoMo is not configured');
+        }
+
+        return {
+            partnerCode: this.partnerCode,
+            accessKey: this.accessKey,
+            secretKey: this.secretKey
+        };
+    }
+
+    // Create a MoMo payment and return the redirect URL
+    async createPaymentUrl(paymentData, options = {}) {
+        const {
+            orderId,
+            amount,
+            orderInfo,
+            returnUrl,
+            ipnUrl,
+            extraData = ''
+        } = paymentData;
+
+        const config = this.getConfig(options);
+
+        const payload = {
+            partnerCode: config.partnerCode,
+            accessKey: config.accessKey,
+            requestId: `${orderId}-${Date.now()}`,
+            amount: String(Math.round(amount)),
+            orderId,
+            orderInfo,
+            redirectUrl: returnUrl,
+            ipnUrl,
+            extraData: Buffer.from(extraData).toString('base64'),
+            requestType: this.requestType,
+            lang: 'vi'
+        };
+
+        payload.signature = this.sign(payload, this.createSignatureFields, config.secretKey);
+
+        const createdAt = new Date();
+        const expiresAt = new Date(createdAt.getTime() + this.expireMinutes * 60 * 1000);
+
+        if (options.fakeGateway) {
+            return {
+                paymentUrl: `${config.fakeGatewayUrl}?${querystring.stringify(payload)}`,
+                createdAt,
+                expiresAt
+            };
+        }
+
+        const response = await axios.post(this.endpoint, payload, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 30000
+        });
+
+        if (response.data.resultCode !== 0) {
+            logger.error('MoMo create payment failed', {
+                orderId,
+                resultCode: response.data.resultCode,
+                message: response.data.message
+            });
+            throw new Error(`MoMo payment creation failed: ${response.data.message}`);
+        }
+
+        logger.debug('MoMo payment URL created', { orderId, amount });
+
+        return {
+            paymentUrl: response.data.payUrl,
+            createdAt,
+            expiresAt
+        };
+    }
+
+    // Refund a settled transaction (full or partial)
+    async refund(refundData, options = {}) {
+        const {
+            orderId,
+            transactionId,
+            amount,
+            reason = 'Refund'
+        } = refundData;
+
+        if (options.fakeGateway) {
+            return {
+                isSuccess: true,
+                transactionId: `FAKE-RF-${Date.now()}`,
+                responseCode: '0',
+                message: 'Successful.'
+            };
+        }
+
+        const config = this.getConfig(options);
+
+        const payload = {
+            partnerCode: config.partnerCode,
+            accessKey: config.accessKey,
+            // MoMo needs a fresh order ID for each refund request
+            orderId: `${orderId}-RF${Date.now()}`,
+            requestId: `${orderId}-RF${Date.now()}`,
+            amount: String(Math.round(amount)),
+            transId: Number(transactionId),
+            lang: 'vi',
+            description: reason
+        };
+
+        payload.signature = this.sign(payload, this.refundSignatureFields, config.secretKey);
+
+        const response = await axios.post(this.refundEndpoint, payload, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 30000
+        });
+
+        return {
+            isSuccess: response.data.resultCode === 0,
+            transactionId: response.data.transId ? String(response.data.transId) : undefined,
+            responseCode: String(response.data.resultCode),
+            message: response.data.message
+        };
+    }
+
+    // Verify redirect query or IPN body sent back by MoMo
+    verifyCallback(data, options = {}) {
+        const config = this.getConfig(options);
+        const signature = data.signature;
+
+        const expectedSignature = this.sign(
+            { ...data, accessKey: config.accessKey },
+            this.callbackSignatureFields,
+            config.secretKey
+        );
+        const isValid = Boolean(signature) && encryption.secureCompare(signature, expectedSignature);
+        const resultCode = parseInt(data.resultCode);
+
+        return {
+            isValid,
+            isSuccess: isValid && resultCode === 0,
+            orderId: data.orderId,
+            transactionId: data.transId ? String(data.transId) : undefined,
+            amount: parseInt(data.amount || 0),
+            responseCode: String(data.resultCode),
+            message: data.message,
+            raw: data
+        };
+    }
+
+    // Build the callback the fake gateway sends back, signed like the real one
+    buildFakeCallback(paymentParams, outcome, options = {}) {
+        const config = this.getConfig(options);
+        const isSuccess = outcome === 'success';
+
+        const callback = {
+            partnerCode: config.partnerCode,
+            orderId: paymentParams.orderId,
+            requestId: paymentParams.requestId,
+            amount: paymentParams.amount,
+            orderInfo: paymentParams.orderInfo,
+            orderType: 'momo_wallet',
+            transId: String(Date.now()),
+            resultCode: isSuccess ? 0 : 1006,
+            message: isSuccess ? 'Successful.' : 'Transaction denied by user.',
+            payType: 'qr',
+            responseTime: Date.now(),
+            extraData: paymentParams.extraData || ''
+        };
+
+        callback.signature = this.sign(
+            { ...callback, accessKey: config.accessKey },
+            this.callbackSignatureFields,
+            config.secretKey
+        );
+
+        return {
+            params: callback,
+            redirectUrl: `${paymentParams.redirectUrl}?${querystring.stringify(callback)}`
+        };
+    }
+
+    sign(data, fields, secretKey) {
+        const rawSignature = fields
+            .map(field => `${field}=${data[field] !== undefined && data[field] !== null ? data[field] : ''}`)
+            .join('&');
+
+        return crypto.createHmac('sha256', secretKey).update(rawSignature).digest('hex');
+    }
+}
+
+module.exports = new MoMoService();
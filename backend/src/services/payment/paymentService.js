@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const Registration = require('../../models/Registration');
+const vnpayService = require('./vnpayService');
+const momoService = require('./momoService');
+const seatReservationService = require('../events/seatReservationService');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError, PermissionError } = require('../../utils/errors');
+
+class PaymentService {
+    constructor() {
+        this.providers = {
+            vnpay: vnpayService,
+            momo: momoService
+        };
+        this.defaultMethod = process.env.PAYMENT_DEFAULT_METHOD || 'vnpay';
+        this.apiBaseUrl = `${process.env.BACKEND_URL || 'http://localhost:5000'}${process.env.API_PREFIX || '/api/v1'}`;
+    }
+
+    // Fake gateway mode lets the whole flow run locally without VNPay/MoMo
+    isFakeMode() {
+        return process.env.PAYMENT_GATEWAY_MODE === 'fake';
+    }
+
+    getGatewayOptions(method) {
+        if (!this.isFakeMode()) {
+            return {};
+        }
+
+        return {
+            fakeGateway: true,
+            fakeSecret: process.env.PAYMENT_FAKE_SECRET || 'fake-gateway-secret',
+            fakeGatewayUrl: `${this.apiBaseUrl}/payments/fake/${method}`
+        };
+    }
+
+    getProvider(method) {
+        const provider = this.providers[method];
+
+        if (!provider) {
+            throw new ValidationError(`Unsupported payment method: ${method}`);
+        }
+
+        return provider;
+    }
+
+    // Create payment link for a registration (used right after registering)
+    async createPaymentLink(paymentData) {
+        const intent = await this.createPaymentIntent(paymentData.registrationId, paymentData);
+        return intent.paymentUrl;
+    }
+
+    // Create a payment intent and move the registration payment to processing
+    async createPaymentIntent(registrationId, options = {}) {
+        try {
+            const registration = await Registration.findById(registrationId)
+                .populate('event', 'title slug pricing');
+
+            if (!registration) {
+                throw new NotFoundError('Registration not found');
+            }
+
+            if (options.userId && registration.user.toString() !== options.userId.toString()) {
+                throw new PermissionError('Can only pay for your own registration');
+            }
+
+            if (!registration.payment.required || !(registration.payment.finalAmount > 0)) {
+                throw new ValidationError('This registration does not require payment');
+            }
+
+            if (['completed', 'refunded'].includes(registration.payment.status)) {
+                throw new ValidationError('Registration has already been paid');
+            }
+
+            if (['cancelled', 'rejected'].includes(registration.status)) {
+                throw new ValidationError('Cannot pay for a cancelled or rejected registration');
+            }
+
+            const method = options.method || this.defaultMethod;
+            const provider = this.getProvider(method);
+
+            const returnUrl = this.checkRedirectUrl(options.returnUrl);
+            const cancelUrl = this.checkRedirectUrl(options.cancelUrl);
+
+            // The payer may still complete the open link; hand it out again
+            // rather than issuing a new order alongside it
+            if (this.hasOpenIntent(registration, method)) {
+                return this.formatIntent(registration);
+            }
+
+            const orderId = this.generateOrderId(registration);
+
+            const { paymentUrl, createdAt, expiresAt } = await provider.createPaymentUrl({
+                orderId,
+                amount: registration.payment.finalAmount,
+                orderInfo: options.description || `Registration ${registration.registrationNumber}`,
+                returnUrl: `${this.apiBaseUrl}/payments/${method}/return`,
+                ipnUrl: `${this.apiBaseUrl}/payments/${method}/ipn`,
+                ipAddress: options.ipAddress
+            }, this.getGatewayOptions(method));
+
+            registration.payment.paymentMethod = method;
+            registration.payment.status = 'processing';
+            registration.payment.orderId = orderId;
+            // Earlier orders stay payable on the gateway; keep them so their IPN still matches
+            registration.payment.orderIds = [...(registration.payment.orderIds || []), orderId];
+            registration.payment.paymentUrl = paymentUrl;
+            registration.payment.initiatedAt = createdAt;
+            registration.payment.expiresAt = expiresAt;
+            registration.payment.failureReason = undefined;
+
+            seatReservationService.extendHold(registration, expiresAt);
+
+            if (returnUrl) {
+                registration.payment.returnUrl = returnUrl;
+            }
+            if (cancelUrl) {
+                registration.payment.cancelUrl = cancelUrl;
+            }
+
+            await registration.save();
+
+            logger.logPayment('intent_created', registration.payment.finalAmount,
+                registration.payment.currency, registration.user.toString(), 'processing');
+
+            return this.formatIntent(registration);
+        } catch (error) {
+            logger.error('Create payment intent error:', error);
+            throw error;
+        }
+    }
+
+    hasOpenIntent(registration, method) {
+        const payment = registration.payment;
+
+        return payment.status === 'processing' &&
+            payment.paymentMethod === method &&
+            !!payment.paymentUrl &&
+            !!payment.expiresAt &&
+            new Date(payment.expiresAt) > new Date();
+    }
+
+    formatIntent(registration) {
+        return {
+            registrationId: registration._id,
+            orderId: registration.payment.orderId,
+            method: registration.payment.paymentMethod,
+            amount: registration.payment.finalAmount,
+            currency: registration.payment.currency,
+            paymentUrl: registration.payment.paymentUrl,
+            expiresAt: registration.payment.expiresAt
+        };
+    }
+
+    // Payers are only ever redirected back to our own frontend
+    checkRedirectUrl(url) {
+        if (!url) {
+            return undefined;
+        }
+
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            throw new ValidationError('Redirect URL is not valid');
+        }
+
+        const frontend = new URL(process.env.FRONTEND_URL || 'http://localhost:3000');
+        if (target.origin !== frontend.origin) {
+            throw new ValidationError('Redirect URL must point to the application frontend');
+        }
+
+        return target.toString();
+    }
+
+    // Verify a gateway callback (return URL or IPN) and settle the payment
+    async handleCallback(method, params) {
+        try {
+            const provider = this.getProvider(method);
+            const result = provider.verifyCallback(params, this.getGatewayOptions(method));
+
+            if (!result.isValid) {
+                logger.warn('Invalid payment callback signature', { method, orderId: result.orderId });
+                throw new ValidationError('Invalid payment signature');
+            }
+
+            const registration = await Registration.findOne({
+                $or: [
+                    { 'payment.orderId': result.orderId },
+                    { 'payment.orderIds': result.orderId }
+                ]
+            });
+
+            if (!registration) {
+                throw new NotFoundError('Payment order not found');
+            }
+
+            if (Math.round(result.amount) !== Math.round(registration.payment.finalAmount)) {
+                throw new ValidationError('Payment amount mismatch');
+            }
+
+            // Gateways retry IPNs, so a settled payment is acknowledged without changes
+            if (['completed', 'refunded'].includes(registration.payment.status)) {
+                return { registration, result, alreadyProcessed: true };
+            }
+
+            // A failed attempt on a superseded link leaves the current link open
+            if (!result.isSuccess && result.orderId !== registration.payment.orderId) {
+                return { registration, result, alreadyProcessed: true };
+            }
+
+            if (result.isSuccess) {
+                // Refunds go against the order that was actually paid
+                registration.payment.orderId = result.orderId;
+                registration.payment.status = 'completed';
+                registration.payment.transactionId = result.transactionId;
+                registration.payment.paymentDate = new Date();
+                registration.payment.failureReason = undefined;
+
+                // The seat hold may have lapsed while the customer was on the gateway
+                const seatConfirmed = await seatReservationService.confirmHold(registration);
+                if (!seatConfirmed) {
+                    await this.refundUnseatedPayment(registration);
+                }
+            } else {
+                registration.payment.status = 'failed';
+                registration.payment.failureReason = result.message;
+            }
+
+            registration.payment.gatewayResponse = {
+                responseCode: result.responseCode,
+                message: result.message,
+                receivedAt: new Date()
+            };
+
+            await registration.save();
+
+            logger.logPayment(
+                result.isSuccess ? 'payment_completed' : 'payment_failed',
+                registration.payment.finalAmount,
+                registration.payment.currency,
+                registration.user.toString(),
+                registration.payment.status
+            );
+
+            return { registration, result, alreadyProcessed: false };
+        } catch (error) {
+            logger.error('Handle payment callback error:', error);
+            throw error;
+        }
+    }
+
+    // Full refund for a payment that arrived after its seat was given away
+    async refundUnseatedPayment(registration) {
+        const amount = registration.payment.finalAmount;
+        const reason = 'Seat hold expired and the event filled up before payment completed';
+
+        registration.payment.refundAmount = amount;
+        registration.payment.refundPercent = 100;
+        registration.payment.refundReason = reason;
+        registration.payment.refundRequestedAt = new Date();
+
+        try {
+            const refund = await this.refundPayment(registration, amount, reason);
+
+            if (refund.isSuccess) {
+                registration.payment.status = 'refunded';
+                registration.payment.refundStatus = 'processed';
+                registration.payment.refundDate = new Date();
+                registration.payment.refundTransactionId = refund.transactionId;
+            } else {
+                registration.payment.refundStatus = 'failed';
+                registration.payment.refundFailureReason = refund.message;
+            }
+        } catch (error) {
+            // Left in the refund queue for an organizer to retry
+            registration.payment.refundStatus = 'failed';
+            registration.payment.refundFailureReason = error.message;
+        }
+
+        logger.warn('Payment received for a released seat', {
+            registrationId: registration._id.toString(),
+            orderId: registration.payment.orderId,
+            refundStatus: registration.payment.refundStatus
+        });
+    }
+
+    // Send money back through the gateway the registration was paid with
+    async refundPayment(registration, amount, reason) {
+        try {
+            const method = registration.payment.paymentMethod;
+
+            if (!this.providers[method]) {
+                // Cash and bank transfer refunds are handed back by the organizer
+                return {
+                    isSuccess: true,
+                    transactionId: undefined,
+                    message: 'Manual refund'
+                };
+            }
+
+            const result = await this.getProvider(method).refund({
+                orderId: registration.payment.orderId,
+                transactionId: registration.payment.transactionId,
+                amount,
+                isPartial: amount < registration.payment.finalAmount,
+                transactionDate: registration.payment.initiatedAt || registration.payment.paymentDate,
+                reason
+            }, this.getGatewayOptions(method));
+
+            logger.logPayment('refund', amount, registration.payment.currency,
+                registration.user._id ? registration.user._id.toString() : registration.user.toString(),
+                result.isSuccess ? 'success' : 'failed');
+
+            return result;
+        } catch (error) {
+            logger.error('Refund payment error:', error);
+            throw error;
+        }
+    }
+
+    // Get payment status for a registration
+    async getPaymentStatus(registrationId, userId = null) {
+        const registration = await Registration.findById(registrationId)
+            .select('user event registrationNumber payment');
+
+        if (!registration) {
+            throw new NotFoundError('Registration not found');
+        }
+
+        if (userId && registration.user.toString() !== userId.toString()) {
+            throw new PermissionError('Can only view payments for your own registration');
+        }
+
+        return {
+            registrationId: registration._id,
+            registrationNumber: registration.registrationNumber,
+            status: registration.payment.status,
+            method: registration.payment.paymentMethod,
+            amount: registration.payment.finalAmount,
+            currency: registration.payment.currency,
+            transactionId: registration.payment.transactionId,
+            paymentDate: registration.payment.paymentDate,
+            paymentUrl: registration.payment.status === 'processing' ? registration.payment.paymentUrl : undefined,
+            expiresAt: registration.payment.expiresAt,
+            failureReason: registration.payment.failureReason
+        };
+    }
+
+    // Simulate the gateway's decision in fake mode: returns the signed callback
+    // parameters and the URL the gateway would redirect the payer to
+    simulateGatewayResult(method, paymentParams, outcome = 'success') {
+        if (!this.isFakeMode()) {
+            throw new NotFoundError('Fake payment gateway is disabled');
+        }
+
+        const provider = this.getProvider(method);
+        return provider.buildFakeCallback(paymentParams, outcome, this.getGatewayOptions(method));
+    }
+
+    // URL on the frontend the payer lands on after the gateway redirect
+    getFrontendRedirectUrl(registration, isSuccess) {
+        const fallback = `${process.env.FRONTEND_URL}/registrations/${registration._id}/payment`;
+        const baseUrl = isSuccess
+            ? registration.payment.returnUrl || fallback
+            : registration.payment.cancelUrl || fallback;
+        const separator = baseUrl.includes('?') ? '&' : '?';
+
+        return `${baseUrl}${separator}registration=${registration._id}&status=${registration.payment.status}`;
+    }
+
+    generateOrderId(registration) {
+        const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+        return `${registration.registrationNumber || 'REG'}-${Date.now()}${suffix}`.replace(/[^A-Z0-9-]/gi, '');
+    }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,264 @@
+const Event = require('../../models/Event');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError } = require('../../utils/errors');
+
+class PricingService {
+    // Calculate the price of a registration without consuming anything.
+    // Order of application: early-bird base price, then group discount, then coupon.
+    calculatePrice(event, options = {}) {
+        const {
+            couponCode,
+            groupSize = 1,
+            at = new Date()
+        } = options;
+
+        const quantity = Math.max(1, parseInt(groupSize) || 1);
+        const currency = event.pricing.currency || 'VND';
+
+        if (event.pricing.isFree) {
+            return this.buildBreakdown({ currency, quantity, basePrice: 0, unitPrice: 0 });
+        }
+
+        const basePrice = event.pricing.price || 0;
+        const isEarlyBird = event.pricing.earlyBirdPrice !== undefined &&
+            event.pricing.earlyBirdPrice !== null &&
+            event.pricing.earlyBirdDeadline &&
+            at <= new Date(event.pricing.earlyBirdDeadline);
+        const unitPrice = isEarlyBird ? event.pricing.earlyBirdPrice : basePrice;
+        const subtotal = unitPrice * quantity;
+
+        // Best group discount the group size qualifies for
+        let groupDiscount = null;
+        const eligibleTiers = (event.pricing.groupDiscounts || [])
+            .filter(tier => tier.minPeople && quantity >= tier.minPeople && tier.discountPercent > 0)
+            .sort((a, b) => b.discountPercent - a.discountPercent);
+
+        if (eligibleTiers.length > 0) {
+            const tier = eligibleTiers[0];
+            groupDiscount = {
+                minPeople: tier.minPeople,
+                percent: tier.discountPercent,
+                amount: this.round(subtotal * tier.discountPercent / 100)
+            };
+        }
+
+        const afterGroup = subtotal - (groupDiscount ? groupDiscount.amount : 0);
+
+        // Coupon applies to what is left after the group discount
+        let coupon = null;
+        if (couponCode) {
+            const eventCoupon = this.findValidCoupon(event, couponCode, at);
+            const amount = eventCoupon.discountType === 'percentage'
+                ? this.round(afterGroup * eventCoupon.discountValue / 100)
+                : Math.min(eventCoupon.discountValue, afterGroup);
+
+            coupon = {
+                code: eventCoupon.code,
+                discountType: eventCoupon.discountType,
+                discountValue: eventCoupon.discountValue,
+                amount
+            };
+        }
+
+        return this.buildBreakdown({
+            currency,
+            quantity,
+            basePrice,
+            unitPrice,
+            earlyBird: Boolean(isEarlyBird),
+            groupDiscount,
+            coupon
+        });
+    }
+
+    // Get a price quote for an event by ID
+    async getQuote(eventId, options = {}) {
+        try {
+            const event = await Event.findById(eventId).select('title pricing');
+
+            if (!event) {
+                throw new NotFoundError('Event not found');
+            }
+
+            return this.calculatePrice(event, options);
+        } catch (error) {
+            logger.error('Get price quote error:', error);
+            throw error;
+        }
+    }
+
+    // Find an active, unexpired coupon with remaining uses
+    findValidCoupon(event, couponCode, at = new Date()) {
+        const code = couponCode.trim().toUpperCase();
+        const coupon = (event.pricing.coupons || []).find(c => c.code && c.code.toUpperCase() === code);
+
+        if (!coupon || !coupon.isActive) {
+            throw new ValidationError('Invalid coupon code');
+        }
+
+        if (coupon.expiresAt && new Date(coupon.expiresAt) < at) {
+            throw new ValidationError('Coupon has expired');
+        }
+
+        if (this.hasUsageLimit(coupon) && coupon.usedCount >= coupon.maxUses) {
+            throw new ValidationError('Coupon usage limit reached');
+        }
+
+        return coupon;
+    }
+
+    // Atomically consume one coupon use. The usage check and the increment happen
+    // in a single conditional update, so concurrent registrants cannot both take
+    // the last remaining use.
+    async redeemCoupon(eventId, couponCode) {
+        const event = await Event.findById(eventId).select('pricing.coupons');
+
+        if (!event) {
+            throw new NotFoundError('Event not found');
+        }
+
+        const coupon = this.findValidCoupon(event, couponCode);
+        const match = {
+            code: coupon.code,
+            isActive: true
+        };
+
+        if (this.hasUsageLimit(coupon)) {
+            match.usedCount = { $lt: coupon.maxUses };
+        }
+
+        const result = await Event.updateOne(
+            { _id: eventId, 'pricing.coupons': { $elemMatch: match } },
+            { $inc: { 'pricing.coupons.$.usedCount': 1 } }
+        );
+
+        if (result.modifiedCount === 0) {
+            throw new ValidationError('Coupon usage limit reached');
+        }
+
+        logger.info(`Coupon redeemed: ${coupon.code} for event ${eventId}`);
+
+        return coupon.code;
+    }
+
+    // Give a coupon use back (failed registration, cancellation)
+    async releaseCoupon(eventId, couponCode) {
+        try {
+            await Event.updateOne(
+                {
+                    _id: eventId,
+                    'pricing.coupons': { $elemMatch: { code: couponCode, usedCount: { $gt: 0 } } }
+                },
+                { $inc: { 'pricing.coupons.$.usedCount': -1 } }
+            );
+        } catch (error) {
+            logger.error('Release coupon error:', error);
+        }
+    }
+
+    // Consume a coupon the registration has been holding since it was waitlisted or
+    // sent for review. A coupon that ran out in the meantime is dropped and the
+    // registration repriced rather than blocking the seat.
+    async redeemForRegistration(registration) {
+        const { couponCode, couponPending } = registration.payment;
+
+        if (!couponCode || !couponPending) {
+            return registration;
+        }
+
+        try {
+            await this.redeemCoupon(registration.event._id || registration.event, couponCode);
+            registration.payment.couponPending = false;
+        } catch (error) {
+            if (!(error instanceof ValidationError)) {
+                throw error;
+            }
+
+            logger.warn(`Coupon ${couponCode} dropped from registration ${registration._id}: ${error.message}`);
+            this.dropCoupon(registration);
+        }
+
+        return registration;
+    }
+
+    // Give back the coupon use a registration consumed, if any. The code stays on
+    // the registration so a revived registration can redeem it again.
+    async releaseForRegistration(registration) {
+        if (!registration.payment.couponCode || registration.payment.couponPending) {
+            return registration;
+        }
+
+        await this.releaseCoupon(registration.event._id || registration.event, registration.payment.couponCode);
+        registration.payment.couponPending = true;
+
+        return registration;
+    }
+
+    // Reprice a registration without its coupon discount
+    dropCoupon(registration) {
+        const pricing = registration.payment.pricing || {};
+        const groupDiscount = pricing.groupDiscount && pricing.groupDiscount.amount
+            ? {
+                minPeople: pricing.groupDiscount.minPeople,
+                percent: pricing.groupDiscount.percent,
+                amount: pricing.groupDiscount.amount
+            }
+            : null;
+
+        return this.applyToRegistration(registration, this.buildBreakdown({
+            currency: pricing.currency || registration.payment.currency,
+            quantity: pricing.quantity || 1,
+            basePrice: pricing.basePrice,
+            unitPrice: pricing.unitPrice,
+            earlyBird: pricing.earlyBird,
+            groupDiscount
+        }));
+    }
+
+    // Write the pricing breakdown onto a registration's payment block
+    applyToRegistration(registration, breakdown) {
+        registration.payment.required = breakdown.finalAmount > 0;
+        registration.payment.amount = breakdown.subtotal;
+        registration.payment.discountApplied = breakdown.totalDiscount;
+        registration.payment.finalAmount = breakdown.finalAmount;
+        registration.payment.currency = breakdown.currency;
+        registration.payment.couponCode = breakdown.coupon ? breakdown.coupon.code : undefined;
+        registration.payment.couponPending = undefined;
+        registration.payment.pricing = breakdown;
+
+        return registration;
+    }
+
+    buildBreakdown({ currency, quantity, basePrice, unitPrice, earlyBird = false, groupDiscount = null, coupon = null }) {
+        const subtotal = unitPrice * quantity;
+        const totalDiscount = Math.min(
+            subtotal,
+            (groupDiscount ? groupDiscount.amount : 0) + (coupon ? coupon.amount : 0)
+        );
+
+        return {
+            currency,
+            quantity,
+            basePrice,
+            unitPrice,
+            earlyBird,
+            subtotal,
+            groupDiscount,
+            coupon,
+            totalDiscount,
+            finalAmount: subtotal - totalDiscount,
+            calculatedAt: new Date()
+        };
+    }
+
+    hasUsageLimit(coupon) {
+        return coupon.maxUses !== undefined && coupon.maxUses !== null && coupon.maxUses > 0;
+    }
+
+    // VND has no minor unit
+    round(amount) {
+        return Math.round(amount);
+    }
+}
+
+module.exports = new PricingService();
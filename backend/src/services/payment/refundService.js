@@ -0,0 +1,472 @@
+const mongoose = require('mongoose');
+const Registration = require('../../models/Registration');
+const Event = require('../../models/Event');
+const paymentService = require('./paymentService');
+const emailService = require('../notifications/emailService');
+const logger = require('../../utils/logger');
+const { NotFoundError, ValidationError, PermissionError } = require('../../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REPORT_TIMEFRAMES = {
+    '30d': 30 * DAY_MS,
+    '90d': 90 * DAY_MS,
+    '6m': 182 * DAY_MS,
+    '1y': 365 * DAY_MS
+};
+
+class RefundService {
+    // Refund percentage for cancelling at `at`, from the event's tier table
+    getRefundPercent(event, at = new Date()) {
+        const rules = event.settings && event.settings.refundRules;
+
+        if (rules && rules.enabled === false) {
+            return 0;
+        }
+
+        const startDate = new Date(event.schedule.startDate);
+        if (at >= startDate) {
+            return 0;
+        }
+
+        const tiers = ((rules && rules.tiers) || [])
+            .filter(tier => tier.daysBeforeEvent !== undefined && tier.refundPercent !== undefined);
+
+        // Without a tier table, cancellations before the event are refunded in full
+        if (tiers.length === 0) {
+            return 100;
+        }
+
+        const daysBeforeEvent = (startDate - at) / DAY_MS;
+        const tier = [...tiers]
+            .sort((a, b) => b.daysBeforeEvent - a.daysBeforeEvent)
+            .find(t => daysBeforeEvent >= t.daysBeforeEvent);
+
+        return tier ? tier.refundPercent : 0;
+    }
+
+    // Work out how much a cancellation at `at` would refund
+    calculateRefund(registration, event, at = new Date()) {
+        const paidAmount = registration.payment.status === 'completed'
+            ? registration.payment.finalAmount || 0
+            : 0;
+        const percent = paidAmount > 0 ? this.getRefundPercent(event, at) : 0;
+        const startDate = new Date(event.schedule.startDate);
+
+        return {
+            paidAmount,
+            percent,
+            amount: Math.round(paidAmount * percent / 100),
+            currency: registration.payment.currency,
+            daysBeforeEvent: Math.max(0, Math.floor((startDate - at) / DAY_MS)),
+            requiresApproval: !(event.settings && event.settings.refundRules &&
+                event.settings.refundRules.requiresApproval === false)
+        };
+    }
+
+    // Preview the refund a user would get if they cancelled now
+    async getRefundEstimate(registrationId, userId) {
+        try {
+            const registration = await Registration.findById(registrationId)
+                .populate('event', 'title schedule settings.refundRules settings.refundPolicy');
+
+            if (!registration) {
+                throw new NotFoundError('Registration not found');
+            }
+
+            if (registration.user.toString() !== userId.toString()) {
+                throw new PermissionError('Can only view refunds for your own registration');
+            }
+
+            return {
+                ...this.calculateRefund(registration, registration.event),
+                policy: registration.event.settings.refundPolicy,
+                tiers: registration.event.settings.refundRules ? registration.event.settings.refundRules.tiers : []
+            };
+        } catch (error) {
+            logger.error('Get refund estimate error:', error);
+            throw error;
+        }
+    }
+
+    // Open a refund for a cancelled registration. Refunds that need no approval are processed straight away.
+    async handleCancellation(registration, event, reason) {
+        try {
+            const refund = this.calculateRefund(registration, event);
+
+            if (refund.amount <= 0) {
+                return null;
+            }
+
+            registration.payment.refundAmount = refund.amount;
+            registration.payment.refundPercent = refund.percent;
+            registration.payment.refundReason = reason;
+            registration.payment.refundRequestedAt = new Date();
+            registration.payment.refundStatus = refund.requiresApproval ? 'pending_approval' : 'approved';
+
+            await registration.save();
+
+            if (!refund.requiresApproval) {
+                await this.processRefund(registration);
+            }
+
+            logger.info(`Refund opened for registration ${registration._id}: ${refund.amount} ${refund.currency}`);
+
+            return refund;
+        } catch (error) {
+            logger.error('Handle cancellation refund error:', error);
+            throw error;
+        }
+    }
+
+    // Refunds waiting for a decision, limited to events the reviewer manages
+    async getRefundQueue(reviewer, filters = {}, pagination = {}) {
+        try {
+            const {
+                page = 1,
+                limit = 20
+            } = pagination;
+
+            const query = {
+                'payment.refundStatus': filters.status || 'pending_approval'
+            };
+
+            if (filters.eventId) {
+                query.event = filters.eventId;
+            }
+
+            if (!['admin', 'moderator'].includes(reviewer.role)) {
+                const managedEvents = await Event.find({
+                    $or: [
+                        { organizer: reviewer.userId },
+                        { coOrganizers: reviewer.userId }
+                    ]
+                }).select('_id');
+
+                const managedIds = managedEvents.map(event => event._id.toString());
+
+                if (filters.eventId && !managedIds.includes(filters.eventId.toString())) {
+                    throw new PermissionError('You can only review refunds for events you organize');
+                }
+
+                if (!filters.eventId) {
+                    query.event = { $in: managedIds };
+                }
+            }
+
+            const skip = (page - 1) * limit;
+
+            const [registrations, total] = await Promise.all([
+                Registration.find(query)
+                    .populate('user', 'profile.fullName email student.studentId')
+                    .populate('event', 'title slug schedule.startDate')
+                    .select('registrationNumber user event status cancelledAt cancellationReason payment')
+                    .sort({ 'payment.refundRequestedAt': 1 })
+                    .skip(skip)
+                    .limit(limit),
+                Registration.countDocuments(query)
+            ]);
+
+            return {
+                refunds: registrations,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                    hasNext: page < Math.ceil(total / limit),
+                    hasPrev: page > 1
+                }
+            };
+        } catch (error) {
+            logger.error('Get refund queue error:', error);
+            throw error;
+        }
+    }
+
+    // Approve a pending refund (optionally adjusting the amount) and pay it out
+    async approveRefund(registrationId, reviewer, options = {}) {
+        try {
+            const registration = await this.getReviewableRegistration(registrationId, reviewer);
+
+            if (!['pending_approval', 'failed'].includes(registration.payment.refundStatus)) {
+                throw new ValidationError('Only pending or failed refunds can be approved');
+            }
+
+            const update = {
+                'payment.refundStatus': 'approved',
+                'payment.refundReviewedBy': reviewer.userId,
+                'payment.refundReviewedAt': new Date(),
+                'payment.refundReviewNote': options.note
+            };
+
+            if (options.amount !== undefined) {
+                if (options.amount <= 0 || options.amount > registration.payment.finalAmount) {
+                    throw new ValidationError('Refund amount must be between 0 and the amount paid');
+                }
+                update['payment.refundAmount'] = Math.round(options.amount);
+            }
+
+            // Claim the refund with a conditional update so two reviewers approving
+            // at the same moment cannot both pay it out
+            const approved = await this.claimReview(registration, ['pending_approval', 'failed'], update);
+            await this.processRefund(approved);
+
+            logger.info(`Refund approved for registration ${registrationId} by ${reviewer.userId}`);
+
+            return approved;
+        } catch (error) {
+            logger.error('Approve refund error:', error);
+            throw error;
+        }
+    }
+
+    // Reject a pending refund
+    async rejectRefund(registrationId, reviewer, note) {
+        try {
+            const registration = await this.getReviewableRegistration(registrationId, reviewer);
+
+            if (registration.payment.refundStatus !== 'pending_approval') {
+                throw new ValidationError('Only pending refunds can be rejected');
+            }
+
+            const rejected = await this.claimReview(registration, ['pending_approval'], {
+                'payment.refundStatus': 'rejected',
+                'payment.refundReviewedBy': reviewer.userId,
+                'payment.refundReviewedAt': new Date(),
+                'payment.refundReviewNote': note
+            });
+            await this.sendRefundStatusEmail(rejected);
+
+            logger.info(`Refund rejected for registration ${registrationId} by ${reviewer.userId}`);
+
+            return rejected;
+        } catch (error) {
+            logger.error('Reject refund error:', error);
+            throw error;
+        }
+    }
+
+    // Apply a review decision only while the refund is still in one of `fromStatuses`
+    async claimReview(registration, fromStatuses, update) {
+        const claimed = await Registration.findOneAndUpdate(
+            { _id: registration._id, 'payment.refundStatus': { $in: fromStatuses } },
+            { $set: update },
+            { new: true }
+        ).populate('event', 'title organizer coOrganizers')
+            .populate('user', 'profile.fullName email');
+
+        if (!claimed) {
+            throw new ValidationError('This refund has already been reviewed');
+        }
+
+        return claimed;
+    }
+
+    // Pay out an approved refund through the original payment method
+    async processRefund(registration) {
+        try {
+            const result = await paymentService.refundPayment(
+                registration,
+                registration.payment.refundAmount,
+                registration.payment.refundReason
+            );
+
+            if (result.isSuccess) {
+                registration.payment.status = 'refunded';
+                registration.payment.refundStatus = 'processed';
+                registration.payment.refundDate = new Date();
+                registration.payment.refundTransactionId = result.transactionId;
+                registration.payment.refundFailureReason = undefined;
+            } else {
+                registration.payment.refundStatus = 'failed';
+                registration.payment.refundFailureReason = result.message;
+            }
+        } catch (error) {
+            logger.error('Process refund error:', error);
+            registration.payment.refundStatus = 'failed';
+            registration.payment.refundFailureReason = error.message;
+        }
+
+        await registration.save();
+        await this.sendRefundStatusEmail(registration);
+
+        return registration;
+    }
+
+    // Financial report of refunds over a timeframe
+    async getRefundsReport(filters = {}) {
+        try {
+            const timeframe = filters.timeframe || '30d';
+            const endDate = new Date();
+            const startDate = new Date(endDate.getTime() - (REPORT_TIMEFRAMES[timeframe] || REPORT_TIMEFRAMES['30d']));
+
+            const match = {
+                'payment.refundStatus': { $exists: true },
+                'payment.refundRequestedAt': { $gte: startDate, $lte: endDate }
+            };
+
+            if (filters.eventId) {
+                match.event = new mongoose.Types.ObjectId(filters.eventId);
+            }
+
+            const [byStatus, byEvent, refunds] = await Promise.all([
+                Registration.aggregate([
+                    { $match: match },
+                    {
+                        $group: {
+                            _id: '$payment.refundStatus',
+                            count: { $sum: 1 },
+                            amount: { $sum: '$payment.refundAmount' },
+                            paidAmount: { $sum: '$payment.finalAmount' }
+                        }
+                    }
+                ]),
+                Registration.aggregate([
+                    { $match: match },
+                    {
+                        $group: {
+                            _id: '$event',
+                            count: { $sum: 1 },
+                            requestedAmount: { $sum: '$payment.refundAmount' },
+                            refundedAmount: {
+                                $sum: {
+                                    $cond: [{ $eq: ['$payment.refundStatus', 'processed'] }, '$payment.refundAmount', 0]
+                                }
+                            }
+                        }
+                    },
+                    { $sort: { requestedAmount: -1 } },
+                    { $limit: 20 },
+                    {
+                        $lookup: {
+                            from: 'events',
+                            localField: '_id',
+                            foreignField: '_id',
+                            as: 'event'
+                        }
+                    },
+                    { $unwind: '$event' },
+                    {
+                        $project: {
+                            _id: 0,
+                            eventId: '$_id',
+                            title: '$event.title',
+                            count: 1,
+                            requestedAmount: 1,
+                            refundedAmount: 1
+                        }
+                    }
+                ]),
+                Registration.find(match)
+                    .populate('user', 'profile.fullName email')
+                    .populate('event', 'title')
+                    .populate('payment.refundReviewedBy', 'profile.fullName')
+                    .select('registrationNumber user event cancelledAt payment')
+                    .sort({ 'payment.refundRequestedAt': -1 })
+                    .limit(1000)
+            ]);
+
+            const summary = {
+                totalRequests: 0,
+                totalRequestedAmount: 0,
+                totalRefundedAmount: 0,
+                pendingAmount: 0,
+                byStatus: {}
+            };
+
+            byStatus.forEach(status => {
+                summary.byStatus[status._id] = { count: status.count, amount: status.amount };
+                summary.totalRequests += status.count;
+                summary.totalRequestedAmount += status.amount;
+
+                if (status._id === 'processed') {
+                    summary.totalRefundedAmount += status.amount;
+                }
+                if (['pending_approval', 'approved', 'failed'].includes(status._id)) {
+                    summary.pendingAmount += status.amount;
+                }
+            });
+
+            return {
+                timeframe,
+                period: { startDate, endDate },
+                summary,
+                byEvent,
+                refunds: refunds.map(registration => ({
+                    registrationId: registration._id,
+                    registrationNumber: registration.registrationNumber,
+                    eventTitle: registration.event ? registration.event.title : null,
+                    userName: registration.user ? registration.user.profile.fullName : null,
+                    userEmail: registration.user ? registration.user.email : null,
+                    paymentMethod: registration.payment.paymentMethod,
+                    paidAmount: registration.payment.finalAmount,
+                    refundAmount: registration.payment.refundAmount,
+                    refundPercent: registration.payment.refundPercent,
+                    status: registration.payment.refundStatus,
+                    reason: registration.payment.refundReason,
+                    requestedAt: registration.payment.refundRequestedAt,
+                    reviewedBy: registration.payment.refundReviewedBy
+                        ? registration.payment.refundReviewedBy.profile.fullName
+                        : null,
+                    refundedAt: registration.payment.refundDate,
+                    transactionId: registration.payment.refundTransactionId
+                }))
+            };
+        } catch (error) {
+            logger.error('Get refunds report error:', error);
+            throw error;
+        }
+    }
+
+    async getReviewableRegistration(registrationId, reviewer) {
+        const registration = await Registration.findById(registrationId)
+            .populate('event', 'title organizer coOrganizers')
+            .populate('user', 'profile.fullName email');
+
+        if (!registration) {
+            throw new NotFoundError('Registration not found');
+        }
+
+        const event = registration.event;
+        const canReview = ['admin', 'moderator'].includes(reviewer.role) ||
+            event.organizer.toString() === reviewer.userId.toString() ||
+            event.coOrganizers.some(coOrg => coOrg.toString() === reviewer.userId.toString());
+
+        if (!canReview) {
+            throw new PermissionError('You can only review refunds for events you organize');
+        }
+
+        return registration;
+    }
+
+    async sendRefundStatusEmail(registration) {
+        try {
+            if (!registration.user || !registration.user.email) {
+                await registration.populate([
+                    { path: 'user', select: 'profile.fullName email' },
+                    { path: 'event', select: 'title' }
+                ]);
+            }
+
+            await emailService.sendEmail({
+                to: registration.user.email,
+                subject: `Refund Update - ${registration.event.title}`,
+                template: 'refund-status',
+                data: {
+                    userName: registration.user.profile.fullName,
+                    eventTitle: registration.event.title,
+                    registrationNumber: registration.registrationNumber,
+                    refundStatus: registration.payment.refundStatus,
+                    refundAmount: registration.payment.refundAmount,
+                    currency: registration.payment.currency,
+                    reviewNote: registration.payment.refundReviewNote
+                }
+            });
+        } catch (error) {
+            logger.error('Send refund status email error:', error);
+        }
+    }
+}
+
+module.exports = new RefundService();
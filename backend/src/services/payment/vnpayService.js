@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const querystring = require('querystring');
+const DateUtils = require('../../utils/dateUtils');
+const encryption = require('../../utils/encryption');
+const logger = require('../../utils/logger');
+
+class VNPayService {
+    constructor() {
+        this.name = 'vnpay';
+        this.version = '2.1.0';
+        this.tmnCode = process.env.VNPAY_TMN_CODE;
+        this.secretKey = process.env.VNPAY_SECRET_KEY;
+        this.gatewayUrl = process.env.VNPAY_URL || 'https://sandbox.vnpayment.vn/paymentv2/vpcpay.html';
+        this.apiUrl = process.env.VNPAY_API_URL || 'https://sandbox.vnpayment.vn/merchant_webapi/api/transaction';
+        this.expireMinutes = parseInt(process.env.VNPAY_EXPIRE_MINUTES) || 15;
+
+        this.responseMessages = {
+            '00': 'Transaction successful',
+            '07': 'Transaction suspected of fraud',
+            '09': 'Card or account not registered for internet banking',
+            '10': 'Card or account authentication failed too many times',
+            '11': 'Payment timeout',
+            '12': 'Card or account is locked',
+            '13': 'Wrong OTP',
+            '24': 'Customer cancelled the transaction',
+            '51': 'Insufficient balance',
+            '65': 'Daily transaction limit exceeded',
+            '75': 'Bank is under maintenance',
+            '79': 'Wrong payment password too many times',
+            '99': 'Unknown error'
+        };
+    }
+
+    // Resolve credentials, swapping in the local fake gateway when requested
+    getConfig(options = {}) {
+        if (options.fakeGateway) {
+            return {
+                tmnCode: 'FAKETMN',
+                secretKey: options.fakeSecret,
+                gatewayUrl: options.fakeGatewayUrl
+            };
+        }
+
+        if (!this.tmnCode || !this.secretKey) {
+            throw new Error('VNPay is not configured');
+        }
+
+        return {
+            tmnCode: this.tmnCode,
+            secretKey: this.secretKey,
+            gatewayUrl: this.gatewayUrl
+        };
+    }
+
+    // Build signed redirect URL for a payment
+    createPaymentUrl(paymentData, options = {}) {
+        const {
+            orderId,
+            amount,
+            orderInfo,
+            returnUrl,
+            ipAddress = '127.0.0.1',
+            locale = 'vn',
+            bankCode
+        } = paymentData;
+
+        const config = this.getConfig(options);
+        const now = new Date();
+
+        const params = {
+            vnp_Version: this.version,
+            vnp_Command: 'pay',
+            vnp_TmnCode: config.tmnCode,
+            vnp_Locale: locale,
+            vnp_CurrCode: 'VND',
+            vnp_TxnRef: orderId,
+            vnp_OrderInfo: orderInfo,
+            vnp_OrderType: 'other',
+            // VNPay expects the amount multiplied by 100
+            vnp_Amount: Math.round(amount * 100),
+            vnp_ReturnUrl: returnUrl,
+            vnp_IpAddr: ipAddress,
+            vnp_CreateDate: this.formatDate(now),
+            vnp_ExpireDate: this.formatDate(new Date(now.getTime() + this.expireMinutes * 60 * 1000))
+        };
+
+        if (bankCode) {
+            params.vnp_BankCode = bankCode;
+        }
+
+        const sortedParams = this.sortParams(params);
+        sortedParams.vnp_SecureHash = this.sign(sortedParams, config.secretKey);
+
+        const paymentUrl = `${config.gatewayUrl}?${querystring.stringify(sortedParams, null, null, { encodeURIComponent: s => s })}`;
+
+        logger.debug('VNPay payment URL created', { orderId, amount });
+
+        return {
+            paymentUrl,
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + this.expireMinutes * 60 * 1000)
+        };
+    }
+
+    // Refund a settled transaction through the merchant API (full or partial)
+    async refund(refundData, options = {}) {
+        const {
+            orderId,
+            transactionId,
+            amount,
+            isPartial = false,
+            transactionDate,
+            reason = 'Refund',
+            createdBy = 'system',
+            ipAddress = '127.0.0.1'
+        } = refundData;
+
+        if (options.fakeGateway) {
+            return {
+                isSuccess: true,
+                transactionId: `FAKE-RF-${Date.now()}`,
+                responseCode: '00',
+                message: this.responseMessages['00']
+            };
+        }
+
+        const config = this.getConfig(options);
+
+        const payload = {
+            vnp_RequestId: crypto.randomBytes(8).toString('hex'),
+            vnp_Version: this.version,
+            vnp_Command: 'refund',
+            vnp_TmnCode: config.tmnCode,
+            vnp_TransactionType: isPartial ? '03' : '02',
+            vnp_TxnRef: orderId,
+            vnp_Amount: Math.round(amount * 100),
+            vnp_TransactionNo: transactionId,
+            vnp_TransactionDate: this.formatDate(transactionDate),
+            vnp_CreateBy: createdBy,
+            vnp_CreateDate: this.formatDate(new Date()),
+            vnp_IpAddr: ipAddress,
+            vnp_OrderInfo: reason
+        };
+
+        // The merchant API signs a pipe-joined list in this exact order
+        const signData = [
+            'vnp_RequestId', 'vnp_Version', 'vnp_Command', 'vnp_TmnCode', 'vnp_TransactionType',
+            'vnp_TxnRef', 'vnp_Amount', 'vnp_TransactionNo', 'vnp_TransactionDate', 'vnp_CreateBy',
+            'vnp_CreateDate', 'vnp_IpAddr', 'vnp_OrderInfo'
+        ].map(field => payload[field]).join('|');
+
+        payload.vnp_SecureHash = crypto.createHmac('sha512', config.secretKey)
+            .update(Buffer.from(signData, 'utf-8'))
+            .digest('hex');
+
+        const response = await axios.post(this.apiUrl, payload, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 30000
+        });
+
+        const responseCode = response.data.vnp_ResponseCode;
+
+        return {
+            isSuccess: responseCode === '00',
+            transactionId: response.data.vnp_TransactionNo,
+            responseCode,
+            message: response.data.vnp_Message || this.responseMessages[responseCode] || this.responseMessages['99']
+        };
+    }
+
+    // Verify return/IPN query parameters sent back by VNPay
+    verifyCallback(query, options = {}) {
+        const config = this.getConfig(options);
+        const params = { ...query };
+        const secureHash = params.vnp_SecureHash;
+
+        delete params.vnp_SecureHash;
+        delete params.vnp_SecureHashType;
+
+        const expectedHash = this.sign(this.sortParams(params), config.secretKey);
+        const isValid = Boolean(secureHash) &&
+            encryption.secureCompare(secureHash.toLowerCase(), expectedHash.toLowerCase());
+
+        const responseCode = params.vnp_ResponseCode;
+        const transactionStatus = params.vnp_TransactionStatus;
+
+        return {
+            isValid,
+            isSuccess: isValid && responseCode === '00' && (!transactionStatus || transactionStatus === '00'),
+            orderId: params.vnp_TxnRef,
+            transactionId: params.vnp_TransactionNo,
+            amount: parseInt(params.vnp_Amount || 0) / 100,
+            bankCode: params.vnp_BankCode,
+            responseCode,
+            message: this.responseMessages[responseCode] || this.responseMessages['99'],
+            raw: query
+        };
+    }
+
+    // Build the query string the fake gateway sends back, signed like the real one
+    buildFakeCallback(paymentParams, outcome, options = {}) {
+        const config = this.getConfig(options);
+        const responseCode = outcome === 'success' ? '00' : '24';
+
+        const params = {
+            vnp_TmnCode: config.tmnCode,
+            vnp_Amount: paymentParams.vnp_Amount,
+            vnp_BankCode: 'NCB',
+            vnp_OrderInfo: paymentParams.vnp_OrderInfo,
+            vnp_PayDate: this.formatDate(new Date()),
+            vnp_ResponseCode: responseCode,
+            vnp_TransactionNo: String(Date.now()).slice(-8),
+            vnp_TransactionStatus: responseCode === '00' ? '00' : '02',
+            vnp_TxnRef: paymentParams.vnp_TxnRef
+        };
+
+        const sortedParams = this.sortParams(params);
+        const secureHash = this.sign(sortedParams, config.secretKey);
+
+        // Callers receive decoded values, as Express would parse them
+        const callback = { ...params, vnp_SecureHash: secureHash };
+
+        return {
+            params: callback,
+            redirectUrl: `${paymentParams.vnp_ReturnUrl}?${querystring.stringify(callback)}`
+        };
+    }
+
+    // Sort keys and encode values the way VNPay signs them
+    sortParams(params) {
+        const sorted = {};
+
+        Object.keys(params)
+            .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+            .sort()
+            .forEach(key => {
+                sorted[key] = encodeURIComponent(String(params[key])).replace(/%20/g, '+');
+            });
+
+        return sorted;
+    }
+
+    sign(sortedParams, secretKey) {
+        const signData = querystring.stringify(sortedParams, null, null, { encodeURIComponent: s => s });
+        return crypto.createHmac('sha512', secretKey).update(Buffer.from(signData, 'utf-8')).digest('hex');
+    }
+
+    formatDate(date) {
+        return DateUtils.format(date, 'YYYYMMDDHHmmss');
+    }
+}
+
+module.exports = new VNPayService();
@@ -16,6 +16,9 @@ class QRCodeService {
             width: 256,
             errorCorrectionLevel: 'M'
         };
+
+        // Digits of a rotating registration token
+        this.rotatingTokenDigits = 8;
     }
 
     // Generate QR code for data
@@ -129,9 +132,123 @@ class QRCodeService {
         }
     }
 
+    // Per-registration secret for rotating codes (160 bits, as in TOTP)
+    generateRotatingSecret() {
+        return crypto.randomBytes(20).toString('hex');
+    }
+
+    getRotationCounter(rotationSeconds, time = Date.now()) {
+        return Math.floor(time / 1000 / rotationSeconds);
+    }
+
+    // HOTP (RFC 4226) over the rotation counter: TOTP with the event's step
+    generateRotatingToken(secret, counter, digits = this.rotatingTokenDigits) {
+        const message = Buffer.alloc(8);
+        message.writeBigUInt64BE(BigInt(counter));
+
+        const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(message).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** digits);
+
+        return code.toString().padStart(digits, '0');
+    }
+
+    // Rotating registration QR code for the current time step. The attendee's
+    // app fetches a new one before expiresAt.
+    async generateRotatingRegistrationQR(registrationId, secret, settings, options = {}) {
+        try {
+            const step = settings.rotationSeconds;
+            const counter = this.getRotationCounter(step);
+
+            const payload = {
+                type: 'registration_rotating',
+                registrationId,
+                token: this.generateRotatingToken(secret, counter)
+            };
+
+            // Cache the issued code so scans can be marked and counted
+            await redisClient.set(
+                `qr:registration:${registrationId}:${counter}`,
+                JSON.stringify({ ...payload, timestamp: Date.now() }),
+                this.getRotatingCodeLifetime(settings)
+            );
+
+            const qrCode = await this.generateQRCode(payload, options);
+
+            return {
+                qrCode,
+                payload,
+                rotationSeconds: step,
+                expiresAt: new Date((counter + 1) * step * 1000)
+            };
+        } catch (error) {
+            logger.error('Rotating registration QR generation failed:', error);
+            throw error;
+        }
+    }
+
+    // Verify a rotating code against the registration secret, accepting
+    // clockSkewSteps steps either side of the scanner's clock. Each code is
+    // accepted once.
+    async verifyRotatingQRCode(payload, secret, settings) {
+        try {
+            if (!payload || payload.type !== 'registration_rotating' || !payload.token) {
+                return { valid: false, reason: 'Invalid QR code type' };
+            }
+
+            const token = String(payload.token);
+            if (token.length !== this.rotatingTokenDigits) {
+                return { valid: false, reason: 'Invalid QR code' };
+            }
+
+            // An empty or malformed secret would decode to an empty HMAC key
+            if (typeof secret !== 'string' || !/^[0-9a-f]{40}$/i.test(secret)) {
+                return { valid: false, reason: 'Invalid QR code' };
+            }
+
+            const step = settings.rotationSeconds;
+            const current = this.getRotationCounter(step);
+            let matched = null;
+
+            for (let drift = -settings.clockSkewSteps; drift <= settings.clockSkewSteps; drift++) {
+                const expected = this.generateRotatingToken(secret, current + drift);
+                if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+                    matched = current + drift;
+                    break;
+                }
+            }
+
+            if (matched === null) {
+                logger.warn('Rotating QR code rejected', { registrationId: payload.registrationId });
+                return { valid: false, reason: 'QR code expired' };
+            }
+
+            const scanned = await this.markAsScanned(
+                `qr:registration:${payload.registrationId}:${matched}`,
+                this.getRotatingCodeLifetime(settings)
+            );
+
+            if (!scanned) {
+                logger.security('Rotating QR code replayed', { registrationId: payload.registrationId });
+                return { valid: false, reason: 'QR code already used', replay: true };
+            }
+
+            return { valid: true, data: payload, drift: matched - current };
+        } catch (error) {
+            logger.error('Rotating QR code verification failed:', error);
+            return { valid: false, reason: 'Verification failed' };
+        }
+    }
+
+    // Seconds a rotating code can still be accepted after it was issued
+    getRotatingCodeLifetime(settings) {
+        return settings.rotationSeconds * (2 * settings.clockSkewSteps + 2);
+    }
+
     // Generate certificate verification QR code
     async generateCertificateQR(certificateId, verificationCode, options = {}) {
         try {
+            const { signature, ...qrOptions } = options;
             const verificationUrl = `${process.env.FRONTEND_URL}/certificates/verify/${verificationCode}`;
 
             const certificateData = {
@@ -142,7 +259,9 @@ class QRCodeService {
                 timestamp: Date.now()
             };
 
-            const qrCode = await this.generateQRCode(verificationUrl, options);
+            // A signed certificate carries its JWS so it can be checked offline
+            const qrContent = signature ? `${verificationUrl}?sig=${signature}` : verificationUrl;
+            const qrCode = await this.generateQRCode(qrContent, qrOptions);
 
             logger.info(`Certificate QR code generated for certificate: ${certificateId}`);
             return {
@@ -493,24 +612,35 @@ class QRCodeService {
         }
     }
 
-    // Mark QR code as scanned
-    async markAsScanned(qrKey) {
-        try {
-            const data = await redisClient.get(qrKey);
-            if (data) {
-                const parsed = JSON.parse(data);
-                parsed.scanned = true;
-                parsed.scannedAt = Date.now();
-
-                await redisClient.set(qrKey, JSON.stringify(parsed));
-                logger.debug(`QR code marked as scanned: ${qrKey}`);
-                return true;
-            }
-            return false;
-        } catch (error) {
-            logger.error('Mark QR as scanned failed:', error);
+    // Mark QR code as scanned. Returns false if it was scanned before, so a
+    // code cannot be replayed; the scan counter makes concurrent scans safe.
+    // Throws when the counter cannot be read, so callers reject the scan
+    // rather than accept a code that may already have been used.
+    async markAsScanned(qrKey, ttlSeconds = 3600) {
+        const scans = await redisClient.increment(`${qrKey}:scans`);
+
+        if (scans === null || scans === undefined) {
+            throw new Error(`Scan counter unavailable for ${qrKey}`);
+        }
+
+        await redisClient.expire(`${qrKey}:scans`, ttlSeconds);
+
+        if (scans > 1) {
+            logger.debug(`QR code already scanned: ${qrKey}`);
             return false;
         }
+
+        const data = await redisClient.get(qrKey);
+        if (data) {
+            const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+            parsed.scanned = true;
+            parsed.scannedAt = Date.now();
+
+            await redisClient.set(qrKey, parsed, ttlSeconds);
+        }
+
+        logger.debug(`QR code marked as scanned: ${qrKey}`);
+        return true;
     }
 }
 
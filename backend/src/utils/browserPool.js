@@ -0,0 +1,82 @@
+const puppeteer = require('puppeteer');
+const logger = require('./logger');
+
+// Keeps a few headless browsers open so PDF rendering does not pay for a
+// Chromium launch per document. Callers must release what they acquire.
+class BrowserPool {
+    constructor() {
+        this.size = parseInt(process.env.BROWSER_POOL_SIZE) || 2;
+        this.idle = [];
+        this.waiting = [];
+        this.launched = 0;
+    }
+
+    async acquire() {
+        while (this.idle.length > 0) {
+            const browser = this.idle.pop();
+            if (browser.isConnected()) {
+                return browser;
+            }
+            this.launched--;
+        }
+
+        if (this.launched < this.size) {
+            this.launched++;
+            try {
+                return await puppeteer.launch({
+                    headless: true,
+                    args: ['--no-sandbox', '--disable-setuid-sandbox']
+                });
+            } catch (error) {
+                this.launched--;
+                throw error;
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            this.waiting.push({ resolve, reject });
+        });
+    }
+
+    release(browser) {
+        const waiter = this.waiting.shift();
+
+        if (!browser.isConnected()) {
+            this.launched--;
+            if (waiter) {
+                this.acquire().then(waiter.resolve, waiter.reject);
+            }
+            return;
+        }
+
+        if (waiter) {
+            waiter.resolve(browser);
+        } else {
+            this.idle.push(browser);
+        }
+    }
+
+    // Render a page with a pooled browser; the page is always closed
+    async withPage(callback) {
+        const browser = await this.acquire();
+        let page;
+
+        try {
+            page = await browser.newPage();
+            return await callback(page);
+        } finally {
+            if (page) {
+                await page.close().catch(error => logger.warn('Failed to close page:', error.message));
+            }
+            this.release(browser);
+        }
+    }
+
+    async close() {
+        const browsers = this.idle.splice(0);
+        this.launched -= browsers.length;
+        await Promise.all(browsers.map(browser => browser.close().catch(() => {})));
+    }
+}
+
+module.exports = new BrowserPool();
@@ -112,6 +112,13 @@ const REGISTRATION_STATUS = {
     NO_SHOW: 'no_show'
 };
 
+// Values accepted in Event.targetAudience.restrictions
+const EVENT_RESTRICTIONS = {
+    STUDENTS_ONLY: 'students_only',
+    ACTIVE_STUDENTS: 'active_students',
+    VERIFIED_EMAIL: 'verified_email'
+};
+
 const REGISTRATION_APPROVAL_TYPES = {
     AUTOMATIC: 'automatic',
     MANUAL: 'manual',
@@ -266,6 +273,13 @@ const TOKEN_EXPIRATION = {
     TWO_FACTOR: 5 * TIME_CONSTANTS.MINUTE // 5 minutes
 };
 
+// Protected header `typ` of each kind of document signed with the institution key
+const JWS_TYPES = {
+    CERTIFICATE: 'certificate+jws',
+    LEDGER_ROOT: 'ledger-root+jws',
+    CREDENTIAL: 'JWT'
+};
+
 // Validation constants
 const VALIDATION = {
     PASSWORD_MIN_LENGTH: 6,
@@ -279,7 +293,11 @@ const VALIDATION = {
     BIO_MAX_LENGTH: 500,
     PHONE_REGEX: /^[+]?[\d\s\-\(\)]+$/,
     STUDENT_ID_MIN_LENGTH: 5,
-    STUDENT_ID_MAX_LENGTH: 20
+    STUDENT_ID_MAX_LENGTH: 20,
+    // Organizer-supplied patterns on registration form fields
+    FIELD_PATTERN_MAX_LENGTH: 200,
+    FIELD_PATTERN_MAX_UNBOUNDED: 3,
+    FIELD_PATTERN_INPUT_MAX_LENGTH: 200
 };
 
 // Cache keys and TTL
@@ -406,6 +424,38 @@ const SEMESTERS = {
     SUMMER: 'summer'
 };
 
+// Training points (điểm rèn luyện) criteria and the most points each may
+// contribute to a student's semester score
+const TRAINING_POINT_CATEGORIES = {
+    ACADEMIC: 'academic',
+    DISCIPLINE: 'discipline',
+    SOCIAL: 'social',
+    COMMUNITY: 'community',
+    LEADERSHIP: 'leadership'
+};
+
+const TRAINING_POINT_CAPS = {
+    [TRAINING_POINT_CATEGORIES.ACADEMIC]: 20,
+    [TRAINING_POINT_CATEGORIES.DISCIPLINE]: 25,
+    [TRAINING_POINT_CATEGORIES.SOCIAL]: 20,
+    [TRAINING_POINT_CATEGORIES.COMMUNITY]: 25,
+    [TRAINING_POINT_CATEGORIES.LEADERSHIP]: 10
+};
+
+// Criterion used for an event's points unless the event sets one
+const EVENT_TYPE_TRAINING_CATEGORIES = {
+    [EVENT_TYPES.WORKSHOP]: TRAINING_POINT_CATEGORIES.ACADEMIC,
+    [EVENT_TYPES.SEMINAR]: TRAINING_POINT_CATEGORIES.ACADEMIC,
+    [EVENT_TYPES.CONFERENCE]: TRAINING_POINT_CATEGORIES.ACADEMIC,
+    [EVENT_TYPES.ACADEMIC]: TRAINING_POINT_CATEGORIES.ACADEMIC,
+    [EVENT_TYPES.COMPETITION]: TRAINING_POINT_CATEGORIES.ACADEMIC,
+    [EVENT_TYPES.CAREER]: TRAINING_POINT_CATEGORIES.ACADEMIC,
+    [EVENT_TYPES.SOCIAL]: TRAINING_POINT_CATEGORIES.SOCIAL,
+    [EVENT_TYPES.SPORTS]: TRAINING_POINT_CATEGORIES.SOCIAL,
+    [EVENT_TYPES.CULTURAL]: TRAINING_POINT_CATEGORIES.SOCIAL,
+    [EVENT_TYPES.VOLUNTEER]: TRAINING_POINT_CATEGORIES.COMMUNITY
+};
+
 module.exports = {
     USER_ROLES,
     PERMISSIONS,
@@ -414,6 +464,7 @@ module.exports = {
     EVENT_STATUS,
     LOCATION_TYPES,
     REGISTRATION_STATUS,
+    EVENT_RESTRICTIONS,
     REGISTRATION_APPROVAL_TYPES,
     NOTIFICATION_TYPES,
     NOTIFICATION_CHANNELS,
@@ -430,6 +481,7 @@ module.exports = {
     PAGINATION,
     TIME_CONSTANTS,
     TOKEN_EXPIRATION,
+    JWS_TYPES,
     VALIDATION,
     CACHE_KEYS,
     CACHE_TTL,
@@ -441,5 +493,8 @@ module.exports = {
     SYSTEM_SETTINGS,
     VIETNAM_PROVINCES,
     ACADEMIC_YEARS,
-    SEMESTERS
+    SEMESTERS,
+    TRAINING_POINT_CATEGORIES,
+    TRAINING_POINT_CAPS,
+    EVENT_TYPE_TRAINING_CATEGORIES
 };
\ No newline at end of file
@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const { TOKEN_EXPIRATION } = require('./constants');
+const logger = require('./logger');
 
 class Encryption {
     constructor() {
@@ -668,6 +669,193 @@ class Encryption {
 
         return masked + visible;
     }
+
+    /**
+     * Generate an Ed25519 key pair for signing issued documents
+     * @returns {{publicKey: string, privateKey: string}} PEM encoded keys
+     */
+    generateSigningKeyPair() {
+        return crypto.generateKeyPairSync('ed25519', {
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+    }
+
+    /**
+     * Institution signing key from CERTIFICATE_SIGNING_PRIVATE_KEY
+     * (PEM, or base64 of the PEM). Required in production; elsewhere a
+     * per-process key is used and signatures will not survive a restart.
+     * @returns {{privateKey: crypto.KeyObject, publicKey: crypto.KeyObject, keyId: string}}
+     */
+    getSigningKeys() {
+        if (!this.signingKeys) {
+            const configured = process.env.CERTIFICATE_SIGNING_PRIVATE_KEY;
+            if (!configured) {
+                if (process.env.NODE_ENV === 'production') {
+                    throw new Error('CERTIFICATE_SIGNING_PRIVATE_KEY must be set in production');
+                }
+                logger.error('CERTIFICATE_SIGNING_PRIVATE_KEY is not set: signing with a temporary key. ' +
+                    'Certificates, credentials and ledger roots signed by this process will not verify after a restart.');
+            }
+
+            const privateKey = configured
+                ? crypto.createPrivateKey(this.readPEM(configured))
+                : crypto.generateKeyPairSync('ed25519').privateKey;
+            const publicKey = crypto.createPublicKey(privateKey);
+
+            this.signingKeys = { privateKey, publicKey, keyId: this.getKeyId(publicKey) };
+        }
+
+        return this.signingKeys;
+    }
+
+    /**
+     * Current public key plus retired ones (CERTIFICATE_SIGNING_RETIRED_KEYS,
+     * comma separated) that older documents were signed with
+     * @returns {Array<{keyId: string, publicKey: crypto.KeyObject, status: string}>}
+     */
+    getVerificationKeys() {
+        if (!this.verificationKeys) {
+            const { publicKey, keyId } = this.getSigningKeys();
+            const retired = (process.env.CERTIFICATE_SIGNING_RETIRED_KEYS || '')
+                .split(',')
+                .map(value => value.trim())
+                .filter(Boolean)
+                .map(value => {
+                    const retiredKey = crypto.createPublicKey(this.readPEM(value));
+                    return { keyId: this.getKeyId(retiredKey), publicKey: retiredKey, status: 'retired' };
+                });
+
+            this.verificationKeys = [{ keyId, publicKey, status: 'active' }, ...retired];
+        }
+
+        return this.verificationKeys;
+    }
+
+    /**
+     * Public verification keys as a JWK set
+     * @returns {{keys: object[]}}
+     */
+    getPublicJWKS() {
+        return {
+            keys: this.getVerificationKeys().map(({ keyId, publicKey, status }) => ({
+                ...publicKey.export({ format: 'jwk' }),
+                kid: keyId,
+                alg: 'EdDSA',
+                use: 'sig',
+                status
+            }))
+        };
+    }
+
+    /**
+     * Sign a payload as a compact JWS (EdDSA) so it can be checked with
+     * any JOSE library and the published public key
+     * @param {object} payload
+     * @param {object} headerParams - Extra protected header fields (typ, jku)
+     * @returns {string}
+     */
+    signJWS(payload, headerParams = {}) {
+        const { privateKey, keyId } = this.getSigningKeys();
+
+        const header = Buffer.from(JSON.stringify({ ...headerParams, alg: 'EdDSA', kid: keyId })).toString('base64url');
+        const body = Buffer.from(this.canonicalJSON(payload)).toString('base64url');
+        const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), privateKey);
+
+        return `${header}.${body}.${signature.toString('base64url')}`;
+    }
+
+    /**
+     * Verify a compact JWS produced by signJWS. All documents share the
+     * institution key, so callers name the `typ` they expect; allowUntyped
+     * accepts documents signed before a typ was set.
+     * @param {string} token
+     * @param {{typ?: string, allowUntyped?: boolean}} options
+     * @returns {{valid: boolean, reason?: string, payload?: object, keyId?: string, keyStatus?: string}}
+     */
+    verifyJWS(token, options = {}) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            return { valid: false, reason: 'malformed' };
+        }
+
+        let header;
+        let payload;
+        try {
+            header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+            payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            return { valid: false, reason: 'malformed' };
+        }
+
+        if (header.alg !== 'EdDSA') {
+            return { valid: false, reason: 'unsupported_algorithm' };
+        }
+
+        if (options.typ && header.typ !== options.typ && !(options.allowUntyped && header.typ === undefined)) {
+            return { valid: false, reason: 'wrong_type' };
+        }
+
+        const key = this.getVerificationKeys().find(k => k.keyId === header.kid);
+        if (!key) {
+            return { valid: false, reason: 'unknown_key', payload };
+        }
+
+        const valid = crypto.verify(
+            null,
+            Buffer.from(`${parts[0]}.${parts[1]}`),
+            key.publicKey,
+            Buffer.from(parts[2], 'base64url')
+        );
+
+        return {
+            valid,
+            reason: valid ? undefined : 'bad_signature',
+            payload,
+            keyId: key.keyId,
+            keyStatus: key.status
+        };
+    }
+
+    /**
+     * JSON with object keys sorted, so equal payloads serialize identically
+     * @param {*} value
+     * @returns {string}
+     */
+    canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJSON(item)).join(',')}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJSON(value[key])}`)
+                .join(',')}}`;
+        }
+
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Short, stable identifier of a public key
+     * @param {crypto.KeyObject} publicKey
+     * @returns {string}
+     */
+    getKeyId(publicKey) {
+        return this.hash(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16);
+    }
+
+    /**
+     * Accept a PEM as-is, with escaped newlines, or base64 encoded
+     * @param {string} value
+     * @returns {string}
+     */
+    readPEM(value) {
+        return value.includes('-----BEGIN')
+            ? value.replace(/\\n/g, '\n')
+            : Buffer.from(value, 'base64').toString('utf8');
+    }
 }
 
 module.exports = new Encryption();
\ No newline at end of file
@@ -0,0 +1,30 @@
+const {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    UnauthorizedError,
+    ForbiddenError,
+    ConflictError,
+    TooManyRequestsError,
+    InternalServerError
+} = require('../middleware/errorHandler');
+
+// Services throw these; controllers answer with error.statusCode
+class PermissionError extends ForbiddenError {
+    constructor(message = 'Permission denied') {
+        super(message);
+        this.name = 'PermissionError';
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    UnauthorizedError,
+    ForbiddenError,
+    PermissionError,
+    ConflictError,
+    TooManyRequestsError,
+    InternalServerError
+};
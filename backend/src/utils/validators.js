@@ -300,14 +300,20 @@ class Validators {
     /**
      * Validate event registration data
      * @param {object} data
+     * @param {Array} formFields - event custom field definitions; when given, answers are checked against them
      * @returns {object}
      */
-    static validateEventRegistration(data) {
+    static validateEventRegistration(data, formFields = null) {
         const errors = [];
+        let customFieldsData = data.customFields || [];
 
         // Custom fields validation
         if (data.customFields && !Array.isArray(data.customFields)) {
             errors.push({ field: 'customFields', message: 'Custom fields must be an array' });
+        } else if (formFields) {
+            const answers = this.validateCustomFieldAnswers(formFields, data.customFields || [], data.files || []);
+            errors.push(...answers.errors);
+            customFieldsData = answers.data;
         }
 
         // Accommodations validation
@@ -337,12 +343,451 @@ class Validators {
             errors.push({ field: 'couponCode', message: 'Coupon code must be a string' });
         }
 
+        return {
+            isValid: errors.length === 0,
+            errors,
+            customFieldsData
+        };
+    }
+
+    /**
+     * Validate custom registration field definitions (form builder)
+     * @param {Array} fields
+     * @returns {object}
+     */
+    static validateCustomFieldDefinitions(fields) {
+        const errors = [];
+
+        if (!Array.isArray(fields)) {
+            return {
+                isValid: false,
+                errors: [{ field: 'customFields', message: 'Custom fields must be an array' }]
+            };
+        }
+
+        const fieldsByName = new Map();
+
+        fields.forEach((field, index) => {
+            const path = `customFields[${index}]`;
+
+            if (!field.name) {
+                errors.push({ field: `${path}.name`, message: 'Field name is required' });
+                return;
+            }
+
+            if (fieldsByName.has(field.name)) {
+                errors.push({ field: `${path}.name`, message: `Duplicate field name "${field.name}"` });
+            }
+            fieldsByName.set(field.name, field);
+
+            if (['select', 'multiselect', 'radio'].includes(field.type) &&
+                (!Array.isArray(field.options) || field.options.length === 0)) {
+                errors.push({ field: `${path}.options`, message: `Field "${field.name}" needs at least one option` });
+            }
+
+            const pattern = (field.rules && field.rules.pattern) || field.validation;
+            if (pattern) {
+                const patternError = this.checkFieldPattern(pattern);
+                if (patternError) {
+                    errors.push({ field: `${path}.rules.pattern`, message: `Pattern for field "${field.name}" ${patternError}` });
+                }
+            }
+        });
+
+        // Conditions must point at another field and must not loop
+        fields.forEach((field, index) => {
+            if (!field.showIf || !field.showIf.field) return;
+
+            const path = `customFields[${index}].showIf.field`;
+
+            if (!fieldsByName.has(field.showIf.field) || field.showIf.field === field.name) {
+                errors.push({ field: path, message: `Field "${field.name}" depends on an unknown field` });
+                return;
+            }
+
+            const seen = new Set([field.name]);
+            let current = fieldsByName.get(field.showIf.field);
+            while (current && current.showIf && current.showIf.field) {
+                if (seen.has(current.name)) {
+                    errors.push({ field: path, message: `Field "${field.name}" has a circular condition` });
+                    break;
+                }
+                seen.add(current.name);
+                current = fieldsByName.get(current.showIf.field);
+            }
+        });
+
         return {
             isValid: errors.length === 0,
             errors
         };
     }
 
+    /**
+     * Check an organizer-supplied field pattern. Patterns run against every
+     * registrant's answer, so only simple ones are accepted: bounded length, no
+     * backreferences or lookarounds, no repeated group that itself repeats or
+     * alternates (e.g. "(a+)+", "(a|ab)*"), which can backtrack exponentially, and
+     * few unbounded quantifiers, which keeps polynomial backtracking on the
+     * length-capped answer small.
+     * @param {string} pattern
+     * @returns {string|null} problem description, or null when the pattern is safe
+     */
+    static checkFieldPattern(pattern) {
+        if (typeof pattern !== 'string') {
+            return 'must be text';
+        }
+        if (pattern.length > VALIDATION.FIELD_PATTERN_MAX_LENGTH) {
+            return `must not exceed ${VALIDATION.FIELD_PATTERN_MAX_LENGTH} characters`;
+        }
+
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            return 'is not a valid regular expression';
+        }
+
+        if (/\\[1-9]|\\k</.test(pattern)) {
+            return 'must not use backreferences';
+        }
+        if (/\(\?<?[=!]/.test(pattern)) {
+            return 'must not use lookahead or lookbehind';
+        }
+
+        // Track, for each open group, whether it contains a quantifier or "|"
+        const groups = [];
+        let inClass = false;
+        let unbounded = 0;
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+
+            if (char === '\\') {
+                i++;
+                continue;
+            }
+            if (inClass) {
+                inClass = char !== ']';
+                continue;
+            }
+
+            if (char === '*' || char === '+' || (char === '{' && /^\{\d+,\}/.test(pattern.slice(i)))) {
+                unbounded++;
+            }
+
+            if (char === '[') {
+                inClass = true;
+            } else if (char === '(') {
+                groups.push({ repeats: false });
+                // Skip "?:" and "?<name>" so they do not read as quantifiers
+                if (pattern[i + 1] === '?') {
+                    i = pattern.indexOf(pattern[i + 2] === '<' ? '>' : ':', i);
+                }
+            } else if (char === ')') {
+                const group = groups.pop();
+                const next = pattern[i + 1];
+                const quantified = next === '*' || next === '+' || (next === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i + 1)));
+
+                if (quantified && group.repeats) {
+                    return 'must not repeat a group that repeats or alternates';
+                }
+                if (groups.length > 0 && (group.repeats || quantified)) {
+                    groups[groups.length - 1].repeats = true;
+                }
+            } else if (groups.length > 0 && ['*', '+', '?', '{', '|'].includes(char)) {
+                groups[groups.length - 1].repeats = true;
+            }
+        }
+
+        if (unbounded > VALIDATION.FIELD_PATTERN_MAX_UNBOUNDED) {
+            return `must not use more than ${VALIDATION.FIELD_PATTERN_MAX_UNBOUNDED} unbounded repetitions (*, +, {n,})`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate registration form answers against the event's custom fields.
+     * Hidden fields (unmet showIf) are skipped and their answers dropped.
+     * @param {Array} fields - event.registration.customFields
+     * @param {Array} answers - [{ fieldName, value }]
+     * @param {Array} files - uploaded files, matched to file fields by fieldname
+     * @returns {object} { isValid, errors, data } with data in customFieldsData shape
+     */
+    static validateCustomFieldAnswers(fields = [], answers = [], files = []) {
+        const errors = [];
+        const data = [];
+
+        const fieldsByName = new Map(fields.map(field => [field.name, field]));
+        const answerMap = new Map();
+
+        answers.forEach(answer => {
+            if (!answer || !answer.fieldName) return;
+
+            if (!fieldsByName.has(answer.fieldName)) {
+                errors.push({ field: answer.fieldName, message: 'Unknown form field' });
+                return;
+            }
+
+            answerMap.set(answer.fieldName, answer.value);
+        });
+
+        const filesByField = new Map();
+        files.forEach(file => {
+            const field = fieldsByName.get(file.fieldname);
+            if (!field || field.type !== 'file') {
+                errors.push({ field: file.fieldname, message: 'Unexpected file upload' });
+                return;
+            }
+
+            filesByField.set(file.fieldname, file);
+        });
+
+        fields.forEach(field => {
+            if (!this.isCustomFieldVisible(field, fieldsByName, answerMap)) return;
+
+            const value = field.type === 'file' ? filesByField.get(field.name) : answerMap.get(field.name);
+            const label = field.label || field.name;
+
+            if (this.isEmptyAnswer(field, value)) {
+                if (field.required) {
+                    errors.push({ field: field.name, message: `${label} is required` });
+                }
+                return;
+            }
+
+            const result = this.validateCustomFieldValue(field, value);
+
+            if (result.error) {
+                errors.push({ field: field.name, message: `${label}: ${result.error}` });
+                return;
+            }
+
+            data.push({
+                fieldName: field.name,
+                fieldType: field.type,
+                value: result.value
+            });
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            data
+        };
+    }
+
+    /**
+     * Check whether a custom field is shown given the other answers
+     * @param {object} field
+     * @param {Map} fieldsByName
+     * @param {Map} answerMap
+     * @param {Set} seen - guards against circular conditions
+     * @returns {boolean}
+     */
+    static isCustomFieldVisible(field, fieldsByName, answerMap, seen = new Set()) {
+        const condition = field.showIf;
+        if (!condition || !condition.field) return true;
+
+        const parent = fieldsByName.get(condition.field);
+        if (!parent || seen.has(field.name)) return false;
+
+        // A field that depends on a hidden field is hidden as well
+        seen.add(field.name);
+        if (!this.isCustomFieldVisible(parent, fieldsByName, answerMap, seen)) return false;
+
+        const answer = answerMap.get(condition.field);
+        const given = (Array.isArray(answer) ? answer : [answer])
+            .filter(value => value !== undefined && value !== null && value !== '')
+            .map(String);
+        const expected = (Array.isArray(condition.value) ? condition.value : [condition.value]).map(String);
+
+        switch (condition.operator) {
+            case 'answered':
+                return given.length > 0 && !(given.length === 1 && given[0] === 'false');
+            case 'not_equals':
+                return !(given.length === 1 && given[0] === expected[0]);
+            case 'in':
+                return given.some(value => expected.includes(value));
+            case 'includes':
+                return given.includes(expected[0]);
+            case 'equals':
+            default:
+                return given.length === 1 && given[0] === expected[0];
+        }
+    }
+
+    /**
+     * @param {object} field
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isEmptyAnswer(field, value) {
+        if (value === undefined || value === null) return true;
+        if (typeof value === 'string') return value.trim() === '';
+        if (Array.isArray(value)) return value.length === 0;
+
+        // A required single checkbox (e.g. consent) must be ticked
+        if (field.type === 'checkbox' && !(field.options && field.options.length)) {
+            return value === false || value === 'false';
+        }
+
+        return false;
+    }
+
+    /**
+     * Check a single non-empty answer against its field type and rules
+     * @param {object} field
+     * @param {*} value
+     * @returns {object} { value } normalized, or { error }
+     */
+    static validateCustomFieldValue(field, value) {
+        const rules = field.rules || {};
+        const options = field.options || [];
+
+        switch (field.type) {
+            case 'number': {
+                const number = Number(value);
+                if (typeof value === 'boolean' || !Number.isFinite(number)) {
+                    return { error: 'must be a number' };
+                }
+                if (rules.min !== undefined && rules.min !== null && number < rules.min) {
+                    return { error: `must be at least ${rules.min}` };
+                }
+                if (rules.max !== undefined && rules.max !== null && number > rules.max) {
+                    return { error: `must not exceed ${rules.max}` };
+                }
+                return { value: number };
+            }
+
+            case 'date': {
+                if (typeof value !== 'string' || !this.isValidDate(value)) {
+                    return { error: 'must be a valid date' };
+                }
+                return { value: new Date(value) };
+            }
+
+            case 'select':
+            case 'radio': {
+                if (typeof value !== 'string' || !options.includes(value)) {
+                    return { error: 'is not one of the available options' };
+                }
+                return { value };
+            }
+
+            case 'multiselect':
+                return this.validateCustomFieldSelections(field, value);
+
+            case 'checkbox': {
+                if (options.length > 0) {
+                    return this.validateCustomFieldSelections(field, value);
+                }
+                if (![true, false, 'true', 'false'].includes(value)) {
+                    return { error: 'must be true or false' };
+                }
+                return { value: value === true || value === 'true' };
+            }
+
+            case 'file':
+                return this.validateCustomFieldFile(field, value);
+
+            case 'text':
+            case 'textarea':
+            default: {
+                if (typeof value !== 'string') {
+                    return { error: 'must be text' };
+                }
+
+                const text = value.trim();
+                if (rules.minLength && text.length < rules.minLength) {
+                    return { error: `must be at least ${rules.minLength} characters` };
+                }
+                if (rules.maxLength && text.length > rules.maxLength) {
+                    return { error: `must not exceed ${rules.maxLength} characters` };
+                }
+
+                // Patterns saved before they were checked are skipped if unsafe
+                const pattern = rules.pattern || field.validation;
+                if (pattern && !this.checkFieldPattern(pattern)) {
+                    if (text.length > VALIDATION.FIELD_PATTERN_INPUT_MAX_LENGTH) {
+                        return { error: `must not exceed ${VALIDATION.FIELD_PATTERN_INPUT_MAX_LENGTH} characters` };
+                    }
+                    if (!new RegExp(pattern).test(text)) {
+                        return { error: rules.patternMessage || 'has invalid format' };
+                    }
+                }
+
+                return { value: text };
+            }
+        }
+    }
+
+    /**
+     * @param {object} field
+     * @param {*} value
+     * @returns {object}
+     */
+    static validateCustomFieldSelections(field, value) {
+        const rules = field.rules || {};
+        const selections = Array.isArray(value) ? value : [value];
+
+        if (selections.some(selection => !(field.options || []).includes(selection))) {
+            return { error: 'contains an option that is not available' };
+        }
+        if (new Set(selections).size !== selections.length) {
+            return { error: 'contains duplicate options' };
+        }
+        if (rules.min && selections.length < rules.min) {
+            return { error: `select at least ${rules.min} options` };
+        }
+        if (rules.max && selections.length > rules.max) {
+            return { error: `select at most ${rules.max} options` };
+        }
+
+        return { value: selections };
+    }
+
+    /**
+     * @param {object} field
+     * @param {object} file - multer file
+     * @returns {object}
+     */
+    static validateCustomFieldFile(field, file) {
+        const rules = field.rules || {};
+
+        if (!file || !file.originalname) {
+            return { error: 'must be an uploaded file' };
+        }
+
+        if (rules.maxFileSizeMB && file.size > rules.maxFileSizeMB * 1024 * 1024) {
+            return { error: `file size exceeds ${this.formatBytes(rules.maxFileSizeMB * 1024 * 1024)} limit` };
+        }
+
+        if (rules.fileTypes && rules.fileTypes.length > 0) {
+            const extension = `.${file.originalname.split('.').pop().toLowerCase()}`;
+            const allowed = rules.fileTypes.some(type => {
+                const accepted = type.toLowerCase();
+                if (accepted.startsWith('.')) return accepted === extension;
+                if (accepted.endsWith('/*')) return file.mimetype.startsWith(accepted.slice(0, -1));
+                return accepted === file.mimetype;
+            });
+
+            if (!allowed) {
+                return { error: `file type is not allowed (accepted: ${rules.fileTypes.join(', ')})` };
+            }
+        }
+
+        return {
+            value: {
+                originalName: file.originalname,
+                fileName: file.filename,
+                path: file.path,
+                mimeType: file.mimetype,
+                size: file.size
+            }
+        };
+    }
+
     /**
      * Validate student ID
      * @param {string} studentId
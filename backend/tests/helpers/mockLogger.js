@@ -0,0 +1,16 @@
+// Silent logger with the methods services call
+module.exports = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    http: jest.fn(),
+    security: jest.fn(),
+    auth: jest.fn(),
+    audit: jest.fn(),
+    logPayment: jest.fn(),
+    logUserAction: jest.fn(),
+    logSystemEvent: jest.fn(),
+    logEmail: jest.fn(),
+    logNotification: jest.fn()
+};
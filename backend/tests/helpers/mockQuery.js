@@ -0,0 +1,18 @@
+// Stand-in for a mongoose query: chainable, and awaitable to `result`
+const CHAIN_METHODS = ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'session', 'where'];
+
+function mockQuery(result) {
+    const query = {
+        exec: jest.fn(() => Promise.resolve(result)),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+        catch: (reject) => Promise.resolve(result).catch(reject)
+    };
+
+    CHAIN_METHODS.forEach(method => {
+        query[method] = jest.fn(() => query);
+    });
+
+    return query;
+}
+
+module.exports = { mockQuery };
@@ -0,0 +1,149 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/mockLogger'));
+jest.mock('bull', () => jest.fn());
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+jest.mock('../../src/utils/browserPool', () => ({ close: jest.fn() }));
+jest.mock('../../src/services/events/certificateService', () => ({
+    markBatchStarted: jest.fn(),
+    generateBatchCertificate: jest.fn(),
+    recordBatchResult: jest.fn(),
+    recordBatchAttempt: jest.fn(),
+    getResumableBatches: jest.fn()
+}));
+jest.mock('../../src/services/events/certificateLedgerService', () => ({ backfillIssues: jest.fn() }));
+jest.mock('../../src/services/events/certificateStatusService', () => ({}));
+
+const certificateService = require('../../src/services/events/certificateService');
+const certificateLedgerService = require('../../src/services/events/certificateLedgerService');
+const logger = require('../../src/utils/logger');
+const certificateJobs = require('../../src/jobs/certificateJobs');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('certificateJobs', () => {
+    const emit = jest.fn();
+    const to = jest.fn(() => ({ emit }));
+    const job = (attemptsMade = 0) => ({ data: { batchId: 'b1', userId: 'u1' }, attemptsMade });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        certificateJobs.io = { to };
+        certificateJobs.maxAttempts = 3;
+        certificateJobs.queue = { addBulk: jest.fn() };
+    });
+
+    describe('enqueueBatch', () => {
+        it('adds one retried job per recipient with a stable job id', async () => {
+            await certificateJobs.enqueueBatch('b1', ['u1', 'u2']);
+
+            const jobs = certificateJobs.queue.addBulk.mock.calls[0][0];
+            expect(jobs.map(queued => queued.opts.jobId)).toEqual(['b1:u1', 'b1:u2']);
+            expect(jobs[0].data).toEqual({ batchId: 'b1', userId: 'u1' });
+            expect(jobs[0].opts.attempts).toBe(3);
+        });
+
+        it('fails when the queue was never started', async () => {
+            certificateJobs.queue = null;
+
+            await expect(certificateJobs.enqueueBatch('b1', ['u1'])).rejects.toThrow('Certificate queue is not initialized');
+        });
+    });
+
+    describe('processRecipient', () => {
+        it('records the certificate and sends progress to the issuer', async () => {
+            certificateService.generateBatchCertificate.mockResolvedValue({ _id: 'c1' });
+            certificateService.recordBatchResult.mockResolvedValue({
+                _id: 'b1', event: 'e1', issuedBy: 'org1', status: 'processing', total: 2, succeeded: 1, failed: 0
+            });
+
+            await certificateJobs.processRecipient(job());
+
+            expect(certificateService.markBatchStarted).toHaveBeenCalledWith('b1');
+            expect(certificateService.recordBatchResult).toHaveBeenCalledWith('b1', 'u1', {
+                status: 'done',
+                certificateId: 'c1',
+                attempts: 1
+            });
+            expect(to).toHaveBeenCalledWith('user_org1');
+            expect(emit).toHaveBeenCalledWith('certificate_batch_progress', expect.objectContaining({ succeeded: 1, total: 2 }));
+            expect(emit).not.toHaveBeenCalledWith('certificate_batch_completed', expect.anything());
+        });
+
+        it('skips a replayed job without sending progress', async () => {
+            certificateService.generateBatchCertificate.mockResolvedValue(null);
+
+            await certificateJobs.processRecipient(job());
+
+            expect(certificateService.recordBatchResult).not.toHaveBeenCalled();
+            expect(emit).not.toHaveBeenCalled();
+        });
+
+        it('rethrows a transient failure so bull retries it', async () => {
+            certificateService.generateBatchCertificate.mockRejectedValue(new Error('Target closed'));
+
+            await expect(certificateJobs.processRecipient(job(1))).rejects.toThrow('Target closed');
+
+            expect(certificateService.recordBatchAttempt).toHaveBeenCalledWith('b1', 'u1', 2, 'Target closed');
+            expect(certificateService.recordBatchResult).not.toHaveBeenCalled();
+        });
+
+        it('records a failure once the attempts run out', async () => {
+            certificateService.generateBatchCertificate.mockRejectedValue(new Error('Target closed'));
+            certificateService.recordBatchResult.mockResolvedValue({
+                _id: 'b1', event: 'e1', issuedBy: 'org1', status: 'completed', total: 1, succeeded: 0, failed: 1
+            });
+
+            await expect(certificateJobs.processRecipient(job(2))).resolves.toBeUndefined();
+
+            expect(certificateService.recordBatchResult).toHaveBeenCalledWith('b1', 'u1', {
+                status: 'failed',
+                error: 'Target closed',
+                attempts: 3
+            });
+            expect(emit).toHaveBeenCalledWith('certificate_batch_completed', expect.objectContaining({ failed: 1 }));
+        });
+
+        it('does not retry business errors', async () => {
+            certificateService.generateBatchCertificate.mockRejectedValue(new ValidationError('Not eligible'));
+            certificateService.recordBatchResult.mockResolvedValue(null);
+
+            await certificateJobs.processRecipient(job());
+
+            expect(certificateService.recordBatchAttempt).not.toHaveBeenCalled();
+            expect(certificateService.recordBatchResult).toHaveBeenCalledWith('b1', 'u1', expect.objectContaining({
+                status: 'failed',
+                attempts: 1
+            }));
+            expect(emit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resumeBatches', () => {
+        it('requeues pending recipients of unfinished batches', async () => {
+            certificateService.getResumableBatches.mockResolvedValue([
+                { batchId: 'b1', userIds: ['u1'] },
+                { batchId: 'b2', userIds: ['u2', 'u3'] }
+            ]);
+
+            await certificateJobs.resumeBatches();
+
+            expect(certificateJobs.queue.addBulk).toHaveBeenCalledTimes(2);
+            expect(certificateJobs.queue.addBulk.mock.calls[1][0].map(queued => queued.opts.jobId)).toEqual(['b2:u2', 'b2:u3']);
+        });
+    });
+
+    describe('backfillLedger', () => {
+        it('writes missing issue entries once at startup', async () => {
+            certificateLedgerService.backfillIssues.mockResolvedValue(3);
+
+            await certificateJobs.backfillLedger();
+
+            expect(certificateLedgerService.backfillIssues).toHaveBeenCalledTimes(1);
+        });
+
+        it('logs a failure without stopping startup', async () => {
+            certificateLedgerService.backfillIssues.mockRejectedValue(new Error('connection lost'));
+
+            await expect(certificateJobs.backfillLedger()).resolves.toBeUndefined();
+            expect(logger.error).toHaveBeenCalled();
+        });
+    });
+});
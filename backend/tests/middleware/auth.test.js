@@ -0,0 +1,94 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/mockLogger'));
+jest.mock('../../src/models/User', () => ({}));
+jest.mock('../../src/config/redis', () => ({}));
+jest.mock('../../src/models/Event', () => ({ findById: jest.fn() }));
+
+const Event = require('../../src/models/Event');
+const authMiddleware = require('../../src/middleware/auth');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const EVENT_ID = '64b000000000000000000001';
+
+const buildRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+const run = async (middleware, req) => {
+    const res = buildRes();
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { res, next };
+};
+
+describe('authMiddleware.canManageEventOf', () => {
+    const event = { _id: EVENT_ID, organizer: 'organizer1', coOrganizers: ['coorg1'] };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Event.findById.mockResolvedValue(event);
+    });
+
+    it('lets the organizer and co-organizers of the resolved event through', async () => {
+        const middleware = authMiddleware.canManageEventOf(req => req.body.eventId);
+
+        for (const userId of ['organizer1', 'coorg1']) {
+            const req = { user: { userId, role: 'organizer' }, body: { eventId: EVENT_ID } };
+            const { next } = await run(middleware, req);
+
+            expect(next).toHaveBeenCalled();
+            expect(req.event).toBe(event);
+        }
+    });
+
+    it('refuses organizers of other events', async () => {
+        const middleware = authMiddleware.canManageEventOf(req => req.body.eventId);
+
+        const { res, next } = await run(middleware, { user: { userId: 'other', role: 'organizer' }, body: { eventId: EVENT_ID } });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('resolves the event asynchronously, e.g. from an attendance record', async () => {
+        const resolve = jest.fn().mockResolvedValue(EVENT_ID);
+        const middleware = authMiddleware.canManageEventOf(resolve);
+
+        const { next } = await run(middleware, { user: { userId: 'organizer1', role: 'organizer' }, params: { attendanceId: 'a1' } });
+
+        expect(next).toHaveBeenCalled();
+        expect(Event.findById).toHaveBeenCalledWith(EVENT_ID);
+    });
+
+    it('answers with the status of a resolver error', async () => {
+        const middleware = authMiddleware.canManageEventOf(() => {
+            throw new NotFoundError('Attendance record not found');
+        });
+
+        const { res, next } = await run(middleware, { user: { userId: 'organizer1', role: 'organizer' } });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Attendance record not found' });
+    });
+
+    it('rejects a malformed event ID before querying', async () => {
+        const middleware = authMiddleware.canManageEventOf(req => req.body.eventId);
+
+        const { res } = await run(middleware, { user: { userId: 'organizer1', role: 'organizer' }, body: { eventId: 'nope' } });
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(Event.findById).not.toHaveBeenCalled();
+    });
+
+    it('keeps canManageEvent reading the event from the URL', async () => {
+        const { next } = await run(authMiddleware.canManageEvent, {
+            user: { userId: 'organizer1', role: 'organizer' },
+            params: { eventId: EVENT_ID }
+        });
+
+        expect(next).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,175 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/mockLogger'));
+jest.mock('../../src/config/redis', () => ({ get: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/Event', () => ({ findById: jest.fn() }));
+jest.mock('../../src/middleware/upload', () => {
+    const passThrough = () => (req, res, next) => next();
+    return { upload: { single: passThrough, array: passThrough, fields: passThrough, any: passThrough } };
+});
+jest.mock('../../src/services/events/attendanceService', () => ({ getRegistrationEventId: jest.fn() }));
+jest.mock('../../src/services/events/registrationService', () => ({
+    checkInUser: jest.fn(),
+    getRegistrationById: jest.fn()
+}));
+jest.mock('../../src/services/payment/pricingService', () => ({}));
+jest.mock('../../src/services/events/eligibilityService', () => ({}));
+
+// Controllers outside the check-in paths are never reached in these tests
+const stubController = () => new Proxy({}, {
+    get: () => (req, res) => res.json({ success: true })
+});
+jest.mock('../../src/controllers/events/eventController', () => stubController());
+jest.mock('../../src/controllers/events/refundController', () => stubController());
+jest.mock('../../src/controllers/events/groupRegistrationController', () => stubController());
+jest.mock('../../src/controllers/events/sessionRegistrationController', () => stubController());
+
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../../src/models/User');
+const Event = require('../../src/models/Event');
+const redisClient = require('../../src/config/redis');
+const attendanceService = require('../../src/services/events/attendanceService');
+const registrationService = require('../../src/services/events/registrationService');
+const eventRoutes = require('../../src/routes/events');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const ORGANIZER_ID = '64b000000000000000000010';
+const OTHER_ORGANIZER_ID = '64b000000000000000000011';
+const ATTENDEE_ID = '64b000000000000000000012';
+const EVENT_ID = '64b000000000000000000001';
+const REG_ID = '64b000000000000000000101';
+const SESSION_ID = '64b000000000000000000201';
+
+const app = express();
+app.use(express.json());
+app.use('/events', eventRoutes);
+
+const authorize = (userId, role) => {
+    User.findById.mockReturnValue(mockQuery({ _id: userId, role, status: 'active', save: jest.fn() }));
+    return `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}`;
+};
+
+describe('registration check-in routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisClient.get.mockResolvedValue(null);
+        attendanceService.getRegistrationEventId.mockResolvedValue(EVENT_ID);
+        Event.findById.mockResolvedValue({ _id: EVENT_ID, organizer: ORGANIZER_ID, coOrganizers: [] });
+        registrationService.checkInUser.mockResolvedValue({ _id: REG_ID });
+    });
+
+    it('refuses a check-in by the attendee', async () => {
+        const response = await request(app)
+            .post(`/events/registrations/${REG_ID}/checkin`)
+            .set('Authorization', authorize(ATTENDEE_ID, 'student'))
+            .send({ method: 'manual' });
+
+        expect(response.status).toBe(403);
+        expect(registrationService.checkInUser).not.toHaveBeenCalled();
+    });
+
+    it('refuses a check-in by the organizer of another event', async () => {
+        const response = await request(app)
+            .post(`/events/registrations/${REG_ID}/checkin`)
+            .set('Authorization', authorize(OTHER_ORGANIZER_ID, 'organizer'))
+            .send({ method: 'manual' });
+
+        expect(response.status).toBe(403);
+        expect(attendanceService.getRegistrationEventId).toHaveBeenCalledWith(REG_ID);
+        expect(registrationService.checkInUser).not.toHaveBeenCalled();
+    });
+
+    it('checks in for the event organizer and passes the actor on', async () => {
+        const response = await request(app)
+            .post(`/events/registrations/${REG_ID}/checkin`)
+            .set('Authorization', authorize(ORGANIZER_ID, 'organizer'))
+            .send({ method: 'manual' });
+
+        expect(response.status).toBe(200);
+        expect(registrationService.checkInUser).toHaveBeenCalledWith(
+            REG_ID,
+            expect.objectContaining({ method: 'manual', verifiedBy: ORGANIZER_ID }),
+            expect.objectContaining({ userId: ORGANIZER_ID, role: 'organizer' })
+        );
+    });
+
+    it('refuses a session check-in by the organizer of another event', async () => {
+        const response = await request(app)
+            .post(`/events/registrations/${REG_ID}/sessions/${SESSION_ID}/checkin`)
+            .set('Authorization', authorize(OTHER_ORGANIZER_ID, 'organizer'))
+            .send({ method: 'manual' });
+
+        expect(response.status).toBe(403);
+        expect(attendanceService.getRegistrationEventId).toHaveBeenCalledWith(REG_ID);
+    });
+
+    it('lets the event organizer record a session check-in', async () => {
+        const response = await request(app)
+            .post(`/events/registrations/${REG_ID}/sessions/${SESSION_ID}/checkin`)
+            .set('Authorization', authorize(ORGANIZER_ID, 'organizer'))
+            .send({ method: 'manual' });
+
+        expect(response.status).toBe(200);
+    });
+
+    it('keeps bulk check-in to the registrations of the route event', async () => {
+        const response = await request(app)
+            .post(`/events/${EVENT_ID}/registrations/bulk/checkin`)
+            .set('Authorization', authorize(ORGANIZER_ID, 'organizer'))
+            .send({ registrationIds: [REG_ID] });
+
+        expect(response.status).toBe(200);
+        expect(registrationService.checkInUser).toHaveBeenCalledWith(
+            REG_ID,
+            { method: 'manual', verifiedBy: ORGANIZER_ID },
+            expect.objectContaining({ userId: ORGANIZER_ID }),
+            EVENT_ID
+        );
+    });
+});
+
+describe('registration answer updates', () => {
+    const fields = [
+        { name: 'motto', label: 'Motto', type: 'text', required: false },
+        { name: 'cv', label: 'CV', type: 'file', required: true },
+        { name: 'portfolio', label: 'Portfolio', type: 'file', required: false }
+    ];
+    const storedFile = (fieldName, fileName) => ({
+        fieldName,
+        fieldType: 'file',
+        value: { originalName: fileName, fileName, path: `uploads/registrations/${fileName}`, mimeType: 'application/pdf', size: 10 }
+    });
+
+    let registration;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisClient.get.mockResolvedValue(null);
+        Event.findById.mockReturnValue(mockQuery({ registration: { customFields: fields } }));
+        registration = {
+            user: { _id: ATTENDEE_ID },
+            event: { _id: EVENT_ID },
+            customFieldsData: [storedFile('cv', 'cv.pdf'), storedFile('portfolio', 'portfolio.pdf')],
+            save: jest.fn()
+        };
+        registrationService.getRegistrationById.mockResolvedValue(registration);
+    });
+
+    it('keeps uploaded files when only text answers change', async () => {
+        const response = await request(app)
+            .put(`/events/registrations/${REG_ID}`)
+            .set('Authorization', authorize(ATTENDEE_ID, 'student'))
+            .send({ customFields: [{ fieldName: 'motto', value: 'Learn by doing' }] });
+
+        expect(response.status).toBe(200);
+        expect(registration.customFieldsData).toEqual([
+            { fieldName: 'motto', fieldType: 'text', value: 'Learn by doing' },
+            storedFile('cv', 'cv.pdf'),
+            storedFile('portfolio', 'portfolio.pdf')
+        ]);
+        expect(registration.save).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,84 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/mockLogger'));
+// Image processing is not exercised here
+jest.mock('sharp', () => jest.fn());
+
+process.env.JWT_SECRET = 'test-secret';
+
+// The upload middleware creates its directories and a cleanup timer on load
+jest.spyOn(require('fs').promises, 'access').mockResolvedValue();
+jest.spyOn(global, 'setInterval').mockReturnValue(0);
+
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { fileUtils } = require('../../src/middleware/upload');
+const fileRoutes = require('../../src/routes/files');
+
+const FILE_PATH = 'uploads/registrations/reg-cv.pdf';
+
+const app = express();
+app.use('/files', fileRoutes);
+
+// Path of a signed link relative to the router mount
+const signedLink = (filePath, expiresIn = 60) =>
+    fileUtils.generateSecureUrl(filePath, expiresIn).replace(/^.*\/files\//, '/files/');
+
+describe('secure file routes', () => {
+    let download;
+
+    beforeEach(() => {
+        jest.spyOn(fileUtils, 'getFileInfo').mockResolvedValue({ isFile: true });
+        download = jest.spyOn(express.response, 'download').mockImplementation(function (filePath) {
+            this.json({ success: true, filePath });
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('serves a file through a valid signed link', async () => {
+        const response = await request(app).get(signedLink(FILE_PATH));
+
+        expect(response.status).toBe(200);
+        expect(download).toHaveBeenCalledWith(path.resolve(FILE_PATH), 'reg-cv.pdf');
+    });
+
+    it('refuses a tampered signature', async () => {
+        const link = signedLink(FILE_PATH).replace(/.$/, last => (last === '0' ? '1' : '0'));
+        const response = await request(app).get(link);
+
+        expect(response.status).toBe(403);
+        expect(download).not.toHaveBeenCalled();
+    });
+
+    it('refuses a link signed for another file', async () => {
+        const link = signedLink(FILE_PATH).replace(encodeURIComponent(FILE_PATH), encodeURIComponent('uploads/registrations/reg-other.pdf'));
+        const response = await request(app).get(link);
+
+        expect(response.status).toBe(403);
+        expect(download).not.toHaveBeenCalled();
+    });
+
+    it('refuses an expired link', async () => {
+        const response = await request(app).get(signedLink(FILE_PATH, -1));
+
+        expect(response.status).toBe(403);
+        expect(download).not.toHaveBeenCalled();
+    });
+
+    it('refuses signed paths outside the upload directory', async () => {
+        const response = await request(app).get(signedLink('uploads/../server.js'));
+
+        expect(response.status).toBe(403);
+        expect(download).not.toHaveBeenCalled();
+    });
+
+    it('answers 404 when the file is gone', async () => {
+        fileUtils.getFileInfo.mockResolvedValue(null);
+
+        const response = await request(app).get(signedLink(FILE_PATH));
+
+        expect(response.status).toBe(404);
+    });
+});
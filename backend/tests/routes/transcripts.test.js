@@ -0,0 +1,110 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/mockLogger'));
+jest.mock('../../src/config/redis', () => ({ get: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/analytics/transcriptService', () => ({
+    buildTranscript: jest.fn(),
+    issueTranscript: jest.fn(),
+    generatePDF: jest.fn(),
+    verifyTranscript: jest.fn(),
+    getActivitySummary: jest.fn(),
+    getCertificates: jest.fn()
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../../src/models/User');
+const redisClient = require('../../src/config/redis');
+const transcriptService = require('../../src/services/analytics/transcriptService');
+const transcriptRoutes = require('../../src/routes/transcripts');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const USER_ID = '64b000000000000000000010';
+
+const app = express();
+app.use('/transcripts', transcriptRoutes);
+
+const authorize = (role = 'student') => {
+    User.findById.mockReturnValue(mockQuery({ _id: USER_ID, role, status: 'active', save: jest.fn() }));
+    return `Bearer ${jwt.sign({ userId: USER_ID }, process.env.JWT_SECRET)}`;
+};
+
+describe('transcript routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisClient.get.mockResolvedValue(null);
+    });
+
+    it('verifies transcripts without authentication', async () => {
+        transcriptService.verifyTranscript.mockResolvedValue({ valid: true });
+
+        const response = await request(app).get('/transcripts/verify/0123456789ABCDEF');
+
+        expect(response.status).toBe(200);
+        expect(transcriptService.verifyTranscript).toHaveBeenCalledWith('0123456789ABCDEF');
+    });
+
+    it('requires authentication for personal records', async () => {
+        const response = await request(app).get('/transcripts/my/activity');
+
+        expect(response.status).toBe(401);
+        expect(transcriptService.getActivitySummary).not.toHaveBeenCalled();
+    });
+
+    it('returns own activity for the requested timeframe', async () => {
+        const summary = { activities: [], totals: { events: 0, hours: 0 }, skills: [] };
+        transcriptService.getActivitySummary.mockResolvedValue(summary);
+
+        const response = await request(app)
+            .get('/transcripts/my/activity?timeframe=90d')
+            .set('Authorization', authorize());
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual(summary);
+        expect(transcriptService.getActivitySummary.mock.calls[0][0].toString()).toBe(USER_ID);
+        expect(transcriptService.getActivitySummary.mock.calls[0][1]).toEqual({ timeframe: '90d' });
+    });
+
+    it('rejects an unknown timeframe', async () => {
+        const response = await request(app)
+            .get('/transcripts/my/activity?timeframe=5y')
+            .set('Authorization', authorize());
+
+        expect(response.status).toBe(400);
+        expect(transcriptService.getActivitySummary).not.toHaveBeenCalled();
+    });
+
+    it('returns own certificates', async () => {
+        transcriptService.getCertificates.mockResolvedValue([{ title: 'Workshop', verificationCode: 'ABC' }]);
+
+        const response = await request(app)
+            .get('/transcripts/my/certificates')
+            .set('Authorization', authorize('organizer'));
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual([{ title: 'Workshop', verificationCode: 'ABC' }]);
+    });
+
+    it('downloads the issued transcript as a PDF', async () => {
+        transcriptService.issueTranscript.mockResolvedValue({ verificationCode: '0123456789ABCDEF' });
+        transcriptService.generatePDF.mockResolvedValue(Buffer.from('%PDF-1.4'));
+
+        const response = await request(app)
+            .get('/transcripts/my?format=pdf')
+            .set('Authorization', authorize());
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('application/pdf');
+        expect(response.headers['content-disposition']).toContain('transcript_0123456789ABCDEF.pdf');
+    });
+
+    it('keeps other roles out', async () => {
+        const response = await request(app)
+            .get('/transcripts/my/certificates')
+            .set('Authorization', authorize('guest'));
+
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,49 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/services/events/registrationFormService', () => ({
+    getExportColumns: jest.fn(() => [{ key: 'motto', header: 'Motto', type: 'text' }]),
+    getExportValues: jest.fn((columns, answers) => ({ Motto: answers[0].value }))
+}));
+
+const XLSX = require('xlsx');
+const exportService = require('../../../src/services/analytics/exportService');
+
+const registration = (motto, fullName = 'Nguyen Van A') => ({
+    registrationNumber: 'REG-1',
+    user: { email: 'a@example.edu', profile: { fullName } },
+    status: 'approved',
+    payment: { status: 'paid', finalAmount: -5 },
+    customFieldsData: [{ fieldName: 'motto', value: motto }]
+});
+
+const readRows = (buffer, format) => {
+    const workbook = XLSX.read(buffer, { type: 'buffer', raw: format === 'csv' });
+    return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { raw: true });
+};
+
+describe('exportService formula escaping', () => {
+    it.each(['=HYPERLINK("http://evil")', '+1+1', '-2+3', '@SUM(A1)', '\t=1', '\r=1'])(
+        'keeps %j as text', async motto => {
+            const buffer = await exportService.exportRegistrations([registration(motto)], 'xlsx');
+            const [row] = readRows(buffer, 'xlsx');
+
+            expect(row.Motto).toBe(`'${motto}`);
+        }
+    );
+
+    it('escapes every text column in csv exports and leaves numbers alone', async () => {
+        const buffer = await exportService.exportRegistrations([registration('ok', '=cmd|calc')], 'csv');
+        const csv = buffer.toString();
+
+        expect(csv).toContain('\'=cmd|calc');
+        expect(csv).toContain(',ok');
+        expect(csv).toContain(',-5,');
+    });
+
+    it('leaves ordinary answers unchanged', async () => {
+        const buffer = await exportService.exportRegistrations([registration('Học tập 100%')], 'xlsx');
+        const [row] = readRows(buffer, 'xlsx');
+
+        expect(row.Motto).toBe('Học tập 100%');
+        expect(row.Amount).toBe(-5);
+    });
+});
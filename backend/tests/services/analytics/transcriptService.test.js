@@ -0,0 +1,125 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Attendance', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/Event', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/Certificate', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/Transcript', () => ({
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/services/events/attendanceService', () => ({
+    getExpectedDuration: jest.fn(() => 120)
+}));
+jest.mock('../../../src/services/events/trainingPointService', () => ({
+    getStatement: jest.fn()
+}));
+jest.mock('../../../src/services/qrCodeService', () => ({
+    generateSignature: jest.fn(data => `sig:${data}`),
+    generateQRCode: jest.fn(() => Promise.resolve('data:image/png;base64,'))
+}));
+jest.mock('../../../src/utils/browserPool', () => ({ withPage: jest.fn() }));
+
+const Attendance = require('../../../src/models/Attendance');
+const Event = require('../../../src/models/Event');
+const Certificate = require('../../../src/models/Certificate');
+const User = require('../../../src/models/User');
+const Transcript = require('../../../src/models/Transcript');
+const trainingPointService = require('../../../src/services/events/trainingPointService');
+const browserPool = require('../../../src/utils/browserPool');
+const transcriptService = require('../../../src/services/analytics/transcriptService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buildEvent = (id, daysAgo, skills = []) => ({
+    _id: id,
+    title: `Event ${id}`,
+    eventType: 'workshop',
+    schedule: {
+        startDate: new Date(Date.now() - daysAgo * DAY),
+        endDate: new Date(Date.now() - daysAgo * DAY + 2 * 60 * 60 * 1000)
+    },
+    rewards: { skills }
+});
+
+describe('transcriptService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        User.findById.mockReturnValue(mockQuery({
+            profile: { firstName: 'An', lastName: 'Nguyen' },
+            student: { studentId: 'SV001', faculty: 'IT', major: 'SE' }
+        }));
+        Attendance.find.mockReturnValue(mockQuery([
+            { event: buildEvent('e1', 10, ['teamwork']), totalDuration: 90 },
+            { event: buildEvent('e2', 200, ['public speaking', 'teamwork']), totalDuration: 120 }
+        ]));
+        Event.find.mockReturnValue(mockQuery([]));
+        Certificate.find.mockReturnValue(mockQuery([
+            { title: 'Workshop', eventTitle: 'Event e1', type: 'participation', issuedDate: new Date('2026-01-01'), verificationCode: 'CODE1' }
+        ]));
+        trainingPointService.getStatement.mockResolvedValue({ semesters: [] });
+    });
+
+    it('points the verification link at the transcript router under the API prefix', () => {
+        expect(transcriptService.getVerificationUrl('0123456789ABCDEF'))
+            .toBe(`${transcriptService.apiBaseUrl}/transcripts/verify/0123456789ABCDEF`);
+    });
+
+    it('summarizes activity within a timeframe', async () => {
+        const summary = await transcriptService.getActivitySummary('user1', { timeframe: '30d' });
+
+        expect(summary.activities.map(activity => activity.eventId)).toEqual(['e1']);
+        expect(summary.totals).toEqual({ events: 1, hours: 1.5 });
+        expect(summary.skills).toEqual(['teamwork']);
+    });
+
+    it('lists issued certificates with their verification codes', async () => {
+        const certificates = await transcriptService.getCertificates('user1');
+
+        expect(Certificate.find).toHaveBeenCalledWith({ user: 'user1', status: 'issued' });
+        expect(certificates).toEqual([expect.objectContaining({ title: 'Workshop', verificationCode: 'CODE1' })]);
+    });
+
+    it('builds the same content, and hash, for unchanged records', async () => {
+        const first = await transcriptService.buildTranscript('user1');
+        const second = await transcriptService.buildTranscript('user1');
+
+        expect(transcriptService.hashContent(first)).toBe(transcriptService.hashContent(second));
+    });
+
+    it('upserts the transcript on its content hash so repeat downloads reuse it', async () => {
+        const issued = { verificationCode: 'EXISTING' };
+        Transcript.findOneAndUpdate.mockResolvedValue(issued);
+
+        const transcript = await transcriptService.issueTranscript('user1');
+
+        const [filter, update, options] = Transcript.findOneAndUpdate.mock.calls[0];
+        const content = await transcriptService.buildTranscript('user1');
+        expect(filter).toEqual({ user: 'user1', contentHash: transcriptService.hashContent(content), status: 'issued' });
+        expect(update.$setOnInsert).toEqual(expect.objectContaining({ content }));
+        expect(options).toEqual({ upsert: true, new: true });
+        expect(transcript).toBe(issued);
+    });
+
+    it('returns the transcript a parallel download inserted first', async () => {
+        const issued = { verificationCode: 'PARALLEL' };
+        Transcript.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+        Transcript.findOne.mockResolvedValue(issued);
+
+        await expect(transcriptService.issueTranscript('user1')).resolves.toBe(issued);
+    });
+
+    it('renders the PDF on a pooled browser page', async () => {
+        const page = {
+            setContent: jest.fn().mockResolvedValue(),
+            pdf: jest.fn().mockResolvedValue(Buffer.from('%PDF'))
+        };
+        browserPool.withPage.mockImplementation(callback => callback(page));
+        const content = await transcriptService.buildTranscript('user1');
+
+        const pdf = await transcriptService.generatePDF({ verificationCode: '0123456789ABCDEF', content, issuedAt: new Date() });
+
+        expect(pdf.toString()).toBe('%PDF');
+        expect(page.setContent).toHaveBeenCalledWith(expect.stringContaining('/transcripts/verify/0123456789ABCDEF'), expect.any(Object));
+    });
+});
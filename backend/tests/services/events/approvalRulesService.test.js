@@ -0,0 +1,90 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Registration', () => ({
+    countDocuments: jest.fn()
+}));
+
+const Registration = require('../../../src/models/Registration');
+const approvalRulesService = require('../../../src/services/events/approvalRulesService');
+
+const buildEvent = (rules) => ({
+    _id: 'event1',
+    title: 'Hội thảo',
+    targetAudience: { faculties: ['CNTT', 'Toán'] },
+    registration: { approvalRules: rules }
+});
+
+const buildUser = (student = {}) => ({
+    _id: 'user1',
+    email: 'sv@example.edu.vn',
+    student: { faculty: 'CNTT', year: 3, gpa: 3.2, ...student }
+});
+
+const rule = (conditions, match = 'all') => ({ name: 'Tự duyệt', match, conditions });
+
+describe('approvalRulesService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('matches when every condition holds', async () => {
+        const event = buildEvent([rule([
+            { attribute: 'student.faculty', operator: 'in_target_audience' },
+            { attribute: 'student.gpa', operator: 'gte', value: 3 },
+            { attribute: 'student.year', operator: 'in', value: [3, 4] }
+        ])]);
+
+        const result = await approvalRulesService.evaluate(event, buildUser());
+
+        expect(result.rule.name).toBe('Tự duyệt');
+    });
+
+    it('explains why a rule did not match', async () => {
+        const event = buildEvent([rule([{ attribute: 'student.gpa', operator: 'gte', value: 3.5 }])]);
+
+        const result = await approvalRulesService.evaluate(event, buildUser());
+
+        expect(result.rule).toBeNull();
+        expect(result.reasons).toEqual(['Tự duyệt: GPA is 3.2, must be at least 3.5']);
+    });
+
+    it.each(['not_equals', 'not_in'])('does not treat a missing attribute as matching %s', async (operator) => {
+        const event = buildEvent([rule([{ attribute: 'student.major', operator, value: ['KTPM'] }])]);
+
+        const result = await approvalRulesService.evaluate(event, buildUser());
+
+        expect(result.rule).toBeNull();
+        expect(result.reasons).toEqual(['Tự duyệt: major is not provided']);
+    });
+
+    it('does not treat an empty multiselect answer as matching not_in', async () => {
+        const event = buildEvent([rule([{ attribute: 'customField', fieldName: 'topics', operator: 'not_in', value: ['AI'] }])]);
+
+        const result = await approvalRulesService.evaluate(event, buildUser(), [{ fieldName: 'topics', value: [] }]);
+
+        expect(result.rule).toBeNull();
+    });
+
+    it('applies not_in to provided values', async () => {
+        const event = buildEvent([rule([{ attribute: 'student.faculty', operator: 'not_in', value: ['Luật'] }])]);
+
+        const result = await approvalRulesService.evaluate(event, buildUser());
+
+        expect(result.rule).not.toBeNull();
+    });
+
+    it('counts attended events only when a rule needs them', async () => {
+        Registration.countDocuments.mockResolvedValue(2);
+        const event = buildEvent([
+            rule([{ attribute: 'student.gpa', operator: 'gte', value: 4 }]),
+            rule([{ attribute: 'attendedEvents', operator: 'gte', value: 2 }], 'any')
+        ]);
+
+        const result = await approvalRulesService.evaluate(event, buildUser());
+
+        expect(Registration.countDocuments).toHaveBeenCalledWith({ user: 'user1', event: { $ne: 'event1' }, status: 'attended' });
+        expect(result.rule).toBe(event.registration.approvalRules[1]);
+
+        await approvalRulesService.evaluate(buildEvent([rule([{ attribute: 'student.gpa', operator: 'gte', value: 3 }])]), buildUser());
+        expect(Registration.countDocuments).toHaveBeenCalledTimes(1);
+    });
+});
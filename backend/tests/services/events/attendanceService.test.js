@@ -0,0 +1,247 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Attendance', () => ({
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    aggregate: jest.fn(),
+    countDocuments: jest.fn(),
+    populate: jest.fn()
+}));
+jest.mock('../../../src/models/Registration', () => ({
+    findById: jest.fn(),
+    findOne: jest.fn()
+}));
+jest.mock('../../../src/models/Event', () => ({}));
+jest.mock('../../../src/services/qrCodeService', () => ({ verifyRotatingQRCode: jest.fn() }));
+jest.mock('../../../src/services/events/attendanceFraudService', () => ({}));
+jest.mock('../../../src/services/events/trainingPointService', () => ({}));
+
+const Attendance = require('../../../src/models/Attendance');
+const Registration = require('../../../src/models/Registration');
+const qrCodeService = require('../../../src/services/qrCodeService');
+const attendanceService = require('../../../src/services/events/attendanceService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const EVENT_ID = '64b000000000000000000001';
+const ATTENDANCE_ID = '64b000000000000000000002';
+
+describe('attendanceService ownership checks', () => {
+    const registration = {
+        _id: 'reg1',
+        event: {
+            _id: EVENT_ID,
+            organizer: 'organizer1',
+            coOrganizers: ['coorg1'],
+            qrCodeSettings: { mode: 'static' }
+        }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Registration.findOne.mockReturnValue(mockQuery(registration));
+        jest.spyOn(attendanceService, 'recordAttendance').mockResolvedValue({ _id: ATTENDANCE_ID });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('refuses a QR check-in by an organizer of another event', async () => {
+        await expect(attendanceService.qrCheckIn('static-code', {}, { userId: 'other', role: 'organizer' }))
+            .rejects.toMatchObject({ statusCode: 403 });
+
+        expect(attendanceService.recordAttendance).not.toHaveBeenCalled();
+    });
+
+    it('checks in for organizers, co-organizers and admins', async () => {
+        const actors = [
+            { userId: 'organizer1', role: 'organizer' },
+            { userId: 'coorg1', role: 'organizer' },
+            { userId: 'someone', role: 'admin' }
+        ];
+
+        for (const actor of actors) {
+            await attendanceService.qrCheckIn('static-code', {}, actor);
+        }
+
+        expect(attendanceService.recordAttendance).toHaveBeenCalledTimes(actors.length);
+        expect(attendanceService.recordAttendance).toHaveBeenCalledWith(expect.objectContaining({
+            event: EVENT_ID,
+            registration: 'reg1'
+        }));
+    });
+
+    it('resolves the event that owns an attendance record', async () => {
+        Attendance.findById.mockReturnValue(mockQuery({ event: EVENT_ID }));
+
+        await expect(attendanceService.getAttendanceEventId(ATTENDANCE_ID)).resolves.toBe(EVENT_ID);
+    });
+
+    it('reports unknown and malformed attendance IDs', async () => {
+        Attendance.findById.mockReturnValue(mockQuery(null));
+
+        await expect(attendanceService.getAttendanceEventId(ATTENDANCE_ID))
+            .rejects.toMatchObject({ statusCode: 404 });
+        await expect(attendanceService.getAttendanceEventId('nope'))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('attendanceService.recordAttendance ownership', () => {
+    const registration = {
+        _id: 'reg1',
+        status: 'approved',
+        user: 'attendee1',
+        event: { _id: EVENT_ID, organizer: 'organizer1', coOrganizers: [] }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Registration.findById.mockReturnValue(mockQuery(registration));
+        Attendance.findOne.mockResolvedValue({ addFlag: jest.fn() });
+    });
+
+    it('refuses a manual check-in by the attendee or another organizer', async () => {
+        for (const actor of [{ userId: 'attendee1', role: 'student' }, { userId: 'other', role: 'organizer' }]) {
+            await expect(attendanceService.recordAttendance({
+                registration: 'reg1',
+                checkIn: { method: 'manual', verifiedBy: actor.userId }
+            }, actor)).rejects.toMatchObject({ statusCode: 403 });
+        }
+
+        expect(Attendance.findOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses a registration of another event in a bulk check-in', async () => {
+        await expect(attendanceService.recordAttendance({
+            event: '64b0000000000000000000ff',
+            registration: 'reg1',
+            checkIn: { method: 'manual' }
+        }, { userId: 'organizer1', role: 'organizer' })).rejects.toThrow('Registration does not belong to this event');
+
+        expect(Attendance.findOne).not.toHaveBeenCalled();
+    });
+
+    it('lets the organizer through to the duplicate check', async () => {
+        await expect(attendanceService.recordAttendance({
+            registration: 'reg1',
+            checkIn: { method: 'manual', verifiedBy: 'organizer1' }
+        }, { userId: 'organizer1', role: 'organizer' })).rejects.toThrow('User already checked in');
+
+        expect(Attendance.findOne).toHaveBeenCalledWith({ event: EVENT_ID, user: 'attendee1' });
+    });
+
+    it('resolves the event that owns a registration', async () => {
+        Registration.findById.mockReturnValue(mockQuery({ event: EVENT_ID }));
+
+        await expect(attendanceService.getRegistrationEventId(ATTENDANCE_ID)).resolves.toBe(EVENT_ID);
+        await expect(attendanceService.getRegistrationEventId('nope')).rejects.toMatchObject({ statusCode: 400 });
+
+        Registration.findById.mockReturnValue(mockQuery(null));
+        await expect(attendanceService.getRegistrationEventId(ATTENDANCE_ID)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('attendanceService.resolveQRCode rotating codes', () => {
+    const scan = JSON.stringify({ type: 'registration_rotating', registrationId: ATTENDANCE_ID, token: '12345678' });
+    const registrationWith = checkIn => ({
+        _id: ATTENDANCE_ID,
+        checkIn,
+        event: { _id: EVENT_ID, qrCodeSettings: { mode: 'rotating', rotationSeconds: 30, clockSkewSteps: 1 } }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('rejects the scan when the attendee never opened their code', async () => {
+        for (const checkIn of [{}, { rotatingSecret: null }, undefined]) {
+            Registration.findById.mockReturnValue(mockQuery(registrationWith(checkIn)));
+
+            await expect(attendanceService.resolveQRCode(scan)).rejects.toThrow('Invalid QR code');
+        }
+        expect(qrCodeService.verifyRotatingQRCode).not.toHaveBeenCalled();
+    });
+
+    it('verifies the code against the registration secret', async () => {
+        const secret = '3132333435363738393031323334353637383930';
+        const registration = registrationWith({ rotatingSecret: secret });
+        Registration.findById.mockReturnValue(mockQuery(registration));
+        qrCodeService.verifyRotatingQRCode.mockResolvedValue({ valid: true });
+
+        await expect(attendanceService.resolveQRCode(scan)).resolves.toBe(registration);
+        expect(qrCodeService.verifyRotatingQRCode).toHaveBeenCalledWith(
+            expect.objectContaining({ registrationId: ATTENDANCE_ID }),
+            secret,
+            registration.event.qrCodeSettings
+        );
+    });
+});
+
+describe('attendanceService.getReviewQueue', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Attendance.aggregate.mockResolvedValue([{ _id: 'att1' }]);
+        Attendance.countDocuments.mockResolvedValue(45);
+        Attendance.populate.mockImplementation(records => Promise.resolve(records));
+    });
+
+    it('ranks by worst open flag and pages in the database', async () => {
+        const result = await attendanceService.getReviewQueue(EVENT_ID, { page: 3, limit: 20 });
+
+        const pipeline = Attendance.aggregate.mock.calls[0][0];
+        const stages = pipeline.map(stage => Object.keys(stage)[0]);
+        expect(stages).toEqual(['$match', '$addFields', '$sort', '$skip', '$limit', '$project']);
+        expect(pipeline[2].$sort).toMatchObject({ severityRank: 1 });
+        expect(pipeline[3].$skip).toBe(40);
+        expect(pipeline[4].$limit).toBe(20);
+
+        expect(result.items).toEqual([{ _id: 'att1' }]);
+        expect(result.pagination).toEqual({ page: 3, limit: 20, total: 45, pages: 3 });
+    });
+
+    it('filters on open flags of the requested severity and caps the page size', async () => {
+        await attendanceService.getReviewQueue(EVENT_ID, { severity: 'high', limit: 1000 });
+
+        const [{ $match: match }] = Attendance.aggregate.mock.calls[0][0];
+        expect(match.event.toString()).toBe(EVENT_ID);
+        expect(match.flags).toEqual({ $elemMatch: { resolved: false, severity: 'high' } });
+        expect(Attendance.countDocuments).toHaveBeenCalledWith(match);
+        expect(Attendance.aggregate.mock.calls[0][0][4].$limit).toBe(100);
+    });
+});
+
+describe('attendanceService.resolveFlaggedAttendance', () => {
+    const buildAttendance = () => {
+        const flag = { _id: 'flag1', type: 'location_mismatch', severity: 'high', resolved: false };
+        return {
+            _id: ATTENDANCE_ID,
+            flags: { id: jest.fn(() => flag) },
+            resolveFlag: jest.fn().mockResolvedValue()
+        };
+    };
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(attendanceService, 'syncTrainingPoints').mockResolvedValue();
+        jest.spyOn(attendanceService, 'saveAndSync').mockResolvedValue();
+    });
+
+    it('releases training points held by a dismissed flag', async () => {
+        const attendance = buildAttendance();
+        jest.spyOn(attendanceService, 'getAttendanceWithEvent').mockResolvedValue(attendance);
+
+        await attendanceService.resolveFlaggedAttendance(ATTENDANCE_ID, 'flag1', 'organizer1', { resolution: 'dismissed' });
+
+        expect(attendanceService.syncTrainingPoints).toHaveBeenCalledWith(attendance);
+        expect(attendanceService.saveAndSync).not.toHaveBeenCalled();
+    });
+
+    it('re-syncs voided attendance in full', async () => {
+        const attendance = buildAttendance();
+        jest.spyOn(attendanceService, 'getAttendanceWithEvent').mockResolvedValue(attendance);
+
+        await attendanceService.resolveFlaggedAttendance(ATTENDANCE_ID, 'flag1', 'organizer1', { resolution: 'voided' });
+
+        expect(attendanceService.saveAndSync).toHaveBeenCalledWith(attendance);
+    });
+});
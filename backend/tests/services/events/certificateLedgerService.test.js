@@ -0,0 +1,176 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Certificate', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/CertificateLedgerEntry', () => ({
+    findOne: jest.fn(),
+    find: jest.fn(),
+    create: jest.fn(),
+    exists: jest.fn(),
+    distinct: jest.fn()
+}));
+jest.mock('../../../src/models/CertificateLedgerRoot', () => ({ findOne: jest.fn(), create: jest.fn() }));
+// Real signing keys; TOTP helpers are not exercised here
+jest.mock('speakeasy', () => ({}), { virtual: true });
+
+const Certificate = require('../../../src/models/Certificate');
+const CertificateLedgerEntry = require('../../../src/models/CertificateLedgerEntry');
+const CertificateLedgerRoot = require('../../../src/models/CertificateLedgerRoot');
+const encryption = require('../../../src/utils/encryption');
+const certificateLedgerService = require('../../../src/services/events/certificateLedgerService');
+const { JWS_TYPES } = require('../../../src/utils/constants');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const certificate = (id, overrides = {}) => ({
+    _id: id,
+    certificateId: `CERT-${id}`,
+    verificationCode: `CODE${id}`,
+    user: 'u1',
+    event: 'e1',
+    type: 'participation',
+    recipientName: 'Nguyễn Văn A',
+    eventTitle: 'Hội thảo',
+    eventDate: '2025-03-01T00:00:00.000Z',
+    issuedDate: '2025-03-02T00:00:00.000Z',
+    status: 'issued',
+    ...overrides
+});
+
+const cursorOf = items => ({
+    lean: () => ({
+        cursor: () => (async function* () { yield* items; })()
+    })
+});
+
+describe('certificateLedgerService', () => {
+    let entries;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        entries = [];
+
+        CertificateLedgerEntry.findOne.mockImplementation(() => mockQuery(entries[entries.length - 1] || null));
+        CertificateLedgerEntry.create.mockImplementation(async entry => {
+            entries.push(entry);
+            return entry;
+        });
+        CertificateLedgerEntry.exists.mockImplementation(async filter => entries.some(
+            entry => entry.certificate === filter.certificate && entry.action === filter.action
+        ));
+        CertificateLedgerEntry.distinct.mockImplementation(async (field, filter) => entries
+            .filter(entry => entry.action === filter.action)
+            .map(entry => entry[field]));
+    });
+
+    describe('recording events', () => {
+        it('chains each entry to the previous one', async () => {
+            await certificateLedgerService.recordIssue(certificate('c1'));
+            await certificateLedgerService.recordIssue(certificate('c2'));
+
+            expect(entries.map(entry => entry.sequence)).toEqual([1, 2]);
+            expect(entries[0].previousHash).toBe('0'.repeat(64));
+            expect(entries[1].previousHash).toBe(entries[0].entryHash);
+            expect(entries[1].entryHash).toBe(certificateLedgerService.hashEntry(entries[1]));
+        });
+
+        it('writes an issue entry once', async () => {
+            await certificateLedgerService.recordIssue(certificate('c1'));
+            await expect(certificateLedgerService.recordIssue(certificate('c1'))).resolves.toBeNull();
+
+            expect(entries).toHaveLength(1);
+        });
+
+        it('records the missing issue before revoking a certificate from before the ledger', async () => {
+            const revoked = certificate('c1', { status: 'revoked', revokedReason: 'Duplicate' });
+
+            await certificateLedgerService.recordRevocation(revoked);
+
+            expect(entries.map(entry => entry.action)).toEqual(['issue', 'revoke']);
+        });
+
+        it('records the missing issue before expiring a certificate from before the ledger', async () => {
+            await certificateLedgerService.recordExpiry(certificate('c1', { status: 'expired' }));
+
+            expect(entries.map(entry => entry.action)).toEqual(['issue', 'expire']);
+        });
+
+        it('does not repeat the issue entry on revocation', async () => {
+            await certificateLedgerService.recordIssue(certificate('c1'));
+            await certificateLedgerService.recordRevocation(certificate('c1', { status: 'revoked' }));
+
+            expect(entries.map(entry => entry.action)).toEqual(['issue', 'revoke']);
+        });
+
+        it('retries on a sequence taken by a concurrent writer', async () => {
+            const taken = Object.assign(new Error('duplicate key'), { code: 11000 });
+            CertificateLedgerEntry.create.mockRejectedValueOnce(taken);
+
+            await certificateLedgerService.recordIssue(certificate('c1'));
+
+            expect(CertificateLedgerEntry.create).toHaveBeenCalledTimes(2);
+            expect(entries).toHaveLength(1);
+        });
+    });
+
+    describe('backfillIssues', () => {
+        it('adds issue entries only for certificates that have none', async () => {
+            await certificateLedgerService.recordIssue(certificate('c1'));
+            Certificate.find.mockImplementation(() => cursorOf([
+                certificate('c1'),
+                certificate('c2'),
+                certificate('c3', { status: 'revoked' })
+            ]));
+
+            await expect(certificateLedgerService.backfillIssues()).resolves.toBe(2);
+            expect(Certificate.find).toHaveBeenCalledWith({ status: { $ne: 'draft' } });
+            expect(entries.map(entry => [entry.certificate, entry.action])).toEqual([
+                ['c1', 'issue'],
+                ['c2', 'issue'],
+                ['c3', 'issue']
+            ]);
+
+            await expect(certificateLedgerService.backfillIssues()).resolves.toBe(0);
+            expect(entries).toHaveLength(3);
+        });
+
+        it('hashes the certificate as it stands, so it matches the ledger afterwards', async () => {
+            const revoked = certificate('c1', { status: 'revoked', revokedReason: 'Duplicate' });
+            Certificate.find.mockImplementation(() => cursorOf([revoked]));
+
+            await certificateLedgerService.backfillIssues();
+
+            expect(entries[0].recordHash).toBe(certificateLedgerService.hashRecord(revoked));
+        });
+    });
+
+    describe('Merkle roots', () => {
+        const fold = (entryHash, path) => path.reduce((hash, step) => (step.side === 'right'
+            ? certificateLedgerService.hashNode(hash, step.hash)
+            : certificateLedgerService.hashNode(step.hash, hash)), certificateLedgerService.hashLeaf(entryHash));
+
+        it('gives every leaf a proof that folds up to the root', () => {
+            const hashes = Array.from({ length: 7 }, (value, index) => encryption.hash(`entry-${index}`));
+            const root = certificateLedgerService.computeMerkleRoot(hashes);
+
+            hashes.forEach((hash, index) => {
+                expect(fold(hash, certificateLedgerService.computeMerkleProof(hashes, index))).toBe(root);
+            });
+            expect(fold(encryption.hash('forged'), certificateLedgerService.computeMerkleProof(hashes, 0))).not.toBe(root);
+        });
+
+        it('seals unsealed entries under a typed, signed root', async () => {
+            await certificateLedgerService.recordIssue(certificate('c1'));
+            await certificateLedgerService.recordIssue(certificate('c2'));
+            CertificateLedgerRoot.findOne.mockReturnValue(mockQuery(null));
+            CertificateLedgerEntry.find.mockReturnValue(mockQuery(entries));
+
+            await expect(certificateLedgerService.sealLedger()).resolves.toBe(1);
+
+            const root = CertificateLedgerRoot.create.mock.calls[0][0];
+            expect(root).toMatchObject({ index: 1, fromSequence: 1, toSequence: 2, leafCount: 2 });
+            expect(root.merkleRoot).toBe(certificateLedgerService.computeMerkleRoot(entries.map(entry => entry.entryHash)));
+            expect(encryption.verifyJWS(root.signature, { typ: JWS_TYPES.LEDGER_ROOT })).toMatchObject({
+                valid: true,
+                payload: certificateLedgerService.rootPayload(root)
+            });
+        });
+    });
+});
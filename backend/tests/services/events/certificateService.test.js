@@ -0,0 +1,528 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Certificate', () => ({ findOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../../../src/models/CertificateTemplate', () => ({}));
+jest.mock('../../../src/models/CertificateBatch', () => ({
+    create: jest.fn(),
+    find: jest.fn(),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn()
+}));
+jest.mock('../../../src/models/Registration', () => ({ find: jest.fn(), findOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../../../src/models/Event', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/services/qrCodeService', () => ({}));
+jest.mock('../../../src/services/events/certificateLedgerService', () => ({
+    recordIssue: jest.fn(),
+    recordRevocation: jest.fn()
+}));
+jest.mock('../../../src/services/events/certificateStatusService', () => ({ notifyRevocation: jest.fn() }));
+// Real signing keys; TOTP helpers are not exercised here
+jest.mock('speakeasy', () => ({}), { virtual: true });
+jest.mock('../../../src/config/storage', () => ({
+    getFileUrl: jest.fn(key => `https://assets.example.edu/${key}`)
+}));
+jest.mock('../../../src/utils/browserPool', () => ({ withPage: jest.fn() }));
+
+const Certificate = require('../../../src/models/Certificate');
+const CertificateBatch = require('../../../src/models/CertificateBatch');
+const Registration = require('../../../src/models/Registration');
+const Event = require('../../../src/models/Event');
+const User = require('../../../src/models/User');
+const certificateLedgerService = require('../../../src/services/events/certificateLedgerService');
+const certificateStatusService = require('../../../src/services/events/certificateStatusService');
+const browserPool = require('../../../src/utils/browserPool');
+const encryption = require('../../../src/utils/encryption');
+const certificateService = require('../../../src/services/events/certificateService');
+const { ValidationError, NotFoundError, PermissionError } = require('../../../src/utils/errors');
+const { mockQuery } = require('../../helpers/mockQuery');
+const { JWS_TYPES } = require('../../../src/utils/constants');
+
+const REQUIRED = '<p>{{recipientName}}</p><p>{{verificationCode}}</p>';
+
+const rejects = (html, css) => expect(() => certificateService.validateTemplateMarkup(html, css)).toThrow(ValidationError);
+
+describe('certificateService.validateTemplateMarkup', () => {
+    beforeEach(() => {
+        process.env.BACKEND_URL = 'http://localhost:5000';
+        delete process.env.CERTIFICATE_ASSET_HOSTS;
+    });
+
+    it('accepts an ordinary layout with asset placeholders', () => {
+        const html = `<!DOCTYPE html><html><head><style>.title { font-size: 32px; }</style></head>
+            <body style="background-image: url('{{backgroundImage}}')">
+                <div class="title">Chứng nhận</div>${REQUIRED}
+                <img src="{{logoImage}}" alt="logo" width="120">
+                <img src="https://assets.example.edu/certificates/templates/seal.png">
+                <a href="{{verificationUrl}}">Verify</a>
+            </body></html>`;
+
+        expect(certificateService.validateTemplateMarkup(html, 'body { margin: 0; }').sort())
+            .toEqual(['backgroundImage', 'logoImage', 'recipientName', 'verificationCode', 'verificationUrl']);
+    });
+
+    it.each([
+        ['svg with an onload handler', '<svg/onload=alert(1)>'],
+        ['meta refresh to a local file', '<meta http-equiv=refresh content="0;url=file:///etc/passwd">'],
+        ['object loading a local file', '<object data=file:///etc/passwd></object>'],
+        ['script', '<script>fetch("http://169.254.169.254/")</script>'],
+        ['iframe', '<iframe src="http://localhost:5000/"></iframe>'],
+        ['base tag', '<base href="http://evil.example/">'],
+        ['event handler attribute', '<img src="{{logoImage}}" onerror="alert(1)">'],
+        ['attributes without whitespace', '<img src="{{logoImage}}"onerror="alert(1)">'],
+        ['namespaced tag', '<svg:svg></svg:svg>'],
+        ['comment', '<!--><img src=x onerror=alert(1)>-->'],
+        ['local file image', '<img src="file:///etc/passwd">'],
+        ['entity-encoded scheme', '<a href="javascript&colon;alert(1)">x</a>'],
+        ['foreign image host', '<img src="http://169.254.169.254/latest/meta-data/">'],
+        ['relative image', '<img src="/etc/passwd">'],
+        ['svg data image', '<img src="data:image/svg+xml;base64,PHN2Zz4=">'],
+        ['unquoted placeholder', '<img src={{logoImage}}>'],
+        ['text placeholder as image', '<img src="{{recipientName}}">'],
+        ['foreign url() in a style attribute', '<div style="background:url(file:///etc/passwd)"></div>'],
+        ['@import in a style element', '<style>@import "http://evil.example/x.css";</style>']
+    ])('rejects %s', (label, markup) => {
+        rejects(`${REQUIRED}${markup}`);
+    });
+
+    it.each([
+        ['markup that closes the style element', '</style><script>alert(1)</script>'],
+        ['@import', '@import url("http://evil.example/a.css");'],
+        ['a foreign url()', '.bg { background: url("http://evil.example/a.png"); }'],
+        ['a local file url()', '@font-face { font-family: x; src: url(file:///etc/passwd); }'],
+        ['CSS escapes', '.bg { background: \\75 rl(http://evil.example/a.png); }'],
+        ['image-set()', '.bg { background: image-set("http://evil.example/a.png" 1x); }']
+    ])('rejects CSS with %s', (label, css) => {
+        rejects(REQUIRED, css);
+    });
+
+    it('allows hosts listed in CERTIFICATE_ASSET_HOSTS', () => {
+        const html = `${REQUIRED}<img src="https://cdn.example.org/seal.png">`;
+        rejects(html);
+
+        process.env.CERTIFICATE_ASSET_HOSTS = 'cdn.example.org';
+        expect(certificateService.validateTemplateMarkup(html)).toEqual(['recipientName', 'verificationCode']);
+    });
+
+    it('still requires known placeholders', () => {
+        rejects('<p>{{recipientName}}</p>');
+        rejects(`${REQUIRED}{{password}}`);
+    });
+});
+
+describe('certificateService.renderPDF', () => {
+    const fakePage = () => {
+        const page = {
+            handlers: {},
+            setJavaScriptEnabled: jest.fn(),
+            setRequestInterception: jest.fn(),
+            on: jest.fn((event, handler) => { page.handlers[event] = handler; }),
+            setContent: jest.fn(),
+            pdf: jest.fn().mockResolvedValue(Buffer.from('pdf'))
+        };
+        return page;
+    };
+
+    const request = url => ({
+        url: () => url,
+        continue: jest.fn(),
+        abort: jest.fn()
+    });
+
+    beforeEach(() => {
+        process.env.BACKEND_URL = 'http://localhost:5000';
+        process.env.FRONTEND_URL = 'http://localhost:3000';
+        process.env.CERTIFICATE_ASSET_HOSTS = 'cdn.example.org';
+    });
+
+    it('prints with JavaScript off and only loads allowlisted resources', async () => {
+        const page = fakePage();
+        browserPool.withPage.mockImplementation(callback => callback(page));
+
+        const pdf = await certificateService.renderPDF('<p>Hi</p>');
+
+        expect(pdf.toString()).toBe('pdf');
+        expect(page.setJavaScriptEnabled).toHaveBeenCalledWith(false);
+        expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+        expect(page.setJavaScriptEnabled.mock.invocationCallOrder[0])
+            .toBeLessThan(page.setContent.mock.invocationCallOrder[0]);
+        expect(page.on.mock.invocationCallOrder[0])
+            .toBeLessThan(page.setContent.mock.invocationCallOrder[0]);
+
+        const allowed = [
+            'about:blank',
+            'data:image/png;base64,AAAA',
+            'http://localhost:5000/uploads/certificates/templates/1/logo.png',
+            'https://assets.example.edu/certificates/templates/1/background.png',
+            'https://cdn.example.org/fonts/a.woff2'
+        ];
+        const blocked = [
+            'file:///etc/passwd',
+            'http://169.254.169.254/latest/meta-data/',
+            'http://localhost:6379/',
+            'https://evil.example/a.png',
+            'ftp://assets.example.edu/a.png',
+            'chrome://settings'
+        ];
+
+        for (const url of allowed) {
+            const allowedRequest = request(url);
+            page.handlers.request(allowedRequest);
+            expect(allowedRequest.continue).toHaveBeenCalled();
+            expect(allowedRequest.abort).not.toHaveBeenCalled();
+        }
+        for (const url of blocked) {
+            const blockedRequest = request(url);
+            page.handlers.request(blockedRequest);
+            expect(blockedRequest.abort).toHaveBeenCalled();
+            expect(blockedRequest.continue).not.toHaveBeenCalled();
+        }
+    });
+});
+
+describe('certificateService bulk batches', () => {
+    const eventId = '64b000000000000000000001';
+    const issuerId = '64b000000000000000000002';
+    const batchId = '64b000000000000000000003';
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('createCertificateBatch', () => {
+        it('defaults to attendees without a certificate and drops duplicates', async () => {
+            Event.findById.mockResolvedValue({ _id: eventId, rewards: { certificateType: 'participation' } });
+            Registration.find.mockReturnValue(mockQuery([{ user: 'u1' }, { user: 'u2' }, { user: 'u1' }]));
+            CertificateBatch.create.mockImplementation(async doc => ({ _id: batchId, ...doc }));
+
+            const batch = await certificateService.createCertificateBatch(eventId, [], { skills: ['x'] }, issuerId);
+
+            expect(Registration.find).toHaveBeenCalledWith({
+                event: eventId,
+                status: 'attended',
+                'certificate.issued': { $ne: true }
+            });
+            expect(batch.total).toBe(2);
+            expect(batch.recipients.map(recipient => recipient.user)).toEqual(['u1', 'u2']);
+            expect(batch.certificateData).toEqual({ skills: ['x'], type: 'participation' });
+        });
+
+        it('refuses events that do not issue certificates', async () => {
+            Event.findById.mockResolvedValue({ _id: eventId, rewards: { certificateType: 'none' } });
+
+            await expect(certificateService.createCertificateBatch(eventId, [{ userId: 'u1' }], {}, issuerId))
+                .rejects.toThrow(ValidationError);
+            expect(CertificateBatch.create).not.toHaveBeenCalled();
+        });
+
+        it('refuses an empty run', async () => {
+            Event.findById.mockResolvedValue({ _id: eventId, rewards: { certificateType: 'participation' } });
+            Registration.find.mockReturnValue(mockQuery([]));
+
+            await expect(certificateService.createCertificateBatch(eventId, undefined, {}, issuerId))
+                .rejects.toThrow('No recipients to generate certificates for');
+        });
+    });
+
+    describe('generateBatchCertificate', () => {
+        const batchWith = recipient => ({
+            event: eventId,
+            issuedBy: issuerId,
+            certificateData: { type: 'participation' },
+            recipients: recipient ? [recipient] : []
+        });
+
+        it('does nothing for a recipient whose outcome is already recorded', async () => {
+            CertificateBatch.findById.mockResolvedValue(batchWith({ user: 'u1', status: 'done' }));
+
+            await expect(certificateService.generateBatchCertificate(batchId, 'u1')).resolves.toBeNull();
+            expect(Registration.findOne).not.toHaveBeenCalled();
+        });
+
+        it('fails permanently for a user outside the batch', async () => {
+            CertificateBatch.findById.mockResolvedValue(batchWith(null));
+
+            await expect(certificateService.generateBatchCertificate(batchId, 'u9')).rejects.toThrow(NotFoundError);
+        });
+
+        it('finishes a certificate saved by a crashed attempt instead of issuing a second one', async () => {
+            const registration = { _id: 'r1' };
+            const existing = { _id: 'c1', fileUrl: null };
+            CertificateBatch.findById.mockResolvedValue(batchWith({ user: 'u1', status: 'pending' }));
+            Registration.findOne.mockResolvedValue(registration);
+            Certificate.findOne.mockResolvedValue(existing);
+            const complete = jest.spyOn(certificateService, 'completeCertificate').mockResolvedValue(existing);
+            const generate = jest.spyOn(certificateService, 'generateCertificate');
+
+            await expect(certificateService.generateBatchCertificate(batchId, 'u1')).resolves.toBe(existing);
+            expect(Certificate.findOne).toHaveBeenCalledWith({ registration: 'r1', award: { $ne: true } });
+            expect(complete).toHaveBeenCalledWith(existing, registration);
+            expect(generate).not.toHaveBeenCalled();
+
+            complete.mockRestore();
+            generate.mockRestore();
+        });
+
+        it('re-records the ledger entry for a certificate that was fully written', async () => {
+            const existing = { _id: 'c1', fileUrl: '/certificates/c1.pdf' };
+            CertificateBatch.findById.mockResolvedValue(batchWith({ user: 'u1', status: 'pending' }));
+            Registration.findOne.mockResolvedValue({ _id: 'r1' });
+            Certificate.findOne.mockResolvedValue(existing);
+
+            await certificateService.generateBatchCertificate(batchId, 'u1');
+
+            expect(certificateLedgerService.recordIssue).toHaveBeenCalledWith(existing);
+        });
+
+        it('generates with the batch data overridden by the recipient data', async () => {
+            CertificateBatch.findById.mockResolvedValue(batchWith({
+                user: 'u1',
+                status: 'pending',
+                customData: { grade: 'A' }
+            }));
+            Registration.findOne.mockResolvedValue({ _id: 'r1' });
+            Certificate.findOne.mockResolvedValue(null);
+            const generate = jest.spyOn(certificateService, 'generateCertificate').mockResolvedValue({ _id: 'c2' });
+
+            await expect(certificateService.generateBatchCertificate(batchId, 'u1')).resolves.toEqual({ _id: 'c2' });
+            expect(generate).toHaveBeenCalledWith({
+                type: 'participation',
+                grade: 'A',
+                user: 'u1',
+                event: eventId,
+                registration: 'r1'
+            }, issuerId);
+
+            generate.mockRestore();
+        });
+    });
+
+    describe('recordBatchResult', () => {
+        it('counts a recipient once and only while it is pending', async () => {
+            CertificateBatch.findOneAndUpdate.mockResolvedValueOnce(null);
+
+            await expect(certificateService.recordBatchResult(batchId, 'u1', { status: 'done', attempts: 1 }))
+                .resolves.toBeNull();
+
+            const [filter, update] = CertificateBatch.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: batchId, recipients: { $elemMatch: { user: 'u1', status: 'pending' } } });
+            expect(update.$inc).toEqual({ succeeded: 1 });
+        });
+
+        it('completes the batch with its last outcome', async () => {
+            CertificateBatch.findOneAndUpdate
+                .mockResolvedValueOnce({ _id: batchId, status: 'processing', total: 2, succeeded: 1, failed: 1 })
+                .mockResolvedValueOnce({ _id: batchId, status: 'completed', total: 2, succeeded: 1, failed: 1 });
+
+            const batch = await certificateService.recordBatchResult(batchId, 'u2', {
+                status: 'failed',
+                error: 'Render failed',
+                attempts: 3
+            });
+
+            expect(batch.status).toBe('completed');
+            const [, update] = CertificateBatch.findOneAndUpdate.mock.calls[0];
+            expect(update.$inc).toEqual({ failed: 1 });
+            expect(update.$set['recipients.$.error']).toBe('Render failed');
+            expect(CertificateBatch.findOneAndUpdate.mock.calls[1][0]).toEqual({ _id: batchId, status: { $ne: 'completed' } });
+        });
+    });
+
+    describe('getResumableBatches', () => {
+        it('returns pending recipients and closes batches with none left', async () => {
+            CertificateBatch.find.mockReturnValue(mockQuery([
+                { _id: 'b1', recipients: [{ user: 'u1', status: 'done' }, { user: 'u2', status: 'pending' }] },
+                { _id: 'b2', recipients: [{ user: 'u3', status: 'failed' }] }
+            ]));
+
+            await expect(certificateService.getResumableBatches()).resolves.toEqual([{ batchId: 'b1', userIds: ['u2'] }]);
+            expect(CertificateBatch.updateOne).toHaveBeenCalledWith(
+                { _id: 'b2' },
+                expect.objectContaining({ status: 'completed' })
+            );
+        });
+    });
+
+    describe('getCertificateBatch', () => {
+        const storedBatch = {
+            _id: batchId,
+            event: eventId,
+            issuedBy: { toString: () => issuerId },
+            status: 'processing',
+            total: 3,
+            succeeded: 1,
+            failed: 1,
+            recipients: [
+                { user: 'u1', status: 'done', attempts: 1 },
+                { user: 'u2', status: 'failed', attempts: 3, error: 'Render failed' },
+                { user: 'u3', status: 'pending', attempts: 0 }
+            ]
+        };
+
+        it('reports done, failed and pending counts to the issuer', async () => {
+            CertificateBatch.findById.mockReturnValue(mockQuery(storedBatch));
+            User.findById.mockResolvedValue({ _id: issuerId, role: 'organizer' });
+
+            const progress = await certificateService.getCertificateBatch(batchId, issuerId);
+
+            expect(progress).toMatchObject({ total: 3, succeeded: 1, failed: 1, pending: 1 });
+            expect(progress.failures).toEqual([{ user: 'u2', error: 'Render failed', attempts: 3 }]);
+        });
+
+        it('hides the batch from other organizers', async () => {
+            CertificateBatch.findById.mockReturnValue(mockQuery(storedBatch));
+            User.findById.mockResolvedValue({ _id: 'someone-else', role: 'organizer' });
+
+            await expect(certificateService.getCertificateBatch(batchId, 'someone-else')).rejects.toThrow(PermissionError);
+        });
+    });
+});
+
+describe('certificateService signature verification', () => {
+    const certificate = {
+        certificateId: 'CERT-2025-0001',
+        verificationCode: 'ABCD1234',
+        recipientName: 'Nguyễn Văn A',
+        eventTitle: 'Hội thảo',
+        eventDate: '2025-03-01T00:00:00.000Z',
+        type: 'participation',
+        organization: { name: 'Student Event Management' },
+        issuedDate: '2025-03-02T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Certificate.findOne.mockReturnValue(mockQuery({ status: 'active', isValid: () => true }));
+    });
+
+    it('accepts a certificate signature, typed or signed before typ was set', async () => {
+        const payload = certificateService.buildSignedPayload(certificate);
+
+        for (const signature of [
+            encryption.signJWS(payload, { typ: JWS_TYPES.CERTIFICATE }),
+            encryption.signJWS(payload)
+        ]) {
+            const result = await certificateService.verifyCertificateSignature(signature);
+            expect(result).toMatchObject({ valid: true, status: 'valid' });
+            expect(result.payload.certificateId).toBe('CERT-2025-0001');
+        }
+    });
+
+    it.each([
+        ['a credential JWT', () => encryption.signJWS({ iss: 'x', vc: { type: ['VerifiableCredential'] } }, { typ: JWS_TYPES.CREDENTIAL }), 'wrong_type'],
+        ['a status list JWT', () => encryption.signJWS({ vc: { type: ['StatusList2021Credential'] } }, { typ: JWS_TYPES.CREDENTIAL }), 'wrong_type'],
+        ['a ledger root', () => encryption.signJWS({ index: 1, merkleRoot: 'ab' }, { typ: JWS_TYPES.LEDGER_ROOT }), 'wrong_type'],
+        ['an untyped ledger root', () => encryption.signJWS({ index: 1, merkleRoot: 'ab', verificationCode: 'ABCD1234' }), 'not_a_certificate'],
+        ['a certificate-typed token without a certificate payload', () => encryption.signJWS({ verificationCode: 'ABCD1234' }, { typ: JWS_TYPES.CERTIFICATE }), 'not_a_certificate']
+    ])('rejects %s signed with the same key', async (label, sign, reason) => {
+        const result = await certificateService.verifyCertificateSignature(sign());
+
+        expect(result).toMatchObject({ valid: false, reason, status: null });
+        expect(result.payload).toBeUndefined();
+        expect(Certificate.findOne).not.toHaveBeenCalled();
+    });
+
+    it('does not treat a foreign token stored on a certificate as its signature', () => {
+        const stored = {
+            ...certificate,
+            digitalSignature: encryption.signJWS(certificateService.buildSignedPayload(certificate), { typ: JWS_TYPES.LEDGER_ROOT })
+        };
+
+        expect(certificateService.checkCertificateSignature(stored)).toMatchObject({ signed: true, valid: false });
+    });
+});
+
+describe('certificateService.revokeCertificate', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('revokes, records the revocation in the ledger and tells the holder', async () => {
+        const certificate = { certificateId: 'CERT-1', status: 'issued', revoke: jest.fn() };
+        Certificate.findById.mockResolvedValue(certificate);
+
+        await certificateService.revokeCertificate('c1', 'Issued in error', 'admin1');
+
+        expect(certificate.revoke).toHaveBeenCalledWith('admin1', 'Issued in error');
+        expect(certificateLedgerService.recordRevocation).toHaveBeenCalledWith(certificate);
+        expect(certificateStatusService.notifyRevocation).toHaveBeenCalledWith(certificate);
+        expect(certificate.revoke.mock.invocationCallOrder[0])
+            .toBeLessThan(certificateLedgerService.recordRevocation.mock.invocationCallOrder[0]);
+    });
+
+    it('refuses to revoke twice', async () => {
+        Certificate.findById.mockResolvedValue({ status: 'revoked', revoke: jest.fn() });
+
+        await expect(certificateService.revokeCertificate('c1', 'again', 'admin1')).rejects.toThrow(ValidationError);
+        expect(certificateLedgerService.recordRevocation).not.toHaveBeenCalled();
+        expect(certificateStatusService.notifyRevocation).not.toHaveBeenCalled();
+    });
+});
+
+describe('certificateService placement awards', () => {
+    const registration = () => ({ _id: 'r1', certificate: {}, save: jest.fn() });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        User.findById.mockResolvedValue({ _id: 'u1' });
+        Event.findById.mockResolvedValue({ _id: 'e1' });
+        Registration.findById.mockResolvedValue(registration());
+        jest.spyOn(certificateService, 'validateCertificateEligibility').mockResolvedValue({ eligible: true });
+        Certificate.findOne.mockResolvedValue({ _id: 'c1' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const data = { user: 'u1', event: 'e1', registration: 'r1', type: 'excellence' };
+
+    it('does not count an award when checking for the regular certificate', async () => {
+        await expect(certificateService.generateCertificate(data, 'org1')).rejects.toThrow('Certificate already exists');
+
+        expect(Certificate.findOne).toHaveBeenCalledWith({
+            user: 'u1',
+            event: 'e1',
+            registration: 'r1',
+            award: { $ne: true }
+        });
+    });
+
+    it('only counts an award of the same type when issuing an award', async () => {
+        await expect(certificateService.generateCertificate(data, 'org1', { award: true })).rejects.toThrow(ValidationError);
+
+        expect(Certificate.findOne).toHaveBeenCalledWith({
+            user: 'u1',
+            event: 'e1',
+            registration: 'r1',
+            award: true,
+            type: 'excellence'
+        });
+    });
+
+    it('leaves the registration pointing at its regular certificate when an award is completed', async () => {
+        jest.spyOn(certificateService, 'generateCertificatePDF').mockResolvedValue(Buffer.from('pdf'));
+        jest.spyOn(certificateService, 'saveCertificatePDF').mockResolvedValue('/certificates/award.pdf');
+        const award = { _id: 'c2', certificateId: 'CERT-2', award: true, digitalSignature: 'signed', save: jest.fn() };
+        const entrant = registration();
+
+        await certificateService.completeCertificate(award, entrant);
+
+        expect(award.save).toHaveBeenCalled();
+        expect(certificateLedgerService.recordIssue).toHaveBeenCalledWith(award);
+        expect(entrant.save).not.toHaveBeenCalled();
+        expect(entrant.certificate).toEqual({});
+    });
+
+    it('marks the registration certified when its regular certificate is completed', async () => {
+        jest.spyOn(certificateService, 'generateCertificatePDF').mockResolvedValue(Buffer.from('pdf'));
+        jest.spyOn(certificateService, 'saveCertificatePDF').mockResolvedValue('/certificates/c1.pdf');
+        const certificate = { _id: 'c1', certificateId: 'CERT-1', award: false, digitalSignature: 'signed', save: jest.fn() };
+        const entrant = registration();
+
+        await certificateService.completeCertificate(certificate, entrant);
+
+        expect(entrant.certificate).toMatchObject({ issued: true, certificateId: 'CERT-1' });
+        expect(entrant.save).toHaveBeenCalled();
+    });
+});
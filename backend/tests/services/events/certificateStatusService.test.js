@@ -0,0 +1,193 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Certificate', () => ({
+    findOne: jest.fn(),
+    find: jest.fn(),
+    countDocuments: jest.fn(),
+    updateOne: jest.fn()
+}));
+jest.mock('../../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../../src/services/events/certificateLedgerService', () => ({ recordExpiry: jest.fn() }));
+jest.mock('../../../src/services/notifications/emailService', () => ({ sendEmail: jest.fn() }));
+
+const Certificate = require('../../../src/models/Certificate');
+const Notification = require('../../../src/models/Notification');
+const certificateLedgerService = require('../../../src/services/events/certificateLedgerService');
+const emailService = require('../../../src/services/notifications/emailService');
+const certificateStatusService = require('../../../src/services/events/certificateStatusService');
+const { NotFoundError } = require('../../../src/utils/errors');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Mongoose cursors are async iterables
+const cursorOf = items => ({
+    cursor: () => (async function* () { yield* items; })()
+});
+
+describe('certificateStatusService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getStatus', () => {
+        it('looks up a certificate ID and a verification code by their own fields', async () => {
+            Certificate.findOne.mockReturnValue(mockQuery({ certificateId: 'CERT-1700000000-AB12', status: 'issued' }));
+
+            await certificateStatusService.getStatus('cert-1700000000-ab12');
+            await certificateStatusService.getStatus('abcd1234');
+
+            expect(Certificate.findOne.mock.calls[0][0]).toEqual({ certificateId: 'CERT-1700000000-AB12', status: { $ne: 'draft' } });
+            expect(Certificate.findOne.mock.calls[1][0]).toEqual({ verificationCode: 'ABCD1234', status: { $ne: 'draft' } });
+        });
+
+        it('reports the revocation reason and date', async () => {
+            const revokedDate = new Date('2025-04-01');
+            Certificate.findOne.mockReturnValue(mockQuery({
+                certificateId: 'CERT-1',
+                status: 'revoked',
+                revokedDate,
+                revokedReason: 'Issued in error'
+            }));
+
+            await expect(certificateStatusService.getStatus('ABCD1234')).resolves.toMatchObject({
+                status: 'revoked',
+                revokedDate,
+                reason: 'Issued in error'
+            });
+        });
+
+        it('reports a passed expiry date before the expiry job has run', async () => {
+            Certificate.findOne.mockReturnValue(mockQuery({
+                certificateId: 'CERT-1',
+                status: 'issued',
+                expiryDate: new Date(Date.now() - DAY),
+                revokedReason: 'stale'
+            }));
+
+            await expect(certificateStatusService.getStatus('ABCD1234')).resolves.toMatchObject({
+                status: 'expired',
+                reason: null,
+                revokedDate: null
+            });
+        });
+
+        it('hides drafts and unknown certificates', async () => {
+            Certificate.findOne.mockReturnValue(mockQuery(null));
+
+            await expect(certificateStatusService.getStatus('ABCD1234')).rejects.toThrow(NotFoundError);
+        });
+    });
+
+    describe('getRevocationList', () => {
+        it('pages revocations newest first and caps the page size', async () => {
+            const query = mockQuery([{ certificateId: 'CERT-2', revokedDate: new Date('2025-04-02'), revokedReason: null }]);
+            Certificate.find.mockReturnValue(query);
+            Certificate.countDocuments.mockResolvedValue(1001);
+
+            const list = await certificateStatusService.getRevocationList({ page: '3', limit: '5000', since: '2025-01-01' });
+
+            const filter = { status: 'revoked', revokedDate: { $gt: new Date('2025-01-01') } };
+            expect(Certificate.find).toHaveBeenCalledWith(filter);
+            expect(Certificate.countDocuments).toHaveBeenCalledWith(filter);
+            expect(query.sort).toHaveBeenCalledWith({ revokedDate: -1, _id: -1 });
+            expect(query.skip).toHaveBeenCalledWith(1000);
+            expect(query.limit).toHaveBeenCalledWith(500);
+            expect(list.revocations).toEqual([{ certificateId: 'CERT-2', revokedDate: new Date('2025-04-02'), reason: null }]);
+            expect(list.pagination).toMatchObject({ page: 3, limit: 500, total: 1001, pages: 3 });
+        });
+    });
+
+    describe('expireCertificates', () => {
+        it('expires due certificates, records them in the ledger and carries on after a failure', async () => {
+            const due = [
+                { certificateId: 'CERT-1', expire: jest.fn() },
+                { certificateId: 'CERT-2', expire: jest.fn().mockRejectedValue(new Error('write conflict')) },
+                { certificateId: 'CERT-3', expire: jest.fn() }
+            ];
+            Certificate.find.mockReturnValue(cursorOf(due));
+
+            await expect(certificateStatusService.expireCertificates()).resolves.toBe(2);
+
+            expect(Certificate.find).toHaveBeenCalledWith({ status: 'issued', expiryDate: { $lte: expect.any(Date) } });
+            expect(certificateLedgerService.recordExpiry).toHaveBeenCalledTimes(2);
+            expect(certificateLedgerService.recordExpiry).toHaveBeenCalledWith(due[0]);
+            expect(certificateLedgerService.recordExpiry).toHaveBeenCalledWith(due[2]);
+        });
+    });
+
+    describe('notifyExpiringCertificates', () => {
+        const expiring = (id) => ({
+            _id: id,
+            user: 'u1',
+            certificateId: `CERT-${id}`,
+            eventTitle: 'Hội thảo',
+            recipientEmail: 'a@example.edu',
+            expiryDate: new Date(Date.now() + 10 * DAY)
+        });
+
+        it('warns each holder once, skipping certificates another run claimed', async () => {
+            Certificate.find.mockReturnValue(cursorOf([expiring('c1'), expiring('c2')]));
+            Certificate.updateOne
+                .mockResolvedValueOnce({ modifiedCount: 1 })
+                .mockResolvedValueOnce({ modifiedCount: 0 });
+
+            await expect(certificateStatusService.notifyExpiringCertificates()).resolves.toBe(1);
+
+            expect(Certificate.updateOne).toHaveBeenCalledWith(
+                { _id: 'c1', expiryNotifiedAt: { $exists: false } },
+                { expiryNotifiedAt: expect.any(Date) }
+            );
+            expect(Notification.create).toHaveBeenCalledTimes(1);
+            expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+                recipient: 'u1',
+                type: 'certificate_expiring',
+                relatedCertificate: 'c1'
+            }));
+            expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'certificate-expiring' }));
+        });
+
+        it('only looks at certificates inside the warning window', async () => {
+            Certificate.find.mockReturnValue(cursorOf([]));
+
+            await certificateStatusService.notifyExpiringCertificates();
+
+            const { expiryDate } = Certificate.find.mock.calls[0][0];
+            expect(expiryDate.$lte.getTime() - expiryDate.$gt.getTime())
+                .toBe(certificateStatusService.expiryWarningDays * DAY);
+        });
+    });
+
+    describe('notifyRevocation', () => {
+        const revoked = {
+            _id: 'c1',
+            user: 'u1',
+            event: 'e1',
+            certificateId: 'CERT-1',
+            verificationCode: 'ABCD1234',
+            eventTitle: 'Hội thảo',
+            recipientEmail: 'a@example.edu',
+            revokedReason: 'Issued in error'
+        };
+
+        it('tells the holder in app and by email with the reason', async () => {
+            await certificateStatusService.notifyRevocation(revoked);
+
+            expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+                recipient: 'u1',
+                type: 'certificate_revoked',
+                message: expect.stringContaining('Issued in error')
+            }));
+            expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+                to: 'a@example.edu',
+                template: 'certificate-revoked',
+                data: expect.objectContaining({ statusUrl: expect.stringContaining('/certificates/verify/ABCD1234') })
+            }));
+        });
+
+        it('does not fail the revocation when the notice cannot be sent', async () => {
+            emailService.sendEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+            await expect(certificateStatusService.notifyRevocation(revoked)).resolves.toBeUndefined();
+        });
+    });
+});
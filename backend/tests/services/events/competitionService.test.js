@@ -0,0 +1,170 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Competition', () => ({ findOne: jest.fn() }));
+jest.mock('../../../src/models/CompetitionScore', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/Certificate', () => ({ exists: jest.fn() }));
+jest.mock('../../../src/models/Registration', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/Event', () => ({}));
+jest.mock('../../../src/models/User', () => ({}));
+jest.mock('../../../src/services/events/certificateService', () => ({ generateCertificate: jest.fn() }));
+
+const Competition = require('../../../src/models/Competition');
+const CompetitionScore = require('../../../src/models/CompetitionScore');
+const Certificate = require('../../../src/models/Certificate');
+const Registration = require('../../../src/models/Registration');
+const certificateService = require('../../../src/services/events/certificateService');
+const competitionService = require('../../../src/services/events/competitionService');
+const { ValidationError } = require('../../../src/utils/errors');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const RUBRIC = [
+    { key: 'idea', name: 'Idea', weight: 3, maxScore: 10 },
+    { key: 'demo', name: 'Demo', weight: 1, maxScore: 5 }
+];
+
+describe('competitionService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('computeTotal', () => {
+        it('weights each criterion against its maximum on a 0-100 scale', () => {
+            expect(competitionService.computeTotal(RUBRIC, [
+                { criterion: 'idea', value: 8 },
+                { criterion: 'demo', value: 5 }
+            ])).toBe(85);
+        });
+
+        it.each([
+            ['a missing criterion', [{ criterion: 'idea', value: 8 }], 'Missing score for "Demo"'],
+            ['a score above the maximum', [{ criterion: 'idea', value: 11 }, { criterion: 'demo', value: 5 }], 'between 0 and 10'],
+            ['an unknown criterion', [
+                { criterion: 'idea', value: 8 },
+                { criterion: 'demo', value: 5 },
+                { criterion: 'style', value: 5 }
+            ], 'Unknown criteria: style'],
+            ['a criterion scored twice', [
+                { criterion: 'idea', value: 8 },
+                { criterion: 'idea', value: 9 },
+                { criterion: 'demo', value: 5 }
+            ], 'scored more than once']
+        ])('rejects %s', (label, scores, message) => {
+            expect(() => competitionService.computeTotal(RUBRIC, scores)).toThrow(ValidationError);
+            expect(() => competitionService.computeTotal(RUBRIC, scores)).toThrow(message);
+        });
+    });
+
+    describe('normalizeScores', () => {
+        it('puts a harsh and a lenient judge on the same footing', () => {
+            const scores = [
+                { judge: 'harsh', registration: 'a', total: 40 },
+                { judge: 'harsh', registration: 'b', total: 60 },
+                { judge: 'lenient', registration: 'a', total: 80 },
+                { judge: 'lenient', registration: 'b', total: 100 }
+            ];
+
+            const [harshA, harshB, lenientA, lenientB] = competitionService.normalizeScores(scores);
+
+            expect(harshA).toBeCloseTo(lenientA);
+            expect(harshB).toBeCloseTo(lenientB);
+            expect(harshB).toBeGreaterThan(harshA);
+        });
+
+        it('leaves a judge with a single score or no spread as scored', () => {
+            const scores = [
+                { judge: 'once', registration: 'a', total: 55 },
+                { judge: 'flat', registration: 'a', total: 70 },
+                { judge: 'flat', registration: 'b', total: 70 }
+            ];
+
+            expect(competitionService.normalizeScores(scores)).toEqual([55, 70, 70]);
+        });
+    });
+
+    describe('computeLeaderboard', () => {
+        const entrant = (id, name) => ({ _id: id, user: { _id: `user-${id}`, profile: { fullName: name } } });
+
+        it('ranks by score, shares ranks on ties, attaches awards and lists unscored entrants last', async () => {
+            Registration.find.mockReturnValue(mockQuery([
+                entrant('r1', 'An'),
+                entrant('r2', 'Bình'),
+                entrant('r3', 'Chi'),
+                entrant('r4', 'Dũng')
+            ]));
+            CompetitionScore.find.mockReturnValue(mockQuery([
+                { judge: 'j1', registration: 'r1', total: 70 },
+                { judge: 'j1', registration: 'r2', total: 90 },
+                { judge: 'j1', registration: 'r3', total: 90 }
+            ]));
+
+            const rows = await competitionService.computeLeaderboard({
+                _id: 'comp1',
+                event: 'e1',
+                normalization: 'none',
+                awards: [
+                    { fromRank: 1, toRank: 1, type: 'excellence', label: 'First Place' },
+                    { fromRank: 2, toRank: 3, type: 'achievement', label: 'Runner-up' }
+                ]
+            });
+
+            expect(rows.map(row => [row.registration, row.rank, row.award?.type])).toEqual([
+                ['r2', 1, 'excellence'],
+                ['r3', 1, 'excellence'],
+                ['r1', 3, 'achievement'],
+                ['r4', null, undefined]
+            ]);
+            expect(rows[3].judgeCount).toBe(0);
+        });
+    });
+
+    describe('issueAwardCertificates', () => {
+        const finalized = {
+            status: 'finalized',
+            results: [
+                { registration: 'r1', user: 'u1', rank: 1, normalizedScore: 91.4, award: { type: 'excellence', label: 'First Place' } },
+                { registration: 'r2', user: 'u2', rank: 2, normalizedScore: 70 }
+            ]
+        };
+
+        it('issues award certificates to the entrant and team members, flagged as awards', async () => {
+            Competition.findOne.mockResolvedValue(finalized);
+            Registration.find.mockReturnValue(mockQuery([{ _id: 'r1-member', user: 'u3' }]));
+            Certificate.exists.mockResolvedValue(null);
+
+            const summary = await competitionService.issueAwardCertificates('e1', 'org1');
+
+            expect(summary).toEqual({ issued: 2, skipped: 0, failed: [] });
+            expect(Certificate.exists).toHaveBeenCalledWith({ registration: 'r1', award: true, type: 'excellence' });
+            expect(certificateService.generateCertificate).toHaveBeenCalledWith(expect.objectContaining({
+                registration: 'r1',
+                type: 'excellence',
+                grade: 'A+',
+                score: 91
+            }), 'org1', { award: true });
+            expect(certificateService.generateCertificate).toHaveBeenCalledWith(
+                expect.objectContaining({ registration: 'r1-member', user: 'u3' }),
+                'org1',
+                { award: true }
+            );
+        });
+
+        it('skips awards already issued and reports failures without stopping', async () => {
+            Competition.findOne.mockResolvedValue(finalized);
+            Registration.find.mockReturnValue(mockQuery([{ _id: 'r1-member', user: 'u3' }]));
+            Certificate.exists.mockImplementation(async filter => (filter.registration === 'r1' ? { _id: 'c1' } : null));
+            certificateService.generateCertificate.mockRejectedValue(new Error('Render failed'));
+
+            await expect(competitionService.issueAwardCertificates('e1', 'org1')).resolves.toEqual({
+                issued: 0,
+                skipped: 1,
+                failed: [{ registration: 'r1-member', user: 'u3', reason: 'Render failed' }]
+            });
+        });
+
+        it('waits for the results to be finalized', async () => {
+            Competition.findOne.mockResolvedValue({ status: 'judging', results: [] });
+
+            await expect(competitionService.issueAwardCertificates('e1', 'org1')).rejects.toThrow(ValidationError);
+            expect(certificateService.generateCertificate).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Certificate', () => ({}));
+jest.mock('../../../src/models/CredentialStatusList', () => ({}));
+jest.mock('../../../src/models/Event', () => ({}));
+jest.mock('../../../src/models/User', () => ({}));
+// Real signing keys; TOTP helpers are not exercised here
+jest.mock('speakeasy', () => ({}), { virtual: true });
+
+const encryption = require('../../../src/utils/encryption');
+const credentialService = require('../../../src/services/events/credentialService');
+const { JWS_TYPES } = require('../../../src/utils/constants');
+
+describe('credentialService.verifyCredential', () => {
+    const achievement = {
+        id: 'urn:uuid:1',
+        type: ['VerifiableCredential', 'OpenBadgeCredential'],
+        issuer: { id: credentialService.getIssuerUrl() },
+        issuanceDate: '2025-03-02T00:00:00.000Z',
+        credentialSubject: { id: 'did:example:student' }
+    };
+
+    it('accepts an achievement credential', async () => {
+        const result = await credentialService.verifyCredential(credentialService.signCredential(achievement));
+
+        expect(result).toMatchObject({ valid: true, revoked: false, credential: achievement });
+    });
+
+    it('rejects a status list credential', async () => {
+        const statusList = {
+            ...achievement,
+            type: ['VerifiableCredential', 'StatusList2021Credential'],
+            credentialSubject: { type: 'StatusList2021', encodedList: 'H4sIAAAAAAAAA' }
+        };
+
+        await expect(credentialService.verifyCredential(credentialService.signCredential(statusList)))
+            .resolves.toEqual({ valid: false, reason: 'not_a_credential' });
+    });
+
+    it.each([
+        ['a certificate signature', { typ: JWS_TYPES.CERTIFICATE }],
+        ['a ledger root', { typ: JWS_TYPES.LEDGER_ROOT }],
+        ['an untyped token', {}]
+    ])('rejects %s carrying a vc claim', async (label, header) => {
+        const token = encryption.signJWS({ vc: achievement }, header);
+
+        await expect(credentialService.verifyCredential(token)).resolves.toEqual({ valid: false, reason: 'wrong_type' });
+    });
+
+    it('rejects an expired credential', async () => {
+        const token = credentialService.signCredential({ ...achievement, expirationDate: '2020-01-01T00:00:00.000Z' });
+
+        await expect(credentialService.verifyCredential(token)).resolves.toMatchObject({ valid: false, reason: 'expired' });
+    });
+});
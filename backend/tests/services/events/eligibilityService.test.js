@@ -0,0 +1,105 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Registration', () => ({
+    findOne: jest.fn()
+}));
+jest.mock('../../../src/models/Certificate', () => ({
+    find: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Event = require('../../../src/models/Event');
+const Registration = require('../../../src/models/Registration');
+const Certificate = require('../../../src/models/Certificate');
+const eligibilityService = require('../../../src/services/events/eligibilityService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const prerequisiteId = new mongoose.Types.ObjectId();
+
+const buildEvent = (targetAudience = {}) => new Event({
+    title: 'Hội thảo',
+    targetAudience: { faculties: ['CNTT'], minGPA: 3, ...targetAudience }
+});
+
+const buildUser = (student = {}, extra = {}) => ({
+    _id: 'user1',
+    role: 'student',
+    emailVerified: true,
+    student: { faculty: 'CNTT', gpa: 3.4, status: 'active', ...student },
+    ...extra
+});
+
+describe('eligibilityService', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        jest.spyOn(Event, 'find').mockReturnValue(mockQuery([]));
+        Registration.findOne.mockReturnValue(mockQuery(null));
+    });
+
+    it('accepts a registrant who meets every requirement', async () => {
+        const result = await eligibilityService.checkEligibility(buildEvent(), buildUser(), { includeRegistrationState: false });
+
+        expect(result).toEqual({ eligible: true, reasons: [] });
+    });
+
+    it('explains audience mismatches and incomplete profiles', async () => {
+        const result = await eligibilityService.checkEligibility(
+            buildEvent(),
+            buildUser({ faculty: undefined, gpa: 2.5 }),
+            { includeRegistrationState: false }
+        );
+
+        expect(result.eligible).toBe(false);
+        expect(result.reasons).toEqual([
+            expect.objectContaining({ code: 'profile_incomplete', field: 'student.faculty' }),
+            expect.objectContaining({ code: 'audience_gpa', message: 'A GPA of at least 3 is required (yours is 2.5)' })
+        ]);
+    });
+
+    it('enforces restrictions', async () => {
+        const event = buildEvent({ restrictions: ['students_only', 'active_students', 'verified_email'] });
+        const user = buildUser({ status: 'graduated' }, { role: 'organizer', emailVerified: false });
+
+        const result = await eligibilityService.checkEligibility(event, user, { includeRegistrationState: false });
+
+        expect(result.reasons.map(reason => reason.code)).toEqual(['students_only', 'inactive_student', 'email_unverified']);
+    });
+
+    it('requires a valid certificate from each prerequisite event', async () => {
+        Event.find.mockReturnValue(mockQuery([{ _id: prerequisiteId, eventCode: 'NMLT', title: 'Nhập môn lập trình' }]));
+        Certificate.find.mockReturnValue(mockQuery([]));
+
+        const result = await eligibilityService.checkEligibility(
+            buildEvent({ prerequisites: ['nmlt'] }),
+            buildUser(),
+            { includeRegistrationState: false }
+        );
+
+        expect(result.reasons).toEqual([expect.objectContaining({
+            code: 'prerequisite_missing',
+            message: 'Requires a certificate from "Nhập môn lập trình"'
+        })]);
+        expect(Event.find.mock.calls[0][0].$or[1]).toEqual({ eventCode: { $in: ['NMLT'] } });
+    });
+
+    it('accepts a prerequisite held with a valid certificate', async () => {
+        Event.find.mockReturnValue(mockQuery([{ _id: prerequisiteId, eventCode: 'NMLT', title: 'Nhập môn lập trình' }]));
+        Certificate.find.mockReturnValue(mockQuery([{ event: prerequisiteId, isValid: () => true }]));
+
+        const result = await eligibilityService.checkEligibility(
+            buildEvent({ prerequisites: [prerequisiteId.toString()] }),
+            buildUser(),
+            { includeRegistrationState: false }
+        );
+
+        expect(result.eligible).toBe(true);
+    });
+
+    it('reports an existing registration', async () => {
+        Registration.findOne.mockReturnValue(mockQuery({ _id: 'reg1' }));
+
+        const result = await eligibilityService.checkEligibility(buildEvent(), buildUser());
+
+        expect(result.reasons[0].code).toBe('already_registered');
+    });
+});
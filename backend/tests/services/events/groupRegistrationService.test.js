@@ -0,0 +1,150 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Registration', () => {
+    const Registration = jest.fn(function(data) {
+        Object.assign(this, data, { _id: 'memberReg1' });
+        this.save = jest.fn().mockResolvedValue(this);
+    });
+    Registration.findOne = jest.fn();
+    Registration.findById = jest.fn();
+    Registration.updateMany = jest.fn();
+    return Registration;
+});
+jest.mock('../../../src/models/Event', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/services/notifications/emailService', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../../src/services/payment/paymentService', () => ({}));
+jest.mock('../../../src/services/payment/pricingService', () => ({}));
+jest.mock('../../../src/services/events/seatReservationService', () => ({}));
+jest.mock('../../../src/services/events/registrationFormService', () => ({}));
+jest.mock('../../../src/services/events/eligibilityService', () => ({
+    checkEligibility: jest.fn().mockResolvedValue({ eligible: true, reasons: [] })
+}));
+
+const Registration = require('../../../src/models/Registration');
+const Event = require('../../../src/models/Event');
+const User = require('../../../src/models/User');
+const emailService = require('../../../src/services/notifications/emailService');
+const groupRegistrationService = require('../../../src/services/events/groupRegistrationService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOKEN = 'invite-token';
+
+const buildGroup = (member = {}) => ({
+    _id: 'groupReg1',
+    event: 'event1',
+    status: 'approved',
+    approvalStatus: 'auto_approved',
+    registrationNumber: 'REG-G1',
+    payment: { currency: 'VND' },
+    groupInfo: {
+        groupName: 'Nhóm A',
+        groupSize: 2,
+        groupLeader: 'leader1',
+        members: [{
+            email: 'member@example.edu.vn',
+            status: 'invited',
+            inviteToken: groupRegistrationService.hashToken(TOKEN),
+            invitedAt: new Date(),
+            inviteExpiresAt: new Date(Date.now() + DAY_MS),
+            ...member
+        }]
+    },
+    save: jest.fn().mockResolvedValue()
+});
+
+const invitee = { _id: 'user2', email: 'member@example.edu.vn', profile: { fullName: 'Thành Viên' } };
+
+describe('groupRegistrationService invitations', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        User.findById.mockResolvedValue(invitee);
+        Event.findById.mockResolvedValue({ _id: 'event1', schedule: { startDate: new Date(Date.now() + 10 * DAY_MS) } });
+        Registration.findById.mockReturnValue(mockQuery({ _id: 'memberReg1' }));
+    });
+
+    it('looks invitations up only while they are still open', async () => {
+        Registration.findOne.mockResolvedValueOnce(buildGroup()).mockResolvedValueOnce(null);
+
+        await groupRegistrationService.acceptInvitation(TOKEN, 'user2');
+
+        expect(Registration.findOne.mock.calls[0][0]).toEqual({
+            'groupInfo.members': {
+                $elemMatch: { inviteToken: groupRegistrationService.hashToken(TOKEN), status: 'invited' }
+            },
+            status: { $in: ['pending', 'approved'] }
+        });
+    });
+
+    it('accepts an open invitation and creates the member registration', async () => {
+        const group = buildGroup();
+        Registration.findOne.mockResolvedValueOnce(group).mockResolvedValueOnce(null);
+
+        await groupRegistrationService.acceptInvitation(TOKEN, 'user2');
+
+        const member = group.groupInfo.members[0];
+        expect(member.status).toBe('accepted');
+        expect(member.inviteToken).toBeUndefined();
+        expect(member.registration).toBe('memberReg1');
+        expect(group.save).toHaveBeenCalled();
+    });
+
+    it('rejects an invitation that was already answered', async () => {
+        Registration.findOne.mockResolvedValueOnce(buildGroup({ status: 'declined' }));
+
+        await expect(groupRegistrationService.acceptInvitation(TOKEN, 'user2'))
+            .rejects.toThrow('Invitation not found or no longer valid');
+    });
+
+    it('rejects an expired invitation', async () => {
+        Registration.findOne.mockResolvedValueOnce(buildGroup({ inviteExpiresAt: new Date(Date.now() - 1000) }));
+
+        await expect(groupRegistrationService.acceptInvitation(TOKEN, 'user2'))
+            .rejects.toThrow('This invitation has expired');
+        expect(Registration).not.toHaveBeenCalled();
+    });
+
+    it('expires older invitations from the time they were sent', async () => {
+        Registration.findOne.mockResolvedValueOnce(buildGroup({
+            invitedAt: new Date(Date.now() - 30 * DAY_MS),
+            inviteExpiresAt: undefined
+        }));
+
+        await expect(groupRegistrationService.declineInvitation(TOKEN, 'user2'))
+            .rejects.toThrow('This invitation has expired');
+    });
+
+    it('refuses an invitation meant for another account', async () => {
+        Registration.findOne.mockResolvedValueOnce(buildGroup());
+        User.findById.mockResolvedValue({ ...invitee, _id: 'user3', email: 'other@example.edu.vn' });
+
+        await expect(groupRegistrationService.acceptInvitation(TOKEN, 'user3'))
+            .rejects.toThrow('This invitation was sent to a different account');
+    });
+
+    it('restores a revived group and sends open invitees a fresh link', async () => {
+        const group = buildGroup({ inviteToken: undefined, inviteExpiresAt: undefined });
+        group.groupInfo.members.push({
+            email: 'accepted@example.edu.vn',
+            status: 'accepted',
+            registration: 'memberReg2'
+        });
+        Event.findById.mockReturnValue(mockQuery({ title: 'Hội thảo', schedule: {} }));
+        User.findById.mockResolvedValue({ profile: { fullName: 'Trưởng Nhóm' } });
+
+        await groupRegistrationService.restoreGroup(group, 'Seat hold expired before payment');
+
+        expect(Registration.updateMany).toHaveBeenCalledWith(
+            {
+                _id: { $in: ['memberReg2'] },
+                status: 'cancelled',
+                cancellationReason: 'Group registration cancelled: Seat hold expired before payment'
+            },
+            { status: 'approved', $unset: { cancelledAt: 1, cancellationReason: 1 } }
+        );
+        const invited = group.groupInfo.members[0];
+        expect(invited.inviteToken).toEqual(expect.any(String));
+        expect(invited.inviteExpiresAt.getTime()).toBeGreaterThan(Date.now());
+        expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'member@example.edu.vn' }));
+    });
+});
@@ -0,0 +1,253 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Attendance', () => ({
+    findOne: jest.fn(),
+    findById: jest.fn()
+}));
+jest.mock('../../../src/models/Registration', () => ({
+    find: jest.fn(),
+    findOne: jest.fn()
+}));
+jest.mock('../../../src/models/Event', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/services/events/attendanceService', () => ({
+    recordAttendance: jest.fn(),
+    saveAndSync: jest.fn()
+}));
+jest.mock('../../../src/services/qrCodeService', () => {
+    const crypto = require('crypto');
+    return {
+        generateSignature: data => crypto.createHmac('sha256', 'test-secret').update(data).digest('hex')
+    };
+});
+
+const Attendance = require('../../../src/models/Attendance');
+const Registration = require('../../../src/models/Registration');
+const Event = require('../../../src/models/Event');
+const attendanceService = require('../../../src/services/events/attendanceService');
+const kioskCheckInService = require('../../../src/services/events/kioskCheckInService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const EVENT_ID = '64b000000000000000000001';
+const REG_ID = '64b000000000000000000101';
+const USER_ID = '64b000000000000000000201';
+const HOUR = 60 * 60 * 1000;
+
+const signedManifest = (issuedAt = new Date(Date.now() - HOUR), entries = []) => {
+    const header = {
+        eventId: EVENT_ID,
+        issuedAt: issuedAt.toISOString(),
+        expiresAt: new Date(issuedAt.getTime() + 24 * HOUR).toISOString(),
+        issuedBy: 'organizer1',
+        count: entries.length,
+        entriesDigest: kioskCheckInService.digestEntries(entries)
+    };
+
+    return { header, signature: kioskCheckInService.signHeader(header) };
+};
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('kioskCheckInService.getManifest', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Event.findById.mockReturnValue(mockQuery({
+            _id: EVENT_ID,
+            title: 'Hội thảo',
+            schedule: { startDate: new Date(), endDate: new Date() },
+            enableQRCode: true,
+            qrCodeSettings: { mode: 'static' }
+        }));
+        Registration.find.mockReturnValue(mockQuery([{
+            _id: REG_ID,
+            user: { _id: USER_ID, profile: { fullName: 'Nguyen Van A' }, student: { studentId: 'SV001' } },
+            checkIn: { qrCode: 'token-1' },
+            attendance: { checkedIn: false }
+        }]));
+    });
+
+    it('signs a digest of the entries with the header', async () => {
+        const manifest = await kioskCheckInService.getManifest(EVENT_ID, 'organizer1');
+
+        expect(manifest.header.entriesDigest).toBe(kioskCheckInService.digestEntries(manifest.entries));
+        expect(kioskCheckInService.verifyManifest(EVENT_ID, manifest).issuedAt.toISOString())
+            .toBe(manifest.header.issuedAt);
+    });
+
+    it('rejects a manifest whose entries were changed', async () => {
+        const manifest = await kioskCheckInService.getManifest(EVENT_ID, 'organizer1');
+        manifest.entries[0].hashes.push(kioskCheckInService.hashCode('forged'));
+
+        expect(() => kioskCheckInService.verifyManifest(EVENT_ID, manifest)).toThrow('Invalid manifest signature');
+    });
+
+    it('rejects a manifest whose entries digest was replaced', async () => {
+        const manifest = await kioskCheckInService.getManifest(EVENT_ID, 'organizer1');
+        const header = { ...manifest.header, entriesDigest: kioskCheckInService.digestEntries([]) };
+
+        expect(() => kioskCheckInService.verifyManifest(EVENT_ID, { header, signature: manifest.signature }))
+            .toThrow('Invalid manifest signature');
+    });
+});
+
+describe('kioskCheckInService.syncCheckIns', () => {
+    let attendances;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        attendances = [];
+
+        Registration.findOne.mockImplementation(() => mockQuery({
+            _id: REG_ID,
+            status: 'approved',
+            user: USER_ID,
+            updatedAt: minutesAgo(120)
+        }));
+        Attendance.findOne.mockImplementation(async () => attendances[0] || null);
+        attendanceService.recordAttendance.mockImplementation(async data => {
+            const attendance = { _id: `att${attendances.length + 1}`, checkIn: { timestamp: data.checkIn.timestamp } };
+            attendances.push(attendance);
+            return attendance;
+        });
+    });
+
+    const sync = checkIns => kioskCheckInService.syncCheckIns(EVENT_ID, {
+        manifest: signedManifest(),
+        deviceId: 'door-a',
+        checkIns
+    }, 'organizer1');
+
+    it('keeps the earliest door when one attendee is scanned twice in a batch', async () => {
+        const early = minutesAgo(30);
+        const late = minutesAgo(10);
+
+        const { summary, results } = await sync([
+            { clientId: 'door-b-1', registrationId: REG_ID, scannedAt: late.toISOString() },
+            { clientId: 'door-a-1', registrationId: REG_ID, scannedAt: early.toISOString() }
+        ]);
+
+        expect(summary).toEqual({ checked_in: 1, duplicate: 1, conflict: 0, rejected: 0 });
+        expect(results[0]).toMatchObject({ clientId: 'door-a-1', status: 'checked_in', attendanceId: 'att1' });
+        expect(results[1]).toMatchObject({ clientId: 'door-b-1', status: 'duplicate', checkInTime: early });
+        expect(attendanceService.recordAttendance).toHaveBeenCalledTimes(1);
+        expect(attendanceService.recordAttendance.mock.calls[0][0].checkIn.timestamp).toEqual(early);
+        expect(attendanceService.saveAndSync).not.toHaveBeenCalled();
+    });
+
+    it('moves an open check-in back to an earlier scan from a later sync', async () => {
+        const record = { _id: 'att1', checkIn: { timestamp: minutesAgo(10) } };
+        attendances.push({ _id: 'att1', checkIn: { timestamp: record.checkIn.timestamp } });
+        Attendance.findById.mockReturnValue(mockQuery(record));
+        const early = minutesAgo(40);
+
+        const { results } = await sync([{ clientId: 'c1', registrationId: REG_ID, scannedAt: early.toISOString() }]);
+
+        expect(results[0]).toMatchObject({ status: 'duplicate', attendanceId: 'att1', checkInTime: early });
+        expect(record.checkIn.timestamp).toEqual(early);
+        expect(attendanceService.saveAndSync).toHaveBeenCalledWith(record);
+    });
+
+    it('reports a retried or later scan as a duplicate without changes', async () => {
+        const first = minutesAgo(40);
+        attendances.push({ _id: 'att1', checkIn: { timestamp: first } });
+
+        const { summary, results } = await sync([
+            { clientId: 'c1', registrationId: REG_ID, scannedAt: minutesAgo(5).toISOString() }
+        ]);
+
+        expect(summary.duplicate).toBe(1);
+        expect(results[0]).toMatchObject({ status: 'duplicate', checkInTime: first });
+        expect(Attendance.findById).not.toHaveBeenCalled();
+        expect(attendanceService.recordAttendance).not.toHaveBeenCalled();
+    });
+
+    it('keeps a closed attendance as it is', async () => {
+        const checkedIn = minutesAgo(20);
+        attendances.push({ _id: 'att1', checkIn: { timestamp: checkedIn }, checkOut: { timestamp: minutesAgo(1) } });
+
+        const { results } = await sync([
+            { clientId: 'c1', registrationId: REG_ID, scannedAt: minutesAgo(50).toISOString() }
+        ]);
+
+        expect(results[0]).toMatchObject({ status: 'duplicate', checkInTime: checkedIn });
+        expect(attendanceService.saveAndSync).not.toHaveBeenCalled();
+    });
+
+    it('reports a duplicate when another door checked in between lookup and insert', async () => {
+        const other = { _id: 'att9', checkIn: { timestamp: minutesAgo(50) } };
+        Attendance.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(other);
+        attendanceService.recordAttendance.mockRejectedValue(new Error('User already checked in'));
+
+        const { results } = await sync([
+            { clientId: 'c1', registrationId: REG_ID, scannedAt: minutesAgo(5).toISOString() }
+        ]);
+
+        expect(results[0]).toMatchObject({ status: 'duplicate', attendanceId: 'att9' });
+    });
+
+    it('flags a registration cancelled after the manifest was downloaded as a conflict', async () => {
+        Registration.findOne.mockReturnValue(mockQuery({
+            _id: REG_ID, status: 'cancelled', user: USER_ID, updatedAt: minutesAgo(15)
+        }));
+
+        const { summary, results } = await sync([
+            { clientId: 'c1', registrationId: REG_ID, scannedAt: minutesAgo(5).toISOString() }
+        ]);
+
+        expect(summary.conflict).toBe(1);
+        expect(results[0]).toMatchObject({
+            status: 'conflict',
+            reason: 'Registration was cancelled after the manifest was downloaded'
+        });
+        expect(attendanceService.recordAttendance).not.toHaveBeenCalled();
+    });
+
+    it('rejects a registration that was already cancelled when the manifest was downloaded', async () => {
+        Registration.findOne.mockReturnValue(mockQuery({
+            _id: REG_ID, status: 'cancelled', user: USER_ID, updatedAt: minutesAgo(240)
+        }));
+
+        const { results } = await sync([
+            { clientId: 'c1', registrationId: REG_ID, scannedAt: minutesAgo(5).toISOString() }
+        ]);
+
+        expect(results[0]).toMatchObject({ status: 'rejected', reason: 'Registration is cancelled' });
+    });
+
+    it('rejects scans of registrations outside the event', async () => {
+        Registration.findOne.mockReturnValue(mockQuery(null));
+
+        const { results } = await sync([
+            { clientId: 'c1', registrationId: REG_ID, scannedAt: minutesAgo(5).toISOString() }
+        ]);
+
+        expect(results[0]).toMatchObject({ status: 'rejected', reason: 'Registration not found for this event' });
+    });
+
+    it('rejects scans outside the manifest window or ahead of the server clock', async () => {
+        const { summary, results } = await sync([
+            { clientId: 'before', registrationId: REG_ID, scannedAt: minutesAgo(120).toISOString() },
+            { clientId: 'future', registrationId: REG_ID, scannedAt: new Date(Date.now() + 30 * 60 * 1000).toISOString() },
+            { clientId: 'expired', registrationId: REG_ID, scannedAt: new Date(Date.now() + 24 * HOUR).toISOString() },
+            { clientId: 'garbled', registrationId: REG_ID, scannedAt: 'not a date' }
+        ]);
+
+        expect(summary).toEqual({ checked_in: 0, duplicate: 0, conflict: 0, rejected: 4 });
+        results.forEach(result => {
+            expect(result).toMatchObject({ status: 'rejected', reason: 'Scan time is outside the manifest validity' });
+        });
+        expect(Registration.findOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses a sync with a manifest of another event or a forged signature', async () => {
+        const manifest = signedManifest();
+
+        await expect(kioskCheckInService.syncCheckIns('64b0000000000000000000ff', {
+            manifest, deviceId: 'door-a', checkIns: []
+        }, 'organizer1')).rejects.toThrow('Manifest belongs to another event');
+
+        await expect(kioskCheckInService.syncCheckIns(EVENT_ID, {
+            manifest: { ...manifest, header: { ...manifest.header, expiresAt: new Date(Date.now() + 48 * HOUR).toISOString() } },
+            deviceId: 'door-a',
+            checkIns: []
+        }, 'organizer1')).rejects.toThrow('Invalid manifest signature');
+    });
+});
@@ -0,0 +1,112 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Attendance', () => ({
+    find: jest.fn(),
+    findById: jest.fn(),
+    updateOne: jest.fn()
+}));
+jest.mock('../../../src/models/Registration', () => ({ findOne: jest.fn() }));
+jest.mock('../../../src/services/events/attendanceService', () => ({
+    saveAndSync: jest.fn(),
+    closeOpenAttendance: jest.fn()
+}));
+jest.mock('../../../src/services/qrCodeService', () => ({
+    generateSignature: jest.fn(data => `sig-${data.length}`)
+}));
+
+const Attendance = require('../../../src/models/Attendance');
+const Registration = require('../../../src/models/Registration');
+const onlineAttendanceService = require('../../../src/services/events/onlineAttendanceService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const SECOND = 1000;
+
+describe('onlineAttendanceService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getJoinLink', () => {
+        it('builds the link under the configured API prefix', async () => {
+            Registration.findOne.mockReturnValue(mockQuery({
+                _id: 'reg1',
+                status: 'approved',
+                event: { location: { type: 'online' } }
+            }));
+
+            const { url } = await onlineAttendanceService.getJoinLink('event1', 'user1');
+
+            expect(url).toBe(`${onlineAttendanceService.apiBaseUrl}/attendance/join/${onlineAttendanceService.generateJoinToken('reg1')}`);
+            expect(url).not.toContain('/api/attendance');
+        });
+    });
+
+    describe('recordHeartbeat', () => {
+        const now = new Date('2026-03-01T10:00:00Z');
+
+        it('extends the open interval when the last heartbeat is old enough', async () => {
+            Attendance.updateOne.mockResolvedValueOnce({ matchedCount: 1 });
+
+            await expect(onlineAttendanceService.recordHeartbeat('att1', now)).resolves.toBe(true);
+
+            const [filter] = Attendance.updateOne.mock.calls[0];
+            expect(filter['onlineSession.lastHeartbeatAt'].$lte)
+                .toEqual(new Date(now.getTime() - onlineAttendanceService.minHeartbeatSeconds * SECOND));
+        });
+
+        it('ignores a heartbeat that comes too soon after the last one', async () => {
+            Attendance.updateOne.mockResolvedValueOnce({ matchedCount: 0 });
+            Attendance.findById.mockReturnValue(mockQuery({
+                onlineSession: {
+                    currentIntervalStart: new Date(now.getTime() - 60 * SECOND),
+                    lastHeartbeatAt: new Date(now.getTime() - 2 * SECOND)
+                }
+            }));
+
+            await expect(onlineAttendanceService.recordHeartbeat('att1', now, { chatMessages: 5 })).resolves.toBe(false);
+
+            expect(Attendance.updateOne).toHaveBeenCalledTimes(1);
+        });
+
+        it('starts a new interval after a gap', async () => {
+            const intervalStart = new Date(now.getTime() - 600 * SECOND);
+            const lastHeartbeatAt = new Date(now.getTime() - 300 * SECOND);
+            Attendance.updateOne
+                .mockResolvedValueOnce({ matchedCount: 0 })
+                .mockResolvedValueOnce({ matchedCount: 1 });
+            Attendance.findById.mockReturnValue(mockQuery({
+                onlineSession: { currentIntervalStart: intervalStart, lastHeartbeatAt }
+            }));
+
+            await expect(onlineAttendanceService.recordHeartbeat('att1', now)).resolves.toBe(true);
+
+            const [filter, update] = Attendance.updateOne.mock.calls[1];
+            expect(filter).toEqual({ _id: 'att1', 'onlineSession.lastHeartbeatAt': lastHeartbeatAt });
+            expect(update.$push).toEqual({ 'onlineSession.intervals': { start: intervalStart, end: lastHeartbeatAt } });
+        });
+
+        it('drops a heartbeat that lost the race to start the new interval', async () => {
+            Attendance.updateOne
+                .mockResolvedValueOnce({ matchedCount: 0 })
+                .mockResolvedValueOnce({ matchedCount: 0 });
+            Attendance.findById.mockReturnValue(mockQuery({
+                onlineSession: { currentIntervalStart: null, lastHeartbeatAt: null }
+            }));
+
+            await expect(onlineAttendanceService.recordHeartbeat('att1', now)).resolves.toBe(false);
+
+            expect(Attendance.updateOne).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('refreshOnlineAttendance', () => {
+        it('works through the least recently updated records first', async () => {
+            const query = mockQuery([]);
+            Attendance.find.mockReturnValue(query);
+
+            await onlineAttendanceService.refreshOnlineAttendance(50);
+
+            expect(query.sort).toHaveBeenCalledWith({ updatedAt: 1 });
+            expect(query.limit).toHaveBeenCalledWith(50);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Event', () => ({ findById: jest.fn() }));
+// Image processing is not exercised here
+jest.mock('sharp', () => jest.fn());
+
+process.env.JWT_SECRET = 'test-secret';
+
+// The upload middleware creates its directories and a cleanup timer on load
+jest.spyOn(require('fs').promises, 'access').mockResolvedValue();
+jest.spyOn(global, 'setInterval').mockReturnValue(0);
+
+const registrationFormService = require('../../../src/services/events/registrationFormService');
+const { fileUtils } = require('../../../src/middleware/upload');
+
+const fields = [
+    { name: 'fullName', label: 'Full name', type: 'text', required: true },
+    { name: 'cv', label: 'CV', type: 'file', required: true },
+    { name: 'portfolio', label: 'Portfolio', type: 'file', required: false }
+];
+
+const storedFile = (fieldName, originalName) => ({
+    fieldName,
+    fieldType: 'file',
+    value: {
+        originalName,
+        fileName: `reg-${originalName}`,
+        path: `uploads/registrations/reg-${originalName}`,
+        mimeType: 'application/pdf',
+        size: 1024
+    }
+});
+
+describe('registrationFormService answer updates', () => {
+    const stored = [
+        { fieldName: 'fullName', fieldType: 'text', value: 'Old Name' },
+        storedFile('cv', 'cv.pdf'),
+        storedFile('portfolio', 'portfolio.pdf')
+    ];
+
+    it('keeps required and optional file answers when no new files are sent', () => {
+        const data = registrationFormService.validateAnswers(
+            fields,
+            [{ fieldName: 'fullName', value: 'New Name' }],
+            registrationFormService.getStoredFiles(fields, stored)
+        );
+
+        expect(data).toEqual([
+            { fieldName: 'fullName', fieldType: 'text', value: 'New Name' },
+            storedFile('cv', 'cv.pdf'),
+            storedFile('portfolio', 'portfolio.pdf')
+        ]);
+    });
+
+    it('still requires a file that was never uploaded', () => {
+        expect(() => registrationFormService.validateAnswers(
+            fields,
+            [{ fieldName: 'fullName', value: 'New Name' }],
+            registrationFormService.getStoredFiles(fields, [])
+        )).toThrow('CV is required');
+    });
+
+    it('ignores stored files of fields that are no longer file fields', () => {
+        const files = registrationFormService.getStoredFiles(
+            [{ name: 'cv', type: 'text' }],
+            [storedFile('cv', 'cv.pdf'), storedFile('removed', 'old.pdf')]
+        );
+
+        expect(files).toEqual([]);
+    });
+});
+
+describe('registrationFormService.formatAnswer', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('exports file answers as signed links under the API prefix', () => {
+        process.env.BACKEND_URL = 'https://api.example.edu';
+        process.env.API_PREFIX = '/api/v2';
+
+        const link = new URL(registrationFormService.formatAnswer('file', storedFile('cv', 'cv.pdf').value));
+
+        expect(link.origin).toBe('https://api.example.edu');
+        expect(link.pathname).toBe(`/api/v2/files/secure/${encodeURIComponent('uploads/registrations/reg-cv.pdf')}`);
+        expect(fileUtils.validateSecureUrl(
+            'uploads/registrations/reg-cv.pdf',
+            link.searchParams.get('expires'),
+            link.searchParams.get('signature')
+        )).toBe(true);
+    });
+
+    it('leaves a file answer without a stored path empty', () => {
+        expect(registrationFormService.formatAnswer('file', { originalName: 'cv.pdf' })).toBe('');
+    });
+});
@@ -0,0 +1,158 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Registration', () => ({
+    find: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/services/notifications/emailService', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../../src/services/payment/pricingService', () => ({
+    redeemCoupon: jest.fn(),
+    releaseForRegistration: jest.fn()
+}));
+jest.mock('../../../src/services/events/sessionRegistrationService', () => ({ releaseAll: jest.fn() }));
+jest.mock('../../../src/services/events/groupRegistrationService', () => ({
+    restoreGroup: jest.fn(),
+    handleGroupCancellation: jest.fn()
+}));
+
+const Event = require('../../../src/models/Event');
+const pricingService = require('../../../src/services/payment/pricingService');
+const groupRegistrationService = require('../../../src/services/events/groupRegistrationService');
+const seatReservationService = require('../../../src/services/events/seatReservationService');
+const { ValidationError } = require('../../../src/utils/errors');
+
+// In-memory event document. Like MongoDB, each update evaluates its filter and
+// applies its $inc in one step, but callers interleave between awaits.
+const useEventStore = (maxParticipants, currentParticipants) => {
+    const event = { registration: { maxParticipants, currentParticipants }, stats: { registrations: 0 } };
+
+    jest.spyOn(Event, 'updateOne').mockImplementation(async (filter, update) => {
+        await new Promise(resolve => setImmediate(resolve));
+
+        // reserveSeats: currentParticipants + count <= maxParticipants
+        if (filter.$expr) {
+            const [, count] = filter.$expr.$lte[0].$add;
+            if (event.registration.currentParticipants + count > event.registration.maxParticipants) {
+                return { modifiedCount: 0 };
+            }
+        }
+
+        event.registration.currentParticipants += update.$inc['registration.currentParticipants'] || 0;
+        return { modifiedCount: 1 };
+    });
+
+    return event;
+};
+
+describe('seatReservationService', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    describe('reserve under concurrency', () => {
+        it('never sells more than the last seats to parallel registrants', async () => {
+            const event = useEventStore(50, 47);
+
+            const results = await Promise.all(
+                Array.from({ length: 20 }, () => seatReservationService.reserve('event1'))
+            );
+
+            expect(results.filter(Boolean)).toHaveLength(3);
+            expect(event.registration.currentParticipants).toBe(50);
+        });
+
+        it('refuses a group that no longer fits while single seats are taken', async () => {
+            const event = useEventStore(10, 7);
+
+            const results = await Promise.all([
+                seatReservationService.reserve('event1', 3),
+                seatReservationService.reserve('event1'),
+                seatReservationService.reserve('event1', 2),
+                seatReservationService.reserve('event1')
+            ]);
+
+            expect(event.registration.currentParticipants).toBeLessThanOrEqual(10);
+            expect(results).toEqual([true, false, false, false]);
+        });
+    });
+
+    describe('confirmHold', () => {
+        const buildLapsed = (overrides = {}) => ({
+            _id: 'reg1',
+            event: 'event1',
+            status: 'cancelled',
+            approvalStatus: 'auto_approved',
+            registrationType: 'individual',
+            cancelledAt: new Date(),
+            cancellationReason: 'Seat hold expired before payment',
+            groupInfo: {},
+            payment: { couponCode: 'SAVE50', couponPending: true },
+            seatHold: { expiresAt: new Date(), releasedAt: new Date() },
+            ...overrides
+        });
+
+        it('confirms a live hold without taking another seat', async () => {
+            const updateOne = jest.spyOn(Event, 'updateOne');
+            const registration = { seatHold: { expiresAt: new Date() }, payment: {} };
+
+            await expect(seatReservationService.confirmHold(registration)).resolves.toBe(true);
+            expect(updateOne).not.toHaveBeenCalled();
+            expect(registration.seatHold.confirmedAt).toBeInstanceOf(Date);
+        });
+
+        it('revives a lapsed registration and redeems its coupon again', async () => {
+            useEventStore(10, 0);
+            const registration = buildLapsed();
+
+            await expect(seatReservationService.confirmHold(registration)).resolves.toBe(true);
+
+            expect(pricingService.redeemCoupon).toHaveBeenCalledWith('event1', 'SAVE50');
+            expect(registration.payment.couponPending).toBe(false);
+            expect(registration.status).toBe('approved');
+            expect(registration.cancellationReason).toBeUndefined();
+            expect(registration.seatHold.releasedAt).toBeUndefined();
+        });
+
+        it('sends a revived registration awaiting review back to the queue', async () => {
+            useEventStore(10, 0);
+            const registration = buildLapsed({ approvalStatus: 'pending_review' });
+
+            await seatReservationService.confirmHold(registration);
+
+            expect(registration.status).toBe('pending');
+        });
+
+        it('gives the seat back when the coupon ran out after the lapse', async () => {
+            const event = useEventStore(10, 0);
+            pricingService.redeemCoupon.mockRejectedValue(new ValidationError('Coupon usage limit reached'));
+            const registration = buildLapsed();
+
+            await expect(seatReservationService.confirmHold(registration)).resolves.toBe(false);
+
+            expect(event.registration.currentParticipants).toBe(0);
+            expect(registration.status).toBe('cancelled');
+        });
+
+        it('fails when the event filled up after the lapse', async () => {
+            useEventStore(10, 10);
+
+            await expect(seatReservationService.confirmHold(buildLapsed())).resolves.toBe(false);
+            expect(pricingService.redeemCoupon).not.toHaveBeenCalled();
+        });
+
+        it('restores the members of a revived group', async () => {
+            const event = useEventStore(10, 0);
+            const registration = buildLapsed({
+                registrationType: 'group',
+                groupInfo: { groupSize: 3 },
+                payment: {}
+            });
+
+            await seatReservationService.confirmHold(registration);
+
+            expect(event.registration.currentParticipants).toBe(3);
+            expect(groupRegistrationService.restoreGroup)
+                .toHaveBeenCalledWith(registration, 'Seat hold expired before payment');
+        });
+    });
+});
@@ -0,0 +1,130 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Event', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/Registration', () => ({ findOne: jest.fn() }));
+jest.mock('../../../src/services/events/attendanceService', () => ({ recordAttendance: jest.fn() }));
+jest.mock('../../../src/services/qrCodeService', () => ({}));
+jest.mock('../../../src/utils/helpers', () => ({ calculateDistance: jest.fn() }));
+jest.mock('../../../src/config/redis', () => ({
+    increment: jest.fn(),
+    expire: jest.fn(),
+    del: jest.fn()
+}));
+
+const Event = require('../../../src/models/Event');
+const Registration = require('../../../src/models/Registration');
+const attendanceService = require('../../../src/services/events/attendanceService');
+const Helpers = require('../../../src/utils/helpers');
+const redisClient = require('../../../src/config/redis');
+const selfCheckInService = require('../../../src/services/events/selfCheckInService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const HOUR = 60 * 60 * 1000;
+
+const buildEvent = (selfCheckIn = {}) => ({
+    _id: 'event1',
+    schedule: {
+        startDate: new Date(Date.now() - HOUR),
+        endDate: new Date(Date.now() + HOUR)
+    },
+    location: {
+        type: 'physical',
+        venue: { name: 'Hall A', coordinates: { latitude: 10.77, longitude: 106.69 } }
+    },
+    selfCheckIn: { enabled: true, radiusMeters: 200, requirePin: false, ...selfCheckIn }
+});
+
+const checkIn = (data = {}) => selfCheckInService.checkIn('event1', 'user1', {
+    latitude: 10.77,
+    longitude: 106.69,
+    ...data
+});
+
+describe('selfCheckInService.checkIn', () => {
+    let attendance;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        attendance = { addFlag: jest.fn().mockResolvedValue() };
+        Event.findById.mockReturnValue(mockQuery(buildEvent()));
+        Registration.findOne.mockReturnValue(mockQuery({ _id: 'reg1' }));
+        attendanceService.recordAttendance.mockResolvedValue(attendance);
+        Helpers.calculateDistance.mockReturnValue(0.05);
+        redisClient.expire.mockResolvedValue(true);
+        redisClient.del.mockResolvedValue(1);
+    });
+
+    describe('location', () => {
+        it('accepts a precise reading inside the radius without flags', async () => {
+            const result = await checkIn({ accuracy: 15 });
+
+            expect(result).toMatchObject({ distanceMeters: 50, withinRadius: true, poorAccuracy: false });
+            expect(attendance.addFlag).not.toHaveBeenCalled();
+        });
+
+        it('does not let a large accuracy radius pull a distant reading inside the venue', async () => {
+            Helpers.calculateDistance.mockReturnValue(0.9);
+
+            const result = await checkIn({ accuracy: 800 });
+
+            expect(result.withinRadius).toBe(false);
+            expect(attendance.addFlag).toHaveBeenCalledWith(expect.objectContaining({ type: 'location_mismatch' }));
+        });
+
+        it('flags a reading whose accuracy is too poor to place the attendee', async () => {
+            const result = await checkIn({ accuracy: 500 });
+
+            expect(result).toMatchObject({ withinRadius: true, poorAccuracy: true });
+            expect(attendance.addFlag).toHaveBeenCalledTimes(1);
+            expect(attendance.addFlag).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'suspicious_activity',
+                severity: 'medium'
+            }));
+        });
+    });
+
+    describe('venue PIN', () => {
+        beforeEach(() => {
+            Event.findById.mockReturnValue(mockQuery(buildEvent({ requirePin: true })));
+        });
+
+        it('clears the attempt count after a correct PIN', async () => {
+            redisClient.increment.mockResolvedValue(2);
+            jest.spyOn(selfCheckInService, 'verifyPin').mockReturnValue(true);
+
+            await checkIn({ pin: '123456' });
+
+            expect(redisClient.del).toHaveBeenCalledWith('selfcheckin:pin:event1:user1');
+            expect(attendanceService.recordAttendance).toHaveBeenCalled();
+        });
+
+        it('starts the lockout window on the first attempt', async () => {
+            redisClient.increment.mockResolvedValue(1);
+            jest.spyOn(selfCheckInService, 'verifyPin').mockReturnValue(false);
+
+            await expect(checkIn({ pin: '000000' })).rejects.toMatchObject({ statusCode: 400 });
+
+            expect(redisClient.expire).toHaveBeenCalledWith('selfcheckin:pin:event1:user1', selfCheckInService.pinLockoutMinutes * 60);
+            expect(redisClient.del).not.toHaveBeenCalled();
+        });
+
+        it('locks out further guesses once the attempts are used up', async () => {
+            redisClient.increment.mockResolvedValue(selfCheckInService.maxPinAttempts + 1);
+            const verifyPin = jest.spyOn(selfCheckInService, 'verifyPin').mockReturnValue(true);
+
+            await expect(checkIn({ pin: '123456' })).rejects.toMatchObject({ statusCode: 429 });
+
+            expect(verifyPin).not.toHaveBeenCalled();
+            expect(attendanceService.recordAttendance).not.toHaveBeenCalled();
+        });
+
+        it('refuses the attempt when the counter is unavailable', async () => {
+            redisClient.increment.mockResolvedValue(null);
+            const verifyPin = jest.spyOn(selfCheckInService, 'verifyPin').mockReturnValue(true);
+
+            await expect(checkIn({ pin: '123456' })).rejects.toMatchObject({ statusCode: 400 });
+
+            expect(verifyPin).not.toHaveBeenCalled();
+        });
+    });
+});
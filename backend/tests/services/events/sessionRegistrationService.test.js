@@ -0,0 +1,121 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Registration', () => ({
+    updateOne: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/models/Event', () => ({
+    findById: jest.fn(),
+    updateOne: jest.fn()
+}));
+jest.mock('../../../src/services/events/attendanceService', () => ({}));
+jest.mock('../../../src/services/notifications/emailService', () => ({ sendEmail: jest.fn() }));
+
+const Event = require('../../../src/models/Event');
+const sessionRegistrationService = require('../../../src/services/events/sessionRegistrationService');
+
+const at = (hour) => new Date(Date.UTC(2026, 11, 1, hour));
+
+// Session subdocument array with mongoose's id() lookup
+const sessionList = (sessions) => {
+    const list = sessions.map(session => ({ waitlistEnabled: true, ...session }));
+    list.id = (id) => list.find(session => session._id === id.toString()) || null;
+    return list;
+};
+
+const buildEvent = (sessions) => ({
+    _id: 'event1',
+    registration: { sessionSelection: { enabled: true } },
+    schedule: { sessions: sessionList(sessions) }
+});
+
+describe('sessionRegistrationService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('resolveSelection', () => {
+        const event = buildEvent([
+            { _id: 's1', title: 'Khai mạc', isRequired: true, startTime: at(1), endTime: at(2) },
+            { _id: 's2', title: 'Workshop A', startTime: at(2), endTime: at(4) },
+            { _id: 's3', title: 'Workshop B', startTime: at(3), endTime: at(5) }
+        ]);
+
+        it('adds required sessions to the selection', () => {
+            const sessions = sessionRegistrationService.resolveSelection(event, ['s2']);
+
+            expect(sessions.map(session => session._id).sort()).toEqual(['s1', 's2']);
+        });
+
+        it('rejects overlapping sessions', () => {
+            expect(() => sessionRegistrationService.resolveSelection(event, ['s2', 's3']))
+                .toThrow('Sessions "Workshop A" and "Workshop B" overlap');
+        });
+
+        it('rejects sessions of another event', () => {
+            expect(() => sessionRegistrationService.resolveSelection(event, ['other']))
+                .toThrow('Session other does not belong to this event');
+        });
+
+        it('ignores sessions when selection is disabled', () => {
+            const disabled = { ...event, registration: { sessionSelection: { enabled: false } } };
+
+            expect(sessionRegistrationService.resolveSelection(disabled, ['s2'])).toEqual([]);
+        });
+    });
+
+    describe('reserveSessions', () => {
+        it('takes a seat only while the session has capacity left', async () => {
+            Event.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+            await sessionRegistrationService.reserveSessionSeat('event1', { _id: 's1', capacity: 30 });
+
+            expect(Event.updateOne).toHaveBeenCalledWith(
+                { _id: 'event1', 'schedule.sessions': { $elemMatch: { _id: 's1', registeredCount: { $lt: 30 } } } },
+                { $inc: { 'schedule.sessions.$.registeredCount': 1 } }
+            );
+        });
+
+        it('queues for a full session that has a waitlist', async () => {
+            const event = buildEvent([
+                { _id: 's1', title: 'Khai mạc', capacity: 10 },
+                { _id: 's2', title: 'Workshop A', capacity: 5 }
+            ]);
+            Event.updateOne.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+
+            const entries = await sessionRegistrationService.reserveSessions(event, event.schedule.sessions);
+
+            expect(entries.map(entry => [entry.sessionId, entry.status])).toEqual([
+                ['s1', 'registered'],
+                ['s2', 'waitlist']
+            ]);
+        });
+
+        it('gives back seats already taken when a full session has no waitlist', async () => {
+            const event = buildEvent([
+                { _id: 's1', title: 'Khai mạc', capacity: 10 },
+                { _id: 's2', title: 'Workshop A', capacity: 5, waitlistEnabled: false }
+            ]);
+            Event.updateOne
+                .mockResolvedValueOnce({ modifiedCount: 1 })
+                .mockResolvedValueOnce({ modifiedCount: 0 })
+                .mockResolvedValueOnce({ modifiedCount: 1 });
+
+            await expect(sessionRegistrationService.reserveSessions(event, event.schedule.sessions))
+                .rejects.toThrow('Session "Workshop A" is full');
+
+            expect(Event.updateOne).toHaveBeenLastCalledWith(
+                expect.objectContaining({ 'schedule.sessions': { $elemMatch: { _id: 's1', registeredCount: { $gt: 0 } } } }),
+                { $inc: { 'schedule.sessions.$.registeredCount': -1 } }
+            );
+        });
+
+        it('only queues when the registration itself is waitlisted', async () => {
+            const event = buildEvent([{ _id: 's1', title: 'Khai mạc', capacity: 10 }]);
+
+            const entries = await sessionRegistrationService.reserveSessions(event, event.schedule.sessions, { waitlistOnly: true });
+
+            expect(entries[0].status).toBe('waitlist');
+            expect(Event.updateOne).not.toHaveBeenCalled();
+        });
+    });
+});
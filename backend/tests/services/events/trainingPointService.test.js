@@ -0,0 +1,172 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/TrainingPoint', () => ({
+    findOne: jest.fn(),
+    create: jest.fn(),
+    getBalance: jest.fn()
+}));
+jest.mock('../../../src/models/TrainingPointBalance', () => ({
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    create: jest.fn()
+}));
+jest.mock('../../../src/models/Event', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({}));
+jest.mock('../../../src/utils/dateUtils', () => ({
+    getAcademicYear: jest.fn(() => '2025-2026'),
+    getSemester: jest.fn(() => 'spring')
+}));
+
+const TrainingPoint = require('../../../src/models/TrainingPoint');
+const TrainingPointBalance = require('../../../src/models/TrainingPointBalance');
+const Event = require('../../../src/models/Event');
+const trainingPointService = require('../../../src/services/events/trainingPointService');
+const { TRAINING_POINT_CAPS } = require('../../../src/utils/constants');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const CAP = TRAINING_POINT_CAPS.social;
+
+// In-memory semester counter; updates yield first so concurrent credits interleave
+const fakeBalances = () => {
+    const counters = new Map();
+    const keyOf = filter => [filter.user, filter.academicYear, filter.semester, filter.category].join(':');
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+
+    TrainingPointBalance.findOne.mockImplementation(filter => mockQuery(counters.get(keyOf(filter)) || null));
+    TrainingPointBalance.create.mockImplementation(async doc => {
+        if (counters.has(keyOf(doc))) {
+            throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        }
+        counters.set(keyOf(doc), { points: doc.points });
+        return counters.get(keyOf(doc));
+    });
+    TrainingPointBalance.findOneAndUpdate.mockImplementation(async (filter, update) => {
+        await tick();
+        const counter = counters.get(keyOf(filter));
+        if (!counter || counter.points !== filter.points) {
+            return null;
+        }
+        counter.points += update.$inc.points;
+        return counter;
+    });
+    TrainingPointBalance.updateOne.mockImplementation(async (filter, update) => {
+        const counter = counters.get(keyOf(filter));
+        if (counter) {
+            counter.points += update.$inc.points;
+        }
+    });
+
+    return { get: user => counters.get(`${user}:2025-2026:spring:social`) };
+};
+
+const buildAttendance = (id, flags = []) => ({
+    _id: id,
+    user: 'user1',
+    event: 'event1',
+    registration: `reg-${id}`,
+    flags
+});
+
+describe('trainingPointService.creditAttendance', () => {
+    let balances;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        balances = fakeBalances();
+        TrainingPoint.findOne.mockResolvedValue(null);
+        TrainingPoint.getBalance.mockResolvedValue(0);
+        TrainingPoint.create.mockImplementation(async doc => doc);
+        Event.findById.mockReturnValue(mockQuery({
+            _id: 'event1',
+            title: 'Volunteer day',
+            eventType: 'volunteer',
+            schedule: { startDate: new Date('2026-03-10') },
+            rewards: { trainingPoints: 5, trainingPointCategory: 'social' }
+        }));
+    });
+
+    it('credits the event points and moves the semester balance', async () => {
+        const entry = await trainingPointService.creditAttendance(buildAttendance('att1'));
+
+        expect(entry).toMatchObject({ points: 5, requestedPoints: 5, capped: false, category: 'social' });
+        expect(balances.get('user1').points).toBe(5);
+    });
+
+    it('seeds the balance from the ledger and caps the credit', async () => {
+        TrainingPoint.getBalance.mockResolvedValue(CAP - 2);
+
+        const entry = await trainingPointService.creditAttendance(buildAttendance('att1'));
+
+        expect(entry).toMatchObject({ points: 2, requestedPoints: 5, capped: true });
+        expect(balances.get('user1').points).toBe(CAP);
+    });
+
+    it('never passes the semester cap under concurrent credits', async () => {
+        const attendances = Array.from({ length: 10 }, (_, index) => buildAttendance(`att${index}`));
+
+        const entries = await Promise.all(attendances.map(attendance => trainingPointService.creditAttendance(attendance)));
+
+        const credited = entries.reduce((sum, entry) => sum + entry.points, 0);
+        expect(credited).toBe(CAP);
+        expect(balances.get('user1').points).toBe(CAP);
+    });
+
+    it('gives the reserved points back when a concurrent confirmation wrote the credit first', async () => {
+        const existing = { points: 5 };
+        TrainingPoint.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+        TrainingPoint.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+
+        await expect(trainingPointService.creditAttendance(buildAttendance('att1'))).resolves.toBe(existing);
+
+        expect(balances.get('user1').points).toBe(0);
+    });
+
+    it('holds the credit while a high-severity fraud flag is open', async () => {
+        const attendance = buildAttendance('att1', [
+            { type: 'location_mismatch', severity: 'high', resolved: false }
+        ]);
+
+        await expect(trainingPointService.creditAttendance(attendance)).resolves.toBeNull();
+
+        expect(TrainingPoint.create).not.toHaveBeenCalled();
+        expect(TrainingPointBalance.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('credits once the flag is resolved or for lower-severity flags', async () => {
+        const attendance = buildAttendance('att1', [
+            { type: 'location_mismatch', severity: 'high', resolved: true },
+            { type: 'suspicious_activity', severity: 'medium', resolved: false }
+        ]);
+
+        const entry = await trainingPointService.creditAttendance(attendance);
+
+        expect(entry.points).toBe(5);
+    });
+});
+
+describe('trainingPointService.reverseAttendance', () => {
+    it('returns the reversed points to the semester balance', async () => {
+        const credit = {
+            _id: 'credit1',
+            user: 'user1',
+            event: 'event1',
+            attendance: 'att1',
+            category: 'social',
+            academicYear: '2025-2026',
+            semester: 'spring',
+            points: 5,
+            requestedPoints: 5
+        };
+        TrainingPoint.findOne.mockResolvedValueOnce(credit).mockResolvedValueOnce(null);
+        TrainingPoint.create.mockImplementation(async doc => doc);
+        TrainingPointBalance.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+        const entry = await trainingPointService.reverseAttendance({ _id: 'att1' }, 'Voided', 'admin1');
+
+        expect(entry.points).toBe(-5);
+        expect(TrainingPointBalance.updateOne).toHaveBeenCalledWith(
+            { user: 'user1', academicYear: '2025-2026', semester: 'spring', category: 'social' },
+            { $inc: { points: -5 } }
+        );
+    });
+});
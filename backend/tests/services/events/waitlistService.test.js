@@ -0,0 +1,152 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Registration', () => ({
+    find: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn()
+}));
+jest.mock('../../../src/models/Event', () => ({
+    findById: jest.fn()
+}));
+jest.mock('../../../src/services/events/seatReservationService', () => ({
+    reserve: jest.fn(),
+    release: jest.fn(),
+    owesPayment: jest.fn(registration => registration.payment.finalAmount > 0),
+    startHold: jest.fn()
+}));
+jest.mock('../../../src/services/events/sessionRegistrationService', () => ({
+    claimWaitlistedSessions: jest.fn(),
+    releaseAll: jest.fn()
+}));
+jest.mock('../../../src/services/payment/pricingService', () => ({
+    redeemForRegistration: jest.fn(registration => Promise.resolve(registration)),
+    releaseForRegistration: jest.fn(registration => Promise.resolve(registration))
+}));
+
+const Registration = require('../../../src/models/Registration');
+const Event = require('../../../src/models/Event');
+const seatReservationService = require('../../../src/services/events/seatReservationService');
+const pricingService = require('../../../src/services/payment/pricingService');
+const waitlistService = require('../../../src/services/events/waitlistService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const buildRegistration = (payment = {}) => ({
+    _id: 'reg1',
+    event: 'event1',
+    status: 'waitlist',
+    registrationType: 'waitlist',
+    registrationNumber: 'REG001',
+    waitlist: { notifiedAt: new Date(), expiresAt: new Date(Date.now() + 60000) },
+    payment: { required: true, finalAmount: 150000, couponCode: 'SAVE50', couponPending: true, ...payment },
+    save: jest.fn(function() {
+        return Promise.resolve(this);
+    })
+});
+
+describe('waitlistService coupons', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('redeems the coupon when a promotion is confirmed', async () => {
+        const registration = buildRegistration();
+
+        await waitlistService.confirmPromotion(registration);
+
+        expect(registration.status).toBe('approved');
+        expect(pricingService.redeemForRegistration).toHaveBeenCalledWith(registration);
+        expect(seatReservationService.startHold).toHaveBeenCalledWith(registration);
+        expect(registration.save).toHaveBeenCalled();
+    });
+
+    it('does not give back a coupon an expired offer never consumed', async () => {
+        const registration = buildRegistration();
+        Registration.find.mockReturnValue(mockQuery([{ _id: 'reg1' }]));
+        Registration.findOneAndUpdate.mockResolvedValue(registration);
+
+        await waitlistService.expireOffers();
+
+        expect(seatReservationService.release).toHaveBeenCalledWith('event1');
+        expect(pricingService.releaseForRegistration).not.toHaveBeenCalled();
+    });
+
+    it('gives back a coupon an older waitlist entry already consumed', async () => {
+        const registration = buildRegistration({ couponPending: undefined });
+        Registration.find.mockReturnValue(mockQuery([{ _id: 'reg1' }]));
+        Registration.findOneAndUpdate.mockResolvedValue(registration);
+
+        await waitlistService.expireOffers();
+
+        expect(pricingService.releaseForRegistration).toHaveBeenCalledWith(registration);
+        expect(registration.save).toHaveBeenCalled();
+    });
+});
+
+describe('waitlistService promotion', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+
+    const buildEvent = (waitlistClaimHours) => ({
+        _id: 'event1',
+        title: 'Hội thảo',
+        registration: { waitlistClaimHours },
+        schedule: { startDate: new Date(Date.now() + 48 * HOUR_MS) }
+    });
+
+    // Queue of waitlist entries handed out by the marking update, in join order
+    const queueEntries = (entries) => {
+        Registration.findOneAndUpdate.mockImplementation(() => mockQuery(entries.shift() || null));
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('offers free seats in join order with a claim window', async () => {
+        Event.findById.mockReturnValue(mockQuery(buildEvent(12)));
+        const first = buildRegistration({ couponCode: undefined });
+        const second = { ...buildRegistration({ couponCode: undefined }), _id: 'reg2' };
+        queueEntries([first, second]);
+        seatReservationService.reserve.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+        const promoted = await waitlistService.promoteNext('event1');
+
+        expect(promoted).toEqual([first]);
+        expect(Registration.findOneAndUpdate.mock.calls[0][2]).toEqual({ sort: { 'waitlist.joinedAt': 1 }, new: true });
+        expect(first.status).toBe('waitlist');
+        expect(first.waitlist.expiresAt.getTime()).toBeGreaterThan(Date.now() + 11 * HOUR_MS);
+        // No seat for the second entry: its offer mark is taken back
+        expect(Registration.updateOne).toHaveBeenCalledWith({ _id: 'reg2' }, { $unset: { 'waitlist.notifiedAt': 1 } });
+    });
+
+    it('promotes straight to approved when the event has no claim window', async () => {
+        Event.findById.mockReturnValue(mockQuery(buildEvent(0)));
+        const entry = buildRegistration();
+        queueEntries([entry]);
+        seatReservationService.reserve.mockResolvedValueOnce(true);
+
+        await waitlistService.promoteNext('event1');
+
+        expect(entry.status).toBe('approved');
+        expect(entry.waitlist.expiresAt).toBeUndefined();
+        expect(pricingService.redeemForRegistration).toHaveBeenCalledWith(entry);
+    });
+
+    it('does not promote once the event has started', async () => {
+        Event.findById.mockReturnValue(mockQuery({ ...buildEvent(12), schedule: { startDate: new Date(Date.now() - 1000) } }));
+
+        await expect(waitlistService.promoteNext('event1')).resolves.toEqual([]);
+        expect(Registration.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('claims only offers that are still open', async () => {
+        Registration.findOneAndUpdate.mockResolvedValueOnce(null);
+
+        await expect(waitlistService.claimOffer('reg1')).resolves.toBeNull();
+
+        const [filter] = Registration.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual(expect.objectContaining({
+            _id: 'reg1',
+            status: 'waitlist',
+            'waitlist.expiresAt': { $gt: expect.any(Date) }
+        }));
+    });
+});
@@ -0,0 +1,227 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Registration', () => ({
+    findById: jest.fn(),
+    findOne: jest.fn()
+}));
+jest.mock('../../../src/services/payment/vnpayService', () => ({
+    createPaymentUrl: jest.fn(),
+    verifyCallback: jest.fn(),
+    refund: jest.fn()
+}));
+jest.mock('../../../src/services/payment/momoService', () => ({
+    createPaymentUrl: jest.fn(),
+    verifyCallback: jest.fn(),
+    refund: jest.fn()
+}));
+jest.mock('../../../src/services/events/seatReservationService', () => ({
+    extendHold: jest.fn(),
+    confirmHold: jest.fn()
+}));
+
+const Registration = require('../../../src/models/Registration');
+const vnpayService = require('../../../src/services/payment/vnpayService');
+const seatReservationService = require('../../../src/services/events/seatReservationService');
+const paymentService = require('../../../src/services/payment/paymentService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const buildRegistration = (payment = {}) => ({
+    _id: 'reg1',
+    user: 'user1',
+    status: 'pending',
+    registrationNumber: 'REG001',
+    payment: {
+        required: true,
+        status: 'pending',
+        finalAmount: 100000,
+        currency: 'VND',
+        ...payment
+    },
+    save: jest.fn().mockResolvedValue()
+});
+
+describe('paymentService.createPaymentIntent', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.FRONTEND_URL = 'https://events.example.edu';
+        vnpayService.createPaymentUrl.mockImplementation(({ orderId }) => ({
+            paymentUrl: `https://gateway.test/pay/${orderId}`,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+        }));
+    });
+
+    it('records every issued order id', async () => {
+        const registration = buildRegistration({ orderIds: ['REG001-OLD'], status: 'failed' });
+        Registration.findById.mockReturnValue(mockQuery(registration));
+
+        const intent = await paymentService.createPaymentIntent('reg1', { method: 'vnpay' });
+
+        expect(registration.payment.orderId).toBe(intent.orderId);
+        expect(registration.payment.orderIds).toEqual(['REG001-OLD', intent.orderId]);
+        expect(registration.payment.status).toBe('processing');
+        expect(registration.save).toHaveBeenCalled();
+    });
+
+    it('reuses a link that is still open', async () => {
+        const registration = buildRegistration({
+            status: 'processing',
+            paymentMethod: 'vnpay',
+            orderId: 'REG001-OPEN',
+            orderIds: ['REG001-OPEN'],
+            paymentUrl: 'https://gateway.test/pay/REG001-OPEN',
+            expiresAt: new Date(Date.now() + 5 * 60 * 1000)
+        });
+        Registration.findById.mockReturnValue(mockQuery(registration));
+
+        const intent = await paymentService.createPaymentIntent('reg1', { method: 'vnpay' });
+
+        expect(intent.orderId).toBe('REG001-OPEN');
+        expect(vnpayService.createPaymentUrl).not.toHaveBeenCalled();
+        expect(registration.save).not.toHaveBeenCalled();
+    });
+
+    it('accepts redirect URLs on the frontend', async () => {
+        const registration = buildRegistration();
+        Registration.findById.mockReturnValue(mockQuery(registration));
+
+        await paymentService.createPaymentIntent('reg1', {
+            method: 'vnpay',
+            returnUrl: 'https://events.example.edu/events/demo/registration/success'
+        });
+
+        expect(registration.payment.returnUrl).toBe('https://events.example.edu/events/demo/registration/success');
+    });
+
+    it.each([
+        'https://evil.example.com/phish',
+        'https://events.example.edu.evil.com/',
+        'javascript:alert(1)'
+    ])('rejects the redirect URL %s', async (url) => {
+        Registration.findById.mockReturnValue(mockQuery(buildRegistration()));
+
+        await expect(paymentService.createPaymentIntent('reg1', { method: 'vnpay', cancelUrl: url }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(vnpayService.createPaymentUrl).not.toHaveBeenCalled();
+    });
+
+    it('refuses to pay for another user\'s registration', async () => {
+        Registration.findById.mockReturnValue(mockQuery(buildRegistration()));
+
+        await expect(paymentService.createPaymentIntent('reg1', { userId: 'someone-else' }))
+            .rejects.toMatchObject({ statusCode: 403 });
+    });
+});
+
+describe('paymentService.handleCallback (IPN)', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        seatReservationService.confirmHold.mockResolvedValue(true);
+    });
+
+    const callback = (overrides = {}) => ({
+        isValid: true,
+        isSuccess: true,
+        orderId: 'REG001-NEW',
+        amount: 100000,
+        transactionId: 'TXN1',
+        responseCode: '00',
+        message: 'Transaction successful',
+        ...overrides
+    });
+
+    it('rejects an invalid signature', async () => {
+        vnpayService.verifyCallback.mockReturnValue(callback({ isValid: false }));
+
+        await expect(paymentService.handleCallback('vnpay', {})).rejects.toMatchObject({ statusCode: 400 });
+        expect(Registration.findOne).not.toHaveBeenCalled();
+    });
+
+    it('settles a payment made on an earlier link', async () => {
+        const registration = buildRegistration({
+            status: 'processing',
+            paymentMethod: 'vnpay',
+            orderId: 'REG001-NEW',
+            orderIds: ['REG001-OLD', 'REG001-NEW']
+        });
+        vnpayService.verifyCallback.mockReturnValue(callback({ orderId: 'REG001-OLD' }));
+        Registration.findOne.mockResolvedValue(registration);
+
+        const { alreadyProcessed } = await paymentService.handleCallback('vnpay', {});
+
+        expect(Registration.findOne).toHaveBeenCalledWith({
+            $or: [
+                { 'payment.orderId': 'REG001-OLD' },
+                { 'payment.orderIds': 'REG001-OLD' }
+            ]
+        });
+        expect(alreadyProcessed).toBe(false);
+        expect(registration.payment.status).toBe('completed');
+        expect(registration.payment.orderId).toBe('REG001-OLD');
+        expect(seatReservationService.confirmHold).toHaveBeenCalledWith(registration);
+    });
+
+    it('rejects an amount mismatch', async () => {
+        vnpayService.verifyCallback.mockReturnValue(callback({ amount: 1000 }));
+        Registration.findOne.mockResolvedValue(buildRegistration({ status: 'processing' }));
+
+        await expect(paymentService.handleCallback('vnpay', {})).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('acknowledges a retried IPN without changes', async () => {
+        const registration = buildRegistration({ status: 'completed', orderId: 'REG001-NEW' });
+        vnpayService.verifyCallback.mockReturnValue(callback());
+        Registration.findOne.mockResolvedValue(registration);
+
+        const { alreadyProcessed } = await paymentService.handleCallback('vnpay', {});
+
+        expect(alreadyProcessed).toBe(true);
+        expect(registration.save).not.toHaveBeenCalled();
+    });
+
+    it('ignores a failure on a superseded link', async () => {
+        const registration = buildRegistration({
+            status: 'processing',
+            orderId: 'REG001-NEW',
+            orderIds: ['REG001-OLD', 'REG001-NEW']
+        });
+        vnpayService.verifyCallback.mockReturnValue(callback({ orderId: 'REG001-OLD', isSuccess: false }));
+        Registration.findOne.mockResolvedValue(registration);
+
+        await paymentService.handleCallback('vnpay', {});
+
+        expect(registration.payment.status).toBe('processing');
+        expect(registration.save).not.toHaveBeenCalled();
+    });
+
+    it('marks the current order as failed', async () => {
+        const registration = buildRegistration({ status: 'processing', orderId: 'REG001-NEW' });
+        vnpayService.verifyCallback.mockReturnValue(callback({ isSuccess: false, message: 'Cancelled' }));
+        Registration.findOne.mockResolvedValue(registration);
+
+        await paymentService.handleCallback('vnpay', {});
+
+        expect(registration.payment.status).toBe('failed');
+        expect(registration.payment.failureReason).toBe('Cancelled');
+    });
+
+    it('refunds a payment whose seat was released', async () => {
+        const registration = buildRegistration({
+            status: 'processing',
+            paymentMethod: 'vnpay',
+            orderId: 'REG001-NEW'
+        });
+        vnpayService.verifyCallback.mockReturnValue(callback());
+        vnpayService.refund.mockResolvedValue({ isSuccess: true, transactionId: 'RF1' });
+        seatReservationService.confirmHold.mockResolvedValue(false);
+        Registration.findOne.mockResolvedValue(registration);
+
+        await paymentService.handleCallback('vnpay', {});
+
+        expect(registration.payment.status).toBe('refunded');
+        expect(registration.payment.refundStatus).toBe('processed');
+        expect(vnpayService.refund).toHaveBeenCalledWith(
+            expect.objectContaining({ orderId: 'REG001-NEW', amount: 100000 }),
+            expect.any(Object)
+        );
+    });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Event', () => ({
+    findById: jest.fn(),
+    updateOne: jest.fn()
+}));
+
+const Event = require('../../../src/models/Event');
+const pricingService = require('../../../src/services/payment/pricingService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const buildEvent = (coupon = {}) => ({
+    _id: 'event1',
+    pricing: {
+        isFree: false,
+        price: 200000,
+        currency: 'VND',
+        coupons: [{
+            code: 'SAVE50',
+            discountType: 'fixed',
+            discountValue: 50000,
+            maxUses: 10,
+            usedCount: 0,
+            isActive: true,
+            ...coupon
+        }]
+    }
+});
+
+const buildRegistration = (event, payment = {}) => {
+    const registration = {
+        _id: 'reg1',
+        event: 'event1',
+        payment: { required: true, currency: 'VND' }
+    };
+
+    pricingService.applyToRegistration(registration, pricingService.calculatePrice(event, { couponCode: 'SAVE50' }));
+    Object.assign(registration.payment, payment);
+
+    return registration;
+};
+
+describe('pricingService coupon redemption', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('prices a registration with the coupon without consuming it', () => {
+        const registration = buildRegistration(buildEvent());
+
+        expect(registration.payment.couponCode).toBe('SAVE50');
+        expect(registration.payment.finalAmount).toBe(150000);
+        expect(Event.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('redeems a pending coupon when the seat is confirmed', async () => {
+        const event = buildEvent();
+        Event.findById.mockReturnValue(mockQuery(event));
+        Event.updateOne.mockResolvedValue({ modifiedCount: 1 });
+        const registration = buildRegistration(event, { couponPending: true });
+
+        await pricingService.redeemForRegistration(registration);
+
+        expect(Event.updateOne).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: 'event1' }),
+            { $inc: { 'pricing.coupons.$.usedCount': 1 } }
+        );
+        expect(registration.payment.couponPending).toBe(false);
+        expect(registration.payment.finalAmount).toBe(150000);
+    });
+
+    it('does not redeem a coupon that was already consumed', async () => {
+        const registration = buildRegistration(buildEvent());
+
+        await pricingService.redeemForRegistration(registration);
+
+        expect(Event.findById).not.toHaveBeenCalled();
+        expect(Event.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('drops a coupon that ran out while the registration waited and reprices it', async () => {
+        const event = buildEvent({ maxUses: 1, usedCount: 1 });
+        Event.findById.mockReturnValue(mockQuery(event));
+        const registration = buildRegistration(buildEvent(), { couponPending: true });
+
+        await pricingService.redeemForRegistration(registration);
+
+        expect(Event.updateOne).not.toHaveBeenCalled();
+        expect(registration.payment.couponCode).toBeUndefined();
+        expect(registration.payment.couponPending).toBeUndefined();
+        expect(registration.payment.discountApplied).toBe(0);
+        expect(registration.payment.finalAmount).toBe(200000);
+    });
+
+    it('drops the coupon when the last use is taken concurrently', async () => {
+        const event = buildEvent({ maxUses: 1, usedCount: 0 });
+        Event.findById.mockReturnValue(mockQuery(event));
+        Event.updateOne.mockResolvedValue({ modifiedCount: 0 });
+        const registration = buildRegistration(event, { couponPending: true });
+
+        await pricingService.redeemForRegistration(registration);
+
+        expect(registration.payment.couponCode).toBeUndefined();
+        expect(registration.payment.finalAmount).toBe(200000);
+    });
+
+    it('releases only coupons the registration consumed', async () => {
+        Event.updateOne.mockResolvedValue({ modifiedCount: 1 });
+        const pending = buildRegistration(buildEvent(), { couponPending: true });
+        const consumed = buildRegistration(buildEvent());
+
+        await pricingService.releaseForRegistration(pending);
+        expect(Event.updateOne).not.toHaveBeenCalled();
+
+        await pricingService.releaseForRegistration(consumed);
+        expect(Event.updateOne).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: 'event1' }),
+            { $inc: { 'pricing.coupons.$.usedCount': -1 } }
+        );
+        expect(consumed.payment.couponPending).toBe(true);
+    });
+});
@@ -0,0 +1,155 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/models/Registration', () => ({
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/models/Event', () => ({}));
+jest.mock('../../../src/services/payment/paymentService', () => ({
+    refundPayment: jest.fn()
+}));
+jest.mock('../../../src/services/notifications/emailService', () => ({
+    sendEmail: jest.fn()
+}));
+
+const Registration = require('../../../src/models/Registration');
+const paymentService = require('../../../src/services/payment/paymentService');
+const refundService = require('../../../src/services/payment/refundService');
+const { mockQuery } = require('../../helpers/mockQuery');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const organizer = { userId: 'organizer1', role: 'organizer' };
+
+const buildEvent = (refundRules = {}) => ({
+    title: 'Hội thảo',
+    organizer: 'organizer1',
+    coOrganizers: [],
+    schedule: { startDate: new Date(Date.now() + 10 * DAY_MS) },
+    settings: { refundRules }
+});
+
+const buildRegistration = (payment = {}) => ({
+    _id: 'reg1',
+    event: buildEvent(),
+    user: { _id: 'user1', email: 'sv@example.edu.vn', profile: { fullName: 'Sinh Viên' } },
+    payment: {
+        status: 'completed',
+        finalAmount: 200000,
+        currency: 'VND',
+        refundStatus: 'pending_approval',
+        refundAmount: 100000,
+        ...payment
+    },
+    save: jest.fn().mockResolvedValue()
+});
+
+// Conditional update against a single stored registration, applied atomically
+const storeRegistration = (stored) => {
+    Registration.findById.mockImplementation(() => mockQuery({ ...stored, payment: { ...stored.payment } }));
+    Registration.findOneAndUpdate.mockImplementation((filter, update) => {
+        const matches = filter['payment.refundStatus'].$in.includes(stored.payment.refundStatus);
+        if (!matches) {
+            return mockQuery(null);
+        }
+
+        Object.entries(update.$set).forEach(([path, value]) => {
+            stored.payment[path.replace('payment.', '')] = value;
+        });
+        return mockQuery(stored);
+    });
+};
+
+describe('refundService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('calculateRefund', () => {
+        const tiers = [
+            { daysBeforeEvent: 7, refundPercent: 100 },
+            { daysBeforeEvent: 2, refundPercent: 50 }
+        ];
+
+        it('refunds the tier the cancellation falls into', () => {
+            const event = buildEvent({ tiers });
+            const registration = buildRegistration();
+            const start = event.schedule.startDate.getTime();
+
+            expect(refundService.calculateRefund(registration, event, new Date(start - 8 * DAY_MS)).amount).toBe(200000);
+            expect(refundService.calculateRefund(registration, event, new Date(start - 3 * DAY_MS)).amount).toBe(100000);
+            expect(refundService.calculateRefund(registration, event, new Date(start - DAY_MS)).amount).toBe(0);
+        });
+
+        it('refunds nothing for unpaid registrations or disabled refunds', () => {
+            expect(refundService.calculateRefund(buildRegistration({ status: 'pending' }), buildEvent()).amount).toBe(0);
+            expect(refundService.calculateRefund(buildRegistration(), buildEvent({ enabled: false })).amount).toBe(0);
+        });
+    });
+
+    describe('approveRefund', () => {
+        it('approves and pays out a pending refund', async () => {
+            const stored = buildRegistration();
+            storeRegistration(stored);
+            paymentService.refundPayment.mockResolvedValue({ isSuccess: true, transactionId: 'RF1' });
+
+            const result = await refundService.approveRefund('reg1', organizer, { amount: 150000 });
+
+            expect(paymentService.refundPayment).toHaveBeenCalledWith(stored, 150000, undefined);
+            expect(result.payment.refundStatus).toBe('processed');
+            expect(result.payment.refundTransactionId).toBe('RF1');
+        });
+
+        it('pays out once when two reviewers approve at the same time', async () => {
+            const stored = buildRegistration();
+            storeRegistration(stored);
+            paymentService.refundPayment.mockResolvedValue({ isSuccess: true, transactionId: 'RF1' });
+
+            const results = await Promise.allSettled([
+                refundService.approveRefund('reg1', organizer),
+                refundService.approveRefund('reg1', { userId: 'admin1', role: 'admin' })
+            ]);
+
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            expect(results.find(r => r.status === 'rejected').reason.message).toBe('This refund has already been reviewed');
+            expect(paymentService.refundPayment).toHaveBeenCalledTimes(1);
+        });
+
+        it('refuses refunds that were already processed', async () => {
+            storeRegistration(buildRegistration({ refundStatus: 'processed' }));
+
+            await expect(refundService.approveRefund('reg1', organizer)).rejects.toThrow('Only pending or failed refunds can be approved');
+            expect(Registration.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('refuses reviewers who do not manage the event', async () => {
+            storeRegistration(buildRegistration());
+
+            await expect(refundService.approveRefund('reg1', { userId: 'other', role: 'organizer' }))
+                .rejects.toThrow('You can only review refunds for events you organize');
+        });
+
+        it('leaves a refund the gateway declined in the queue as failed', async () => {
+            storeRegistration(buildRegistration());
+            paymentService.refundPayment.mockResolvedValue({ isSuccess: false, message: 'Declined' });
+
+            const result = await refundService.approveRefund('reg1', organizer);
+
+            expect(result.payment.refundStatus).toBe('failed');
+            expect(result.payment.refundFailureReason).toBe('Declined');
+        });
+    });
+
+    describe('rejectRefund', () => {
+        it('cannot reject a refund another reviewer approved meanwhile', async () => {
+            const stored = buildRegistration();
+            storeRegistration(stored);
+            Registration.findById.mockImplementation(() => {
+                const snapshot = { ...stored, payment: { ...stored.payment } };
+                stored.payment.refundStatus = 'approved';
+                return mockQuery(snapshot);
+            });
+
+            await expect(refundService.rejectRefund('reg1', organizer, 'Không hợp lệ'))
+                .rejects.toThrow('This refund has already been reviewed');
+        });
+    });
+});
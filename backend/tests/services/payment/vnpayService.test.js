@@ -0,0 +1,60 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/mockLogger'));
+jest.mock('../../../src/utils/dateUtils', () => ({
+    format: () => '20260101120000'
+}));
+jest.mock('../../../src/utils/encryption', () => ({
+    secureCompare: (a, b) => a === b
+}));
+
+const vnpayService = require('../../../src/services/payment/vnpayService');
+
+const options = {
+    fakeGateway: true,
+    fakeSecret: 'test-secret',
+    fakeGatewayUrl: 'http://localhost:5000/fake-gateway'
+};
+
+const createParams = () => {
+    const { paymentUrl } = vnpayService.createPaymentUrl({
+        orderId: 'ORD1',
+        amount: 150000,
+        orderInfo: 'Thanh toan REG001',
+        returnUrl: 'http://localhost:3000/payment/return'
+    }, options);
+
+    return Object.fromEntries(new URL(paymentUrl).searchParams);
+};
+
+describe('vnpayService callback verification', () => {
+    it('accepts a callback signed with the merchant secret', () => {
+        const { params } = vnpayService.buildFakeCallback(createParams(), 'success', options);
+        const result = vnpayService.verifyCallback(params, options);
+
+        expect(result.isValid).toBe(true);
+        expect(result.isSuccess).toBe(true);
+        expect(result.orderId).toBe('ORD1');
+        expect(result.amount).toBe(150000);
+    });
+
+    it('rejects a callback whose amount was tampered with', () => {
+        const { params } = vnpayService.buildFakeCallback(createParams(), 'success', options);
+        const result = vnpayService.verifyCallback({ ...params, vnp_Amount: '100' }, options);
+
+        expect(result.isValid).toBe(false);
+        expect(result.isSuccess).toBe(false);
+    });
+
+    it('rejects a callback signed with another secret', () => {
+        const { params } = vnpayService.buildFakeCallback(createParams(), 'success', { ...options, fakeSecret: 'other' });
+
+        expect(vnpayService.verifyCallback(params, options).isValid).toBe(false);
+    });
+
+    it('reports a cancelled payment as valid but unsuccessful', () => {
+        const { params } = vnpayService.buildFakeCallback(createParams(), 'cancel', options);
+        const result = vnpayService.verifyCallback(params, options);
+
+        expect(result.isValid).toBe(true);
+        expect(result.isSuccess).toBe(false);
+    });
+});
@@ -0,0 +1,114 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/mockLogger'));
+jest.mock('../../src/config/redis', () => ({
+    increment: jest.fn(),
+    expire: jest.fn(),
+    get: jest.fn(),
+    set: jest.fn()
+}));
+
+jest.spyOn(global, 'setInterval').mockReturnValue(0);
+
+const redisClient = require('../../src/config/redis');
+const qrCodeService = require('../../src/services/qrCodeService');
+
+const SETTINGS = { rotationSeconds: 30, clockSkewSteps: 1 };
+const SECRET = '3132333435363738393031323334353637383930';
+const OTHER_SECRET = '0f1e2d3c4b5a69788796a5b4c3d2e1f00f1e2d3c';
+const NOW = Date.UTC(2026, 9, 19, 8, 0, 10);
+
+const currentPayload = (drift = 0, secret = SECRET) => ({
+    type: 'registration_rotating',
+    registrationId: 'reg1',
+    token: qrCodeService.generateRotatingToken(secret, qrCodeService.getRotationCounter(SETTINGS.rotationSeconds) + drift)
+});
+
+describe('qrCodeService rotating code scans', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisClient.expire.mockResolvedValue(true);
+        redisClient.get.mockResolvedValue(null);
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    it('matches the RFC 4226 HOTP test vectors', () => {
+        expect(qrCodeService.generateRotatingToken(SECRET, 0, 6)).toBe('755224');
+        expect(qrCodeService.generateRotatingToken(SECRET, 9, 6)).toBe('520489');
+    });
+
+    it('accepts the first scan of a code', async () => {
+        redisClient.increment.mockResolvedValue(1);
+
+        const result = await qrCodeService.verifyRotatingQRCode(currentPayload(), SECRET, SETTINGS);
+
+        expect(result.valid).toBe(true);
+    });
+
+    it('accepts codes within the allowed clock skew', async () => {
+        redisClient.increment.mockResolvedValue(1);
+
+        await expect(qrCodeService.verifyRotatingQRCode(currentPayload(-1), SECRET, SETTINGS))
+            .resolves.toMatchObject({ valid: true, drift: -1 });
+        await expect(qrCodeService.verifyRotatingQRCode(currentPayload(1), SECRET, SETTINGS))
+            .resolves.toMatchObject({ valid: true, drift: 1 });
+    });
+
+    it('rejects codes outside the allowed clock skew', async () => {
+        for (const drift of [-2, 2]) {
+            const result = await qrCodeService.verifyRotatingQRCode(currentPayload(drift), SECRET, SETTINGS);
+
+            expect(result).toEqual({ valid: false, reason: 'QR code expired' });
+        }
+        expect(redisClient.increment).not.toHaveBeenCalled();
+    });
+
+    it('rejects a code made with another secret', async () => {
+        const result = await qrCodeService.verifyRotatingQRCode(currentPayload(0, OTHER_SECRET), SECRET, SETTINGS);
+
+        expect(result).toEqual({ valid: false, reason: 'QR code expired' });
+        expect(redisClient.increment).not.toHaveBeenCalled();
+    });
+
+    it('rejects every code when the registration has no usable secret', async () => {
+        // An empty HMAC key is accepted by Node, so such codes would be forgeable
+        const forged = {
+            type: 'registration_rotating',
+            registrationId: 'reg1',
+            token: qrCodeService.generateRotatingToken('', qrCodeService.getRotationCounter(SETTINGS.rotationSeconds))
+        };
+
+        for (const secret of ['', undefined, 'rotating-secret']) {
+            const result = await qrCodeService.verifyRotatingQRCode(forged, secret, SETTINGS);
+
+            expect(result).toEqual({ valid: false, reason: 'Invalid QR code' });
+        }
+        expect(redisClient.increment).not.toHaveBeenCalled();
+    });
+
+    it('rejects a replayed code', async () => {
+        redisClient.increment.mockResolvedValue(2);
+
+        const result = await qrCodeService.verifyRotatingQRCode(currentPayload(), SECRET, SETTINGS);
+
+        expect(result).toEqual({ valid: false, reason: 'QR code already used', replay: true });
+    });
+
+    it('rejects the scan when the counter cannot be updated', async () => {
+        redisClient.increment.mockResolvedValue(null);
+
+        const result = await qrCodeService.verifyRotatingQRCode(currentPayload(), SECRET, SETTINGS);
+
+        expect(result).toEqual({ valid: false, reason: 'Verification failed' });
+        expect(result.replay).toBeUndefined();
+    });
+
+    it('throws from markAsScanned instead of reporting an unrecorded scan as new', async () => {
+        redisClient.increment.mockResolvedValue(null);
+
+        await expect(qrCodeService.markAsScanned('qr:registration:reg1:1')).rejects.toThrow('Scan counter unavailable');
+        expect(redisClient.set).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,91 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/mockLogger'));
+// TOTP helpers are not exercised here
+jest.mock('speakeasy', () => ({}), { virtual: true });
+
+const logger = require('../../src/utils/logger');
+
+// A fresh instance per test, since the signing keys are cached
+const loadEncryption = () => {
+    let encryption;
+    jest.isolateModules(() => {
+        encryption = require('../../src/utils/encryption');
+    });
+    return encryption;
+};
+
+describe('encryption signing keys', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...env };
+        jest.clearAllMocks();
+    });
+
+    it('refuses to sign in production without a configured key', () => {
+        process.env.NODE_ENV = 'production';
+        delete process.env.CERTIFICATE_SIGNING_PRIVATE_KEY;
+        const encryption = loadEncryption();
+
+        expect(() => encryption.getSigningKeys()).toThrow('CERTIFICATE_SIGNING_PRIVATE_KEY must be set in production');
+        expect(() => encryption.signJWS({ v: 1 })).toThrow();
+    });
+
+    it('falls back to a temporary key outside production and says so', () => {
+        process.env.NODE_ENV = 'development';
+        delete process.env.CERTIFICATE_SIGNING_PRIVATE_KEY;
+        const encryption = loadEncryption();
+
+        const first = encryption.getSigningKeys();
+
+        expect(first.keyId).toEqual(expect.any(String));
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('CERTIFICATE_SIGNING_PRIVATE_KEY is not set'));
+        expect(encryption.getSigningKeys()).toBe(first);
+        expect(logger.error).toHaveBeenCalledTimes(1);
+    });
+
+    it('uses the configured key in production, as PEM or base64', () => {
+        process.env.NODE_ENV = 'production';
+        const { privateKey } = loadEncryption().generateSigningKeyPair();
+
+        process.env.CERTIFICATE_SIGNING_PRIVATE_KEY = privateKey;
+        const fromPEM = loadEncryption().getSigningKeys();
+
+        process.env.CERTIFICATE_SIGNING_PRIVATE_KEY = Buffer.from(privateKey).toString('base64');
+        const fromBase64 = loadEncryption().getSigningKeys();
+
+        expect(fromBase64.keyId).toBe(fromPEM.keyId);
+        expect(logger.error).not.toHaveBeenCalled();
+    });
+});
+
+describe('encryption.verifyJWS', () => {
+    const encryption = loadEncryption();
+    const payload = { v: 1, certificateId: 'CERT-1' };
+
+    it('verifies a token with the expected typ', () => {
+        const token = encryption.signJWS(payload, { typ: 'certificate+jws' });
+
+        expect(encryption.verifyJWS(token, { typ: 'certificate+jws' })).toMatchObject({ valid: true, payload });
+    });
+
+    it('rejects a token of another typ', () => {
+        const token = encryption.signJWS(payload, { typ: 'JWT' });
+
+        expect(encryption.verifyJWS(token, { typ: 'certificate+jws' })).toEqual({ valid: false, reason: 'wrong_type' });
+        expect(encryption.verifyJWS(token, { typ: 'certificate+jws', allowUntyped: true }).reason).toBe('wrong_type');
+    });
+
+    it('accepts an untyped token only when allowed', () => {
+        const token = encryption.signJWS(payload);
+
+        expect(encryption.verifyJWS(token, { typ: 'certificate+jws' }).reason).toBe('wrong_type');
+        expect(encryption.verifyJWS(token, { typ: 'certificate+jws', allowUntyped: true }).valid).toBe(true);
+    });
+
+    it('rejects a token whose body was changed', () => {
+        const [header, , signature] = encryption.signJWS(payload).split('.');
+        const forged = Buffer.from(JSON.stringify({ ...payload, certificateId: 'CERT-2' })).toString('base64url');
+
+        expect(encryption.verifyJWS(`${header}.${forged}.${signature}`).reason).toBe('bad_signature');
+    });
+});
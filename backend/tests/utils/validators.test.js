@@ -0,0 +1,105 @@
+const Validators = require('../../src/utils/validators');
+
+describe('Validators registration form', () => {
+    describe('checkFieldPattern', () => {
+        it.each([
+            '^\\d{8}$',
+            '^[A-Z]{2}\\d+$',
+            '^(\\d{3})-(\\d{4})$',
+            '^(?:\\+84|0)\\d{9}$',
+            '^[a-z0-9._]+@[a-z0-9.]+\\.[a-z]+$'
+        ])('accepts the simple pattern %s', (pattern) => {
+            expect(Validators.checkFieldPattern(pattern)).toBeNull();
+        });
+
+        it.each([
+            ['(a+)+$', 'must not repeat a group that repeats or alternates'],
+            ['^(a|aa)*$', 'must not repeat a group that repeats or alternates'],
+            ['((ab)*c)+', 'must not repeat a group that repeats or alternates'],
+            ['(\\d+){2,10}', 'must not repeat a group that repeats or alternates'],
+            ['(\\w)\\1', 'must not use backreferences'],
+            ['^(?=.*\\d).+$', 'must not use lookahead or lookbehind'],
+            ['\\d+\\s*\\w+.*x', 'must not use more than 3 unbounded repetitions (*, +, {n,})'],
+            ['a'.repeat(201), 'must not exceed 200 characters'],
+            ['([a-z]', 'is not a valid regular expression']
+        ])('rejects %s', (pattern, problem) => {
+            expect(Validators.checkFieldPattern(pattern)).toBe(problem);
+        });
+
+        it('is not fooled by quantifier characters inside classes or escapes', () => {
+            expect(Validators.checkFieldPattern('([+*]x)+')).toBeNull();
+            expect(Validators.checkFieldPattern('(\\+\\d)+')).toBeNull();
+        });
+    });
+
+    describe('validateCustomFieldDefinitions', () => {
+        it('refuses a field whose pattern could backtrack catastrophically', () => {
+            const result = Validators.validateCustomFieldDefinitions([
+                { name: 'studentId', type: 'text', rules: { pattern: '^(\\d+)+$' } }
+            ]);
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors[0]).toEqual({
+                field: 'customFields[0].rules.pattern',
+                message: 'Pattern for field "studentId" must not repeat a group that repeats or alternates'
+            });
+        });
+
+        it('refuses conditions on unknown or circular fields', () => {
+            const result = Validators.validateCustomFieldDefinitions([
+                { name: 'a', type: 'text', showIf: { field: 'b' } },
+                { name: 'b', type: 'text', showIf: { field: 'a' } },
+                { name: 'c', type: 'text', showIf: { field: 'missing' } }
+            ]);
+
+            expect(result.errors.map(error => error.message)).toEqual([
+                'Field "a" has a circular condition',
+                'Field "b" has a circular condition',
+                'Field "c" depends on an unknown field'
+            ]);
+        });
+    });
+
+    describe('validateCustomFieldAnswers', () => {
+        const fields = [
+            { name: 'studentId', label: 'MSSV', type: 'text', required: true, rules: { pattern: '^\\d{8}$', patternMessage: 'phải gồm 8 chữ số' } },
+            { name: 'hasTeam', label: 'Có nhóm', type: 'checkbox' },
+            { name: 'teamName', label: 'Tên nhóm', type: 'text', required: true, showIf: { field: 'hasTeam', operator: 'equals', value: true } }
+        ];
+
+        it('checks answers against the field pattern', () => {
+            const result = Validators.validateCustomFieldAnswers(fields, [{ fieldName: 'studentId', value: '1234' }]);
+
+            expect(result.errors).toEqual([{ field: 'studentId', message: 'MSSV: phải gồm 8 chữ số' }]);
+        });
+
+        it('does not run the pattern on overlong answers', () => {
+            const result = Validators.validateCustomFieldAnswers(fields, [{ fieldName: 'studentId', value: '1'.repeat(201) }]);
+
+            expect(result.errors[0].message).toBe('MSSV: must not exceed 200 characters');
+        });
+
+        it('skips unsafe patterns saved before patterns were checked', () => {
+            const legacy = [{ name: 'code', type: 'text', validation: '^(a+)+$' }];
+            const result = Validators.validateCustomFieldAnswers(legacy, [{ fieldName: 'code', value: `${'a'.repeat(40)}!` }]);
+
+            expect(result.isValid).toBe(true);
+        });
+
+        it('requires conditional fields only when their condition is met', () => {
+            const hidden = Validators.validateCustomFieldAnswers(fields, [
+                { fieldName: 'studentId', value: '20120001' },
+                { fieldName: 'hasTeam', value: false },
+                { fieldName: 'teamName', value: 'Bị bỏ qua' }
+            ]);
+            const shown = Validators.validateCustomFieldAnswers(fields, [
+                { fieldName: 'studentId', value: '20120001' },
+                { fieldName: 'hasTeam', value: true }
+            ]);
+
+            expect(hidden.isValid).toBe(true);
+            expect(hidden.data.map(answer => answer.fieldName)).toEqual(['studentId']);
+            expect(shown.errors).toEqual([{ field: 'teamName', message: 'Tên nhóm is required' }]);
+        });
+    });
+});
@@ -35,6 +35,7 @@ import NotificationsPage from './pages/NotificationsPage';
 import SettingsPage from './pages/SettingsPage';
 import AdminPage from './pages/AdminPage';
 import ReportsPage from './pages/ReportsPage';
+import KioskPage from './pages/KioskPage';
 import NotFoundPage from './pages/NotFoundPage';
 import ErrorPage from './pages/ErrorPage';
 
@@ -217,6 +218,13 @@ function App() {
                                             </ProtectedRoute>
                                         } />
 
+                                        {/* Kiosk check-in runs without the app layout */}
+                                        <Route path="/events/:eventId/kiosk" element={
+                                            <ProtectedRoute roles={['admin', 'organizer']}>
+                                                <KioskPage />
+                                            </ProtectedRoute>
+                                        } />
+
                                         {/* Error Routes */}
                                         <Route path="/error" element={<ErrorPage />} />
                                         <Route path="*" element={<NotFoundPage />} />
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { eventService } from '../../services/eventService';
 import {
     Users, Search, Download, CheckCircle,
-    XCircle, Clock, Mail, Phone
+    XCircle, Clock, Mail, Phone, QrCode
 } from 'lucide-react';
 
 const EventAttendees = ({ eventId }) => {
@@ -91,10 +92,19 @@ const EventAttendees = ({ eventId }) => {
                         <span>Danh sách người tham gia</span>
                     </h3>
 
-                    <button className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
-                        <Download className="w-4 h-4" />
-                        <span>Xuất danh sách</span>
-                    </button>
+                    <div className="flex items-center space-x-3">
+                        <Link
+                            to={`/events/${eventId}/kiosk`}
+                            className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100"
+                        >
+                            <QrCode className="w-4 h-4" />
+                            <span>Kiosk check-in</span>
+                        </Link>
+                        <button className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                            <Download className="w-4 h-4" />
+                            <span>Xuất danh sách</span>
+                        </button>
+                    </div>
                 </div>
 
                 <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
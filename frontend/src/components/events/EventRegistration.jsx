@@ -1,12 +1,84 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { eventService } from '../../services/eventService';
-import { UserPlus, CheckCircle, Loader, X } from 'lucide-react';
+import { getDeviceId } from '../../utils/storage';
+import { UserPlus, CheckCircle, Loader, X, AlertCircle, MapPin, Video } from 'lucide-react';
 import { toast } from 'react-toastify';
 
 const EventRegistration = ({ event, isRegistered, onRegistrationChange }) => {
     const [loading, setLoading] = useState(false);
     const [showForm, setShowForm] = useState(!isRegistered);
+    const [ineligibleReasons, setIneligibleReasons] = useState([]);
+    const [checkInPin, setCheckInPin] = useState('');
+    const [checkingIn, setCheckingIn] = useState(false);
+    const [joining, setJoining] = useState(false);
+
+    const isOnlineEvent = ['online', 'hybrid'].includes(event.location?.type);
+
+    useEffect(() => {
+        if (isRegistered) return;
+
+        let cancelled = false;
+
+        eventService.checkEligibility(event.id)
+            .then((response) => {
+                if (!cancelled && response.data && !response.data.eligible) {
+                    setIneligibleReasons(response.data.reasons || []);
+                }
+            })
+            .catch(() => {
+                // Việc đăng ký vẫn được kiểm tra lại ở máy chủ
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [event.id, isRegistered]);
+
+    // Gửi heartbeat khi trang sự kiện đang mở để tính thời gian tham dự trực tuyến
+    useEffect(() => {
+        if (!isRegistered || !isOnlineEvent) return;
+
+        const startDate = event.schedule?.startDate && new Date(event.schedule.startDate);
+        const endDate = event.schedule?.endDate && new Date(event.schedule.endDate);
+        let timer = null;
+        let cancelled = false;
+
+        const sendHeartbeat = async () => {
+            const now = new Date();
+            let delaySeconds = 30;
+
+            if ((!startDate || now >= startDate) && (!endDate || now <= endDate)
+                && document.visibilityState === 'visible') {
+                try {
+                    const response = await eventService.sendHeartbeat(event.id, { deviceId: getDeviceId() });
+                    delaySeconds = response.data?.nextHeartbeatSeconds || delaySeconds;
+                } catch (error) {
+                    // Bỏ qua lỗi tạm thời, lần gửi sau sẽ thử lại
+                }
+            }
+
+            if (!cancelled && (!endDate || new Date() <= endDate)) {
+                timer = setTimeout(sendHeartbeat, delaySeconds * 1000);
+            }
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') {
+                clearTimeout(timer);
+                sendHeartbeat();
+            }
+        };
+
+        sendHeartbeat();
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [event.id, event.schedule?.startDate, event.schedule?.endDate, isRegistered, isOnlineEvent]);
 
     const {
         register,
@@ -28,7 +100,11 @@ const EventRegistration = ({ event, isRegistered, onRegistrationChange }) => {
             setShowForm(false);
             reset();
         } catch (error) {
-            toast.error(error.message || 'Đăng ký thất bại');
+            const reasons = error.response?.data?.reasons;
+            if (reasons && reasons.length > 0) {
+                setIneligibleReasons(reasons);
+            }
+            toast.error(error.response?.data?.message || error.message || 'Đăng ký thất bại');
         } finally {
             setLoading(false);
         }
@@ -49,6 +125,66 @@ const EventRegistration = ({ event, isRegistered, onRegistrationChange }) => {
         }
     };
 
+    const handleJoinOnline = async () => {
+        // Mở cửa sổ trước khi gọi API để trình duyệt không chặn popup
+        const meetingWindow = window.open('', '_blank');
+
+        try {
+            setJoining(true);
+            const response = await eventService.getOnlineJoinLink(event.id);
+            if (meetingWindow) {
+                meetingWindow.location.href = response.data.url;
+            } else {
+                window.location.href = response.data.url;
+            }
+        } catch (error) {
+            meetingWindow?.close();
+            toast.error(error.response?.data?.message || 'Không lấy được liên kết tham gia');
+        } finally {
+            setJoining(false);
+        }
+    };
+
+    const handleSelfCheckIn = () => {
+        if (!navigator.geolocation) {
+            toast.error('Thiết bị không hỗ trợ định vị');
+            return;
+        }
+
+        setCheckingIn(true);
+        navigator.geolocation.getCurrentPosition(
+            async (position) => {
+                try {
+                    const response = await eventService.selfCheckIn(event.id, {
+                        latitude: position.coords.latitude,
+                        longitude: position.coords.longitude,
+                        accuracy: position.coords.accuracy,
+                        pin: checkInPin || undefined,
+                        deviceId: getDeviceId()
+                    });
+
+                    if (!response.data.withinRadius) {
+                        toast.warning('Đã ghi nhận check-in, nhưng vị trí của bạn nằm ngoài khu vực sự kiện và sẽ được ban tổ chức xem xét');
+                    } else if (response.data.poorAccuracy) {
+                        toast.warning('Đã ghi nhận check-in, nhưng GPS không đủ chính xác để xác nhận vị trí và sẽ được ban tổ chức xem xét');
+                    } else {
+                        toast.success('Check-in thành công!');
+                    }
+                    setCheckInPin('');
+                } catch (error) {
+                    toast.error(error.response?.data?.message || 'Check-in thất bại');
+                } finally {
+                    setCheckingIn(false);
+                }
+            },
+            () => {
+                toast.error('Không lấy được vị trí. Vui lòng cho phép truy cập vị trí để check-in');
+                setCheckingIn(false);
+            },
+            { enableHighAccuracy: true, timeout: 15000 }
+        );
+    };
+
     if (isRegistered) {
         return (
             <div className="bg-green-50 border border-green-200 rounded-lg p-6">
@@ -76,11 +212,65 @@ const EventRegistration = ({ event, isRegistered, onRegistrationChange }) => {
                             <span>Hủy đăng ký</span>
                         </button>
                     </div>
+
+                    {isOnlineEvent && (
+                        <button
+                            onClick={handleJoinOnline}
+                            disabled={joining}
+                            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {joining ? <Loader className="w-4 h-4 animate-spin" /> : <Video className="w-4 h-4" />}
+                            <span>Tham gia trực tuyến</span>
+                        </button>
+                    )}
+
+                    {event.selfCheckIn?.enabled && (
+                        <div className="flex items-center space-x-3">
+                            {event.selfCheckIn.requirePin && (
+                                <input
+                                    type="text"
+                                    inputMode="numeric"
+                                    value={checkInPin}
+                                    onChange={(e) => setCheckInPin(e.target.value)}
+                                    placeholder="Mã PIN tại sự kiện"
+                                    className="w-40 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                />
+                            )}
+                            <button
+                                onClick={handleSelfCheckIn}
+                                disabled={checkingIn || (event.selfCheckIn.requirePin && !checkInPin)}
+                                className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                            >
+                                {checkingIn ? <Loader className="w-4 h-4 animate-spin" /> : <MapPin className="w-4 h-4" />}
+                                <span>Check-in tại địa điểm</span>
+                            </button>
+                        </div>
+                    )}
                 </div>
             </div>
         );
     }
 
+    if (ineligibleReasons.length > 0) {
+        return (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-6">
+                <div className="flex items-center space-x-3 mb-4">
+                    <AlertCircle className="w-6 h-6 text-red-600" />
+                    <div>
+                        <h3 className="font-semibold text-red-800">Bạn chưa đủ điều kiện đăng ký</h3>
+                        <p className="text-sm text-red-600">Sự kiện này có các yêu cầu sau mà bạn chưa đáp ứng</p>
+                    </div>
+                </div>
+
+                <ul className="list-disc list-inside space-y-1 text-sm text-red-700">
+                    {ineligibleReasons.map((reason, index) => (
+                        <li key={`${reason.code}-${index}`}>{reason.message}</li>
+                    ))}
+                </ul>
+            </div>
+        );
+    }
+
     if (!showForm) {
         return (
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-6 text-center">
@@ -0,0 +1,332 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import QrReader from 'react-qr-scanner';
+import { eventService } from '../../services/eventService';
+import {
+    Download, RefreshCw, CheckCircle, XCircle,
+    AlertCircle, Wifi, WifiOff, Loader
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Kiosk check-in: works offline from a downloaded manifest, queues scans in
+// localStorage and syncs them when the network is back.
+
+const SYNC_INTERVAL = 60 * 1000;
+const RESCAN_DELAY = 3000;
+
+const storageKey = (eventId, name) => `kiosk:${eventId}:${name}`;
+
+const readStorage = (key, fallback) => {
+    try {
+        const value = localStorage.getItem(key);
+        return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+        return fallback;
+    }
+};
+
+const getDeviceId = () => {
+    let deviceId = localStorage.getItem('kiosk:deviceId');
+    if (!deviceId) {
+        deviceId = `kiosk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        localStorage.setItem('kiosk:deviceId', deviceId);
+    }
+    return deviceId;
+};
+
+const sha256 = async (text) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Signed registration payloads are looked up by their signature, plain
+// check-in tokens by the token itself (same as the server manifest)
+const getLookupCode = (text) => {
+    try {
+        const payload = JSON.parse(text);
+        if (payload && payload.type === 'registration' && payload.signature) {
+            return payload.signature;
+        }
+    } catch (error) {
+        // Không phải JSON: mã check-in dạng chuỗi
+    }
+    return text;
+};
+
+const SYNC_STATUS_TEXT = {
+    checked_in: 'Đã ghi nhận',
+    duplicate: 'Trùng (đã check-in ở cửa khác)',
+    conflict: 'Xung đột',
+    rejected: 'Bị từ chối'
+};
+
+const QRCodeScanner = ({ eventId }) => {
+    const [manifest, setManifest] = useState(() => readStorage(storageKey(eventId, 'manifest'), null));
+    const [queue, setQueue] = useState(() => readStorage(storageKey(eventId, 'queue'), []));
+    const [scanned, setScanned] = useState(() => readStorage(storageKey(eventId, 'scanned'), []));
+    const [lastScan, setLastScan] = useState(null);
+    const [problems, setProblems] = useState([]);
+    const [online, setOnline] = useState(navigator.onLine);
+    const [downloading, setDownloading] = useState(false);
+    const [syncing, setSyncing] = useState(false);
+    const lastCode = useRef({ text: null, at: 0 });
+    const syncingRef = useRef(false);
+
+    const entriesByHash = useMemo(() => {
+        const map = new Map();
+        (manifest?.entries || []).forEach(entry => {
+            entry.hashes.forEach(hash => map.set(hash, entry));
+        });
+        return map;
+    }, [manifest]);
+
+    const manifestExpired = manifest && new Date(manifest.header.expiresAt) < new Date();
+
+    useEffect(() => {
+        localStorage.setItem(storageKey(eventId, 'queue'), JSON.stringify(queue));
+    }, [eventId, queue]);
+
+    useEffect(() => {
+        localStorage.setItem(storageKey(eventId, 'scanned'), JSON.stringify(scanned));
+    }, [eventId, scanned]);
+
+    useEffect(() => {
+        const handleOnline = () => setOnline(true);
+        const handleOffline = () => setOnline(false);
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    const downloadManifest = async () => {
+        // Queued scans are synced against the manifest they were made with
+        if (queue.length > 0) {
+            toast.error('Vui lòng đồng bộ các lượt check-in đang chờ trước khi tải lại danh sách');
+            return;
+        }
+
+        try {
+            setDownloading(true);
+            const response = await eventService.getKioskManifest(eventId);
+
+            localStorage.setItem(storageKey(eventId, 'manifest'), JSON.stringify(response.data));
+            setManifest(response.data);
+            // The new manifest already marks everyone checked in so far
+            setScanned([]);
+            toast.success(`Đã tải danh sách ${response.data.header.count} người tham gia`);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Không tải được danh sách check-in');
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    const syncQueue = useCallback(async () => {
+        if (syncingRef.current || !manifest || queue.length === 0 || !navigator.onLine) return;
+
+        const batch = queue;
+
+        try {
+            syncingRef.current = true;
+            setSyncing(true);
+
+            const response = await eventService.syncKioskCheckIns(eventId, {
+                manifest: { header: manifest.header, signature: manifest.signature },
+                deviceId: getDeviceId(),
+                checkIns: batch
+            });
+
+            // Every item got a result, so the whole batch leaves the queue
+            const synced = new Set(batch.map(item => item.clientId));
+            setQueue(current => current.filter(item => !synced.has(item.clientId)));
+
+            const issues = response.data.results.filter(result =>
+                result.status === 'conflict' || result.status === 'rejected');
+
+            if (issues.length > 0) {
+                const names = new Map(manifest.entries.map(entry => [entry.registrationId, entry.name]));
+                setProblems(current => [
+                    ...issues.map(issue => ({ ...issue, name: names.get(issue.registrationId) })),
+                    ...current
+                ].slice(0, 50));
+            }
+
+            toast.success(`Đã đồng bộ ${batch.length} lượt check-in`);
+        } catch (error) {
+            if (error.response) {
+                toast.error(error.response.data?.message || 'Đồng bộ thất bại');
+            }
+            // Lỗi mạng: giữ hàng đợi và thử lại sau
+        } finally {
+            syncingRef.current = false;
+            setSyncing(false);
+        }
+    }, [eventId, manifest, queue]);
+
+    useEffect(() => {
+        if (online) {
+            syncQueue();
+        }
+
+        const interval = setInterval(syncQueue, SYNC_INTERVAL);
+        return () => clearInterval(interval);
+    }, [online, syncQueue]);
+
+    const handleScan = async (data) => {
+        const text = data?.text;
+        if (!text || !manifest) return;
+
+        const now = Date.now();
+        if (lastCode.current.text === text && now - lastCode.current.at < RESCAN_DELAY) return;
+        lastCode.current = { text, at: now };
+
+        if (manifestExpired) {
+            setLastScan({ type: 'error', message: 'Danh sách check-in đã hết hạn, vui lòng tải lại' });
+            return;
+        }
+
+        const entry = entriesByHash.get(await sha256(getLookupCode(text)));
+
+        if (!entry) {
+            setLastScan({ type: 'error', message: 'Mã QR không hợp lệ cho sự kiện này' });
+            return;
+        }
+
+        if (entry.checkedIn || scanned.includes(entry.registrationId)) {
+            setLastScan({ type: 'warning', name: entry.name, message: 'Đã check-in trước đó' });
+            return;
+        }
+
+        setQueue(current => [...current, {
+            clientId: `${getDeviceId()}-${now}`,
+            registrationId: entry.registrationId,
+            scannedAt: new Date(now).toISOString()
+        }]);
+        setScanned(current => [...current, entry.registrationId]);
+        setLastScan({ type: 'success', name: entry.name, studentId: entry.studentId, message: 'Check-in thành công' });
+    };
+
+    const handleScanError = () => {
+        setLastScan({ type: 'error', message: 'Không truy cập được camera, vui lòng kiểm tra quyền camera của trình duyệt' });
+    };
+
+    const lastScanStyles = {
+        success: 'bg-green-50 border-green-200 text-green-800',
+        warning: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+        error: 'bg-red-50 border-red-200 text-red-800'
+    };
+
+    const lastScanIcon = {
+        success: <CheckCircle className="w-8 h-8 text-green-600" />,
+        warning: <AlertCircle className="w-8 h-8 text-yellow-600" />,
+        error: <XCircle className="w-8 h-8 text-red-600" />
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Trạng thái kiosk */}
+            <div className="bg-gray-50 rounded-lg p-6">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold text-gray-900">
+                        {manifest?.event?.title || 'Kiosk check-in'}
+                    </h3>
+                    <span className={`flex items-center space-x-2 text-sm ${online ? 'text-green-600' : 'text-red-600'}`}>
+                        {online ? <Wifi className="w-4 h-4" /> : <WifiOff className="w-4 h-4" />}
+                        <span>{online ? 'Đang trực tuyến' : 'Ngoại tuyến'}</span>
+                    </span>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                    <div className="bg-white p-4 rounded-lg">
+                        <p className="text-sm text-gray-600">Người tham gia hợp lệ</p>
+                        <p className="text-2xl font-bold text-blue-600">{manifest?.header.count || 0}</p>
+                    </div>
+                    <div className="bg-white p-4 rounded-lg">
+                        <p className="text-sm text-gray-600">Đã quét trên thiết bị này</p>
+                        <p className="text-2xl font-bold text-green-600">{scanned.length}</p>
+                    </div>
+                    <div className="bg-white p-4 rounded-lg">
+                        <p className="text-sm text-gray-600">Chờ đồng bộ</p>
+                        <p className="text-2xl font-bold text-yellow-600">{queue.length}</p>
+                    </div>
+                </div>
+
+                <div className="flex flex-wrap gap-3">
+                    <button
+                        onClick={downloadManifest}
+                        disabled={downloading || !online}
+                        className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {downloading ? <Loader className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                        <span>{manifest ? 'Tải lại danh sách' : 'Tải danh sách check-in'}</span>
+                    </button>
+                    <button
+                        onClick={syncQueue}
+                        disabled={syncing || !online || queue.length === 0}
+                        className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+                    >
+                        <RefreshCw className={`w-4 h-4 ${syncing ? 'animate-spin' : ''}`} />
+                        <span>Đồng bộ ngay</span>
+                    </button>
+                </div>
+
+                {manifest && (
+                    <p className={`mt-3 text-sm ${manifestExpired ? 'text-red-600' : 'text-gray-500'}`}>
+                        Danh sách tải lúc {new Date(manifest.header.issuedAt).toLocaleString('vi-VN')},
+                        hết hạn lúc {new Date(manifest.header.expiresAt).toLocaleString('vi-VN')}
+                    </p>
+                )}
+            </div>
+
+            {/* Máy quét */}
+            {manifest ? (
+                <div className="bg-white rounded-lg border p-4">
+                    <QrReader
+                        delay={300}
+                        onScan={handleScan}
+                        onError={handleScanError}
+                        style={{ width: '100%' }}
+                    />
+                </div>
+            ) : (
+                <div className="bg-white rounded-lg border p-8 text-center text-gray-600">
+                    Tải danh sách check-in khi còn kết nối mạng để bắt đầu quét ngoại tuyến.
+                </div>
+            )}
+
+            {lastScan && (
+                <div className={`flex items-center space-x-4 border rounded-lg p-4 ${lastScanStyles[lastScan.type]}`}>
+                    {lastScanIcon[lastScan.type]}
+                    <div>
+                        {lastScan.name && <p className="text-lg font-semibold">{lastScan.name}</p>}
+                        {lastScan.studentId && <p className="text-sm">MSSV: {lastScan.studentId}</p>}
+                        <p>{lastScan.message}</p>
+                    </div>
+                </div>
+            )}
+
+            {/* Kết quả đồng bộ cần xử lý */}
+            {problems.length > 0 && (
+                <div className="bg-white rounded-lg border">
+                    <h4 className="px-4 py-3 border-b font-semibold text-gray-900">Lượt check-in cần kiểm tra</h4>
+                    <ul className="divide-y">
+                        {problems.map((problem, index) => (
+                            <li key={`${problem.clientId}-${index}`} className="px-4 py-3 text-sm">
+                                <span className="font-medium">{problem.name || problem.registrationId}</span>
+                                {' – '}
+                                <span className="text-red-600">{SYNC_STATUS_TEXT[problem.status]}</span>
+                                {problem.reason && <span className="text-gray-500">: {problem.reason}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default QRCodeScanner;
@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { certificateService } from '../services/certificateService';
+import { reportService } from '../services/reportService';
 import {
     Award, Download, Eye, Search, Filter,
-    Calendar, MapPin, CheckCircle
+    Calendar, MapPin, CheckCircle, FileText, Loader, BadgeCheck
 } from 'lucide-react';
+import toast from 'react-hot-toast';
 
 const CertificatesPage = () => {
     const [certificates, setCertificates] = useState([]);
@@ -11,6 +13,7 @@ const CertificatesPage = () => {
     const [searchTerm, setSearchTerm] = useState('');
     const [selectedCert, setSelectedCert] = useState(null);
     const [showViewer, setShowViewer] = useState(false);
+    const [downloadingTranscript, setDownloadingTranscript] = useState(false);
 
     useEffect(() => {
         loadCertificates();
@@ -44,6 +47,41 @@ const CertificatesPage = () => {
         }
     };
 
+    const handleDownloadTranscript = async () => {
+        try {
+            setDownloadingTranscript(true);
+            const blob = await reportService.downloadTranscript();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'bang-hoat-dong-ngoai-khoa.pdf';
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (error) {
+            toast.error('Không tải được bảng hoạt động ngoại khóa');
+        } finally {
+            setDownloadingTranscript(false);
+        }
+    };
+
+    const handleExportBadge = async (certificate) => {
+        try {
+            const blob = await certificateService.exportCredential(certificate.id);
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `open-badge-${certificate.code}.jwt`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (error) {
+            toast.error('Không xuất được Open Badge cho chứng nhận này');
+        }
+    };
+
     const handleViewCertificate = (certificate) => {
         setSelectedCert(certificate);
         setShowViewer(true);
@@ -66,12 +104,22 @@ const CertificatesPage = () => {
         <div className="min-h-screen bg-gray-50">
             <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
                 {/* Page Header */}
-                <div className="mb-8">
-                    <h1 className="text-2xl font-bold text-gray-900 flex items-center space-x-2">
-                        <Award className="w-6 h-6" />
-                        <span>Chứng nhận của tôi</span>
-                    </h1>
-                    <p className="text-gray-600 mt-1">Quản lý và tải xuống các chứng nhận đã nhận</p>
+                <div className="mb-8 flex items-start justify-between">
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-900 flex items-center space-x-2">
+                            <Award className="w-6 h-6" />
+                            <span>Chứng nhận của tôi</span>
+                        </h1>
+                        <p className="text-gray-600 mt-1">Quản lý và tải xuống các chứng nhận đã nhận</p>
+                    </div>
+                    <button
+                        onClick={handleDownloadTranscript}
+                        disabled={downloadingTranscript}
+                        className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {downloadingTranscript ? <Loader className="w-4 h-4 animate-spin" /> : <FileText className="w-4 h-4" />}
+                        <span>Tải bảng hoạt động ngoại khóa</span>
+                    </button>
                 </div>
 
                 {/* Search and Stats */}
@@ -202,6 +250,13 @@ const CertificatesPage = () => {
                                             <Download className="w-4 h-4" />
                                             <span>Tải xuống PDF</span>
                                         </button>
+                                        <button
+                                            onClick={() => handleExportBadge(selectedCert)}
+                                            className="flex items-center space-x-2 px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                                        >
+                                            <BadgeCheck className="w-4 h-4" />
+                                            <span>Xuất Open Badge</span>
+                                        </button>
                                     </div>
                                 </div>
                             </div>
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, QrCode } from 'lucide-react';
+import QRCodeScanner from '../components/events/QRCodeScanner';
+
+// Full-screen kiosk for check-in at the venue door
+const KioskPage = () => {
+    const { eventId } = useParams();
+
+    return (
+        <div className="min-h-screen bg-gray-100">
+            <div className="max-w-4xl mx-auto px-4 py-6 space-y-6">
+                <div className="flex items-center justify-between">
+                    <h1 className="text-2xl font-bold text-gray-900 flex items-center space-x-2">
+                        <QrCode className="w-6 h-6" />
+                        <span>Kiosk check-in</span>
+                    </h1>
+                    <Link
+                        to="/dashboard"
+                        className="flex items-center space-x-2 text-sm text-gray-600 hover:text-gray-900"
+                    >
+                        <ArrowLeft className="w-4 h-4" />
+                        <span>Quay lại</span>
+                    </Link>
+                </div>
+
+                <QRCodeScanner eventId={eventId} />
+            </div>
+        </div>
+    );
+};
+
+export default KioskPage;
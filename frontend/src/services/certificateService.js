@@ -21,14 +21,18 @@ class CertificateService {
     }
 
     async generateBulkCertificates(eventId, userIds, templateData = {}) {
-        const response = await api.post(`/certificates/generate-bulk`, {
-            eventId,
-            userIds,
-            ...templateData
+        const response = await api.post(`/certificates/events/${eventId}/bulk`, {
+            recipients: userIds?.map(userId => ({ userId })),
+            certificateData: templateData
         });
         return response.data;
     }
 
+    async getBulkGenerationStatus(batchId) {
+        const response = await api.get(`/certificates/batches/${batchId}`);
+        return response.data;
+    }
+
     async downloadCertificate(id) {
         const response = await api.get(`/certificates/${id}/download`, {
             responseType: 'blob'
@@ -48,6 +52,34 @@ class CertificateService {
         return response.data;
     }
 
+    async exportCredential(id) {
+        const response = await api.get(`/certificates/${id}/credential`, {
+            params: { format: 'jwt' },
+            responseType: 'blob'
+        });
+        return response.data;
+    }
+
+    async verifyCertificateSignature(signature) {
+        const response = await api.post('/certificates/verify-signature', { signature });
+        return response.data;
+    }
+
+    async getCertificateStatus(identifier) {
+        const response = await api.get(`/certificates/status/${identifier}`);
+        return response.data;
+    }
+
+    async getRevocationList(params = {}) {
+        const response = await api.get('/certificates/revocations', { params });
+        return response.data;
+    }
+
+    async getLedgerProof(verificationCode) {
+        const response = await api.get(`/certificates/verify/${verificationCode}/proof`);
+        return response.data;
+    }
+
     async getMyCertificates(params = {}) {
         const response = await api.get('/certificates/my-certificates', { params });
         return response.data;
@@ -77,6 +109,23 @@ class CertificateService {
         const response = await api.delete(`/certificates/templates/${id}`);
         return response.data;
     }
+
+    async getCertificateTemplate(id) {
+        const response = await api.get(`/certificates/templates/${id}`);
+        return response.data;
+    }
+
+    async previewCertificateTemplate(previewData) {
+        const response = await api.post('/certificates/templates/preview', previewData, {
+            responseType: 'blob'
+        });
+        return response.data;
+    }
+
+    async setEventCertificateTemplate(eventId, templateId, version) {
+        const response = await api.put(`/certificates/events/${eventId}/template`, { templateId, version });
+        return response.data;
+    }
 }
 
 export const certificateService = new CertificateService();
\ No newline at end of file
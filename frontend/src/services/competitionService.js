@@ -0,0 +1,55 @@
+import api from './api';
+
+class CompetitionService {
+    async getCompetition(eventId) {
+        const response = await api.get(`/competitions/events/${eventId}`);
+        return response.data;
+    }
+
+    async saveCompetitionSetup(eventId, setup) {
+        const response = await api.put(`/competitions/events/${eventId}`, setup);
+        return response.data;
+    }
+
+    async assignJudges(eventId, judgeIds) {
+        const response = await api.post(`/competitions/events/${eventId}/judges`, { judgeIds });
+        return response.data;
+    }
+
+    async removeJudge(eventId, judgeId) {
+        const response = await api.delete(`/competitions/events/${eventId}/judges/${judgeId}`);
+        return response.data;
+    }
+
+    async getJudgeAssignments(eventId) {
+        const response = await api.get(`/competitions/events/${eventId}/assignments`);
+        return response.data;
+    }
+
+    async recuse(eventId, registrationId, reason, judgeId) {
+        const response = await api.post(`/competitions/events/${eventId}/recusals`, { registrationId, reason, judgeId });
+        return response.data;
+    }
+
+    async submitScore(eventId, registrationId, scores, comment) {
+        const response = await api.put(`/competitions/events/${eventId}/scores/${registrationId}`, { scores, comment });
+        return response.data;
+    }
+
+    async getLeaderboard(eventId) {
+        const response = await api.get(`/competitions/events/${eventId}/leaderboard`);
+        return response.data;
+    }
+
+    async finalizeCompetition(eventId) {
+        const response = await api.post(`/competitions/events/${eventId}/finalize`);
+        return response.data;
+    }
+
+    async issueAwardCertificates(eventId) {
+        const response = await api.post(`/competitions/events/${eventId}/awards`);
+        return response.data;
+    }
+}
+
+export const competitionService = new CompetitionService();
@@ -36,6 +36,16 @@ class EventService {
         return response.data;
     }
 
+    async checkEligibility(eventId) {
+        const response = await api.get(`/events/${eventId}/eligibility`);
+        return response.data;
+    }
+
+    async previewEligibility(eventId) {
+        const response = await api.get(`/events/${eventId}/eligibility/preview`);
+        return response.data;
+    }
+
     async cancelRegistration(eventId) {
         const response = await api.delete(`/events/${eventId}/register`);
         return response.data;
@@ -112,6 +122,43 @@ class EventService {
         return response.data;
     }
 
+    async selfCheckIn(eventId, checkInData) {
+        const response = await api.post(`/attendance/events/${eventId}/self-checkin`, checkInData);
+        return response.data;
+    }
+
+    async getSelfCheckInPin(eventId) {
+        const response = await api.get(`/attendance/events/${eventId}/self-checkin/pin`);
+        return response.data;
+    }
+
+    // Personal join link; opening it records the join and redirects to the meeting
+    async getOnlineJoinLink(eventId) {
+        const response = await api.get(`/attendance/events/${eventId}/join-link`);
+        return response.data;
+    }
+
+    async sendHeartbeat(eventId, heartbeatData = {}) {
+        const response = await api.post(`/attendance/events/${eventId}/heartbeat`, heartbeatData);
+        return response.data;
+    }
+
+    async getKioskManifest(eventId) {
+        const response = await api.get(`/attendance/events/${eventId}/kiosk/manifest`);
+        return response.data;
+    }
+
+    async syncKioskCheckIns(eventId, syncData) {
+        const response = await api.post(`/attendance/events/${eventId}/kiosk/sync`, syncData);
+        return response.data;
+    }
+
+    // Rotating codes expire at data.expiresAt and must be fetched again
+    async getCheckInQRCode(registrationId) {
+        const response = await api.get(`/events/registrations/${registrationId}/qr-code`);
+        return response.data;
+    }
+
     async uploadEventImage(eventId, imageFile) {
         const formData = new FormData();
         formData.append('image', imageFile);
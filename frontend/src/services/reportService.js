@@ -39,6 +39,15 @@ class ReportService {
         return response.data;
     }
 
+    // Downloads reuse the signed transcript until its content changes
+    async downloadTranscript() {
+        const response = await api.get('/transcripts/my', {
+            params: { format: 'pdf' },
+            responseType: 'blob'
+        });
+        return response.data;
+    }
+
     async generateCustomReport(reportConfig) {
         const response = await api.post('/reports/custom', reportConfig);
         return response.data;
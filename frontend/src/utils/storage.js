@@ -0,0 +1,10 @@
+// Stable ID for this browser, sent with check-ins and heartbeats so the
+// server can spot one device checking in several attendees
+export const getDeviceId = () => {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = `web-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+};